@@ -0,0 +1,685 @@
+/**
+ * Mock API Server
+ *
+ * Serves the `api: { endpoints: [...] }` block of a `.finapp` specification
+ * over local HTTP, answering from its `mockData` block. Path parameters are
+ * routed, request bodies are checked against the endpoint `body` schema, and
+ * faults can be injected using the API error codes declared in `errorMapping`
+ * (e.g. `AMOUNT_TOO_HIGH` -> 400) or plain HTTP statuses (e.g. 503). The
+ * spec's `validation` rules run on stored records and, when configured, on
+ * request bodies.
+ *
+ * `handle()` works without a socket, so Cucumber steps can call the mock
+ * in-process; `listen()` exposes the same handler over HTTP for app developers.
+ */
+
+const http = require('http');
+const { toPlain } = require('../parsers/finapp-parser');
+const { collectionModel } = require('../parsers/finapp-model');
+const { schemaFields, checkObject } = require('../parsers/finapp-types');
+const { ValidationRules } = require('../../core/lib/dsl/validation-rules');
+
+/**
+ * Path prefix of the control endpoints
+ */
+const CONTROL_PREFIX = '/__mock';
+
+/**
+ * Request header that injects a fault for a single request
+ */
+const FAULT_HEADER = 'x-mock-fault';
+
+/**
+ * Error raised for an unusable specification or fault
+ */
+class MockApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MockApiError';
+    this.details = details;
+  }
+}
+
+/**
+ * Mock HTTP backend for one specification
+ */
+class MockApiServer {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {Object} options - Server options
+   * @param {string} options.prefix - Path prefix to accept; defaults to the path of `baseUrl`
+   * @param {Object} options.collections - Model names mapped to mockData collection keys
+   * @param {Object} options.validations - Endpoint ids mapped to validation names run on the request body,
+   *   e.g. `{ createTopup: ['TopupAmount'] }`
+   * @param {Function} options.logger - Called with `(method, path, status)` for each request
+   */
+  constructor(spec, options = {}) {
+    if (!spec.apiConfiguration) {
+      throw new MockApiError(`${spec.filename} has no 'api:' block to serve`);
+    }
+    this.spec = spec;
+    this.options = options;
+    this.config = toPlain(spec.apiConfiguration.value);
+    this.prefix = options.prefix !== undefined ? options.prefix : basePath(this.config.baseUrl);
+    this.collections = { ...options.collections };
+    this.logger = options.logger || null;
+    this.routes = this._buildRoutes();
+    this.rules = new ValidationRules(spec);
+    this.endpointValidations = options.validations || {};
+    Object.entries(this.endpointValidations).forEach(([endpoint, names]) => {
+      if (!this.routes.some(route => route.id === endpoint)) {
+        throw new MockApiError(`Unknown endpoint '${endpoint}' in validations`);
+      }
+      [].concat(names).forEach(name => this.rules.get(name));
+    });
+    this.server = null;
+    this.reset();
+  }
+
+  /**
+   * Restore the mock data and remove every fault
+   */
+  reset() {
+    this.data = this.spec.mockData ? toPlain(this.spec.mockData.value) : {};
+    this.faults = [];
+  }
+
+  /**
+   * Inject a fault. Faults apply in the order they were added.
+   * @param {Object} fault - The fault
+   * @param {string} fault.endpoint - Endpoint id to affect; all endpoints if omitted
+   * @param {string} fault.code - API error code from `errorMapping`, e.g. `AMOUNT_TOO_HIGH`
+   * @param {number} fault.status - HTTP status; required when `code` is not mapped
+   * @param {number} fault.times - Number of responses to affect; unlimited if omitted, none if 0
+   * @param {number} fault.delayMs - Delay before responding
+   * @returns {Object} The stored fault
+   * @throws {MockApiError} If the endpoint or code is unknown
+   */
+  injectFault(fault) {
+    if (fault.endpoint && !this.routes.some(route => route.id === fault.endpoint)) {
+      throw new MockApiError(`Unknown endpoint '${fault.endpoint}'`, { fault });
+    }
+    if (fault.times !== undefined && !(Number.isInteger(fault.times) && fault.times >= 0)) {
+      throw new MockApiError(`A fault's times must be a whole number of responses, not ${JSON.stringify(fault.times)}`, { fault });
+    }
+    const stored = { ...fault, response: this._faultResponse(fault.endpoint, fault) };
+    if (stored.times !== 0) {
+      this.faults.push(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Remove every fault
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Handle a request without a socket
+   * @param {Object} request - The request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path, optionally with a query string
+   * @param {Object} request.headers - Lower-case header names
+   * @param {string|Object} request.body - Raw JSON text or an already parsed body
+   * @returns {Promise<Object>} `{status, headers, body}`
+   */
+  async handle(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const url = new URL(request.path, 'http://mock.local');
+    const headers = request.headers || {};
+    const response = await this._dispatch(method, url, headers, request.body);
+    response.headers = { 'content-type': 'application/json', ...corsHeaders(), ...response.headers };
+    if (this.logger) {
+      this.logger(method, url.pathname, response.status);
+    }
+    return response;
+  }
+
+  /**
+   * Start serving over HTTP
+   * @param {number} port - Port, 0 for any free port
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} The server URL, including the prefix
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        this.handle({ method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') })
+          .then(response => {
+            res.writeHead(response.status, response.headers);
+            res.end(response.body === null ? undefined : JSON.stringify(response.body));
+          })
+          .catch(error => {
+            res.writeHead(500, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ code: 'MOCK_SERVER_ERROR', message: error.message }));
+          });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve(`http://${host}:${address.port}${this.prefix}`);
+      });
+    });
+  }
+
+  /**
+   * Stop serving over HTTP
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * Route a request to the control API or an endpoint
+   * @private
+   */
+  async _dispatch(method, url, headers, rawBody) {
+    if (method === 'OPTIONS') {
+      return { status: 204, body: null };
+    }
+
+    let body;
+    try {
+      body = parseBody(rawBody);
+    } catch (error) {
+      return errorResponse(400, 'INVALID_REQUEST', `Request body is not valid JSON: ${error.message}`);
+    }
+
+    const path = stripPrefix(url.pathname, this.prefix);
+    if (path === CONTROL_PREFIX || path.startsWith(`${CONTROL_PREFIX}/`)) {
+      return this._control(method, path.slice(CONTROL_PREFIX.length), body);
+    }
+
+    let matches;
+    try {
+      matches = this.routes
+        .map(route => ({ route, params: route.match(path) }))
+        .filter(match => match.params);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      return errorResponse(400, 'INVALID_REQUEST', `Path ${path} is not valid percent-encoding`);
+    }
+    if (matches.length === 0) {
+      return errorResponse(404, 'NOT_FOUND', `No endpoint matches ${path}`);
+    }
+    const match = matches.find(candidate => candidate.route.method === method);
+    if (!match) {
+      return {
+        ...errorResponse(405, 'METHOD_NOT_ALLOWED', `${method} is not allowed on ${path}`),
+        headers: { allow: matches.map(candidate => candidate.route.method).join(', ') }
+      };
+    }
+
+    const fault = this._takeFault(match.route, headers);
+    if (fault) {
+      if (fault.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+      }
+      return { status: fault.response.status, body: { ...fault.response.body } };
+    }
+
+    return this._respond(match.route, match.params, body, url.searchParams);
+  }
+
+  /**
+   * Control API used by test runs: faults, reset and the route table
+   * @private
+   */
+  _control(method, path, body) {
+    try {
+      if (path === '/faults' && method === 'GET') {
+        return { status: 200, body: this.faults };
+      }
+      if (path === '/faults' && method === 'POST') {
+        return { status: 201, body: this.injectFault(body || {}) };
+      }
+      if (path === '/faults' && method === 'DELETE') {
+        this.clearFaults();
+        return { status: 204, body: null };
+      }
+      if (path === '/reset' && method === 'POST') {
+        this.reset();
+        return { status: 204, body: null };
+      }
+      if (path === '/routes' && method === 'GET') {
+        return { status: 200, body: this.routes.map(({ id, method: verb, path: template }) => ({ id, method: verb, path: template })) };
+      }
+    } catch (error) {
+      if (error instanceof MockApiError) {
+        return errorResponse(400, 'INVALID_FAULT', error.message);
+      }
+      throw error;
+    }
+    return errorResponse(404, 'NOT_FOUND', `Unknown control request ${method} ${CONTROL_PREFIX}${path}`);
+  }
+
+  /**
+   * Compile the declared endpoints into routes, literal paths first
+   * @private
+   */
+  _buildRoutes() {
+    const routes = [...this.spec.apiEndpoints.values()].map(node => {
+      const endpoint = toPlain(node);
+      const bodyProperty = node.properties.find(member => member.type === 'Property' && member.key === 'body');
+      return compileRoute({
+        id: endpoint.id,
+        method: String(endpoint.method || 'GET').toUpperCase(),
+        path: endpoint.path,
+        params: endpoint.params || [],
+        bodyFields: bodyProperty && bodyProperty.value.type === 'ObjectLiteral' ? schemaFields(bodyProperty.value) : null,
+        response: endpoint.response || null
+      });
+    });
+    return routes.sort((a, b) => a.paramNames.length - b.paramNames.length);
+  }
+
+  /**
+   * Find the fault for a request: the fault header first, then injected faults
+   * @private
+   */
+  _takeFault(route, headers) {
+    const header = headers[FAULT_HEADER];
+    if (header) {
+      const fault = /^\d{3}$/.test(header) ? { status: Number(header) } : { code: header };
+      try {
+        return { response: this._faultResponse(route.id, fault) };
+      } catch (error) {
+        return { response: errorResponse(400, 'INVALID_FAULT', error.message) };
+      }
+    }
+
+    const index = this.faults.findIndex(fault => !fault.endpoint || fault.endpoint === route.id);
+    if (index === -1) {
+      return null;
+    }
+    const fault = this.faults[index];
+    if (fault.times !== undefined) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        this.faults.splice(index, 1);
+      }
+    }
+    return fault;
+  }
+
+  /**
+   * Build the error response for a fault. Codes are looked up in the
+   * errorMapping of the operation named like the endpoint, then in every
+   * operation, so the status and message match what the spec declares.
+   * @private
+   */
+  _faultResponse(endpointId, fault) {
+    if (!fault.code) {
+      if (!fault.status) {
+        throw new MockApiError('A fault needs a code or a status', { fault });
+      }
+      return errorResponse(fault.status, statusCode(fault.status), http.STATUS_CODES[fault.status] || 'Mock fault');
+    }
+
+    const mapping = this._findErrorCode(endpointId, fault.code);
+    if (!mapping && !fault.status) {
+      throw new MockApiError(`Error code '${fault.code}' is not declared in any errorMapping`, { fault });
+    }
+
+    const error = mapping && this.spec.errors.get(mapping.target.name);
+    const messageProperty = error && error.properties.find(member => member.type === 'Property' && member.key === 'message');
+    const message = messageProperty ? toPlain(messageProperty.value) : fault.code;
+    return errorResponse(fault.status || Number(mapping.status), fault.code, message);
+  }
+
+  /**
+   * Find `"CODE" -> Error` in the errorMapping blocks
+   * @private
+   */
+  _findErrorCode(endpointId, code) {
+    const operations = [...this.spec.apis.values()].flatMap(api => api.operations || []);
+    operations.sort((a, b) => (b.name === endpointId) - (a.name === endpointId));
+    for (const operation of operations) {
+      const rules = operation.errorMapping ? operation.errorMapping.rules : [];
+      for (const rule of rules) {
+        const mapping = rule.codes.find(candidate => candidate.code === code);
+        if (mapping) {
+          return { status: rule.status, target: mapping.target };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Produce the normal response of an endpoint from the mock data
+   * @private
+   */
+  _respond(route, params, body, query) {
+    const paramProblems = route.params
+      .filter(param => param.type === 'number' && params[param.name] !== undefined && Number.isNaN(Number(params[param.name])))
+      .map(param => ({ field: param.name, message: `'${param.name}' should be number` }));
+    if (paramProblems.length > 0) {
+      return { status: 400, body: { code: 'INVALID_REQUEST', message: 'Path parameters are invalid', errors: paramProblems } };
+    }
+
+    if (route.bodyFields && ['POST', 'PUT', 'PATCH'].includes(route.method)) {
+      const problems = checkObject(this.spec, body === undefined ? {} : body, route.bodyFields);
+      if (problems.length > 0) {
+        return {
+          status: 400,
+          body: { code: 'INVALID_REQUEST', message: `Request body does not match the ${route.id} schema`, errors: problems }
+        };
+      }
+    }
+
+    const bodyFailures = [].concat(this.endpointValidations[route.id] || [])
+      .map(name => this.rules.check(name, body || {}, this._relatedValues(body || {})))
+      .filter(result => !result.valid);
+    if (bodyFailures.length > 0) {
+      return validationFailure(bodyFailures);
+    }
+
+    const type = route.response ? String(route.response) : null;
+    const modelName = type && type.replace(/\[\]$/, '');
+    const key = modelName && this._collectionKey(modelName);
+    if (!key) {
+      return errorResponse(501, 'NO_MOCK_DATA', `No mockData collection holds ${modelName || 'the response'} for ${route.id}`);
+    }
+
+    const records = Array.isArray(this.data[key]) ? this.data[key] : [this.data[key]];
+    const model = this.spec.models.get(modelName);
+    const matching = records.filter(record => matchesParams(record, model, params));
+
+    switch (route.method) {
+      case 'GET':
+        if (type.endsWith('[]')) {
+          return { status: 200, body: matching.filter(record => matchesQuery(record, query)) };
+        }
+        return matching.length > 0
+          ? { status: 200, body: matching[0] }
+          : errorResponse(404, 'NOT_FOUND', `No ${modelName} matches ${JSON.stringify(params)}`);
+      case 'POST': {
+        const record = this._newRecord(key, records, model, body || {});
+        const { failures } = this.rules.validate(modelName, record);
+        if (failures.length > 0) {
+          return validationFailure(failures);
+        }
+        this._store(key, records, record);
+        return { status: 201, body: record };
+      }
+      case 'PUT':
+      case 'PATCH': {
+        if (matching.length === 0) {
+          return errorResponse(404, 'NOT_FOUND', `No ${modelName} matches ${JSON.stringify(params)}`);
+        }
+        const updated = { ...matching[0], ...pickFields(body || {}, model) };
+        const { failures } = this.rules.validate(modelName, updated);
+        if (failures.length > 0) {
+          return validationFailure(failures);
+        }
+        Object.assign(matching[0], updated);
+        return { status: 200, body: matching[0] };
+      }
+      case 'DELETE':
+        this.data[key] = records.filter(record => !matching.includes(record));
+        return { status: 204, body: null };
+      default:
+        return errorResponse(405, 'METHOD_NOT_ALLOWED', `${route.method} is not supported by the mock server`);
+    }
+  }
+
+  /**
+   * Build a record from a request body, filling undeclared values from the
+   * first existing record and generating a new primary key and new
+   * references (`reference`, `...Reference`) the body does not give
+   * @private
+   */
+  _newRecord(key, records, model, body) {
+    const template = records[0] || {};
+    const record = { ...template, ...pickFields(body, model) };
+    const primaryKey = primaryKeyOf(model, records);
+    if (primaryKey) {
+      record[primaryKey] = nextValue(records, primaryKey, String(template[primaryKey] || key));
+    }
+    Object.keys(template)
+      .filter(field => field !== primaryKey && /^reference$|Reference$/.test(field))
+      .filter(field => typeof template[field] === 'string' && body[field] === undefined)
+      .forEach(field => { record[field] = nextValue(records, field, template[field]); });
+    return record;
+  }
+
+  /**
+   * Add a record to a collection
+   * @private
+   */
+  _store(key, records, record) {
+    if (!Array.isArray(this.data[key])) {
+      this.data[key] = records;
+    }
+    this.data[key].push(record);
+  }
+
+  /**
+   * Values for rule identifiers the body does not carry, taken from records
+   * that share one of its `...Id` values (a body with `loanId: "loan1"`
+   * sees the fields of the offer whose `loanId` is `loan1`)
+   * @private
+   */
+  _relatedValues(body) {
+    const links = Object.entries(body).filter(([field, value]) => /Id$/.test(field) && value !== undefined);
+    const related = {};
+    for (const collection of Object.values(this.data)) {
+      const records = Array.isArray(collection) ? collection : [collection];
+      const record = records.find(candidate => candidate && links.some(([field, value]) => candidate[field] === value));
+      if (record) {
+        Object.entries(record).forEach(([field, value]) => {
+          if (!(field in related)) related[field] = value;
+        });
+      }
+    }
+    return related;
+  }
+
+  /**
+   * Find the mockData collection holding a model
+   * @private
+   */
+  _collectionKey(modelName) {
+    if (this.collections[modelName]) {
+      return this.collections[modelName];
+    }
+    return Object.keys(this.data).find(key => collectionModel(this.spec, key) === modelName) || null;
+  }
+}
+
+/**
+ * Compile `/loans/{loanId}` into a matcher
+ * @private
+ */
+function compileRoute(route) {
+  const paramNames = [];
+  const pattern = route.path.split('/').map(segment => {
+    const param = /^\{(\w+)\}$/.exec(segment);
+    if (param) {
+      paramNames.push(param[1]);
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+  }).join('/');
+  const regex = new RegExp(`^${pattern}/?$`);
+
+  return {
+    ...route,
+    paramNames,
+    match(path) {
+      const match = regex.exec(path);
+      if (!match) return null;
+      return Object.fromEntries(paramNames.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    }
+  };
+}
+
+/**
+ * Match a record against path params: by the field of the same name, or by
+ * the record's primary key when it has no such field (`/loans/{loanId}` -> Loan.id)
+ * @private
+ */
+function matchesParams(record, model, params) {
+  return Object.entries(params).every(([name, value]) => {
+    const field = Object.prototype.hasOwnProperty.call(record, name) ? name : primaryKeyOf(model, [record]);
+    return field !== null && String(record[field]) === value;
+  });
+}
+
+/**
+ * Filter list responses by query parameters naming record fields
+ * @private
+ */
+function matchesQuery(record, query) {
+  return [...query.entries()].every(([name, value]) => (
+    !Object.prototype.hasOwnProperty.call(record, name) || String(record[name]) === value
+  ));
+}
+
+/**
+ * `id` when records carry one, otherwise the first model field ending in `Id`
+ * @private
+ */
+function primaryKeyOf(model, records) {
+  if (records.some(record => record && Object.prototype.hasOwnProperty.call(record, 'id'))) return 'id';
+  if (!model) return null;
+  if (model.fields.some(field => field.name === 'id')) return 'id';
+  const field = model.fields.find(candidate => candidate.name.endsWith('Id'));
+  return field ? field.name : null;
+}
+
+/**
+ * A value for `field` that no record has: the seed's prefix with a number one
+ * above the highest in use, as wide as the seed's (`TOP123456` -> `TOP123457`)
+ * @private
+ */
+function nextValue(records, field, seed) {
+  const [, prefix, digits] = /^(.*?)(\d*)$/.exec(seed);
+  const used = records
+    .map(record => record && String(record[field]))
+    .filter(value => value && value.startsWith(prefix) && /^\d+$/.test(value.slice(prefix.length)))
+    .map(value => Number(value.slice(prefix.length)));
+  const next = Math.max(records.length, ...used) + 1;
+  return `${prefix}${String(next).padStart(digits.length, '0')}`;
+}
+
+/**
+ * Keep only the body values that are fields of the model
+ * @private
+ */
+function pickFields(body, model) {
+  if (!model) return { ...body };
+  return Object.fromEntries(Object.entries(body).filter(([key]) => model.fields.some(field => field.name === key)));
+}
+
+/**
+ * Parse a request body given as text or an object
+ * @private
+ */
+function parseBody(body) {
+  if (body === undefined || body === null || body === '') return undefined;
+  return typeof body === 'string' ? JSON.parse(body) : body;
+}
+
+/**
+ * Path portion of `baseUrl`, without a trailing slash
+ * @private
+ */
+function basePath(baseUrl) {
+  if (!baseUrl) return '';
+  try {
+    return new URL(baseUrl).pathname.replace(/\/$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Remove the prefix when present; unprefixed paths are accepted too
+ * @private
+ */
+function stripPrefix(path, prefix) {
+  if (prefix && (path === prefix || path.startsWith(`${prefix}/`))) {
+    return path.slice(prefix.length) || '/';
+  }
+  return path;
+}
+
+/**
+ * `503` -> `SERVICE_UNAVAILABLE`
+ * @private
+ */
+function statusCode(status) {
+  const text = http.STATUS_CODES[status];
+  return text ? text.toUpperCase().replace(/[^A-Z0-9]+/g, '_') : `HTTP_${status}`;
+}
+
+/**
+ * Error response body in the shape the errorMapping codes describe
+ * @private
+ */
+function errorResponse(status, code, message) {
+  return { status, body: { code, message } };
+}
+
+/**
+ * 422 response for failed `validation` rules
+ * @private
+ */
+function validationFailure(failures) {
+  return {
+    status: 422,
+    body: {
+      code: 'VALIDATION_FAILED',
+      message: failures[0].message,
+      errors: failures.map(({ validation, message, clause, error }) => ({ validation, message, clause: clause || null, error }))
+    }
+  };
+}
+
+/**
+ * Allow browser clients on other local ports
+ * @private
+ */
+function corsHeaders() {
+  return {
+    'access-control-allow-origin': '*',
+    'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'access-control-allow-headers': `content-type, ${FAULT_HEADER}`
+  };
+}
+
+/**
+ * Create a mock server for a specification
+ * @param {Object} spec - Specification model from buildModel()
+ * @param {Object} options - See MockApiServer
+ * @returns {MockApiServer} The server, not yet listening
+ */
+function createMockServer(spec, options = {}) {
+  return new MockApiServer(spec, options);
+}
+
+module.exports = {
+  MockApiServer,
+  MockApiError,
+  createMockServer,
+  FAULT_HEADER
+};
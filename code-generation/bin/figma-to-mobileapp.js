@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Turn exported Figma frames into Mobile DSL screens.
+ *
+ * Usage: figma-to-mobileapp [--mappings <file.json>] [--spec <spec>] [--merge <file.mobileapp>] [--out <file>] <export.json>
+ *
+ * Without `--merge` the screens are written to `--out` or printed. With
+ * `--merge` they are merged into the .mobileapp, keeping the bindings and
+ * actions developers added, and the result is written back (or to `--out`).
+ * Theme colours come from the `app` block of `--spec`, or of the merged
+ * file. Design-system diagnostics go to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFile, getValue } = require('../parsers/finapp-parser');
+const {
+  loadMappings, transformFigma, mergeFigma, renderScreen, formatFigmaDiagnostic
+} = require('../transformers/figma-mobile-dsl');
+
+const DEFAULT_MAPPINGS = path.join(__dirname, '../../specifications/dsl/finapp/design-system/figma-components.json');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { mappings: DEFAULT_MAPPINGS, spec: null, merge: null, out: null, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const option = { '--mappings': 'mappings', '--spec': 'spec', '--merge': 'merge', '--out': 'out' }[argv[i]];
+    if (option) {
+      args[option] = argv[++i];
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  if (args.inputs.length !== 1) {
+    throw new Error('Usage: figma-to-mobileapp [--mappings <file.json>] [--spec <spec>] [--merge <file.mobileapp>] [--out <file>] <export.json>');
+  }
+  return args;
+}
+
+/**
+ * The `app.theme` of a specification file, if it has one
+ * @private
+ */
+function readTheme(specPath) {
+  if (!specPath) return {};
+  const app = parseFile(specPath).body.find(node => node.type === 'AppDeclaration');
+  return app ? getValue(app, 'theme', {}) : {};
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const exportPath = args.inputs[0];
+  const exportJson = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+  const options = {
+    mappings: loadMappings(args.mappings),
+    theme: readTheme(args.spec || args.merge),
+    file: exportPath
+  };
+
+  let result;
+  let output;
+  if (args.merge) {
+    result = mergeFigma(fs.readFileSync(args.merge, 'utf8'), exportJson, { ...options, filename: args.merge });
+    output = result.source;
+  } else {
+    result = transformFigma(exportJson, options);
+    output = `// Generated from Figma export ${path.basename(exportPath)}\n${result.screens.map(screen => renderScreen(screen)).join('\n\n')}\n`;
+  }
+
+  result.diagnostics.forEach(diagnostic => console.error(formatFigmaDiagnostic(diagnostic)));
+  const target = args.out || args.merge;
+  if (target) {
+    fs.writeFileSync(target, output);
+    console.error(`${exportPath} -> ${target} (${result.screens.length} screen(s))`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Check feature file Examples tables against the business data of a specification.
+ *
+ * Usage: finapp-check-examples [--format text|json] <mapping.json>...
+ *
+ * Each mapping names a feature file, a .finapp or .bizapp specification and
+ * which Examples columns correspond to which `app` fields. Every mismatch is
+ * reported at the Examples cell with a note at the specification value. The
+ * process exits with status 1 when any error is reported.
+ */
+
+const { checkMappingFile, formatConsistencyDiagnostic } = require('../parsers/examples-consistency');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { format: 'text', mappings: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else {
+      args.mappings.push(argv[i]);
+    }
+  }
+  if (!['text', 'json'].includes(args.format)) {
+    throw new Error(`Unknown format '${args.format}', expected text or json`);
+  }
+  if (args.mappings.length === 0) {
+    throw new Error('Usage: finapp-check-examples [--format text|json] <mapping.json>...');
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const results = args.mappings.map(checkMappingFile);
+  const diagnostics = results.flatMap(result => result.diagnostics);
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify(diagnostics, null, 2));
+  } else {
+    diagnostics.forEach(diagnostic => console.log(formatConsistencyDiagnostic(diagnostic)));
+    const checked = results.reduce((total, result) => total + result.checked, 0);
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    console.log(`\n${args.mappings.length} mapping(s): ${checked} value(s) checked, ${errors} error(s), ${diagnostics.length - errors} warning(s)`);
+  }
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
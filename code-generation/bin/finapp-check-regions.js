@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Check that every region pack is complete, and that specifications agree
+ * with the packs of their regions.
+ *
+ * Usage: finapp-check-regions [--format text|json] [--dir <directory>] [spec.finapp...]
+ *
+ * Packs are read from `--dir` (default: the runtime's bundled
+ * `core/lib/common/regions`). The process exits with status 1 when any
+ * error is reported, so CI fails on an incomplete pack.
+ */
+
+const { loadSpec } = require('../parsers/finapp-model');
+const { checkSpecRegions, validateRegionPacks } = require('../parsers/region-pack-validator');
+const { formatDiagnostic } = require('../parsers/finapp-validator');
+const { readRegionPacks } = require('../../core/lib/common/region-packs');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { format: 'text', directory: undefined, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--dir') {
+      args.directory = argv[++i];
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  if (!['text', 'json'].includes(args.format)) {
+    throw new Error(`Unknown format '${args.format}', expected text or json`);
+  }
+  if (argv.includes('--dir') && !args.directory) {
+    throw new Error('Usage: finapp-check-regions [--format text|json] [--dir <directory>] [spec.finapp...]');
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const packs = readRegionPacks(args.directory);
+  const diagnostics = validateRegionPacks(packs)
+    .concat(args.inputs.flatMap(input => checkSpecRegions(loadSpec(input), packs)));
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ regions: packs.map(pack => pack.id), diagnostics }, null, 2));
+  } else {
+    diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    console.log(`${packs.length} region pack(s) (${packs.map(pack => pack.id).join(', ')}): ${diagnostics.length} error(s)`);
+  }
+  return diagnostics.length > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
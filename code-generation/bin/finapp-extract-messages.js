@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Extract the user-facing strings of a specification into its source catalogue.
+ *
+ * Usage: finapp-extract-messages [--check] [--out <directory>] <spec.finapp>
+ *
+ * Writes `<name>.en.json` into `--out` (default: the `i18n` directory next to
+ * the specification), where `<name>` is the specification's file name. With
+ * `--check` nothing is written and the process exits with status 1 when the
+ * catalogue is missing or differs from what the specification now produces.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSpec } = require('../parsers/finapp-model');
+const { extractMessages, renderCatalogue } = require('../transformers/message-extraction');
+const { SOURCE_LOCALE } = require('../../core/lib/common/i18n');
+const { formatDiagnostic } = require('../parsers/finapp-validator');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { check: false, out: null, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--check') {
+      args.check = true;
+    } else if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  if (args.inputs.length !== 1) {
+    throw new Error('Usage: finapp-extract-messages [--check] [--out <directory>] <spec.finapp>');
+  }
+  if (path.extname(args.inputs[0]) !== '.finapp') {
+    throw new Error(`${args.inputs[0]}: messages are extracted from a .finapp specification`);
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const file = args.inputs[0];
+  const { messages, diagnostics } = extractMessages(loadSpec(file));
+  diagnostics.forEach(diagnostic => console.error(formatDiagnostic(diagnostic)));
+
+  const directory = args.out || path.join(path.dirname(file), 'i18n');
+  const target = path.join(directory, `${path.basename(file, '.finapp')}.${SOURCE_LOCALE}.json`);
+  const source = renderCatalogue(messages);
+  const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  if (args.check) {
+    if (existing === source) return 0;
+    console.log(`${target}: ${existing === null ? 'missing' : 'out of date'}`);
+    return 1;
+  }
+  if (existing !== source) {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(target, source);
+  }
+  console.log(`${file} -> ${target} (${messages.length} message(s))`);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Generate Cucumber feature files from a journey and the region × segment matrix.
+ *
+ * Usage: finapp-generate-features [--check] <phrasebook.json>...
+ *
+ * Each phrasebook names a specification, a journey, the output directory and
+ * the step phrasing to use. The happy-path, boundary and error-path features
+ * are written into the output directory. With `--check` nothing is written
+ * and the process exits with status 1 when a generated file is missing or
+ * differs from what the specification now produces.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSpec } = require('../parsers/finapp-model');
+const { loadPhrasebook, generateFeatures } = require('../transformers/feature-scenarios');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { check: false, phrasebooks: [] };
+  for (const arg of argv) {
+    if (arg === '--check') {
+      args.check = true;
+    } else {
+      args.phrasebooks.push(arg);
+    }
+  }
+  if (args.phrasebooks.length === 0) {
+    throw new Error('Usage: finapp-generate-features [--check] <phrasebook.json>...');
+  }
+  return args;
+}
+
+/**
+ * Generate, or check, the features of one phrasebook
+ * @private
+ * @returns {boolean} True unless a checked file is stale
+ */
+function generate(file, check) {
+  const phrasebook = loadPhrasebook(file);
+  const { files, warnings } = generateFeatures(loadSpec(phrasebook.spec), phrasebook);
+  warnings.forEach(warning => console.error(`warning: ${warning}`));
+
+  let current = true;
+  for (const { name, source } of files) {
+    const target = path.join(phrasebook.output, name);
+    const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    if (check) {
+      if (existing !== source) {
+        console.log(`${target}: ${existing === null ? 'missing' : 'out of date'}`);
+        current = false;
+      }
+    } else if (existing !== source) {
+      fs.mkdirSync(phrasebook.output, { recursive: true });
+      fs.writeFileSync(target, source);
+      console.log(`${file} -> ${target}`);
+    }
+  }
+  return current;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const results = args.phrasebooks.map(file => generate(file, args.check));
+  return results.every(Boolean) ? 0 : 1;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Generate JSON Schema and TypeScript declarations from .finapp specifications.
+ *
+ * Usage: finapp-generate-types [--out output/generated/types] <spec.finapp>...
+ *
+ * For each specification writes `<name>.schema.json` and `<name>.d.ts`
+ * into the output directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSpec } = require('../parsers/finapp-model');
+const { generateJsonSchema } = require('../transformers/json-schema');
+const { generateDeclarations } = require('../transformers/typescript-declarations');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { out: path.join('output', 'generated', 'types'), files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  if (args.files.length === 0) {
+    throw new Error('Usage: finapp-generate-types [--out output/generated/types] <spec.finapp>...');
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  fs.mkdirSync(args.out, { recursive: true });
+
+  for (const file of args.files) {
+    const spec = loadSpec(file);
+    const base = path.basename(file, '.finapp');
+    const schemaPath = path.join(args.out, `${base}.schema.json`);
+    const declarationsPath = path.join(args.out, `${base}.d.ts`);
+
+    fs.writeFileSync(schemaPath, `${JSON.stringify(generateJsonSchema(spec), null, 2)}\n`);
+    fs.writeFileSync(declarationsPath, generateDeclarations(spec));
+    console.log(`${file} -> ${schemaPath}, ${declarationsPath}`);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
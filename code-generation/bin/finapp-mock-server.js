@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Serve the `api:` endpoints of a .finapp specification from its mockData.
+ *
+ * Usage: finapp-mock-server [--port 4010] [--host 127.0.0.1] [--fault endpoint=CODE|status]...
+ *                           [--validate endpoint=Validation]... <spec.finapp>
+ *
+ * `--fault createTopup=AMOUNT_TOO_HIGH` makes every createTopup call fail with
+ * the status errorMapping declares for that code; `--fault getLoans=503`
+ * fails with a plain status; `--fault 503` affects every endpoint. Faults can
+ * also be changed at runtime through `/__mock/faults`, or per request with
+ * the `x-mock-fault` header.
+ *
+ * `--validate createTopup=TopupAmount` runs the spec's `validation TopupAmount`
+ * rule on createTopup request bodies; failures are answered with 422.
+ */
+
+const { loadSpec } = require('../parsers/finapp-model');
+const { createMockServer } = require('../adapters/mock-api-server');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { port: 4010, host: '127.0.0.1', faults: [], validations: {}, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = Number(argv[++i]);
+    } else if (arg === '--host') {
+      args.host = argv[++i];
+    } else if (arg === '--fault') {
+      args.faults.push(parseFault(argv[++i] || ''));
+    } else if (arg === '--validate') {
+      const [endpoint, validation] = (argv[++i] || '').split('=');
+      args.validations[endpoint] = (args.validations[endpoint] || []).concat(validation);
+    } else {
+      args.file = arg;
+    }
+  }
+  if (!args.file) {
+    throw new Error('Usage: finapp-mock-server [--port 4010] [--host 127.0.0.1] [--fault endpoint=CODE|status]... '
+      + '[--validate endpoint=Validation]... <spec.finapp>');
+  }
+  return args;
+}
+
+/**
+ * `createTopup=AMOUNT_TOO_HIGH`, `getLoans=503` or `503`
+ * @private
+ */
+function parseFault(text) {
+  const [endpoint, value] = text.includes('=') ? text.split('=') : [undefined, text];
+  return /^\d{3}$/.test(value) ? { endpoint, status: Number(value) } : { endpoint, code: value };
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const server = createMockServer(loadSpec(args.file), {
+    validations: args.validations,
+    logger: (method, path, status) => console.log(`${method} ${path} ${status}`)
+  });
+  args.faults.forEach(fault => server.injectFault(fault));
+
+  const url = await server.listen(args.port, args.host);
+  console.log(`Mock API for ${args.file} listening on ${url}`);
+  server.routes.forEach(route => console.log(`  ${route.method.padEnd(6)} ${route.path} (${route.id})`));
+
+  const stop = () => server.close().then(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Split .finapp specifications into a Business DSL (.bizapp) and a Mobile DSL (.mobileapp).
+ *
+ * Usage: finapp-split [--out <directory>] <spec.finapp>...
+ *
+ * For each specification writes `<name>.bizapp` and `<name>.mobileapp` next
+ * to it, or into `--out`. The written files are then loaded back and their
+ * merged model compared with the original; the process exits with status 1
+ * when that reports an error or any declaration differs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSpec } = require('../parsers/finapp-model');
+const { loadMobileapp } = require('../parsers/finapp-loader');
+const { formatDiagnostic } = require('../parsers/finapp-validator');
+const { splitSpec, specDifferences } = require('../transformers/finapp-split');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { out: null, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  if (args.files.length === 0) {
+    throw new Error('Usage: finapp-split [--out <directory>] <spec.finapp>...');
+  }
+  return args;
+}
+
+/**
+ * Split one file and check the result
+ * @private
+ * @returns {boolean} True if the split files load without errors and match the original
+ */
+function splitFile(file, out) {
+  const base = path.basename(file, '.finapp');
+  const directory = out || path.dirname(file);
+  const bizappPath = path.join(directory, `${base}.bizapp`);
+  const mobileappPath = path.join(directory, `${base}.mobileapp`);
+
+  const split = splitSpec(fs.readFileSync(file, 'utf8'), { filename: file, importPath: `./${base}.bizapp` });
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(bizappPath, split.bizapp);
+  fs.writeFileSync(mobileappPath, split.mobileapp);
+  console.log(`${file} -> ${bizappPath}, ${mobileappPath} (${split.imports.length} import(s))`);
+
+  const { spec, diagnostics } = loadMobileapp(mobileappPath);
+  const differences = specDifferences(loadSpec(file), spec);
+  diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+  differences.forEach(difference => console.log(`${mobileappPath}: ${difference}`));
+  return differences.length === 0 && !diagnostics.some(diagnostic => diagnostic.severity === 'error');
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const results = args.files.map(file => splitFile(file, args.out));
+  return results.every(Boolean) ? 0 : 1;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Report untranslated and orphaned messages of a specification, region by region.
+ *
+ * Usage: finapp-translation-report [--format text|json] [--dir <directory>] <spec.finapp>
+ *
+ * Catalogues are read from `--dir` (default: the `i18n` directory next to
+ * the specification). The process exits with status 1 when any error is
+ * reported, so CI fails on a missing translation.
+ */
+
+const { loadSpec } = require('../parsers/finapp-model');
+const { checkTranslations } = require('../parsers/translation-report');
+const { formatDiagnostic } = require('../parsers/finapp-validator');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { format: 'text', directory: null, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--dir') {
+      args.directory = argv[++i];
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  if (!['text', 'json'].includes(args.format)) {
+    throw new Error(`Unknown format '${args.format}', expected text or json`);
+  }
+  if (args.inputs.length !== 1) {
+    throw new Error('Usage: finapp-translation-report [--format text|json] [--dir <directory>] <spec.finapp>');
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { diagnostics, regions } = checkTranslations(loadSpec(args.inputs[0]), { directory: args.directory });
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ regions, diagnostics }, null, 2));
+  } else {
+    diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    if (diagnostics.length > 0) console.log('');
+    regions.forEach(({ region, locale, total, translated }) => {
+      console.log(`${region} ${locale}: ${translated}/${total} translated`);
+    });
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    console.log(`${errors} error(s), ${diagnostics.length - errors} warning(s)`);
+  }
+  return diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Validate .finapp specifications from the command line.
+ *
+ * Usage: finapp-validate [--format text|json] [--fail-on error|warning|info] <file-or-directory>...
+ *
+ * Directories are searched recursively for .finapp files. Syntax errors are
+ * reported as `syntax-error` diagnostics. The process exits with status 1 when
+ * any diagnostic is at least as severe as `--fail-on` (default: error).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFile, FinappSyntaxError } = require('../parsers/finapp-parser');
+const { validate, summarize, formatDiagnostic, SEVERITIES } = require('../parsers/finapp-validator');
+
+/**
+ * Parse command line arguments
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { format: 'text', failOn: 'error', inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      args.format = argv[++i];
+    } else if (arg === '--fail-on') {
+      args.failOn = argv[++i];
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+  if (!['text', 'json'].includes(args.format)) {
+    throw new Error(`Unknown format '${args.format}', expected text or json`);
+  }
+  if (!SEVERITIES.includes(args.failOn)) {
+    throw new Error(`Unknown severity '${args.failOn}', expected one of ${SEVERITIES.join(', ')}`);
+  }
+  if (args.inputs.length === 0) {
+    throw new Error('Usage: finapp-validate [--format text|json] [--fail-on error|warning|info] <file-or-directory>...');
+  }
+  return args;
+}
+
+/**
+ * Expand directories into the .finapp files they contain
+ * @private
+ */
+function collectFiles(input) {
+  if (!fs.statSync(input).isDirectory()) {
+    return [input];
+  }
+  return fs.readdirSync(input, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(input, entry.name);
+      if (entry.isDirectory()) return collectFiles(entryPath);
+      return entry.name.endsWith('.finapp') ? [entryPath] : [];
+    });
+}
+
+/**
+ * Validate one file, turning syntax errors into diagnostics
+ * @private
+ */
+function validateFile(file) {
+  try {
+    return validate(parseFile(file));
+  } catch (error) {
+    if (!(error instanceof FinappSyntaxError)) throw error;
+    return [{
+      severity: 'error',
+      code: 'syntax-error',
+      message: error.reason,
+      file: error.filename,
+      line: error.line,
+      column: error.column,
+      endLine: error.line,
+      endColumn: error.column
+    }];
+  }
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const files = args.inputs.flatMap(collectFiles);
+  const diagnostics = files.flatMap(validateFile);
+  const summary = summarize(diagnostics);
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ files, summary, diagnostics }, null, 2));
+  } else {
+    diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    console.log(`${files.length} file(s): ${summary.error} error(s), ${summary.warning} warning(s), ${summary.info} info`);
+  }
+
+  const threshold = SEVERITIES.indexOf(args.failOn);
+  return diagnostics.some(diagnostic => SEVERITIES.indexOf(diagnostic.severity) <= threshold) ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,274 @@
+/**
+ * Examples/Specification Consistency Checker
+ *
+ * Feature files repeat business facts in their Examples tables (interest
+ * rates, top-up limits, regulators) that the specification also declares in
+ * `app.regions` and `app.customerSegments`. This module compares the two
+ * through a mapping file so a rate or limit changed on one side cannot
+ * silently diverge from the other.
+ *
+ * A mapping names the feature, the specification, the key columns that pick
+ * an entry out of an `app` collection by `id`, and the columns to check:
+ *
+ *   {
+ *     "feature": "./loan-topup.feature",
+ *     "spec": "../../../dsl/finapp/domains/lending/loan-topup.finapp",
+ *     "keys": { "region": "regions", "segment": "customerSegments" },
+ *     "columns": [
+ *       { "column": "interest_rate", "field": "customerSegments.interestRates" },
+ *       { "column": "max_amount", "field": "customerSegments.maxTopupAmounts", "format": "amount" },
+ *       { "column": "segment_benefit", "field": "customerSegments.benefits",
+ *         "scenario": "Segment-specific benefits displayed on terms screen" }
+ *     ]
+ *   }
+ *
+ * A field starts with a collection; the row's key column selects the entry.
+ * When the value reached is an object keyed by another key column's value
+ * (`interestRates: { "UK": ... }`), the row's value of that column selects
+ * from it. Diagnostics point at the Examples cell and carry the location of
+ * the specification value in `spec`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProperty, toPlain } = require('./finapp-parser');
+const { loadSpec } = require('./finapp-model');
+const { fileKind, loadBizapp } = require('./finapp-loader');
+const { readExamplesFile, rowCells } = require('./gherkin-examples');
+
+/**
+ * How an Examples cell is compared with a specification value
+ */
+const FORMATS = {
+  // Exact text, ignoring surrounding whitespace
+  text: value => String(value).trim(),
+  // A money amount; currency symbols and thousands separators are ignored
+  amount: value => {
+    const digits = String(value).replace(/[^0-9.-]/g, '');
+    return digits && !Number.isNaN(Number(digits)) ? Number(digits) : null;
+  }
+};
+
+/**
+ * Read a mapping file, resolving its paths against the file's directory
+ * @param {string} filePath - Path to the mapping JSON
+ * @returns {Object} The mapping, with `feature` and `spec` relative to the working directory
+ * @throws {Error} If the mapping is incomplete or uses an unknown format
+ */
+function loadMapping(filePath) {
+  const mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const directory = path.dirname(filePath);
+  for (const key of ['feature', 'spec', 'keys', 'columns']) {
+    if (!mapping[key]) {
+      throw new Error(`${filePath}: mapping has no '${key}'`);
+    }
+  }
+  const collections = Object.values(mapping.keys);
+  for (const rule of mapping.columns) {
+    if (!rule.column || !rule.field) {
+      throw new Error(`${filePath}: every column mapping needs a 'column' and a 'field'`);
+    }
+    if (rule.format && !FORMATS[rule.format]) {
+      throw new Error(`${filePath}: unknown format '${rule.format}' for column '${rule.column}', expected one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (!collections.includes(rule.field.split('.')[0])) {
+      throw new Error(`${filePath}: field '${rule.field}' does not start with a keyed collection (${collections.join(', ')})`);
+    }
+  }
+  return {
+    ...mapping,
+    feature: path.join(directory, mapping.feature),
+    spec: path.join(directory, mapping.spec)
+  };
+}
+
+/**
+ * Load the specification side of a mapping
+ * @private
+ */
+function loadBusinessSpec(filePath) {
+  const kind = fileKind(filePath);
+  if (kind === 'mobileapp') {
+    throw new Error(`${filePath}: business data lives in the .bizapp file, not the .mobileapp`);
+  }
+  return kind === 'bizapp' ? loadBizapp(filePath).spec : loadSpec(filePath);
+}
+
+/**
+ * Compares Examples tables with a specification's `app` block
+ * @private
+ */
+class ExamplesChecker {
+  constructor(spec, mapping, specFile) {
+    this.app = spec.app;
+    this.mapping = mapping;
+    this.specFile = specFile;
+    this.keyColumns = Object.keys(mapping.keys);
+    this.diagnostics = [];
+    this.checked = 0;
+  }
+
+  check(tables) {
+    const used = new Set();
+    for (const table of tables) {
+      const headings = table.header.map(heading => heading.value);
+      for (const rule of this.mapping.columns) {
+        if (!headings.includes(rule.column)) continue;
+        if (rule.scenario && rule.scenario !== table.scenario) continue;
+        used.add(rule);
+        this._checkTable(table, rule, headings);
+      }
+    }
+    for (const rule of this.mapping.columns) {
+      if (!used.has(rule)) {
+        this.diagnostics.push({
+          severity: 'warning',
+          code: 'unused-mapping',
+          message: `No Examples table has a '${rule.column}' column${rule.scenario ? ` in '${rule.scenario}'` : ''}`,
+          file: this.mapping.feature,
+          line: 1,
+          column: 1,
+          spec: null
+        });
+      }
+    }
+    return this.diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  }
+
+  _checkTable(table, rule, headings) {
+    const collection = rule.field.split('.')[0];
+    const keyColumn = this.keyColumns.find(column => this.mapping.keys[column] === collection);
+    if (!headings.includes(keyColumn)) {
+      const heading = table.header[headings.indexOf(rule.column)];
+      this._report(heading, 'warning', 'unkeyed-column',
+        `'${rule.column}' cannot be checked without a '${keyColumn}' column`);
+      return;
+    }
+    for (const row of table.rows) {
+      this._checkCell(rowCells(table, row), rule, keyColumn);
+    }
+  }
+
+  _checkCell(cells, rule, keyColumn) {
+    const cell = cells[rule.column];
+    if (!cell || !cells[keyColumn]) return;
+    const [collection, ...fields] = rule.field.split('.');
+    const key = cells[keyColumn].value;
+    const property = this.app && getProperty(this.app, collection);
+    if (!property || property.value.type !== 'ArrayLiteral') {
+      this._report(cell, 'error', 'missing-field', `The specification has no app.${collection} list`, this.app);
+      return;
+    }
+    const entry = property.value.elements.find(element => element.type === 'ObjectLiteral'
+      && toPlain(getProperty(element, 'id')) === key);
+    if (!entry) {
+      this._report(cells[keyColumn], 'error', 'unknown-key',
+        `${keyColumn} '${key}' is not declared in app.${collection}`, property);
+      return;
+    }
+
+    let label = `${collection}[${key}]`;
+    let node = entry;
+    for (const field of fields) {
+      const next = getProperty(node, field);
+      if (!next) {
+        this._report(cell, 'error', 'missing-field', `${label} has no '${field}'`, node);
+        return;
+      }
+      label = `${label}.${field}`;
+      node = next.value;
+    }
+    while (node.type === 'ObjectLiteral') {
+      const next = this.keyColumns
+        .map(column => cells[column] && getProperty(node, cells[column].value))
+        .find(Boolean);
+      if (!next) {
+        const columns = this.keyColumns.filter(column => cells[column] && column !== keyColumn);
+        this._report(cell, 'error', 'missing-field',
+          `${label} has no entry for ${columns.map(column => `${column} '${cells[column].value}'`).join(' or ')}`, node);
+        return;
+      }
+      label = `${label}.${next.key}`;
+      node = next.value;
+    }
+
+    this.checked++;
+    const format = FORMATS[rule.format || 'text'];
+    const expected = toPlain(node);
+    if (format(cell.value) === null || format(cell.value) !== format(expected)) {
+      this._report(cell, 'error', 'value-mismatch',
+        `${rule.column} is '${cell.value}' but ${label} is '${expected}'`, node, label);
+    }
+  }
+
+  /**
+   * Record a diagnostic at an Examples cell, with the specification node it was compared to
+   * @private
+   */
+  _report(cell, severity, code, message, node = null, label = null) {
+    this.diagnostics.push({
+      severity,
+      code,
+      message,
+      file: this.mapping.feature,
+      line: cell.line,
+      column: cell.column,
+      spec: node ? {
+        file: this.specFile,
+        line: node.loc.start.line,
+        column: node.loc.start.column,
+        label
+      } : null
+    });
+  }
+}
+
+/**
+ * Compare Examples tables with a specification
+ * @param {Array<Object>} tables - Tables from readExamples()
+ * @param {Object} spec - Specification model
+ * @param {Object} mapping - A mapping from loadMapping()
+ * @param {Object} options - `{specFile}`, the file recorded on specification locations (default: `mapping.spec`)
+ * @returns {{diagnostics: Array<Object>, checked: number}} Diagnostics
+ *   `{severity, code, message, file, line, column, spec}` ordered by position,
+ *   where `spec` is `{file, line, column, label}` or null, and the number of
+ *   values compared
+ */
+function checkExamples(tables, spec, mapping, options = {}) {
+  const checker = new ExamplesChecker(spec, mapping, options.specFile || mapping.spec);
+  const diagnostics = checker.check(tables);
+  return { diagnostics, checked: checker.checked };
+}
+
+/**
+ * Load a mapping and check its feature file against its specification
+ * @param {string} filePath - Path to the mapping JSON
+ * @returns {{diagnostics: Array<Object>, checked: number, mapping: Object}} See checkExamples()
+ */
+function checkMappingFile(filePath) {
+  const mapping = loadMapping(filePath);
+  const result = checkExamples(readExamplesFile(mapping.feature), loadBusinessSpec(mapping.spec), mapping);
+  return { ...result, mapping };
+}
+
+/**
+ * Format a diagnostic as `file:line:column: severity: message [code]`,
+ * followed by a `note` line at the specification value when there is one
+ * @param {Object} diagnostic - A diagnostic from checkExamples()
+ * @returns {string} The formatted line(s)
+ */
+function formatConsistencyDiagnostic(diagnostic) {
+  const { file, line, column, severity, message, code, spec } = diagnostic;
+  const text = `${file}:${line}:${column}: ${severity}: ${message} [${code}]`;
+  if (!spec) return text;
+  const subject = spec.label ? `${spec.label} is declared here` : 'compared with this declaration';
+  return `${text}\n${spec.file}:${spec.line}:${spec.column}: note: ${subject}`;
+}
+
+module.exports = {
+  FORMATS,
+  loadMapping,
+  checkExamples,
+  checkMappingFile,
+  formatConsistencyDiagnostic
+};
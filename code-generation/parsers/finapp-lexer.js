@@ -0,0 +1,244 @@
+/**
+ * FinApp Lexer
+ *
+ * Turns the source of a `.finapp` specification into a flat list of tokens.
+ * Every token records where it starts and ends so the parser can report
+ * syntax errors at the exact offending token.
+ */
+
+const { FinappSyntaxError } = require('./finapp-syntax-error');
+
+/**
+ * Punctuators recognised by the lexer, longest first
+ */
+const PUNCTUATORS = ['->', '=>', '{', '}', '[', ']', '(', ')', ':', ',', '.', '?', '|', '=', '-', '>', '<', '!', ';'];
+
+/**
+ * Escape sequences allowed in double-quoted strings
+ */
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '`': '`' };
+
+/**
+ * Tokenizer for .finapp sources
+ */
+class FinappLexer {
+  /**
+   * @param {string} source - The .finapp source text
+   * @param {string} filename - File name used in error messages
+   */
+  constructor(source, filename = '<input>') {
+    this.source = source;
+    this.filename = filename;
+    this.offset = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  /**
+   * Tokenize the whole source
+   * @returns {Array<Object>} Tokens, terminated by an `eof` token
+   * @throws {FinappSyntaxError} On an unterminated string, a malformed number or an unknown character
+   */
+  tokenize() {
+    const tokens = [];
+    for (;;) {
+      this._skipWhitespaceAndComments();
+      if (this.offset >= this.source.length) {
+        const position = this._position();
+        tokens.push({ type: 'eof', value: null, loc: { start: position, end: position } });
+        return tokens;
+      }
+      tokens.push(this._readToken());
+    }
+  }
+
+  /**
+   * Current position in the source
+   * @private
+   */
+  _position() {
+    return { line: this.line, column: this.column, offset: this.offset };
+  }
+
+  /**
+   * Consume one character, keeping line and column up to date
+   * @private
+   */
+  _advance() {
+    const char = this.source[this.offset];
+    this.offset += 1;
+    if (char === '\n') {
+      this.line += 1;
+      this.column = 1;
+    } else {
+      this.column += 1;
+    }
+    return char;
+  }
+
+  /**
+   * Skip whitespace, line comments and block comments
+   * @private
+   */
+  _skipWhitespaceAndComments() {
+    while (this.offset < this.source.length) {
+      const char = this.source[this.offset];
+      const next = this.source[this.offset + 1];
+
+      if (/\s/.test(char)) {
+        this._advance();
+      } else if (char === '/' && next === '/') {
+        while (this.offset < this.source.length && this.source[this.offset] !== '\n') {
+          this._advance();
+        }
+      } else if (char === '/' && next === '*') {
+        const start = this._position();
+        this._advance();
+        this._advance();
+        while (this.offset < this.source.length && !this.source.startsWith('*/', this.offset)) {
+          this._advance();
+        }
+        if (this.offset >= this.source.length) {
+          throw this._error('Unterminated block comment', start);
+        }
+        this._advance();
+        this._advance();
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read the next token
+   * @private
+   */
+  _readToken() {
+    const start = this._position();
+    const char = this.source[this.offset];
+    const rest = this.source.slice(this.offset);
+
+    if (char === '"') {
+      return this._readString(start);
+    }
+
+    if (char === '`') {
+      return this._readTemplate(start);
+    }
+
+    const status = /^[1-5][xX]{2}(?![\w$])/.exec(rest);
+    if (status) {
+      return this._consume('status', status[0].toLowerCase(), status[0].length, start);
+    }
+
+    const number = /^\d+(\.\d+)?(?![\w$])/.exec(rest);
+    if (number) {
+      return this._consume('number', Number(number[0]), number[0].length, start);
+    }
+
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(rest);
+    if (identifier) {
+      return this._consume('identifier', identifier[0], identifier[0].length, start);
+    }
+
+    const punctuator = PUNCTUATORS.find(candidate => rest.startsWith(candidate));
+    if (punctuator) {
+      return this._consume('punctuator', punctuator, punctuator.length, start);
+    }
+
+    const malformed = /^\d[\w$.]*/.exec(rest);
+    if (malformed) {
+      throw this._error(`Malformed number or status code '${malformed[0]}', expected a number or a wildcard such as 4xx`, start);
+    }
+
+    throw this._error(`Unexpected character '${char}'`, start);
+  }
+
+  /**
+   * Consume a token of known length
+   * @private
+   */
+  _consume(type, value, length, start) {
+    const raw = this.source.slice(this.offset, this.offset + length);
+    for (let i = 0; i < length; i++) {
+      this._advance();
+    }
+    return { type, value, raw, loc: { start, end: this._position() } };
+  }
+
+  /**
+   * Read a double-quoted string literal
+   * @private
+   */
+  _readString(start) {
+    this._advance();
+    let value = '';
+    while (this.offset < this.source.length) {
+      const char = this._advance();
+      if (char === '"') {
+        const end = this._position();
+        return { type: 'string', value, raw: this.source.slice(start.offset, end.offset), loc: { start, end } };
+      }
+      if (char === '\n') {
+        break;
+      }
+      if (char === '\\') {
+        const escaped = this._advance();
+        value += ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : escaped;
+      } else {
+        value += char;
+      }
+    }
+    throw this._error('Unterminated string literal', start);
+  }
+
+  /**
+   * Read a backtick template literal, which may span several lines
+   * @private
+   */
+  _readTemplate(start) {
+    this._advance();
+    let value = '';
+    while (this.offset < this.source.length) {
+      const char = this._advance();
+      if (char === '`') {
+        const end = this._position();
+        return { type: 'template', value, raw: this.source.slice(start.offset, end.offset), loc: { start, end } };
+      }
+      if (char === '\\' && this.offset < this.source.length) {
+        value += char + this._advance();
+      } else {
+        value += char;
+      }
+    }
+    throw this._error('Unterminated template literal', start);
+  }
+
+  /**
+   * Build a syntax error at a position
+   * @private
+   */
+  _error(message, position) {
+    return new FinappSyntaxError(message, {
+      filename: this.filename,
+      source: this.source,
+      line: position.line,
+      column: position.column
+    });
+  }
+}
+
+/**
+ * Tokenize a .finapp source
+ * @param {string} source - The source text
+ * @param {string} filename - File name used in error messages
+ * @returns {Array<Object>} The tokens
+ */
+function tokenize(source, filename) {
+  return new FinappLexer(source, filename).tokenize();
+}
+
+module.exports = {
+  FinappLexer,
+  tokenize
+};
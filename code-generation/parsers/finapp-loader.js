@@ -0,0 +1,358 @@
+/**
+ * FinApp Business/Mobile Loader
+ *
+ * Loads the two halves a specification is split into: a `.bizapp` file with
+ * the business rules (error catalogue, models, validations, API contracts,
+ * endpoints, mock data, regions and segments) and a `.mobileapp` file with
+ * the presentation (components, journeys, platform, screens, navigation,
+ * theme). The mobile file names what it uses from business files with
+ * `import { Name, ... } from "./file.bizapp"`.
+ *
+ * Loading a .mobileapp resolves its imports and merges both halves into one
+ * specification model, the same shape buildModel() gives for a .finapp, so
+ * the validator, type generation and binding runtime work on it unchanged.
+ * Misplaced constructs and dangling, missing or ambiguous references are
+ * returned as diagnostics in the validator's format rather than thrown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFile } = require('./finapp-parser');
+const { buildModel, matchModel, walk } = require('./finapp-model');
+const { bindingPaths } = require('./finapp-validator');
+
+/**
+ * Top-level node types each file kind may contain
+ */
+const PLACEMENT = {
+  bizapp: [
+    'AppDeclaration', 'ErrorsDeclaration', 'ModelDeclaration', 'ValidationDeclaration',
+    'ApiDeclaration', 'ApiConfiguration', 'MockDataDeclaration', 'NotificationDeclaration'
+  ],
+  mobileapp: [
+    'ImportDeclaration', 'AppDeclaration', 'ComponentsDeclaration', 'JourneyDeclaration',
+    'PlatformDeclaration', 'ScreenDeclaration', 'NavigationDeclaration'
+  ]
+};
+
+/**
+ * `app` properties that belong to the .mobileapp; every other one is business
+ */
+const MOBILE_APP_PROPERTIES = ['platforms', 'theme'];
+
+/**
+ * How each top-level node type is written, for diagnostics
+ */
+const CONSTRUCTS = {
+  ImportDeclaration: 'import',
+  AppDeclaration: 'app',
+  ErrorsDeclaration: 'errors',
+  ComponentsDeclaration: 'components',
+  ModelDeclaration: 'model',
+  ValidationDeclaration: 'validation',
+  ApiDeclaration: 'api',
+  JourneyDeclaration: 'journey',
+  PlatformDeclaration: 'platform',
+  ScreenDeclaration: 'screen',
+  NotificationDeclaration: 'notification',
+  NavigationDeclaration: 'navigation:',
+  ApiConfiguration: 'api:',
+  MockDataDeclaration: 'mockData:'
+};
+
+/**
+ * Spec collections whose names a .bizapp exports, and those a .mobileapp declares
+ */
+const BUSINESS_COLLECTIONS = ['errorCategories', 'errors', 'models', 'validations', 'apis', 'apiEndpoints'];
+const MOBILE_COLLECTIONS = ['components', 'journeys', 'screens'];
+
+/**
+ * Build a diagnostic in the validator's format
+ * @private
+ */
+function diagnostic(severity, code, message, file, loc) {
+  return {
+    severity,
+    code,
+    message,
+    file,
+    line: loc.start.line,
+    column: loc.start.column,
+    endLine: loc.end.line,
+    endColumn: loc.end.column
+  };
+}
+
+/**
+ * The kind of a split file from its extension
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} 'bizapp', 'mobileapp' or null
+ */
+function fileKind(filePath) {
+  const extension = path.extname(filePath).slice(1);
+  return PLACEMENT[extension] ? extension : null;
+}
+
+/**
+ * Check that a file only contains the constructs its kind allows
+ * @param {Object} ast - Program node of a .bizapp or .mobileapp file
+ * @param {string} kind - 'bizapp' or 'mobileapp'
+ * @returns {Array<Object>} Diagnostics
+ */
+function checkPlacement(ast, kind) {
+  const other = kind === 'bizapp' ? 'mobileapp' : 'bizapp';
+  const diagnostics = [];
+
+  for (const node of ast.body) {
+    if (!PLACEMENT[kind].includes(node.type)) {
+      diagnostics.push(diagnostic('error', 'misplaced-declaration',
+        `'${CONSTRUCTS[node.type]}' belongs in a .${other} file`, ast.filename, node.nameLoc || node.loc));
+      continue;
+    }
+    if (node.type !== 'AppDeclaration') continue;
+
+    for (const member of node.properties) {
+      const key = member.type === 'Flag' ? member.name : member.key;
+      if (MOBILE_APP_PROPERTIES.includes(key) !== (kind === 'mobileapp')) {
+        diagnostics.push(diagnostic('error', 'misplaced-property',
+          `app property '${key}' belongs in the .${other} file`, ast.filename, member.keyLoc || member.loc));
+      }
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Parse a .bizapp or .mobileapp file and check its placement rules
+ * @param {string} filePath - Path to the file
+ * @returns {Object} `{kind, ast, diagnostics}`
+ * @throws {FinappSyntaxError} On the first syntax error
+ */
+function parseModule(filePath) {
+  const kind = fileKind(filePath);
+  if (!kind) {
+    throw new Error(`${filePath} is neither a .bizapp nor a .mobileapp file`);
+  }
+  const ast = parseFile(filePath);
+  return { kind, ast, diagnostics: checkPlacement(ast, kind) };
+}
+
+/**
+ * Load a .bizapp file on its own
+ * @param {string} filePath - Path to the file
+ * @returns {Object} `{spec, diagnostics}`
+ * @throws {FinappSyntaxError} On the first syntax error
+ */
+function loadBizapp(filePath) {
+  const { ast, diagnostics } = parseModule(filePath);
+  return { spec: buildModel(ast), diagnostics };
+}
+
+/**
+ * Index the names a specification declares in the given collections
+ * @private
+ */
+function declaredNames(spec, collections) {
+  const names = new Map();
+  for (const collection of collections) {
+    for (const [name, node] of spec[collection]) {
+      if (!names.has(name)) names.set(name, node);
+    }
+  }
+  return names;
+}
+
+/**
+ * Index the names a business specification lets mobile files import
+ * @param {Object} spec - Specification model of a .bizapp (or .finapp)
+ * @returns {Map<string, Object>} Names mapped to their declaration nodes
+ */
+function exportedNames(spec) {
+  return declaredNames(spec, BUSINESS_COLLECTIONS);
+}
+
+/**
+ * Find the names a mobile file may use from business declarations.
+ *
+ * `expected` references (error names in error hubs, `apiCall` ids) must
+ * resolve somewhere; the others only count when they match a business name:
+ * identifiers such as `rule: EligibilityRules`, and `bind:` roots that
+ * resolve to a business model (`offer.maxTopupAmount` -> TopupOffer).
+ * @param {Object} ast - Program node of the mobile file
+ * @param {Array<Object>} businessSpecs - Specification models of the business files
+ * @returns {Array<Object>} `{name, loc, expected}` in source order
+ */
+function collectReferences(ast, businessSpecs) {
+  const references = [];
+  const add = (name, loc, expected) => references.push({ name, loc, expected });
+  const modelOf = root => businessSpecs.map(spec => matchModel(spec, root)).find(Boolean);
+
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'ImportDeclaration') return false;
+    if (node.type === 'ErrorHandler') {
+      add(node.error, node.nameLoc, true);
+    } else if (node.type === 'Identifier') {
+      const parent = ancestors[ancestors.length - 1];
+      const expected = parent.type === 'Ownership' || (parent.type === 'Property' && parent.key === 'apiCall');
+      add(node.name, node.loc, expected);
+    } else if (node.type === 'StringLiteral' && node.value.startsWith('bind:')) {
+      for (const { segments } of bindingPaths(node.value.slice('bind:'.length))) {
+        const model = modelOf(segments[0]);
+        if (model) add(model, node.loc, false);
+      }
+    } else if (node.type === 'Property' && node.key === 'apiCall' && node.value.type === 'StringLiteral') {
+      add(node.value.value, node.value.loc, true);
+    }
+    return undefined;
+  });
+  return references;
+}
+
+/**
+ * Merge the app declarations of both halves into one
+ * @private
+ */
+function mergeApps(business, mobile) {
+  if (!business || !mobile) return business || mobile;
+  return { ...business, properties: business.properties.concat(mobile.properties) };
+}
+
+/**
+ * Load a .mobileapp file, the .bizapp files it imports from, and merge them.
+ *
+ * Imports and the mobile file's own screens, journeys and components share
+ * one namespace: a name imported twice, or imported and declared locally, is
+ * ambiguous. A business name the mobile file uses without importing it is
+ * reported even though the merged model resolves it.
+ * @param {string} filePath - Path to the .mobileapp file
+ * @returns {Object} `{spec, diagnostics}`; `spec.files` lists the merged files
+ * @throws {FinappSyntaxError} On the first syntax error in any of the files
+ */
+function loadMobileapp(filePath) {
+  const mobile = parseModule(filePath);
+  if (mobile.kind !== 'mobileapp') {
+    throw new Error(`${filePath} is not a .mobileapp file`);
+  }
+  const diagnostics = mobile.diagnostics.slice();
+  const report = (severity, code, message, file, loc) =>
+    diagnostics.push(diagnostic(severity, code, message, file, loc));
+
+  // Load each imported .bizapp once
+  const sources = new Map();
+  const imports = mobile.ast.body.filter(node => node.type === 'ImportDeclaration');
+  for (const node of imports) {
+    const sourcePath = path.resolve(path.dirname(filePath), node.source.value);
+    if (sources.has(sourcePath)) continue;
+    if (fileKind(sourcePath) !== 'bizapp') {
+      report('error', 'invalid-import-source', `Imports must come from a .bizapp file, not '${node.source.value}'`,
+        filePath, node.source.loc);
+      sources.set(sourcePath, null);
+    } else if (!fs.existsSync(sourcePath)) {
+      report('error', 'missing-import-source', `Imported file '${node.source.value}' does not exist`,
+        filePath, node.source.loc);
+      sources.set(sourcePath, null);
+    } else {
+      const business = loadBizapp(sourcePath);
+      diagnostics.push(...business.diagnostics);
+      sources.set(sourcePath, { ...business, exports: exportedNames(business.spec) });
+    }
+  }
+
+  // Resolve the imported names
+  const local = declaredNames(buildModel(mobile.ast), MOBILE_COLLECTIONS);
+  const imported = new Map();
+  for (const node of imports) {
+    const source = sources.get(path.resolve(path.dirname(filePath), node.source.value));
+    for (const specifier of node.specifiers) {
+      if (source && !source.exports.has(specifier.name)) {
+        report('error', 'unknown-import', `'${specifier.name}' is not declared in '${node.source.value}'`,
+          filePath, specifier.loc);
+      } else if (imported.has(specifier.name)) {
+        const first = imported.get(specifier.name);
+        report('error', 'ambiguous-reference',
+          `'${specifier.name}' is already imported from '${first.node.source.value}' at line ${first.specifier.loc.start.line}`,
+          filePath, specifier.loc);
+      } else if (local.has(specifier.name)) {
+        report('error', 'ambiguous-reference',
+          `'${specifier.name}' is both imported and declared at line ${local.get(specifier.name).nameLoc.start.line}`,
+          filePath, specifier.loc);
+      } else {
+        imported.set(specifier.name, { node, specifier, used: !source });
+      }
+    }
+  }
+
+  // Check that every business name the mobile file uses is imported
+  const loaded = [...sources.entries()].filter(([, source]) => source);
+  const reported = new Set();
+  for (const reference of collectReferences(mobile.ast, loaded.map(([, source]) => source.spec))) {
+    if (imported.has(reference.name)) {
+      imported.get(reference.name).used = true;
+      continue;
+    }
+    if (local.has(reference.name) || reported.has(reference.name)) continue;
+
+    const declaring = loaded.filter(([, source]) => source.exports.has(reference.name));
+    const relative = sourcePath => `./${path.relative(path.dirname(filePath), sourcePath)}`;
+    if (declaring.length > 0) {
+      reported.add(reference.name);
+      report('error', 'missing-import',
+        `'${reference.name}' is declared in ${declaring.map(([sourcePath]) => `'${relative(sourcePath)}'`).join(' and ')} but not imported`,
+        filePath, reference.loc);
+    } else if (reference.expected) {
+      reported.add(reference.name);
+      report('error', 'unresolved-reference', `'${reference.name}' is not declared in this file or any imported file`,
+        filePath, reference.loc);
+    }
+  }
+  for (const [name, { specifier }] of imported) {
+    if (!imported.get(name).used) {
+      report('warning', 'unused-import', `'${name}' is imported but never used`, filePath, specifier.loc);
+    }
+  }
+
+  // Merge business declarations first, as they come first in a .finapp
+  const businessAsts = loaded.map(([, source]) => source.spec.ast);
+  const isApp = node => node.type === 'AppDeclaration';
+  const businessApp = businessAsts.map(ast => ast.body.find(isApp)).find(Boolean);
+  const mobileApp = mobile.ast.body.find(isApp);
+  if (businessApp && mobileApp && businessApp.name !== mobileApp.name) {
+    report('error', 'app-name-mismatch', `app '${mobileApp.name}' does not match app '${businessApp.name}' of the business file`,
+      filePath, mobileApp.nameLoc);
+  }
+  const app = mergeApps(businessApp, mobileApp);
+  const body = (app ? [app] : []).concat(
+    ...businessAsts.map(ast => ast.body.filter(node => !isApp(node))),
+    mobile.ast.body.filter(node => !isApp(node) && node.type !== 'ImportDeclaration')
+  );
+
+  const spec = buildModel({ type: 'Program', filename: filePath, body, loc: mobile.ast.loc });
+  spec.files = loaded.map(([sourcePath]) => sourcePath).concat([filePath]);
+  return {
+    spec,
+    diagnostics: diagnostics.sort((a, b) => a.file.localeCompare(b.file) || (a.line - b.line) || (a.column - b.column))
+  };
+}
+
+/**
+ * Load a .bizapp or .mobileapp file by its extension
+ * @param {string} filePath - Path to the file
+ * @returns {Object} `{spec, diagnostics}`
+ * @throws {FinappSyntaxError} On the first syntax error
+ */
+function loadModule(filePath) {
+  return fileKind(filePath) === 'mobileapp' ? loadMobileapp(filePath) : loadBizapp(filePath);
+}
+
+module.exports = {
+  PLACEMENT,
+  MOBILE_APP_PROPERTIES,
+  fileKind,
+  checkPlacement,
+  parseModule,
+  loadBizapp,
+  loadMobileapp,
+  loadModule,
+  exportedNames,
+  collectReferences
+};
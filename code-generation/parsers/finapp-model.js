@@ -0,0 +1,205 @@
+/**
+ * FinApp Specification Model
+ *
+ * Indexes the declarations of a parsed `.finapp` AST by name so tools can
+ * resolve cross references (screens, errors, models, endpoints) without
+ * walking the tree themselves. Nodes are kept as-is, so locations stay
+ * available for diagnostics.
+ */
+
+const { parseFile, getProperty } = require('./finapp-parser');
+
+/**
+ * Declaration node types indexed by name, and the model key they go under
+ */
+const NAMED_DECLARATIONS = {
+  ModelDeclaration: 'models',
+  ValidationDeclaration: 'validations',
+  ApiDeclaration: 'apis',
+  JourneyDeclaration: 'journeys',
+  ScreenDeclaration: 'screens',
+  NotificationDeclaration: 'notifications'
+};
+
+/**
+ * Add a node to a name index, remembering duplicates
+ * @private
+ */
+function register(index, duplicates, name, node) {
+  if (index.has(name)) {
+    duplicates.push({ name, node, first: index.get(name) });
+    return;
+  }
+  index.set(name, node);
+}
+
+/**
+ * Build the declaration index of a parsed specification
+ * @param {Object} ast - Program node from the parser
+ * @returns {Object} The specification model
+ */
+function buildModel(ast) {
+  const spec = {
+    ast,
+    filename: ast.filename,
+    app: null,
+    errorCategories: new Map(),
+    errors: new Map(),
+    components: new Map(),
+    models: new Map(),
+    validations: new Map(),
+    apis: new Map(),
+    journeys: new Map(),
+    screens: new Map(),
+    notifications: new Map(),
+    platform: null,
+    navigation: null,
+    apiConfiguration: null,
+    apiEndpoints: new Map(),
+    mockData: null,
+    duplicates: []
+  };
+
+  for (const node of ast.body) {
+    const key = NAMED_DECLARATIONS[node.type];
+    if (key) {
+      register(spec[key], spec.duplicates, node.name, node);
+      continue;
+    }
+
+    switch (node.type) {
+      case 'AppDeclaration':
+        spec.app = node;
+        break;
+      case 'ErrorsDeclaration':
+        node.categories.forEach(category => register(spec.errorCategories, spec.duplicates, category.name, category));
+        node.errors.forEach(error => register(spec.errors, spec.duplicates, error.name, error));
+        break;
+      case 'ComponentsDeclaration':
+        node.components.forEach(component => register(spec.components, spec.duplicates, component.name, component));
+        break;
+      case 'PlatformDeclaration':
+        spec.platform = node;
+        break;
+      case 'NavigationDeclaration':
+        spec.navigation = node;
+        break;
+      case 'ApiConfiguration':
+        spec.apiConfiguration = node;
+        indexEndpoints(spec, node);
+        break;
+      case 'MockDataDeclaration':
+        spec.mockData = node;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return spec;
+}
+
+/**
+ * Index the `api: { endpoints: [...] }` entries by id
+ * @private
+ */
+function indexEndpoints(spec, node) {
+  const endpoints = node.value.type === 'ObjectLiteral' ? getProperty(node.value, 'endpoints') : null;
+  if (!endpoints || endpoints.value.type !== 'ArrayLiteral') {
+    return;
+  }
+  for (const endpoint of endpoints.value.elements) {
+    const id = endpoint.type === 'ObjectLiteral' ? getProperty(endpoint, 'id') : null;
+    if (id && (id.value.type === 'Identifier' || id.value.type === 'StringLiteral')) {
+      const name = id.value.type === 'Identifier' ? id.value.name : id.value.value;
+      register(spec.apiEndpoints, spec.duplicates, name, endpoint);
+    }
+  }
+}
+
+/**
+ * Read and index a .finapp file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} The specification model
+ */
+function loadSpec(filePath) {
+  return buildModel(parseFile(filePath));
+}
+
+/**
+ * Check whether a name is a declared error or error category
+ * @param {Object} spec - Specification model
+ * @param {string} name - Error or category name
+ * @returns {boolean} True if declared
+ */
+function isErrorName(spec, name) {
+  return spec.errors.has(name) || spec.errorCategories.has(name);
+}
+
+/**
+ * Find the model a lower-camel name refers to: an exact match (`loan` -> Loan)
+ * or the single model whose name ends with it (`offer` -> TopupOffer)
+ * @param {Object} spec - Specification model
+ * @param {string} name - Binding root or similar name
+ * @returns {string|null} The model name, or null if none or ambiguous
+ */
+function matchModel(spec, name) {
+  const capitalised = name.charAt(0).toUpperCase() + name.slice(1);
+  if (spec.models.has(capitalised)) return capitalised;
+  const candidates = [...spec.models.keys()].filter(model => model.endsWith(capitalised));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Find the model of a mockData collection (`loans` -> Loan, `topupOffers` -> TopupOffer)
+ * @param {Object} spec - Specification model
+ * @param {string} key - Collection key
+ * @returns {string|null} The model name, or null
+ */
+function collectionModel(spec, key) {
+  let name = key;
+  if (key.endsWith('ies')) {
+    name = `${key.slice(0, -3)}y`;
+  } else if (key.endsWith('s') && !key.endsWith('ss')) {
+    name = key.slice(0, -1);
+  }
+  return matchModel(spec, name);
+}
+
+/**
+ * Visit every node below a root, depth first.
+ *
+ * The visitor receives each node and the chain of its ancestors (nearest
+ * last). Returning `false` from the visitor skips the node's children.
+ * @param {Object} root - Node to start from
+ * @param {Function} visitor - `(node, ancestors) => boolean|void`
+ */
+function walk(root, visitor) {
+  const visit = (node, ancestors) => {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+      return;
+    }
+    if (visitor(node, ancestors) === false) {
+      return;
+    }
+    const chain = ancestors.concat([node]);
+    for (const [key, child] of Object.entries(node)) {
+      if (key === 'loc' || key.endsWith('Loc')) continue;
+      if (Array.isArray(child)) {
+        child.forEach(item => visit(item, chain));
+      } else if (child && typeof child === 'object') {
+        visit(child, chain);
+      }
+    }
+  };
+  visit(root, []);
+}
+
+module.exports = {
+  buildModel,
+  loadSpec,
+  isErrorName,
+  matchModel,
+  collectionModel,
+  walk
+};
@@ -0,0 +1,831 @@
+/**
+ * FinApp Parser
+ *
+ * Recursive-descent parser for `.finapp` specifications, also used for the
+ * `.bizapp` and `.mobileapp` files they are split into. It produces a typed
+ * AST in which every node carries a `loc` with the start and end line/column
+ * of its source text. Top-level blocks get dedicated node types (AppDeclaration,
+ * ErrorsDeclaration, ApiDeclaration, ...); free-form settings inside them are
+ * Property/Flag nodes holding value nodes (ObjectLiteral, ArrayLiteral,
+ * StringLiteral, Identifier, CallExpression, ...).
+ *
+ * Syntax errors are raised as FinappSyntaxError pointing at the offending token.
+ */
+
+const fs = require('fs');
+const { tokenize } = require('./finapp-lexer');
+const { FinappSyntaxError } = require('./finapp-syntax-error');
+
+/**
+ * Top-level blocks written as `keyword: value` rather than `keyword Name { ... }`
+ */
+const CONFIGURATION_BLOCKS = {
+  navigation: 'NavigationDeclaration',
+  api: 'ApiConfiguration',
+  mockData: 'MockDataDeclaration'
+};
+
+/**
+ * Parser for a single .finapp source
+ */
+class FinappParser {
+  /**
+   * @param {string} source - The .finapp source text
+   * @param {string} filename - File name recorded on the AST and used in errors
+   */
+  constructor(source, filename = '<input>') {
+    this.source = source;
+    this.filename = filename;
+    this.tokens = tokenize(source, filename);
+    this.index = 0;
+  }
+
+  /**
+   * Parse the whole source
+   * @returns {Object} A Program node with the top-level declarations in `body`
+   * @throws {FinappSyntaxError} On the first syntax error
+   */
+  parse() {
+    const start = this._peek().loc.start;
+    const body = [];
+    while (!this._check('eof')) {
+      body.push(this._parseTopLevel());
+    }
+    return { type: 'Program', filename: this.filename, body, loc: { start, end: this._peek().loc.end } };
+  }
+
+  // Token helpers
+
+  _peek(distance = 0) {
+    return this.tokens[Math.min(this.index + distance, this.tokens.length - 1)];
+  }
+
+  _previous() {
+    return this.tokens[this.index - 1];
+  }
+
+  _next() {
+    const token = this._peek();
+    if (token.type !== 'eof') {
+      this.index += 1;
+    }
+    return token;
+  }
+
+  _check(type, value, distance = 0) {
+    const token = this._peek(distance);
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  _match(type, value) {
+    if (this._check(type, value)) {
+      return this._next();
+    }
+    return null;
+  }
+
+  _expect(type, value, description) {
+    if (this._check(type, value)) {
+      return this._next();
+    }
+    throw this._unexpected([description || FinappParser.describeExpected(type, value)]);
+  }
+
+  _expectIdentifier(description) {
+    return this._expect('identifier', undefined, description);
+  }
+
+  _skipCommas() {
+    while (this._match('punctuator', ',')) {
+      // Commas between entries are optional
+    }
+  }
+
+  /**
+   * Location spanning from a start position to the end of the last consumed token
+   * @private
+   */
+  _locFrom(start) {
+    const last = this._previous();
+    return { start, end: last ? last.loc.end : start };
+  }
+
+  /**
+   * Build an error for the current token
+   * @private
+   */
+  _unexpected(expected, token = this._peek()) {
+    const found = FinappParser.describeToken(token);
+    const message = expected.length > 0
+      ? `Unexpected ${found}, expected ${expected.join(' or ')}`
+      : `Unexpected ${found}`;
+    return this._errorAt(token, message, expected);
+  }
+
+  _errorAt(token, message, expected = []) {
+    return new FinappSyntaxError(message, {
+      filename: this.filename,
+      source: this.source,
+      line: token.loc.start.line,
+      column: token.loc.start.column,
+      token,
+      expected
+    });
+  }
+
+  /**
+   * Describe a token for error messages
+   * @param {Object} token - The token
+   * @returns {string} A human-readable description
+   */
+  static describeToken(token) {
+    switch (token.type) {
+      case 'eof': return 'end of file';
+      case 'string': return `string ${token.raw}`;
+      case 'template': return 'template literal';
+      case 'identifier': return `identifier '${token.value}'`;
+      default: return `'${token.raw}'`;
+    }
+  }
+
+  /**
+   * Describe an expected token for error messages
+   * @param {string} type - Token type
+   * @param {string} value - Token value, if a specific one is expected
+   * @returns {string} A human-readable description
+   */
+  static describeExpected(type, value) {
+    if (value !== undefined) {
+      return `'${value}'`;
+    }
+    return type === 'identifier' ? 'a name' : type;
+  }
+
+  // Top-level declarations
+
+  _parseTopLevel() {
+    const token = this._peek();
+    if (token.type !== 'identifier') {
+      throw this._unexpected(['a top-level block']);
+    }
+
+    if (CONFIGURATION_BLOCKS[token.value] && this._check('punctuator', ':', 1)) {
+      return this._parseConfiguration(CONFIGURATION_BLOCKS[token.value]);
+    }
+
+    switch (token.value) {
+      case 'import': return this._parseImport();
+      case 'app': return this._parseApp();
+      case 'errors': return this._parseErrors();
+      case 'components': return this._parseComponents();
+      case 'model': return this._parseModel();
+      case 'validation': return this._parseNamedBlock('ValidationDeclaration');
+      case 'api': return this._parseApi();
+      case 'journey': return this._parseJourney();
+      case 'platform': return this._parsePlatform();
+      case 'screen': return this._parseNamedBlock('ScreenDeclaration');
+      case 'notification': return this._parseNamedBlock('NotificationDeclaration');
+      default:
+        throw this._errorAt(token, `Unknown top-level block '${token.value}'`, [
+          'import', 'app', 'errors', 'components', 'model', 'validation', 'api', 'journey', 'platform',
+          'screen', 'notification', 'navigation', 'mockData'
+        ]);
+    }
+  }
+
+  /**
+   * `keyword Name { members }`
+   * @private
+   */
+  _parseNamedBlock(type, nested = {}) {
+    const keyword = this._next();
+    const name = this._expectIdentifier(`a ${keyword.value} name`);
+    const members = this._parseMembers(nested);
+    return {
+      type,
+      name: name.value,
+      nameLoc: name.loc,
+      properties: members.properties,
+      ...members.nested,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  /**
+   * `import { Name, ... } from "./file.bizapp"`, used by .mobileapp files
+   * @private
+   */
+  _parseImport() {
+    const keyword = this._next();
+    this._expect('punctuator', '{');
+    const specifiers = [];
+    this._skipCommas();
+    while (!this._check('punctuator', '}')) {
+      const name = this._expectIdentifier('an imported name');
+      specifiers.push({ type: 'ImportSpecifier', name: name.value, loc: name.loc });
+      this._skipCommas();
+    }
+    this._expect('punctuator', '}');
+    this._expect('identifier', 'from');
+    const source = this._expect('string', undefined, 'the path of the imported file');
+    return {
+      type: 'ImportDeclaration',
+      specifiers,
+      source: { type: 'StringLiteral', value: source.value, loc: source.loc },
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseApp() {
+    return this._parseNamedBlock('AppDeclaration');
+  }
+
+  _parseConfiguration(type) {
+    const keyword = this._next();
+    this._expect('punctuator', ':');
+    const value = this._parseValue();
+    return { type, keyword: keyword.value, value, loc: this._locFrom(keyword.loc.start) };
+  }
+
+  _parseErrors() {
+    const keyword = this._next();
+    this._expect('punctuator', '{');
+    const categories = [];
+    const errors = [];
+
+    while (!this._check('punctuator', '}')) {
+      if (this._check('identifier', 'category')) {
+        categories.push(this._parseNamedBlock('ErrorCategory'));
+      } else if (this._check('identifier', 'error')) {
+        errors.push(this._parseErrorDefinition());
+      } else {
+        throw this._unexpected(["'category'", "'error'", "'}'"]);
+      }
+    }
+    this._expect('punctuator', '}');
+
+    return { type: 'ErrorsDeclaration', categories, errors, loc: this._locFrom(keyword.loc.start) };
+  }
+
+  _parseErrorDefinition() {
+    const keyword = this._next();
+    const name = this._expectIdentifier('an error name');
+    let parent = null;
+    if (this._match('identifier', 'extends')) {
+      const parentToken = this._expectIdentifier('an error category name');
+      parent = { type: 'Identifier', name: parentToken.value, loc: parentToken.loc };
+    }
+    const members = this._parseMembers();
+    return {
+      type: 'ErrorDefinition',
+      name: name.value,
+      nameLoc: name.loc,
+      extends: parent,
+      properties: members.properties,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseComponents() {
+    const keyword = this._next();
+    this._expect('punctuator', '{');
+    const components = [];
+    while (!this._check('punctuator', '}')) {
+      if (!this._check('identifier', 'component')) {
+        throw this._unexpected(["'component'", "'}'"]);
+      }
+      components.push(this._parseNamedBlock('ComponentDefinition'));
+    }
+    this._expect('punctuator', '}');
+    return { type: 'ComponentsDeclaration', components, loc: this._locFrom(keyword.loc.start) };
+  }
+
+  _parseModel() {
+    const keyword = this._next();
+    const name = this._expectIdentifier('a model name');
+    this._expect('punctuator', '{');
+    const fields = [];
+    while (!this._check('punctuator', '}')) {
+      const fieldName = this._expectIdentifier('a field name');
+      this._expect('punctuator', ':');
+      const fieldType = this._parseValue();
+      const required = this._matchRequired(fieldType);
+      fields.push({
+        type: 'ModelField',
+        name: fieldName.value,
+        nameLoc: fieldName.loc,
+        fieldType,
+        required,
+        loc: this._locFrom(fieldName.loc.start)
+      });
+      this._skipCommas();
+    }
+    this._expect('punctuator', '}');
+    return {
+      type: 'ModelDeclaration',
+      name: name.value,
+      nameLoc: name.loc,
+      fields,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseApi() {
+    return this._parseNamedBlock('ApiDeclaration', {
+      operation: { key: 'operations', many: true, parse: () => this._parseOperation() }
+    });
+  }
+
+  _parseOperation() {
+    return this._parseNamedBlock('Operation', {
+      errorMapping: { key: 'errorMapping', parse: () => this._parseErrorMapping() }
+    });
+  }
+
+  _parseErrorMapping() {
+    const keyword = this._next();
+    this._expect('punctuator', '{');
+    const rules = [];
+
+    while (!this._check('punctuator', '}')) {
+      const status = this._peek();
+      if (status.type !== 'number' && status.type !== 'status') {
+        throw this._unexpected(['an HTTP status such as 400 or 5xx', "'}'"]);
+      }
+      this._next();
+      this._expect('punctuator', ':');
+
+      const rule = {
+        type: 'ErrorMappingRule',
+        status: String(status.value),
+        statusLoc: status.loc,
+        target: null,
+        codes: []
+      };
+
+      if (this._match('punctuator', '{')) {
+        while (!this._check('punctuator', '}')) {
+          const code = this._expect('string', undefined, 'an API error code string');
+          this._expect('punctuator', '->');
+          const target = this._expectIdentifier('an error name');
+          rule.codes.push({
+            type: 'ErrorCodeMapping',
+            code: code.value,
+            codeLoc: code.loc,
+            target: { type: 'Identifier', name: target.value, loc: target.loc },
+            loc: this._locFrom(code.loc.start)
+          });
+          this._skipCommas();
+        }
+        this._expect('punctuator', '}');
+      } else {
+        const target = this._expectIdentifier("an error name or '{'");
+        rule.target = { type: 'Identifier', name: target.value, loc: target.loc };
+      }
+
+      rule.loc = this._locFrom(status.loc.start);
+      rules.push(rule);
+      this._skipCommas();
+    }
+    this._expect('punctuator', '}');
+
+    return { type: 'ErrorMapping', rules, loc: this._locFrom(keyword.loc.start) };
+  }
+
+  _parseJourney() {
+    return this._parseNamedBlock('JourneyDeclaration', {
+      errorHub: { key: 'errorHub', parse: () => this._parseErrorHub() }
+    });
+  }
+
+  _parsePlatform() {
+    const keyword = this._next();
+    const members = this._parseMembers({
+      errorHub: { key: 'errorHub', parse: () => this._parseErrorHub() }
+    });
+    return {
+      type: 'PlatformDeclaration',
+      properties: members.properties,
+      errorHub: members.nested.errorHub || null,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseErrorHub() {
+    const keyword = this._next();
+    const members = this._parseMembers({
+      ownership: { key: 'ownership', parse: () => this._parseOwnership() },
+      handlers: { key: 'handlers', parse: () => this._parseHandlers() },
+      defaultHandlers: { key: 'defaultHandlers', parse: () => this._parseHandlers() }
+    });
+    return {
+      type: 'ErrorHub',
+      ownership: members.nested.ownership || null,
+      handlers: members.nested.handlers || [],
+      defaultHandlers: members.nested.defaultHandlers || [],
+      properties: members.properties,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseOwnership() {
+    const keyword = this._next();
+    const members = this._parseMembers();
+    const identifiers = key => {
+      const property = members.properties.find(member => member.type === 'Property' && member.key === key);
+      if (!property) return [];
+      if (property.value.type !== 'ArrayLiteral') {
+        throw this._errorAt({ loc: property.value.loc }, `'${key}' must be a list of error names`);
+      }
+      return property.value.elements.map(element => {
+        if (element.type !== 'Identifier') {
+          throw this._errorAt({ loc: element.loc }, `'${key}' must be a list of error names`);
+        }
+        return element;
+      });
+    };
+    return {
+      type: 'Ownership',
+      owns: identifiers('owns'),
+      delegates: identifiers('delegates'),
+      properties: members.properties,
+      loc: this._locFrom(keyword.loc.start)
+    };
+  }
+
+  _parseHandlers() {
+    this._next();
+    this._expect('punctuator', '{');
+    const handlers = [];
+    while (!this._check('punctuator', '}')) {
+      const name = this._expectIdentifier('an error name');
+      this._expect('punctuator', ':');
+      const body = this._peek();
+      if (!this._check('punctuator', '{')) {
+        throw this._unexpected(["'{'"]);
+      }
+      const value = this._parseValue();
+      handlers.push({
+        type: 'ErrorHandler',
+        error: name.value,
+        nameLoc: name.loc,
+        properties: value.properties,
+        bodyLoc: { start: body.loc.start, end: value.loc.end },
+        loc: this._locFrom(name.loc.start)
+      });
+      this._skipCommas();
+    }
+    this._expect('punctuator', '}');
+    return handlers;
+  }
+
+  // Members and values
+
+  /**
+   * Parse `{ member* }` where members are properties, flags or nested blocks
+   * @private
+   * @param {Object} nested - Nested block keywords mapped to `{key, many, parse}`
+   * @returns {Object} `{properties, nested}`
+   */
+  _parseMembers(nested = {}) {
+    this._expect('punctuator', '{');
+    const properties = [];
+    const blocks = {};
+
+    while (!this._check('punctuator', '}')) {
+      const token = this._peek();
+      const block = token.type === 'identifier' && !this._check('punctuator', ':', 1)
+        ? nested[token.value]
+        : null;
+
+      if (block) {
+        const node = block.parse();
+        if (block.many) {
+          (blocks[block.key] = blocks[block.key] || []).push(node);
+        } else {
+          if (blocks[block.key]) {
+            throw this._errorAt(token, `Duplicate '${token.value}' block`);
+          }
+          blocks[block.key] = node;
+        }
+      } else {
+        properties.push(this._parseMember());
+      }
+      this._skipCommas();
+    }
+    this._expect('punctuator', '}');
+
+    for (const block of Object.values(nested)) {
+      if (block.many && !blocks[block.key]) {
+        blocks[block.key] = [];
+      }
+    }
+    return { properties, nested: blocks };
+  }
+
+  /**
+   * Parse `key: value [= default] [required]` or a bare flag such as `initial`
+   * @private
+   */
+  _parseMember() {
+    const keyToken = this._peek();
+    if (!['identifier', 'string', 'number', 'status'].includes(keyToken.type)) {
+      throw this._unexpected(['a property name', "'}'"]);
+    }
+    this._next();
+
+    if (!this._match('punctuator', ':')) {
+      if (keyToken.type !== 'identifier') {
+        throw this._unexpected(["':'"]);
+      }
+      return { type: 'Flag', name: keyToken.value, loc: keyToken.loc };
+    }
+
+    const value = this._parseValue();
+    let defaultValue = null;
+    if (this._match('punctuator', '=')) {
+      defaultValue = this._parseValue();
+    }
+    const required = this._matchRequired(defaultValue || value);
+
+    return {
+      type: 'Property',
+      key: String(keyToken.value),
+      keyLoc: keyToken.loc,
+      value,
+      defaultValue,
+      required,
+      loc: this._locFrom(keyToken.loc.start)
+    };
+  }
+
+  /**
+   * Consume a `required` modifier written on the same line as the value
+   * @private
+   */
+  _matchRequired(valueNode) {
+    const token = this._peek();
+    if (token.type === 'identifier' && token.value === 'required' && token.loc.start.line === valueNode.loc.end.line) {
+      this._next();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Parse a value
+   * @private
+   */
+  _parseValue() {
+    const token = this._peek();
+    let value;
+
+    switch (token.type) {
+      case 'string':
+        this._next();
+        value = { type: 'StringLiteral', value: token.value, loc: token.loc };
+        break;
+      case 'template':
+        this._next();
+        value = { type: 'TemplateLiteral', value: token.value, loc: token.loc };
+        break;
+      case 'number':
+        this._next();
+        value = { type: 'NumberLiteral', value: token.value, loc: token.loc };
+        break;
+      case 'identifier':
+        value = this._parseIdentifierValue();
+        break;
+      case 'punctuator':
+        if (token.value === '{') {
+          value = this._parseObject();
+        } else if (token.value === '[') {
+          value = this._parseArray();
+        } else if (token.value === '-' && this._check('number', undefined, 1)) {
+          this._next();
+          const number = this._next();
+          value = { type: 'NumberLiteral', value: -number.value, loc: this._locFrom(token.loc.start) };
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (!value) {
+      throw this._unexpected(['a value']);
+    }
+
+    if (this._check('punctuator', '|')) {
+      const options = [value];
+      while (this._match('punctuator', '|')) {
+        options.push(this._parseValue());
+      }
+      value = { type: 'UnionType', options, loc: this._locFrom(token.loc.start) };
+    }
+    return value;
+  }
+
+  _parseIdentifierValue() {
+    const token = this._next();
+    const start = token.loc.start;
+
+    if (token.value === 'true' || token.value === 'false') {
+      return { type: 'BooleanLiteral', value: token.value === 'true', loc: token.loc };
+    }
+    if (token.value === 'null') {
+      return { type: 'NullLiteral', value: null, loc: token.loc };
+    }
+
+    if (this._match('punctuator', '(')) {
+      const args = [];
+      while (!this._check('punctuator', ')')) {
+        args.push(this._parseValue());
+        if (!this._check('punctuator', ')')) {
+          this._expect('punctuator', ',', "',' or ')'");
+        }
+      }
+      this._expect('punctuator', ')');
+      return { type: 'CallExpression', callee: token.value, arguments: args, loc: this._locFrom(start) };
+    }
+
+    if (this._check('punctuator', '.')) {
+      const segments = [token.value];
+      while (this._match('punctuator', '.')) {
+        segments.push(this._expectIdentifier('a property name').value);
+      }
+      return { type: 'Path', segments, loc: this._locFrom(start) };
+    }
+
+    if (this._check('punctuator', '[') && this._check('punctuator', ']', 1)) {
+      this._next();
+      this._next();
+      return {
+        type: 'ArrayType',
+        elementType: { type: 'Identifier', name: token.value, loc: token.loc },
+        loc: this._locFrom(start)
+      };
+    }
+
+    if (this._match('punctuator', '?')) {
+      return {
+        type: 'OptionalType',
+        baseType: { type: 'Identifier', name: token.value, loc: token.loc },
+        loc: this._locFrom(start)
+      };
+    }
+
+    return { type: 'Identifier', name: token.value, loc: token.loc };
+  }
+
+  _parseObject() {
+    const start = this._peek().loc.start;
+    const { properties } = this._parseMembers();
+    return { type: 'ObjectLiteral', properties, loc: this._locFrom(start) };
+  }
+
+  _parseArray() {
+    const open = this._expect('punctuator', '[');
+    const elements = [];
+    this._skipCommas();
+    while (!this._check('punctuator', ']')) {
+      if (this._check('eof')) {
+        throw this._unexpected(["']'"]);
+      }
+      elements.push(this._parseValue());
+      this._skipCommas();
+    }
+    this._expect('punctuator', ']');
+    return { type: 'ArrayLiteral', elements, loc: this._locFrom(open.loc.start) };
+  }
+}
+
+/**
+ * Parse a .finapp source
+ * @param {string} source - The source text
+ * @param {Object} options - Parse options
+ * @param {string} options.filename - File name recorded on the AST and used in errors
+ * @returns {Object} The Program node
+ * @throws {FinappSyntaxError} On the first syntax error
+ */
+function parse(source, options = {}) {
+  return new FinappParser(source, options.filename).parse();
+}
+
+/**
+ * Read and parse a .finapp file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} The Program node
+ * @throws {FinappSyntaxError} On the first syntax error
+ */
+function parseFile(filePath) {
+  return parse(fs.readFileSync(filePath, 'utf8'), { filename: filePath });
+}
+
+/**
+ * Convert a value node into plain JavaScript data.
+ *
+ * Identifiers become their name, paths become dotted strings, type nodes
+ * become their written form (`Loan[]`, `string?`) and calls become
+ * `{call, args}` objects. Flags become `true`.
+ * @param {Object} node - A value node, Property or Flag
+ * @returns {any} The plain value
+ */
+function toPlain(node) {
+  if (!node) {
+    return null;
+  }
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+    case 'NumberLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+      return node.value;
+    case 'Identifier':
+      return node.name;
+    case 'Path':
+      return node.segments.join('.');
+    case 'ArrayType':
+      return `${node.elementType.name}[]`;
+    case 'OptionalType':
+      return `${node.baseType.name}?`;
+    case 'UnionType':
+      return { union: node.options.map(toPlain) };
+    case 'CallExpression':
+      return { call: node.callee, args: node.arguments.map(toPlain) };
+    case 'ArrayLiteral':
+      return node.elements.map(toPlain);
+    case 'ObjectLiteral':
+      return propertiesToPlain(node.properties);
+    case 'Property':
+      return toPlain(node.value);
+    case 'Flag':
+      return true;
+    default:
+      throw new Error(`Cannot convert ${node.type} node to a plain value`);
+  }
+}
+
+/**
+ * Convert a list of Property/Flag nodes into a plain object
+ * @param {Array<Object>} properties - The members
+ * @returns {Object} Keys mapped to plain values
+ */
+function propertiesToPlain(properties) {
+  const result = {};
+  for (const member of properties) {
+    if (member.type === 'Flag') {
+      result[member.name] = true;
+    } else {
+      result[member.key] = toPlain(member.value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Find a Property node by key on a declaration or ObjectLiteral
+ * @param {Object} node - Node with a `properties` list
+ * @param {string} key - Property key
+ * @returns {Object|null} The Property node, or null
+ */
+function getProperty(node, key) {
+  const properties = (node && node.properties) || [];
+  return properties.find(member => member.type === 'Property' && member.key === key) || null;
+}
+
+/**
+ * Read a property of a declaration or ObjectLiteral as plain data
+ * @param {Object} node - Node with a `properties` list
+ * @param {string} key - Property key
+ * @param {any} defaultValue - Value returned when the property is absent
+ * @returns {any} The plain value
+ */
+function getValue(node, key, defaultValue = undefined) {
+  const property = getProperty(node, key);
+  return property ? toPlain(property.value) : defaultValue;
+}
+
+/**
+ * Check whether a declaration or ObjectLiteral carries a bare flag
+ * @param {Object} node - Node with a `properties` list
+ * @param {string} name - Flag name
+ * @returns {boolean} True if the flag is present
+ */
+function hasFlag(node, name) {
+  const properties = (node && node.properties) || [];
+  return properties.some(member => member.type === 'Flag' && member.name === name);
+}
+
+module.exports = {
+  FinappParser,
+  FinappSyntaxError,
+  parse,
+  parseFile,
+  toPlain,
+  propertiesToPlain,
+  getProperty,
+  getValue,
+  hasFlag
+};
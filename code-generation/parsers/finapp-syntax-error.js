@@ -0,0 +1,49 @@
+/**
+ * FinApp Syntax Error
+ *
+ * Raised by the lexer and parser. The message names the file, line and column
+ * of the offending token and quotes the source line with a caret under it.
+ */
+
+class FinappSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} details - Where the problem is
+   * @param {string} details.filename - File being parsed
+   * @param {string} details.source - Full source text, used for the excerpt
+   * @param {number} details.line - 1-based line of the offending token
+   * @param {number} details.column - 1-based column of the offending token
+   * @param {Object} details.token - The offending token, if any
+   * @param {Array<string>} details.expected - What the parser expected instead
+   */
+  constructor(message, details = {}) {
+    const { filename = '<input>', source = '', line, column } = details;
+    super(`${filename}:${line}:${column}: ${message}${FinappSyntaxError.excerpt(source, line, column)}`);
+    this.name = 'FinappSyntaxError';
+    this.reason = message;
+    this.filename = filename;
+    this.line = line;
+    this.column = column;
+    this.token = details.token || null;
+    this.expected = details.expected || [];
+  }
+
+  /**
+   * Quote the offending source line with a caret under the column
+   * @param {string} source - Full source text
+   * @param {number} line - 1-based line
+   * @param {number} column - 1-based column
+   * @returns {string} The excerpt, or an empty string if the line is unknown
+   */
+  static excerpt(source, line, column) {
+    const text = source.split('\n')[line - 1];
+    if (text === undefined) {
+      return '';
+    }
+    const gutter = `${line} | `;
+    const caret = `${' '.repeat(gutter.length + column - 1)}^`;
+    return `\n${gutter}${text.replace(/\t/g, ' ')}\n${caret}`;
+  }
+}
+
+module.exports = { FinappSyntaxError };
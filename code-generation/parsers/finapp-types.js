@@ -0,0 +1,94 @@
+/**
+ * FinApp Type Checks
+ *
+ * Checks plain values against the types written in `.finapp` specifications:
+ * scalars (`string`, `number`, `boolean`, ISO `date`), optional types
+ * (`string?`), arrays (`Loan[]`) and model names. Shared by the validator
+ * (mock data) and the mock server (request bodies).
+ */
+
+const { toPlain } = require('./finapp-parser');
+
+/**
+ * Scalar field types and the check a value must pass
+ */
+const SCALAR_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+    && !Number.isNaN(Date.parse(value))
+};
+
+/**
+ * Check a plain value against a written type. Unknown scalar types pass,
+ * since specifications may use types these checks do not know.
+ * @param {Object} spec - Specification model, used to recognise model names
+ * @param {any} value - The value
+ * @param {string} type - Written type, e.g. `number`, `Loan[]`, `string?`
+ * @returns {boolean} True if the value fits
+ */
+function matchesType(spec, value, type) {
+  if (typeof type !== 'string') return true;
+  if (type.endsWith('?')) return value === null || value === undefined || matchesType(spec, value, type.slice(0, -1));
+  if (type.endsWith('[]')) {
+    return Array.isArray(value) && value.every(item => matchesType(spec, item, type.slice(0, -2)));
+  }
+  if (SCALAR_TYPES[type]) return SCALAR_TYPES[type](value);
+  if (spec && spec.models.has(type)) return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return true;
+}
+
+/**
+ * Read the fields of a model declaration or an inline object schema
+ * (`{ loanId: string required, amount: number }`)
+ * @param {Object} node - ModelDeclaration or ObjectLiteral
+ * @returns {Array<Object>} `{name, type, required}` for each field
+ */
+function schemaFields(node) {
+  if (node.type === 'ModelDeclaration') {
+    return node.fields.map(field => ({ name: field.name, type: toPlain(field.fieldType), required: field.required }));
+  }
+  return node.properties
+    .filter(member => member.type === 'Property')
+    .map(member => ({ name: member.key, type: toPlain(member.value), required: member.required }));
+}
+
+/**
+ * Check a plain object against a list of fields
+ * @param {Object} spec - Specification model
+ * @param {any} value - The object to check
+ * @param {Array<Object>} fields - Fields from schemaFields()
+ * @returns {Array<Object>} Problems as `{field, message}`; empty when the object fits
+ */
+function checkObject(spec, value, fields) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: null, message: 'Expected an object' }];
+  }
+
+  const problems = [];
+  for (const field of fields) {
+    const present = value[field.name] !== undefined && value[field.name] !== null;
+    if (!present) {
+      if (field.required) {
+        problems.push({ field: field.name, message: `'${field.name}' is required` });
+      }
+    } else if (!matchesType(spec, value[field.name], field.type)) {
+      problems.push({ field: field.name, message: `'${field.name}' should be ${field.type}` });
+    }
+  }
+  for (const key of Object.keys(value)) {
+    if (!fields.some(field => field.name === key)) {
+      problems.push({ field: key, message: `'${key}' is not a known field` });
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  SCALAR_TYPES,
+  matchesType,
+  schemaFields,
+  checkObject
+};
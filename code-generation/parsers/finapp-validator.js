@@ -0,0 +1,430 @@
+/**
+ * FinApp Semantic Validator
+ *
+ * Checks the cross references of a parsed `.finapp` specification: screen
+ * navigation, journey screens, error categories and mappings, `bind:` paths
+ * against model fields, `apiCall` against endpoint ids, mock data against
+ * its model, and notification templates against the regions they are sent to. Problems are returned as diagnostics rather than thrown, so a
+ * pipeline can decide which severities should fail the build.
+ */
+
+const { toPlain, getProperty } = require('./finapp-parser');
+const { buildModel, isErrorName, matchModel, collectionModel, walk } = require('./finapp-model');
+const { matchesType } = require('./finapp-types');
+
+/**
+ * Diagnostic severities, most severe first
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Screens a specification's `navigation:` block names as belonging to the host app
+ * @private
+ */
+function hostScreens(spec) {
+  const navigation = spec.navigation ? spec.navigation.value : null;
+  const property = navigation && navigation.type === 'ObjectLiteral' ? getProperty(navigation, 'hostScreens') : null;
+  if (!property || property.value.type !== 'ArrayLiteral') return [];
+  return property.value.elements.filter(element => element.type === 'Identifier').map(element => element.name);
+}
+
+/**
+ * Semantic checks for one specification
+ */
+class FinappValidator {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {Object} options - Validation options
+   * @param {Array<string>} options.externalScreens - Screens provided outside this spec, in addition
+   *   to the `hostScreens` of its `navigation:` block
+   * @param {Object} options.bindingModels - Binding roots mapped to model names, e.g. `{ offer: 'TopupOffer' }`
+   * @param {Object} options.mockDataModels - mockData collections mapped to model names
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.filename = spec.filename;
+    this.externalScreens = new Set((options.externalScreens || []).concat(hostScreens(spec)));
+    this.bindingModels = options.bindingModels || {};
+    this.mockDataModels = options.mockDataModels || {};
+    this.diagnostics = [];
+  }
+
+  /**
+   * Run every check
+   * @returns {Array<Object>} Diagnostics ordered by position
+   */
+  validate() {
+    this.diagnostics = [];
+    this._checkDuplicates();
+    this._checkErrorCategories();
+    this._checkErrorMappings();
+    this._checkErrorHubs();
+    this._checkValidations();
+    this._checkJourneyScreens();
+    this._checkNavigation();
+    this._checkApiCalls();
+    this._checkBindings();
+    this._checkMockData();
+    this._checkNotifications();
+    return this.diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  }
+
+  /**
+   * Record a diagnostic at a location
+   * @private
+   */
+  _report(severity, code, message, loc) {
+    this.diagnostics.push({
+      severity,
+      code,
+      message,
+      file: this.filename,
+      line: loc.start.line,
+      column: loc.start.column,
+      endLine: loc.end.line,
+      endColumn: loc.end.column
+    });
+  }
+
+  _checkDuplicates() {
+    for (const { name, node, first } of this.spec.duplicates) {
+      const loc = node.nameLoc || node.loc;
+      this._report('error', 'duplicate-declaration',
+        `'${name}' is already declared at line ${(first.nameLoc || first.loc).start.line}`, loc);
+    }
+  }
+
+  _checkErrorCategories() {
+    for (const error of this.spec.errors.values()) {
+      if (error.extends && !this.spec.errorCategories.has(error.extends.name)) {
+        this._report('error', 'unknown-error-category',
+          `Error '${error.name}' extends unknown category '${error.extends.name}'`, error.extends.loc);
+      }
+    }
+  }
+
+  _checkErrorMappings() {
+    for (const api of this.spec.apis.values()) {
+      for (const operation of api.operations || []) {
+        if (!operation.errorMapping) continue;
+        for (const rule of operation.errorMapping.rules) {
+          const targets = rule.target ? [rule.target] : rule.codes.map(mapping => mapping.target);
+          targets
+            .filter(target => !isErrorName(this.spec, target.name))
+            .forEach(target => this._report('error', 'unknown-error',
+              `errorMapping of '${api.name}.${operation.name}' (${rule.status}) targets undeclared error '${target.name}'`,
+              target.loc));
+        }
+      }
+    }
+  }
+
+  _checkErrorHubs() {
+    const hubs = [...this.spec.journeys.values()].map(journey => journey.errorHub);
+    if (this.spec.platform) {
+      hubs.push(this.spec.platform.errorHub);
+    }
+
+    for (const hub of hubs.filter(Boolean)) {
+      const ownership = hub.ownership || { owns: [], delegates: [] };
+      for (const name of ownership.owns.concat(ownership.delegates)) {
+        if (!isErrorName(this.spec, name.name)) {
+          this._report('error', 'unknown-error', `errorHub ownership names undeclared error '${name.name}'`, name.loc);
+        }
+      }
+      for (const handler of hub.handlers.concat(hub.defaultHandlers)) {
+        if (!isErrorName(this.spec, handler.error)) {
+          this._report('error', 'unknown-error', `errorHub handles undeclared error '${handler.error}'`, handler.nameLoc);
+        }
+      }
+    }
+  }
+
+  _checkValidations() {
+    for (const validation of this.spec.validations.values()) {
+      const on = getProperty(validation, 'on');
+      if (on && on.value.type === 'Identifier' && !this.spec.models.has(on.value.name)) {
+        this._report('error', 'unknown-model',
+          `Validation '${validation.name}' applies to undeclared model '${on.value.name}'`, on.value.loc);
+      }
+    }
+  }
+
+  _checkJourneyScreens() {
+    for (const journey of this.spec.journeys.values()) {
+      const screens = getProperty(journey, 'screens');
+      if (screens && screens.value.type === 'ArrayLiteral') {
+        screens.value.elements
+          .filter(element => element.type === 'Identifier' && !this.spec.screens.has(element.name))
+          .forEach(element => this._report('error', 'unknown-screen',
+            `Journey '${journey.name}' lists '${element.name}', which has no screen declaration`, element.loc));
+      }
+
+      const initial = getProperty(journey, 'initialScreen');
+      if (initial && initial.value.type === 'Identifier' && !this.spec.screens.has(initial.value.name)) {
+        this._report('error', 'unknown-screen',
+          `Journey '${journey.name}' starts at '${initial.value.name}', which has no screen declaration`,
+          initial.value.loc);
+      }
+    }
+  }
+
+  /**
+   * `navigate(X)` calls, `navigate: X` actions and navigation `screen: X` items.
+   * Screens of the host app count as declared once `navigation: { hostScreens }`
+   * lists them.
+   * @private
+   */
+  _checkNavigation() {
+    walk(this.spec.ast, (node, ancestors) => {
+      let target = null;
+      if (node.type === 'CallExpression' && node.callee === 'navigate') {
+        target = node.arguments[0];
+      } else if (node.type === 'Property' && node.key === 'navigate') {
+        target = node.value;
+      } else if (node.type === 'Property' && node.key === 'screen'
+        && ancestors.some(ancestor => ancestor.type === 'NavigationDeclaration')) {
+        target = node.value;
+      }
+
+      if (!target || target.type !== 'Identifier') return;
+      if (this.spec.screens.has(target.name) || this.externalScreens.has(target.name)) return;
+
+      this._report('error', 'unknown-screen',
+        `Navigation to undeclared screen '${target.name}'`, target.loc);
+    });
+  }
+
+  _checkApiCalls() {
+    walk(this.spec.ast, node => {
+      if (node.type !== 'Property' || node.key !== 'apiCall') return;
+      const target = node.value;
+      const name = target.type === 'Identifier' ? target.name : target.type === 'StringLiteral' ? target.value : null;
+      if (name !== null && !this.spec.apiEndpoints.has(name)) {
+        this._report('error', 'unknown-endpoint', `apiCall '${name}' does not match any api endpoint id`, target.loc);
+      }
+    });
+  }
+
+  /**
+   * Check `bind:` expressions inside screens. Only dotted paths whose root
+   * resolves to a model are checked; other roots are screen state the spec
+   * does not describe.
+   * @private
+   */
+  _checkBindings() {
+    for (const screen of this.spec.screens.values()) {
+      walk(screen, node => {
+        if (node.type !== 'StringLiteral' || !node.value.startsWith('bind:')) return;
+        for (const path of bindingPaths(node.value.slice('bind:'.length))) {
+          const modelName = this._bindingModel(path.segments[0]);
+          if (!modelName) continue;
+
+          const field = path.segments[1];
+          const model = this.spec.models.get(modelName);
+          if (model.fields.some(candidate => candidate.name === field)) continue;
+
+          // Column of the path inside the quoted string: opening quote plus `bind:`
+          const column = node.loc.start.column + 1 + 'bind:'.length + path.index;
+          const text = path.segments.join('.');
+          this._report('error', 'unknown-model-field',
+            `'${text}' refers to field '${field}', which model '${modelName}' does not declare`,
+            {
+              start: { line: node.loc.start.line, column },
+              end: { line: node.loc.start.line, column: column + text.length }
+            });
+        }
+      });
+    }
+  }
+
+  /**
+   * Resolve a binding root to a model name: explicit option first, then a
+   * model named after the root (`loan` -> Loan), then the single model whose
+   * name ends with it (`offer` -> TopupOffer)
+   * @private
+   */
+  _bindingModel(root) {
+    if (this.bindingModels[root]) {
+      return this.spec.models.has(this.bindingModels[root]) ? this.bindingModels[root] : null;
+    }
+    return matchModel(this.spec, root);
+  }
+
+  _checkMockData() {
+    const mockData = this.spec.mockData;
+    if (!mockData || mockData.value.type !== 'ObjectLiteral') return;
+
+    for (const collection of mockData.value.properties.filter(member => member.type === 'Property')) {
+      const modelName = this.mockDataModels[collection.key] || collectionModel(this.spec, collection.key);
+      if (!modelName || !this.spec.models.has(modelName)) {
+        this._report('info', 'mock-data-unmapped',
+          `mockData '${collection.key}' does not correspond to a model and was not checked`, collection.keyLoc);
+        continue;
+      }
+
+      const records = collection.value.type === 'ArrayLiteral' ? collection.value.elements : [collection.value];
+      records.forEach(record => this._checkMockRecord(record, this.spec.models.get(modelName), collection.key));
+    }
+  }
+
+  /**
+   * Check `notification` declarations against the app's regions and
+   * segments: the audience must name declared ones, every region reached
+   * needs a template in one of its locales, and all templates of a
+   * notification should use the same `{placeholders}`
+   * @private
+   */
+  _checkNotifications() {
+    const app = this.spec.app;
+    const declared = key => ((app && toPlain((getProperty(app, key) || {}).value)) || []);
+    const regions = declared('regions');
+    const segments = declared('customerSegments').map(segment => segment.id);
+
+    for (const notification of this.spec.notifications.values()) {
+      const audience = getProperty(notification, 'audience');
+      let reached = regions;
+      if (audience && audience.value.type === 'ObjectLiteral') {
+        for (const [key, known] of [['regions', regions.map(region => region.id)], ['segments', segments]]) {
+          const property = getProperty(audience.value, key);
+          if (!property || property.value.type !== 'ArrayLiteral') continue;
+          property.value.elements
+            .filter(element => !known.includes(toPlain(element)))
+            .forEach(element => this._report('error', 'unknown-audience',
+              `Notification '${notification.name}' is sent to undeclared ${key.slice(0, -1)} '${toPlain(element)}'`,
+              element.loc));
+          if (key === 'regions') {
+            const ids = property.value.elements.map(toPlain);
+            reached = regions.filter(region => ids.includes(region.id));
+          }
+        }
+      }
+
+      const templates = getProperty(notification, 'templates');
+      const entries = templates && templates.value.type === 'ObjectLiteral'
+        ? templates.value.properties.filter(member => member.type === 'Property')
+        : [];
+      for (const region of reached) {
+        const locales = [].concat(region.locale || []);
+        if (!entries.some(entry => locales.includes(entry.key))) {
+          this._report('error', 'notification-template',
+            `Notification '${notification.name}' has no template for region '${region.id}' (${locales.join(', ')})`,
+            templates ? templates.keyLoc : notification.nameLoc);
+        }
+      }
+
+      const placeholders = entry => [...new Set(String(toPlain(entry.value)).match(/\{\w+\}/g) || [])].sort().join(', ');
+      const expected = entries.length ? placeholders(entries[0]) : '';
+      entries
+        .filter(entry => placeholders(entry) !== expected)
+        .forEach(entry => this._report('warning', 'notification-placeholders',
+          `Template '${entry.key}' of '${notification.name}' uses ${placeholders(entry) || 'no placeholders'} where '${entries[0].key}' uses ${expected || 'none'}`,
+          entry.value.loc));
+    }
+  }
+
+  /**
+   * Check one mock record against its model
+   * @private
+   */
+  _checkMockRecord(record, model, collection) {
+    if (record.type !== 'ObjectLiteral') {
+      this._report('error', 'mock-data-type', `mockData '${collection}' entries must be ${model.name} objects`, record.loc);
+      return;
+    }
+
+    const values = new Map(record.properties
+      .filter(member => member.type === 'Property')
+      .map(member => [member.key, member]));
+
+    for (const field of model.fields) {
+      const property = values.get(field.name);
+      if (!property) {
+        if (field.required) {
+          this._report('error', 'mock-data-missing-field',
+            `mockData '${collection}' record is missing required ${model.name} field '${field.name}'`, record.loc);
+        }
+        continue;
+      }
+
+      const expected = toPlain(field.fieldType);
+      const value = property.value.type === 'NullLiteral' ? null : toPlain(property.value);
+      if (value === null) {
+        if (field.required) {
+          this._report('error', 'mock-data-missing-field',
+            `mockData '${collection}' sets required ${model.name} field '${field.name}' to null`, property.value.loc);
+        }
+      } else if (!matchesType(this.spec, value, expected)) {
+        this._report('error', 'mock-data-type',
+          `mockData '${collection}' field '${field.name}' should be ${expected}, got ${JSON.stringify(value)}`,
+          property.value.loc);
+      }
+    }
+
+    for (const [key, property] of values) {
+      if (!model.fields.some(field => field.name === key)) {
+        this._report('warning', 'mock-data-unknown-field',
+          `mockData '${collection}' field '${key}' is not declared on model ${model.name}`, property.keyLoc);
+      }
+    }
+  }
+}
+
+/**
+ * Extract dotted identifier paths (`offer.maxTopupAmount`) from a binding
+ * expression, with their offset in the expression. String literals are
+ * blanked out first so quoted text is never mistaken for a path.
+ * @param {string} expression - Expression after the `bind:` prefix
+ * @returns {Array<Object>} `{segments, index}` for each path
+ */
+function bindingPaths(expression) {
+  const code = expression.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, match => ' '.repeat(match.length));
+  const paths = [];
+  const pattern = /[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match.index > 0 && code[match.index - 1] === '.') continue;
+    paths.push({ segments: match[0].split('.'), index: match.index });
+  }
+  return paths;
+}
+
+/**
+ * Validate a parsed specification
+ * @param {Object} ast - Program node from the parser
+ * @param {Object} options - See FinappValidator
+ * @returns {Array<Object>} Diagnostics `{severity, code, message, file, line, column, endLine, endColumn}`
+ */
+function validate(ast, options = {}) {
+  return new FinappValidator(buildModel(ast), options).validate();
+}
+
+/**
+ * Count diagnostics per severity
+ * @param {Array<Object>} diagnostics - Diagnostics from validate()
+ * @returns {Object} `{error, warning, info}` counts
+ */
+function summarize(diagnostics) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  diagnostics.forEach(diagnostic => { counts[diagnostic.severity] += 1; });
+  return counts;
+}
+
+/**
+ * Format a diagnostic as `file:line:column: severity: message [code]`
+ * @param {Object} diagnostic - A diagnostic
+ * @returns {string} The formatted line
+ */
+function formatDiagnostic(diagnostic) {
+  const { file, line, column, severity, message, code } = diagnostic;
+  return `${file}:${line}:${column}: ${severity}: ${message} [${code}]`;
+}
+
+module.exports = {
+  FinappValidator,
+  SEVERITIES,
+  validate,
+  summarize,
+  formatDiagnostic,
+  bindingPaths
+};
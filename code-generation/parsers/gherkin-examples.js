@@ -0,0 +1,144 @@
+/**
+ * Gherkin Examples Reader
+ *
+ * Reads the Examples tables of Scenario Outlines out of a .feature file,
+ * keeping the line and column of every cell so tools that compare them with
+ * other sources can point at the exact place to fix. Only what those tools
+ * need is read: scenario names, Examples headers and rows. Steps, data
+ * tables under steps and doc strings are skipped.
+ */
+
+const fs = require('fs');
+
+const SCENARIO = /^\s*(?:Scenario Outline|Scenario Template|Scenario|Example):\s*(.*?)\s*$/;
+const EXAMPLES = /^\s*(?:Examples|Scenarios):\s*(.*?)\s*$/;
+const DOC_STRING = /^\s*("""|```)/;
+
+/**
+ * Split a table row into cells with their 1-based columns
+ * @private
+ * @param {string} text - The row, starting with `|`
+ * @param {number} line - 1-based line number
+ * @returns {Array<Object>} `{value, line, column}` for each cell
+ */
+function readRow(text, line) {
+  const cells = [];
+  let index = text.indexOf('|') + 1;
+  let start = index;
+  let value = '';
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      const next = text[index + 1];
+      value += next === 'n' ? '\n' : next;
+      index += 2;
+    } else if (char === '|') {
+      cells.push(cell(value, text, start, line));
+      value = '';
+      start = ++index;
+    } else {
+      value += char;
+      index++;
+    }
+  }
+  return cells;
+}
+
+/**
+ * A trimmed cell, its column pointing at the first non-blank character
+ * @private
+ */
+function cell(value, text, start, line) {
+  let column = start;
+  while (column < text.length && /\s/.test(text[column])) column++;
+  return { value: value.trim(), line, column: column + 1 };
+}
+
+/**
+ * Read the Examples tables of a feature file's source
+ * @param {string} source - Gherkin source
+ * @param {string} filename - File name recorded on each table
+ * @returns {Array<Object>} One entry per Examples table:
+ *   `{file, scenario, scenarioLine, name, line, header, rows}` where `header`
+ *   is a list of cells and each row is `{line, cells}`
+ */
+function readExamples(source, filename = '<input>') {
+  const tables = [];
+  let scenario = null;
+  let table = null;
+  let docString = null;
+
+  source.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    const fence = text.match(DOC_STRING);
+    if (docString) {
+      if (fence && fence[1] === docString) docString = null;
+      return;
+    }
+    if (fence) {
+      docString = fence[1];
+      table = null;
+      return;
+    }
+
+    const scenarioMatch = text.match(SCENARIO);
+    const examplesMatch = !scenarioMatch && text.match(EXAMPLES);
+    if (scenarioMatch) {
+      scenario = { name: scenarioMatch[1], line };
+      table = null;
+    } else if (examplesMatch) {
+      table = {
+        file: filename,
+        scenario: scenario ? scenario.name : null,
+        scenarioLine: scenario ? scenario.line : null,
+        name: examplesMatch[1],
+        line,
+        header: null,
+        rows: []
+      };
+      tables.push(table);
+    } else if (/^\s*\|/.test(text)) {
+      if (!table) return;
+      const cells = readRow(text, line);
+      if (table.header) {
+        table.rows.push({ line, cells });
+      } else {
+        table.header = cells;
+      }
+    } else if (text.trim() && !/^\s*#/.test(text)) {
+      // A step, tag or keyword ends the table
+      table = null;
+    }
+  });
+
+  return tables.filter(entry => entry.header);
+}
+
+/**
+ * Read the Examples tables of a feature file
+ * @param {string} filePath - Path to the .feature file
+ * @returns {Array<Object>} See readExamples()
+ */
+function readExamplesFile(filePath) {
+  return readExamples(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * The cells of a row keyed by their column header
+ * @param {Object} table - An Examples table
+ * @param {Object} row - One of its rows
+ * @returns {Object} Header name mapped to the row's cell
+ */
+function rowCells(table, row) {
+  const cells = {};
+  table.header.forEach((heading, index) => {
+    if (row.cells[index]) cells[heading.value] = row.cells[index];
+  });
+  return cells;
+}
+
+module.exports = {
+  readExamples,
+  readExamplesFile,
+  rowCells
+};
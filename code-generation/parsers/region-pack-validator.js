@@ -0,0 +1,215 @@
+/**
+ * Region Pack Validator
+ *
+ * Checks that every region pack is complete, so a new region is ready as
+ * soon as its directory is dropped into `core/lib/common/regions/`:
+ *
+ *   - every pack has the settings the runtime reads (`pack-missing-field`),
+ *     a cooling-off rule (`pack-cooling-off`), amount limits in order
+ *     (`pack-limits`) and a calendar for its own region (`pack-calendar`)
+ *   - every pack has each disclosure any other pack shows, so no screen is
+ *     missing a regulatory panel in one region (`pack-missing-disclosure`)
+ *   - region ids are unique (`pack-duplicate`)
+ *
+ * Given a specification, it also checks that each of the spec's `app.regions`
+ * has a pack (`missing-pack`) that it agrees with (`pack-mismatch`): every
+ * setting the spec declares must be one the pack holds, with the same value.
+ * Every segment's per-region top-up amounts must lie within the pack's
+ * limits (`pack-limits`).
+ */
+
+const fs = require('fs');
+const { getProperty, toPlain } = require('./finapp-parser');
+const { BusinessCalendar, CalendarError } = require('../../core/lib/common/business-calendar');
+
+/**
+ * Settings every pack's `region.json` must give, as dotted paths
+ */
+const REQUIRED_FIELDS = [
+  'id', 'displayName', 'locale', 'currency', 'currencySymbol', 'dateFormat',
+  'regulator.id', 'regulator.name', 'coolingOff.days', 'amountLimits.min', 'amountLimits.max', 'disclosures'
+];
+
+/**
+ * `app.regions` properties and the pack settings they must agree with
+ */
+const SPEC_FIELDS = {
+  displayName: 'displayName',
+  locale: 'locale',
+  currency: 'currency',
+  currencySymbol: 'currencySymbol',
+  dateFormat: 'dateFormat',
+  regulatoryBody: 'regulator.id'
+};
+
+/**
+ * @private
+ */
+function valueAt(object, dotted) {
+  return dotted.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Line and column of a dotted path in a JSON file: each key is looked for
+ * from the line of its parent on
+ * @private
+ */
+function locate(file, dotted) {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+  let found = { line: 1, column: 1 };
+  let from = 0;
+  for (const key of dotted.split('.')) {
+    const pattern = new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`);
+    const index = lines.findIndex((line, lineIndex) => lineIndex >= from && pattern.test(line));
+    if (index === -1) break;
+    found = { line: index + 1, column: lines[index].search(pattern) + 1 };
+    from = index;
+  }
+  return { file, ...found };
+}
+
+/**
+ * Why a pack's calendar cannot be used, or null: the calendar must load and
+ * each of its holidays must be a valid date
+ * @private
+ */
+function calendarProblem(calendar) {
+  try {
+    const businessCalendar = new BusinessCalendar([calendar]);
+    (calendar.holidays || []).forEach(holiday => businessCalendar.localDate(holiday.date, calendar.region));
+    return null;
+  } catch (error) {
+    if (!(error instanceof CalendarError)) throw error;
+    return error.message;
+  }
+}
+
+/**
+ * Validate region packs, and optionally a specification's regions against them
+ * @param {Array<Object>} packs - Packs from readRegionPacks()
+ * @param {Object} options - Validation options
+ * @param {Object} options.spec - Specification model whose `app.regions` and
+ *   `app.customerSegments` are checked against the packs
+ * @returns {Array<Object>} Diagnostics `{severity, code, message, file, line, column}`
+ */
+function validateRegionPacks(packs, options = {}) {
+  const diagnostics = [];
+  const report = (code, message, location) => diagnostics.push({ severity: 'error', code, message, ...location });
+
+  const seen = new Map();
+  const disclosures = new Map();
+  packs.forEach(pack => {
+    Object.entries(pack.disclosures || {}).forEach(([screen, entries]) => {
+      Object.keys(entries || {}).forEach(name => {
+        const key = `${screen}.${name}`;
+        if (!disclosures.has(key)) disclosures.set(key, pack.id);
+      });
+    });
+  });
+
+  for (const pack of packs) {
+    const file = pack.files.region;
+    const label = pack.id || file;
+    if (pack.id && seen.has(pack.id)) {
+      report('pack-duplicate', `Region '${pack.id}' also has a pack in ${seen.get(pack.id)}`, locate(file, 'id'));
+    }
+    seen.set(pack.id, file);
+
+    REQUIRED_FIELDS.filter(field => valueAt(pack, field) === undefined || valueAt(pack, field) === '').forEach(field => {
+      report('pack-missing-field', `The ${label} pack has no ${field}`, locate(file, field.split('.')[0]));
+    });
+
+    const days = valueAt(pack, 'coolingOff.days');
+    if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+      report('pack-cooling-off', `The ${label} cooling-off period must be a whole number of days, not ${JSON.stringify(days)}`, locate(file, 'coolingOff.days'));
+    }
+
+    const limits = pack.amountLimits || {};
+    if (typeof limits.min === 'number' && typeof limits.max === 'number' && (limits.min < 0 || limits.min > limits.max)) {
+      report('pack-limits', `The ${label} amount limits run from ${limits.min} to ${limits.max}`, locate(file, 'amountLimits'));
+    }
+
+    if (!pack.calendar) {
+      report('pack-calendar', `The ${label} pack has no calendar.json`, { file, line: 1, column: 1 });
+    } else if (pack.calendar.region !== pack.id) {
+      report('pack-calendar', `The ${label} pack's calendar is for region '${pack.calendar.region}'`, locate(pack.files.calendar, 'region'));
+    } else {
+      const problem = calendarProblem(pack.calendar);
+      if (problem) {
+        report('pack-calendar', problem, { file: pack.files.calendar, line: 1, column: 1 });
+      }
+    }
+
+    for (const [key, owner] of disclosures) {
+      const [screen, name] = key.split('.');
+      if (valueAt(pack.disclosures || {}, key) === undefined) {
+        report('pack-missing-disclosure', `The ${label} pack has no ${screen} disclosure '${name}', which the ${owner} pack shows`,
+          locate(file, (pack.disclosures || {})[screen] ? `disclosures.${screen}` : 'disclosures'));
+      }
+    }
+  }
+
+  return options.spec ? diagnostics.concat(checkSpecRegions(options.spec, packs)) : diagnostics;
+}
+
+/**
+ * Check a specification's regions and segment amounts against the packs
+ * @param {Object} spec - Specification model
+ * @param {Array<Object>} packs - Packs from readRegionPacks()
+ * @returns {Array<Object>} Diagnostics `{severity, code, message, file, line, column}`
+ */
+function checkSpecRegions(spec, packs) {
+  const diagnostics = [];
+  const report = (code, message, location) => diagnostics.push({ severity: 'error', code, message, ...location });
+  const app = spec.app;
+  const regionsProperty = app ? getProperty(app, 'regions') : null;
+  const at = node => ({ file: spec.filename, line: node.loc.start.line, column: node.loc.start.column });
+  const byId = new Map(packs.map(pack => [pack.id, pack]));
+
+  for (const region of regionsProperty && regionsProperty.value.type === 'ArrayLiteral' ? regionsProperty.value.elements : []) {
+    if (region.type !== 'ObjectLiteral') continue;
+    const idProperty = getProperty(region, 'id');
+    if (!idProperty) continue;
+    const id = toPlain(idProperty.value);
+    const pack = byId.get(id);
+    if (!pack) {
+      report('missing-pack', `Region '${id}' has no region pack`, at(idProperty.value));
+      continue;
+    }
+    for (const declared of region.properties.filter(property => property.key !== 'id')) {
+      const property = declared.key;
+      const expected = SPEC_FIELDS[property] ? valueAt(pack, SPEC_FIELDS[property]) : undefined;
+      if (expected === undefined) {
+        report('pack-mismatch', `${property} of region '${id}' is not a setting of its pack`, at(declared.value));
+      } else if ([].concat(toPlain(declared.value)).join() !== [].concat(expected).join()) {
+        report('pack-mismatch', `${property} of region '${id}' is ${JSON.stringify(toPlain(declared.value))} but its pack has ${JSON.stringify(expected)}`,
+          at(declared.value));
+      }
+    }
+  }
+
+  const segmentsProperty = app ? getProperty(app, 'customerSegments') : null;
+  for (const segment of segmentsProperty && segmentsProperty.value.type === 'ArrayLiteral' ? segmentsProperty.value.elements : []) {
+    if (segment.type !== 'ObjectLiteral') continue;
+    const name = toPlain((getProperty(segment, 'id') || {}).value);
+    for (const field of ['minTopupAmounts', 'maxTopupAmounts']) {
+      const amounts = getProperty(segment, field);
+      if (!amounts || amounts.value.type !== 'ObjectLiteral') continue;
+      for (const entry of amounts.value.properties) {
+        const limits = (byId.get(entry.key) || {}).amountLimits;
+        const amount = toPlain(entry.value);
+        if (limits && typeof amount === 'number' && (amount < limits.min || amount > limits.max)) {
+          report('pack-limits', `${field}.${entry.key} of segment '${name}' is ${amount}, outside the ${entry.key} limits of ${limits.min} to ${limits.max}`,
+            at(entry.value));
+        }
+      }
+    }
+  }
+  return diagnostics;
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  checkSpecRegions,
+  validateRegionPacks
+};
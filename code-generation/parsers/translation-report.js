@@ -0,0 +1,156 @@
+/**
+ * Translation Report
+ *
+ * Compares a specification's user-facing strings with its message
+ * catalogues, region by region. Every locale a region lists in `app.regions`
+ * must be able to show every extracted message: locales in the source
+ * language are covered by the source catalogue, any other locale needs its
+ * own translation. Reports
+ *
+ *   - `stale-catalogue` (error): the source catalogue no longer matches the
+ *     specification; run the extractor
+ *   - `untranslated` (error): a region's locale has no translation of a
+ *     message, reported at the string in the specification
+ *   - `orphaned` (warning): a catalogue key the specification no longer uses
+ *   - `argument-mismatch` (error): a translation uses different arguments
+ *     from the source text
+ *   - `message-syntax` (error): a translation that is not valid ICU
+ *   - `unused-locale` (warning): a catalogue for a locale no region lists
+ *
+ * Catalogue diagnostics point at the key's line in the JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPlain, getProperty } = require('./finapp-parser');
+const { extractMessages, renderCatalogue } = require('../transformers/message-extraction');
+const { SOURCE_LOCALE, MessageFormatError, messageArguments } = require('../../core/lib/common/i18n');
+
+/**
+ * Line and column of each top-level key of a catalogue file
+ * @private
+ */
+function keyLocations(text) {
+  const locations = new Map();
+  text.split('\n').forEach((line, index) => {
+    const match = /^(\s*)"((?:[^"\\]|\\.)*)"\s*:/.exec(line);
+    if (match) {
+      locations.set(JSON.parse(`"${match[2]}"`), { line: index + 1, column: match[1].length + 1 });
+    }
+  });
+  return locations;
+}
+
+/**
+ * Read the `<name>.<locale>.json` catalogues of a directory with the location of each key
+ * @private
+ */
+function readCatalogueFiles(directory, name) {
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory).sort()
+    .filter(file => file.startsWith(`${name}.`) && file.endsWith('.json'))
+    .map(file => {
+      const filePath = path.join(directory, file);
+      const text = fs.readFileSync(filePath, 'utf8');
+      return {
+        file: filePath,
+        locale: file.slice(name.length + 1, -'.json'.length),
+        text,
+        messages: JSON.parse(text),
+        locations: keyLocations(text)
+      };
+    });
+}
+
+/**
+ * Whether a locale is written in the source language
+ * @private
+ */
+function isSourceLanguage(locale) {
+  return locale.split('-')[0] === SOURCE_LOCALE;
+}
+
+/**
+ * Check a specification's catalogues
+ * @param {Object} spec - Specification model from buildModel()
+ * @param {Object} options - Report options
+ * @param {string} options.directory - Catalogue directory; defaults to `i18n` next to the specification
+ * @param {string} options.name - Catalogue name; defaults to the specification's file name
+ * @returns {{diagnostics: Array<Object>, regions: Array<Object>}} Diagnostics
+ *   `{severity, code, message, file, line, column}` and one
+ *   `{region, locale, total, translated}` entry per region and locale
+ */
+function checkTranslations(spec, options = {}) {
+  const directory = options.directory || path.join(path.dirname(spec.filename), 'i18n');
+  const name = options.name || path.basename(spec.filename, path.extname(spec.filename));
+  const { messages, diagnostics } = extractMessages(spec);
+  const extracted = new Map(messages.map(entry => [entry.key, entry]));
+  const catalogues = readCatalogueFiles(directory, name);
+  const regionsProperty = spec.app ? getProperty(spec.app, 'regions') : null;
+  const regions = (regionsProperty ? toPlain(regionsProperty.value) : []).map(region => ({
+    id: region.id,
+    locales: [].concat(region.locale || [])
+  }));
+  const listed = new Set(regions.flatMap(region => region.locales));
+  const report = (severity, code, message, location) => diagnostics.push({ severity, code, message, ...location });
+  const at = (catalogue, key) => ({ file: catalogue.file, ...(catalogue.locations.get(key) || { line: 1, column: 1 }) });
+
+  const source = catalogues.find(catalogue => catalogue.locale === SOURCE_LOCALE);
+  if (!source || source.text !== renderCatalogue(messages)) {
+    report('error', 'stale-catalogue',
+      `${source ? source.file : path.join(directory, `${name}.${SOURCE_LOCALE}.json`)} ${source ? 'is out of date' : 'is missing'}; extract the messages again`,
+      { file: spec.filename, line: 1, column: 1 });
+  }
+
+  for (const catalogue of catalogues) {
+    if (catalogue.locale !== SOURCE_LOCALE && !listed.has(catalogue.locale)) {
+      report('warning', 'unused-locale', `No region lists ${catalogue.locale}`, { file: catalogue.file, line: 1, column: 1 });
+    }
+    for (const [key, text] of Object.entries(catalogue.messages)) {
+      const entry = extracted.get(key);
+      if (!entry) {
+        if (catalogue !== source) {
+          report('warning', 'orphaned', `'${key}' is not used by ${spec.filename}`, at(catalogue, key));
+        }
+        continue;
+      }
+      if (catalogue === source) continue;
+      try {
+        const expected = messageArguments(entry.message);
+        const actual = messageArguments(text);
+        if (expected.join() !== actual.join()) {
+          const list = names => (names.length > 0 ? names.map(argument => `{${argument}}`).join(', ') : 'none');
+          report('error', 'argument-mismatch',
+            `The ${catalogue.locale} text of '${key}' uses ${list(actual)} but the source uses ${list(expected)}`,
+            at(catalogue, key));
+        }
+      } catch (error) {
+        if (!(error instanceof MessageFormatError)) throw error;
+        report('error', 'message-syntax', `The ${catalogue.locale} text of '${key}': ${error.message}`, at(catalogue, key));
+      }
+    }
+  }
+
+  const reported = new Set();
+  const summary = regions.flatMap(region => region.locales.map(locale => {
+    if (isSourceLanguage(locale)) {
+      return { region: region.id, locale, total: messages.length, translated: messages.length };
+    }
+    const catalogue = catalogues.find(candidate => candidate.locale === locale);
+    const missing = messages.filter(entry => !catalogue || !Object.prototype.hasOwnProperty.call(catalogue.messages, entry.key));
+    if (!reported.has(locale)) {
+      reported.add(locale);
+      missing.forEach(entry => {
+        const { file, line, column } = entry.sources[0];
+        report('error', 'untranslated', `'${entry.message}' has no ${locale} translation for region ${region.id} [${entry.key}]`, { file, line, column });
+      });
+    }
+    return { region: region.id, locale, total: messages.length, translated: messages.length - missing.length };
+  }));
+
+  return { diagnostics, regions: summary };
+}
+
+module.exports = {
+  checkTranslations
+};
@@ -0,0 +1,338 @@
+/**
+ * Feature Scenarios Transformer
+ *
+ * Generates Cucumber feature files from a specification so the region ×
+ * segment matrix and the error paths stay complete as the specification
+ * grows. Three files are produced for a journey:
+ *
+ *   - `<name>-happy-path.feature`: a Scenario Outline per journey screen,
+ *     with an Examples row for every region and customer segment
+ *   - `<name>-boundaries.feature`: outlines at each segment's minimum and
+ *     maximum top-up amount
+ *   - `<name>-error-paths.feature`: a scenario per API error code that an
+ *     `errorMapping` maps, with the error, owner and display component the
+ *     error hub resolves it to
+ *
+ * The step text comes from a phrasebook JSON next to the hand-written
+ * feature, written with the phrasing its step definitions already bind.
+ * `<column>` placeholders in phrasebook steps become Examples columns after
+ * `region` and `segment`; the available columns are the keys of
+ * MATRIX_COLUMNS and ERROR_COLUMNS.
+ * Output is deterministic and tables are aligned, so regenerated files
+ * diff cleanly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProperty, getValue, toPlain } = require('../parsers/finapp-parser');
+const { RegionFormatter } = require('../../core/lib/common/region-format');
+const { ErrorHubResolver } = require('../../core/lib/dsl/error-hub');
+
+/**
+ * Examples columns of a region × segment row, computed from the `app` block
+ */
+const MATRIX_COLUMNS = {
+  region: ({ region }) => region.id,
+  segment: ({ segment }) => segment.id,
+  currency: ({ region }) => `${region.currency} (${region.currencySymbol})`,
+  date_format: ({ region }) => region.dateFormat,
+  regulatory_body: ({ region }) => region.regulatoryBody,
+  interest_rate: ({ region, segment }) => regionValue(segment.interestRates, region),
+  min_amount: ({ region, segment, formats }) => amount(regionValue(segment.minTopupAmounts, region), region, formats),
+  max_amount: ({ region, segment, formats }) => amount(regionValue(segment.maxTopupAmounts, region), region, formats),
+  segment_benefit: ({ region, segment }) => regionValue(segment.benefits, region)
+};
+
+/**
+ * Placeholders of an error-path scenario
+ */
+const ERROR_COLUMNS = ['journey', 'service', 'operation', 'status', 'code', 'error', 'owner', 'component'];
+
+/**
+ * A segment's value for a region, e.g. `interestRates.UK`
+ * @private
+ */
+function regionValue(values, region) {
+  return values && values[region.id] !== undefined ? values[region.id] : null;
+}
+
+/**
+ * A whole-unit currency amount as the feature files write it, e.g. `£25,000`
+ * @private
+ */
+function amount(value, region, formats) {
+  return value === null ? null : formats.formatCurrency(value, region.id, { fractionDigits: 0 });
+}
+
+/**
+ * Read a phrasebook, resolving its paths against the file's directory
+ * @param {string} filePath - Path to the phrasebook JSON
+ * @returns {Object} The phrasebook, with `spec` and `output` relative to the working directory
+ * @throws {Error} If a required entry is missing
+ */
+function loadPhrasebook(filePath) {
+  const phrasebook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const key of ['spec', 'journey', 'name', 'title', 'output', 'screens']) {
+    if (!phrasebook[key]) {
+      throw new Error(`${filePath}: phrasebook has no '${key}'`);
+    }
+  }
+  const directory = path.dirname(filePath);
+  return {
+    ...phrasebook,
+    file: filePath,
+    spec: path.join(directory, phrasebook.spec),
+    output: path.join(directory, phrasebook.output)
+  };
+}
+
+/**
+ * Every region × customer segment combination of a specification
+ * @param {Object} spec - Specification model
+ * @returns {Array<Object>} One row per combination, keyed by MATRIX_COLUMNS;
+ *   a value the segment does not declare for the region is null
+ */
+function scenarioMatrix(spec) {
+  const regionsProperty = spec.app && getProperty(spec.app, 'regions');
+  const segmentsProperty = spec.app && getProperty(spec.app, 'customerSegments');
+  const regions = regionsProperty ? toPlain(regionsProperty.value) : [];
+  const segments = segmentsProperty ? toPlain(segmentsProperty.value) : [];
+  const formats = new RegionFormatter(regions);
+
+  const rows = [];
+  for (const region of regions) {
+    for (const segment of segments) {
+      const row = {};
+      for (const [column, value] of Object.entries(MATRIX_COLUMNS)) {
+        row[column] = value({ region, segment, formats });
+      }
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+/**
+ * The HTTP status to exercise for an errorMapping rule: the status itself,
+ * or for a range such as `5xx` the first matching code of the target
+ * category (else the start of the range)
+ * @private
+ */
+function representativeStatus(rule, spec) {
+  const range = rule.status.match(/^(\d)xx$/i);
+  if (!range) return Number(rule.status);
+  const category = rule.target && spec.errorCategories.get(rule.target.name);
+  const codes = category ? getValue(category, 'codes', []) : [];
+  return codes.find(code => String(code).startsWith(range[1])) || Number(range[1]) * 100;
+}
+
+/**
+ * One error path per API error code mapped by an `errorMapping`, resolved
+ * through the journey's error hub
+ * @param {Object} spec - Specification model
+ * @param {string} journey - Journey name
+ * @returns {Array<Object>} `{journey, service, operation, status, code, error, owner, component}`
+ *   in declaration order; `code` is empty for rules mapped by status alone
+ */
+function errorPaths(spec, journey) {
+  const resolver = new ErrorHubResolver(spec);
+  const paths = [];
+  for (const [service, api] of spec.apis) {
+    for (const operation of api.operations || []) {
+      for (const rule of (operation.errorMapping && operation.errorMapping.rules) || []) {
+        const status = representativeStatus(rule, spec);
+        const codes = rule.codes.length > 0 ? rule.codes.map(mapping => mapping.code) : [''];
+        for (const code of codes) {
+          const resolved = resolver.resolve({ journey, service, operation: operation.name, status, code: code || undefined });
+          paths.push({
+            journey,
+            service,
+            operation: operation.name,
+            status,
+            code,
+            error: resolved.error.name,
+            owner: resolved.owner,
+            component: resolved.display ? resolved.display.component : ''
+          });
+        }
+      }
+    }
+  }
+  return paths;
+}
+
+/**
+ * Placeholders used by a list of phrasebook steps, in order of appearance
+ * @private
+ */
+function placeholders(steps) {
+  const names = [];
+  const texts = steps.flatMap(step => (typeof step === 'string' ? [step] : [step.text, ...step.table.flat()]));
+  for (const text of texts) {
+    for (const [, name] of text.matchAll(/<([^<>]+)>/g)) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Replace `<name>` placeholders with values
+ * @private
+ */
+function substitute(text, values) {
+  return text.replace(/<([^<>]+)>/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Render rows of cells as an aligned Gherkin table
+ * @param {Array<Array<string>>} rows - Header and data rows
+ * @param {string} indent - Indentation of each line
+ * @returns {Array<string>} The table lines
+ */
+function renderTable(rows, indent) {
+  const escape = cell => String(cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+  const widths = rows[0].map((_, index) => Math.max(...rows.map(row => escape(row[index]).length)));
+  return rows.map(row => `${indent}| ${row.map((cell, index) => escape(cell).padEnd(widths[index])).join(' | ')} |`);
+}
+
+/**
+ * Render phrasebook steps, with their data tables
+ * @private
+ */
+function renderSteps(steps, indent, values = null) {
+  const lines = [];
+  for (const step of steps) {
+    const text = typeof step === 'string' ? step : step.text;
+    lines.push(`${indent}${values ? substitute(text, values) : text}`);
+    if (typeof step !== 'string') {
+      const table = values ? step.table.map(row => row.map(cell => substitute(cell, values))) : step.table;
+      lines.push(...renderTable(table, `${indent}  `));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render a Scenario Outline with one Examples row per matrix row
+ * @private
+ */
+function renderOutline(scenario, rows, context, warnings) {
+  const used = placeholders(scenario.steps);
+  for (const column of used) {
+    if (!(column in MATRIX_COLUMNS)) {
+      throw new Error(`${context}: unknown placeholder <${column}> in '${scenario.name}', expected one of ${Object.keys(MATRIX_COLUMNS).join(', ')}`);
+    }
+  }
+  const columns = ['region', 'segment', ...used.filter(column => column !== 'region' && column !== 'segment')];
+  const complete = rows.filter(row => {
+    const missing = columns.filter(column => row[column] === null);
+    if (missing.length > 0) {
+      warnings.push(`${context}: '${scenario.name}' skips ${row.region} ${row.segment}, which has no ${missing.join(', ')}`);
+    }
+    return missing.length === 0;
+  });
+  return [
+    `  Scenario Outline: ${scenario.name}`,
+    ...renderSteps(scenario.steps, '    '),
+    '',
+    '    Examples:',
+    ...renderTable([columns, ...complete.map(row => columns.map(column => row[column]))], '      ')
+  ];
+}
+
+/**
+ * Render a whole feature file
+ * @private
+ */
+function renderFeature(header, title, description, background, scenarios) {
+  const lines = [...header, `Feature: ${title}`, ...description.map(line => `  ${line}`)];
+  if (background && background.length > 0) {
+    lines.push('', '  Background:', ...renderSteps(background, '    '));
+  }
+  scenarios.forEach(scenario => lines.push('', ...scenario));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Generate the feature files of a phrasebook's journey
+ * @param {Object} spec - Specification model
+ * @param {Object} phrasebook - A phrasebook from loadPhrasebook()
+ * @returns {{files: Array<{name: string, source: string}>, warnings: Array<string>}} The
+ *   feature files to write into `phrasebook.output`, and journey screens or
+ *   segments that could not be covered
+ * @throws {Error} If the journey is not declared or a step uses an unknown placeholder
+ */
+function generateFeatures(spec, phrasebook) {
+  const journey = spec.journeys.get(phrasebook.journey);
+  if (!journey) {
+    throw new Error(`${phrasebook.file}: journey '${phrasebook.journey}' is not declared in ${phrasebook.spec}`);
+  }
+  const context = phrasebook.file || 'phrasebook';
+  const warnings = [];
+  const header = [
+    `# Generated from ${path.basename(phrasebook.spec)} and ${path.basename(context)}`,
+    '# by code-generation/bin/finapp-generate-features.js. Do not edit.',
+    '@generated'
+  ];
+  const rows = scenarioMatrix(spec);
+  if (rows.length === 0) {
+    warnings.push(`${phrasebook.spec}: app declares no regions or customerSegments; outlines have no Examples`);
+  }
+
+  const happyPath = [];
+  for (const screen of getValue(journey, 'screens', [])) {
+    const scenario = phrasebook.screens[screen];
+    if (scenario) {
+      happyPath.push(renderOutline(scenario, rows, context, warnings));
+    } else {
+      warnings.push(`${context}: journey screen '${screen}' has no phrasing and is not covered`);
+    }
+  }
+
+  const files = [{
+    name: `${phrasebook.name}-happy-path.feature`,
+    source: renderFeature(header, `${phrasebook.title} happy path for every region and segment`,
+      [`Every screen of ${phrasebook.journey} in every region × customer segment combination.`],
+      phrasebook.background, happyPath)
+  }];
+
+  if (phrasebook.boundaries) {
+    files.push({
+      name: `${phrasebook.name}-boundaries.feature`,
+      source: renderFeature(header, `${phrasebook.title} amount boundaries`,
+        ['Each customer segment at its minimum and maximum top-up amount in every region.'],
+        phrasebook.background, phrasebook.boundaries.map(scenario => renderOutline(scenario, rows, context, warnings)))
+    });
+  }
+
+  if (phrasebook.errorPaths) {
+    const { name, background, steps } = phrasebook.errorPaths;
+    for (const column of placeholders([name, ...steps])) {
+      if (!ERROR_COLUMNS.includes(column)) {
+        throw new Error(`${context}: unknown placeholder <${column}> in errorPaths, expected one of ${ERROR_COLUMNS.join(', ')}`);
+      }
+    }
+    const scenarios = errorPaths(spec, phrasebook.journey).map(values => [
+      `  Scenario: ${substitute(name, values).replace(/\s+/g, ' ')}`,
+      ...renderSteps(steps, '    ', values)
+    ]);
+    files.push({
+      name: `${phrasebook.name}-error-paths.feature`,
+      source: renderFeature(header, `${phrasebook.title} error paths`,
+        ['One scenario per API error code mapped by an errorMapping.'], background, scenarios)
+    });
+  }
+
+  return { files, warnings };
+}
+
+module.exports = {
+  MATRIX_COLUMNS,
+  ERROR_COLUMNS,
+  loadPhrasebook,
+  scenarioMatrix,
+  errorPaths,
+  renderTable,
+  generateFeatures
+};
@@ -0,0 +1,505 @@
+/**
+ * Figma to Mobile DSL Transformer
+ *
+ * Turns frames of an exported Figma file (the JSON the Figma REST API
+ * returns, saved to disk) into `screen` declarations for a `.mobileapp`, as
+ * described in `doc/rfc/figma-dsl-integration.md`. No Figma API access is
+ * needed.
+ *
+ * - Each top-level FRAME becomes a screen. A TEXT layer named "Title" becomes
+ *   the screen title; the rest becomes its `layout`.
+ * - FRAME and GROUP layers become `stack` containers (`layoutMode`
+ *   HORIZONTAL adds `direction: "horizontal"`, `itemSpacing` becomes
+ *   `spacing`), TEXT layers become `text` components.
+ * - INSTANCE layers become design-system components through a mapping table
+ *   keyed by Figma component id or name, e.g. "PrimaryButton" ->
+ *   `{ type: "button", variant: "primary" }`.
+ * - Design-system rules are reported as warnings: unmapped components,
+ *   fills outside the `app.theme` palette, fonts outside the type scale and
+ *   spacing outside the spacing scale.
+ *
+ * mergeFigma() re-applies a newer export to an existing .mobileapp source.
+ * Components are matched by `id`; the design owns the properties it
+ * generates, except bindings (`bind:` strings, calls) and actions, which
+ * stay as the developer wrote them, as do properties the design does not
+ * generate.
+ */
+
+const fs = require('fs');
+const { parse } = require('../parsers/finapp-parser');
+const { walk } = require('../parsers/finapp-model');
+
+/**
+ * Figma layer types that become `stack` containers when not mapped
+ */
+const CONTAINER_TYPES = ['FRAME', 'GROUP', 'COMPONENT', 'SECTION'];
+
+/**
+ * Source text kept verbatim when rendering, e.g. a developer's binding
+ * @private
+ */
+class RawValue {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Load a component mapping table from a JSON file
+ * @param {string} filePath - Path to the mapping file
+ * @returns {Object} `{components, textStyles, fontFamilies, spacingScale, palette}`
+ */
+function loadMappings(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * The top-level frames of an export: a whole file (`document`), a nodes
+ * response (`nodes`) or a single frame
+ * @private
+ */
+function exportFrames(json) {
+  if (json.document) {
+    const pages = json.document.type === 'CANVAS' ? [json.document] : json.document.children || [];
+    return pages.flatMap(page => (page.children || []).filter(node => node.type === 'FRAME'));
+  }
+  if (json.nodes) {
+    return Object.values(json.nodes).map(entry => entry.document).filter(node => node && node.type === 'FRAME');
+  }
+  return json.type === 'FRAME' ? [json] : [];
+}
+
+/**
+ * @private
+ */
+function words(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function pascalCase(name) {
+  return words(name).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * @private
+ */
+function camelCase(name) {
+  const pascal = pascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * A Figma colour (channels from 0 to 1) as `#RRGGBB`
+ * @private
+ */
+function hexColour({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+/**
+ * A component property value: `{type, value}` objects as the REST API
+ * returns them, or plain strings as in hand-written exports
+ * @private
+ */
+function propertyValue(value) {
+  const plain = value && typeof value === 'object' ? value.value : value;
+  if (plain === 'true' || plain === 'false') return plain === 'true';
+  if (typeof plain === 'string' && /^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+/**
+ * Converts the frames of one export
+ * @private
+ */
+class FigmaConverter {
+  constructor(options) {
+    this.mappings = options.mappings || {};
+    this.file = options.file || '<figma>';
+    this.palette = new Set(Object.values({ ...(options.theme || {}), ...(this.mappings.palette || {}) })
+      .filter(value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value))
+      .map(value => value.toUpperCase()));
+    this.diagnostics = [];
+  }
+
+  _report(severity, code, message, path) {
+    this.diagnostics.push({ severity, code, message, file: this.file, node: path.join('/') });
+  }
+
+  convertFrame(frame) {
+    this.ids = new Set();
+    this.skipped = new Set();
+
+    let title = frame.name;
+    const titleNode = this._findText(frame, node => /^title$/i.test(node.name));
+    if (titleNode) {
+      title = titleNode.characters;
+      this.skipped.add(titleNode);
+    }
+
+    const path = [frame.name];
+    this._checkDesign(frame, path);
+    return {
+      name: pascalCase(frame.name),
+      figmaName: frame.name,
+      title,
+      layout: this._container(frame, path, false) || { type: 'stack', components: [] }
+    };
+  }
+
+  _findText(node, predicate) {
+    if (node.type === 'TEXT' && predicate(node)) return node;
+    for (const child of node.children || []) {
+      const found = this._findText(child, predicate);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  _uniqueId(name) {
+    const base = camelCase(name) || 'component';
+    let id = base;
+    for (let counter = 2; this.ids.has(id); counter++) {
+      id = `${base}${counter}`;
+    }
+    this.ids.add(id);
+    return id;
+  }
+
+  _mapping(node) {
+    const components = this.mappings.components || {};
+    return components[node.componentId] || components[node.name] || components[node.name.replace(/\s*\d+$/, '')] || null;
+  }
+
+  _convert(node, path) {
+    if (node.visible === false || this.skipped.has(node)) return null;
+    this._checkDesign(node, path);
+
+    if (node.type === 'TEXT') return this._text(node, path);
+    if (node.type === 'INSTANCE' || (node.type === 'COMPONENT' && this._mapping(node))) {
+      const mapping = this._mapping(node);
+      if (!mapping) {
+        this._report('warning', 'unmapped-component',
+          `Component '${node.name}' is not in the design-system mapping and was left out`, path);
+        return null;
+      }
+      return this._component(node, mapping, path);
+    }
+    if (CONTAINER_TYPES.includes(node.type)) return this._container(node, path, true);
+
+    this._report('info', 'skipped-node', `${node.type} layer '${node.name}' has no Mobile DSL equivalent`, path);
+    return null;
+  }
+
+  _children(node, path, exclude = new Set()) {
+    return (node.children || [])
+      .filter(child => !exclude.has(child))
+      .map(child => this._convert(child, path.concat([child.name])))
+      .filter(Boolean);
+  }
+
+  _container(node, path, withId) {
+    const components = this._children(node, path);
+    if (components.length === 0) return null;
+    if (components.length > 1 && (!node.layoutMode || node.layoutMode === 'NONE')) {
+      this._report('info', 'no-auto-layout',
+        `'${node.name}' has no auto layout; its layers are stacked in export order`, path);
+    }
+
+    const container = { type: 'stack' };
+    if (withId) container.id = this._uniqueId(node.name);
+    if (node.layoutMode === 'HORIZONTAL') container.direction = 'horizontal';
+    if (node.itemSpacing) container.spacing = node.itemSpacing;
+    container.components = components;
+    return container;
+  }
+
+  _text(node, path) {
+    const style = node.style || {};
+    const textStyle = (this.mappings.textStyles || []).find(candidate =>
+      (candidate.minFontSize === undefined || (style.fontSize || 0) >= candidate.minFontSize)
+      && (candidate.minFontWeight === undefined || (style.fontWeight || 0) >= candidate.minFontWeight));
+    const fonts = this.mappings.fontFamilies || [];
+    if (style.fontFamily && fonts.length > 0 && !fonts.includes(style.fontFamily)) {
+      this._report('warning', 'off-typography',
+        `Text '${node.name}' uses font '${style.fontFamily}', which is not one of ${fonts.join(', ')}`, path);
+    }
+    return textStyle
+      ? { type: 'text', text: node.characters || '', style: textStyle.style }
+      : { type: 'text', text: node.characters || '' };
+  }
+
+  _component(node, mapping, path) {
+    const component = { type: mapping.type, id: this._uniqueId(node.name), ...(mapping.properties || {}) };
+    const propertyMappings = mapping.propertyMappings || {};
+    for (const [figmaName, value] of Object.entries(node.componentProperties || {})) {
+      const target = propertyMappings[figmaName.replace(/#.*$/, '')];
+      if (target) component[target] = propertyValue(value);
+    }
+
+    const consumed = new Set();
+    for (const [layer, target] of Object.entries(mapping.textMappings || {})) {
+      const text = this._findText(node, candidate => candidate.name === layer && !consumed.has(candidate));
+      if (text && component[target] === undefined) {
+        component[target] = text.characters || '';
+        consumed.add(text);
+      }
+    }
+
+    if (mapping.content) {
+      const components = this._children(node, path, consumed);
+      if (components.length > 0) component[mapping.content] = { type: 'stack', components };
+    }
+
+    component.$path = path;
+    component.$todo = (mapping.requiredBindings || []).map(binding => ({ ...binding }));
+    return component;
+  }
+
+  /**
+   * Fills outside the palette and spacing outside the scale
+   * @private
+   */
+  _checkDesign(node, path) {
+    if (this.palette.size > 0) {
+      for (const fill of node.fills || []) {
+        if (fill.type !== 'SOLID' || fill.visible === false || !fill.color) continue;
+        const colour = hexColour(fill.color);
+        if (!this.palette.has(colour)) {
+          this._report('warning', 'off-palette-colour', `'${node.name}' is filled with ${colour}, which is not a theme colour`, path);
+        }
+      }
+    }
+    const scale = this.mappings.spacingScale || [];
+    if (node.itemSpacing && scale.length > 0 && !scale.includes(node.itemSpacing)) {
+      this._report('warning', 'off-scale-spacing',
+        `'${node.name}' uses spacing ${node.itemSpacing}, which is not on the scale ${scale.join(', ')}`, path);
+    }
+  }
+}
+
+/**
+ * Visit every generated component that has an id
+ * @private
+ */
+function eachComponent(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach(item => eachComponent(item, visit));
+  } else if (value && typeof value === 'object' && !(value instanceof RawValue)) {
+    if (typeof value.id === 'string') visit(value);
+    Object.keys(value).filter(key => !key.startsWith('$')).forEach(key => eachComponent(value[key], visit));
+  }
+}
+
+/**
+ * Info diagnostics for the required bindings still missing
+ * @private
+ */
+function bindingDiagnostics(screens, file) {
+  const diagnostics = [];
+  for (const screen of screens) {
+    eachComponent(screen.layout, component => {
+      for (const { property, suggestedBinding } of component.$todo || []) {
+        diagnostics.push({
+          severity: 'info',
+          code: 'binding-needed',
+          message: `'${component.id}' needs a binding for '${property}', e.g. ${suggestedBinding}`,
+          file,
+          node: component.$path.join('/')
+        });
+      }
+    });
+  }
+  return diagnostics;
+}
+
+/**
+ * Convert the frames of a Figma export into screens
+ * @param {Object} exportJson - Parsed Figma export
+ * @param {Object} options - Conversion options
+ * @param {Object} options.mappings - Mapping table, see loadMappings()
+ * @param {Object} options.theme - `app.theme` colours, e.g. `{ primaryColor: '#2E5BFF' }`
+ * @param {string} options.file - Export file name recorded on diagnostics
+ * @returns {Object} `{screens, diagnostics}`; render screens with renderScreen()
+ */
+function transformFigma(exportJson, options = {}) {
+  const converter = new FigmaConverter(options);
+  const screens = exportFrames(exportJson).map(frame => converter.convertFrame(frame));
+  return { screens, diagnostics: converter.diagnostics.concat(bindingDiagnostics(screens, converter.file)) };
+}
+
+/**
+ * @private
+ */
+function renderKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render a generated value as Mobile DSL source
+ * @private
+ */
+function renderValue(value, depth, indent) {
+  const pad = indent.repeat(depth + 1);
+  if (value instanceof RawValue) return value.text;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => pad + renderValue(item, depth + 1, indent)).join(',\n')}\n${indent.repeat(depth)}]`;
+  }
+  if (value && typeof value === 'object') {
+    const lines = Object.keys(value)
+      .filter(key => !key.startsWith('$') && value[key] !== undefined)
+      .map(key => `${pad}${renderKey(key)}: ${renderValue(value[key], depth + 1, indent)}`);
+    (value.$todo || []).forEach(({ property, suggestedBinding }) => lines.push(`${pad}// TODO ${property}: ${suggestedBinding}`));
+    return `{\n${lines.join('\n')}\n${indent.repeat(depth)}}`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render a screen from transformFigma() as a `screen` declaration
+ * @param {Object} screen - The screen
+ * @param {Object} options - Rendering options
+ * @param {string} options.indent - Indentation unit, four spaces by default
+ * @returns {string} The declaration, without a trailing newline
+ */
+function renderScreen(screen, options = {}) {
+  const indent = options.indent || '    ';
+  const members = screen.members || [['title', screen.title], ['layout', screen.layout]];
+  const body = members.map(([key, value]) => (value === null
+    ? `${indent}${key}`
+    : `${indent}${renderKey(key)}: ${renderValue(value, 1, indent)}`));
+  return `screen ${screen.name} {\n${body.join(`\n${indent}\n`)}\n}`;
+}
+
+/**
+ * Check whether a developer owns a property: actions and bindings
+ * @private
+ */
+function isDeveloperOwned(property) {
+  if (property.type !== 'Property') return false;
+  if (property.key === 'action' || /^on[A-Z]/.test(property.key)) return true;
+  const { value } = property;
+  return value.type === 'CallExpression' || (value.type === 'StringLiteral' && value.value.startsWith('bind:'));
+}
+
+/**
+ * Merge a generated screen with its existing declaration
+ * @private
+ */
+function mergeScreen(screen, declaration, source, report) {
+  const raw = property => new RawValue(source.slice(property.value.loc.start.offset, property.loc.end.offset));
+  const layoutProperty = declaration.properties.find(member => member.type === 'Property' && member.key === 'layout');
+
+  const existing = new Map();
+  if (layoutProperty) {
+    walk(layoutProperty.value, node => {
+      if (node.type !== 'ObjectLiteral') return;
+      const id = node.properties.find(member => member.type === 'Property' && member.key === 'id');
+      if (id && id.value.type === 'StringLiteral') existing.set(id.value.value, node);
+    });
+  }
+
+  eachComponent(screen.layout, component => {
+    const node = existing.get(component.id);
+    if (!node) return;
+    existing.delete(component.id);
+    for (const property of node.properties.filter(member => member.type === 'Property')) {
+      if (property.key in component && !isDeveloperOwned(property)) continue;
+      component[property.key] = raw(property);
+      component.$todo = (component.$todo || []).filter(todo => todo.property !== property.key);
+    }
+  });
+
+  for (const [id, node] of existing) {
+    const owned = node.properties.filter(isDeveloperOwned).map(property => property.key);
+    if (owned.length > 0) {
+      report('warning', 'removed-component',
+        `'${id}' is no longer in the design; dropped its bindings and actions: ${owned.join(', ')}`, [screen.name, id]);
+    } else {
+      report('info', 'removed-component', `'${id}' is no longer in the design`, [screen.name, id]);
+    }
+  }
+
+  const members = declaration.properties.map(member => {
+    if (member.type === 'Flag') return [member.name, null];
+    if (member.key === 'layout') return ['layout', screen.layout];
+    if (member.key === 'title' && !isDeveloperOwned(member)) return ['title', screen.title];
+    return [member.key, raw(member)];
+  });
+  if (!members.some(([key]) => key === 'layout')) members.push(['layout', screen.layout]);
+  if (!members.some(([key]) => key === 'title')) members.unshift(['title', screen.title]);
+  screen.members = members;
+}
+
+/**
+ * Apply a Figma export to an existing .mobileapp source. Screens already
+ * declared are replaced by their merged version in place; new screens are
+ * appended.
+ * @param {string} source - The .mobileapp source text
+ * @param {Object} exportJson - Parsed Figma export
+ * @param {Object} options - As for transformFigma(), plus:
+ * @param {string} options.filename - Name of the .mobileapp, used in syntax errors and diagnostics
+ * @param {string} options.indent - Indentation unit, four spaces by default
+ * @returns {Object} `{source, screens, diagnostics}`
+ * @throws {FinappSyntaxError} If the existing source does not parse
+ */
+function mergeFigma(source, exportJson, options = {}) {
+  const converter = new FigmaConverter(options);
+  const screens = exportFrames(exportJson).map(frame => converter.convertFrame(frame));
+  const ast = parse(source, { filename: options.filename });
+  const declarations = new Map(ast.body
+    .filter(node => node.type === 'ScreenDeclaration')
+    .map(node => [node.name, node]));
+  const report = (severity, code, message, path) => converter.diagnostics.push({
+    severity, code, message, file: options.filename || '<input>', node: path.join('/')
+  });
+
+  let merged = source;
+  const appended = [];
+  const replacements = [];
+  for (const screen of screens) {
+    const declaration = declarations.get(screen.name);
+    if (!declaration) {
+      appended.push(renderScreen(screen, options));
+      continue;
+    }
+    mergeScreen(screen, declaration, source, report);
+    replacements.push({ declaration, text: renderScreen(screen, options) });
+  }
+  replacements
+    .sort((a, b) => b.declaration.loc.start.offset - a.declaration.loc.start.offset)
+    .forEach(({ declaration, text }) => {
+      merged = merged.slice(0, declaration.loc.start.offset) + text + merged.slice(declaration.loc.end.offset);
+    });
+  if (appended.length > 0) {
+    merged = `${merged.trimEnd()}\n\n${appended.join('\n\n')}\n`;
+  }
+
+  return {
+    source: merged,
+    screens,
+    diagnostics: converter.diagnostics.concat(bindingDiagnostics(screens, converter.file))
+  };
+}
+
+/**
+ * Format a diagnostic as `file: layer/path: severity: message [code]`
+ * @param {Object} diagnostic - A diagnostic from transformFigma() or mergeFigma()
+ * @returns {string} The formatted line
+ */
+function formatFigmaDiagnostic(diagnostic) {
+  const { file, node, severity, message, code } = diagnostic;
+  return `${file}: ${node}: ${severity}: ${message} [${code}]`;
+}
+
+module.exports = {
+  loadMappings,
+  transformFigma,
+  mergeFigma,
+  renderScreen,
+  formatFigmaDiagnostic
+};
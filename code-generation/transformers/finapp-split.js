@@ -0,0 +1,187 @@
+/**
+ * FinApp Split
+ *
+ * Splits a `.finapp` specification into a `.bizapp` and a `.mobileapp`
+ * (see finapp-loader for what goes where). The source text is cut at the
+ * top-level declarations rather than regenerated from the AST, so comments,
+ * ordering and formatting survive; each declaration takes the comments and
+ * blank lines in front of it. The `app` block is cut property by property
+ * into a business half and a mobile half with the same name. The mobile
+ * file starts with an import of every business name it uses.
+ *
+ * specDifferences() compares the original model with the merged one, which
+ * is how the migration proves nothing was lost.
+ */
+
+const { parse, propertiesToPlain } = require('../parsers/finapp-parser');
+const { buildModel } = require('../parsers/finapp-model');
+const { PLACEMENT, MOBILE_APP_PROPERTIES, exportedNames, collectReferences } = require('../parsers/finapp-loader');
+
+/**
+ * Spec entries compared by specDifferences(), besides the app
+ */
+const NAMED_COLLECTIONS = [
+  'errorCategories', 'errors', 'components', 'models', 'validations', 'apis', 'journeys', 'screens',
+  'notifications', 'apiEndpoints'
+];
+const SINGLE_DECLARATIONS = ['platform', 'navigation', 'apiConfiguration', 'mockData'];
+
+/**
+ * End offset of a member including a comma written right after it
+ * @private
+ */
+function memberEnd(source, member) {
+  const comma = /^[ \t]*,/.exec(source.slice(member.loc.end.offset));
+  return member.loc.end.offset + (comma ? comma[0].length : 0);
+}
+
+/**
+ * Cut the app declaration into a business and a mobile block
+ * @private
+ */
+function splitApp(source, node, start) {
+  const open = source.indexOf('{', node.nameLoc.end.offset) + 1;
+  const header = source.slice(start, open);
+  const parts = { bizapp: [], mobileapp: [] };
+  let previous = open;
+
+  for (const member of node.properties) {
+    const key = member.type === 'Flag' ? member.name : member.key;
+    const end = memberEnd(source, member);
+    parts[MOBILE_APP_PROPERTIES.includes(key) ? 'mobileapp' : 'bizapp'].push(source.slice(previous, end));
+    previous = end;
+  }
+
+  const closing = source.slice(previous, node.loc.end.offset);
+  return {
+    bizapp: parts.bizapp.length > 0 ? header + parts.bizapp.join('') + closing : null,
+    mobileapp: parts.mobileapp.length > 0 ? header + parts.mobileapp.join('') + closing : null
+  };
+}
+
+/**
+ * Join chunks into file text without leading blank lines
+ * @private
+ */
+function joinChunks(chunks) {
+  return `${chunks.join('').replace(/^\s*\n/, '').trimEnd()}\n`;
+}
+
+/**
+ * Render the import statement of the mobile file
+ * @private
+ */
+function importStatement(names, importPath) {
+  return `import {\n${names.map(name => `  ${name}`).join(',\n')}\n} from "${importPath}"\n\n`;
+}
+
+/**
+ * Split a .finapp source into .bizapp and .mobileapp sources
+ * @param {string} source - The .finapp source text
+ * @param {Object} options - Split options
+ * @param {string} options.filename - File name used in syntax errors
+ * @param {string} options.importPath - Path of the .bizapp as written in the import, e.g. `./loan-topup.bizapp`
+ * @returns {Object} `{bizapp, mobileapp, imports}`: both sources and the imported names
+ * @throws {FinappSyntaxError} If the source does not parse
+ */
+function splitSpec(source, options = {}) {
+  const ast = parse(source, { filename: options.filename });
+  const chunks = { bizapp: [], mobileapp: [] };
+  const nodes = { bizapp: [], mobileapp: [] };
+  let previous = 0;
+  let last = null;
+
+  for (const node of ast.body) {
+    const text = source.slice(previous, node.loc.end.offset);
+    if (node.type === 'AppDeclaration') {
+      const halves = splitApp(source, node, previous);
+      Object.keys(halves).filter(kind => halves[kind]).forEach(kind => {
+        chunks[kind].push(halves[kind]);
+        nodes[kind].push(node);
+        last = kind;
+      });
+    } else {
+      const kind = Object.keys(PLACEMENT).find(candidate => PLACEMENT[candidate].includes(node.type));
+      if (!kind || node.type === 'ImportDeclaration') {
+        throw new Error(`${options.filename || '<input>'}: '${node.type}' cannot appear in a .finapp to split`);
+      }
+      chunks[kind].push(text);
+      nodes[kind].push(node);
+      last = kind;
+    }
+    previous = node.loc.end.offset;
+  }
+  if (last) chunks[last].push(source.slice(previous));
+
+  const business = buildModel({ type: 'Program', filename: options.filename, body: nodes.bizapp, loc: ast.loc });
+  const exported = exportedNames(business);
+  const mobileProgram = { type: 'Program', body: nodes.mobileapp.filter(node => node.type !== 'AppDeclaration') };
+  const used = new Set(collectReferences(mobileProgram, [business]).map(reference => reference.name));
+  const imports = [...exported.keys()]
+    .filter(name => used.has(name))
+    .sort((a, b) => exported.get(a).loc.start.offset - exported.get(b).loc.start.offset);
+
+  return {
+    bizapp: joinChunks(chunks.bizapp),
+    mobileapp: (imports.length > 0 ? importStatement(imports, options.importPath) : '') + joinChunks(chunks.mobileapp),
+    imports
+  };
+}
+
+/**
+ * A node as JSON without locations, for comparing declarations across files
+ * @private
+ */
+function withoutLocations(node) {
+  return JSON.stringify(node, (key, value) => (key === 'loc' || key.endsWith('Loc') || key === 'filename' ? undefined : value));
+}
+
+/**
+ * Compare two specification models declaration by declaration, ignoring
+ * source locations and the order of app properties
+ * @param {Object} expected - Model of the original .finapp
+ * @param {Object} actual - Merged model of the split files
+ * @returns {Array<string>} One message per difference; empty when equivalent
+ */
+function specDifferences(expected, actual) {
+  const differences = [];
+  const appProperties = spec => (spec.app ? propertiesToPlain(spec.app.properties) : {});
+  const expectedApp = appProperties(expected);
+  const actualApp = appProperties(actual);
+
+  if ((expected.app && expected.app.name) !== (actual.app && actual.app.name)) {
+    differences.push('app name differs');
+  }
+  for (const key of new Set(Object.keys(expectedApp).concat(Object.keys(actualApp)))) {
+    if (JSON.stringify(expectedApp[key]) !== JSON.stringify(actualApp[key])) {
+      differences.push(`app property '${key}' differs`);
+    }
+  }
+
+  for (const collection of NAMED_COLLECTIONS) {
+    for (const name of new Set([...expected[collection].keys(), ...actual[collection].keys()])) {
+      if (!actual[collection].has(name)) {
+        differences.push(`${collection} '${name}' is missing`);
+      } else if (!expected[collection].has(name)) {
+        differences.push(`${collection} '${name}' was added`);
+      } else if (withoutLocations(expected[collection].get(name)) !== withoutLocations(actual[collection].get(name))) {
+        differences.push(`${collection} '${name}' differs`);
+      }
+    }
+  }
+
+  for (const key of SINGLE_DECLARATIONS) {
+    if (withoutLocations(expected[key]) !== withoutLocations(actual[key])) {
+      differences.push(`${key} differs`);
+    }
+  }
+  if (expected.duplicates.length !== actual.duplicates.length) {
+    differences.push(`${actual.duplicates.length} duplicate declaration(s) instead of ${expected.duplicates.length}`);
+  }
+  return differences;
+}
+
+module.exports = {
+  splitSpec,
+  specDifferences
+};
@@ -0,0 +1,174 @@
+/**
+ * JSON Schema Transformer
+ *
+ * Emits a JSON Schema (draft 2020-12) document for a specification. Every
+ * model and every api operation request/response becomes an entry under
+ * `$defs`; model references become `$ref`s. `validateInstance()` checks
+ * values against the emitted schema, so step definitions and fixtures can be
+ * validated without a schema library.
+ */
+
+const path = require('path');
+const { collectTypes } = require('./type-model');
+
+/**
+ * Draft identifier written to `$schema`
+ */
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Build the schema document of a specification
+ * @param {Object} spec - Specification model from buildModel()
+ * @param {Object} options - Options
+ * @param {string} options.id - `$id` of the document; defaults to `<file>.schema.json`
+ * @returns {Object} The schema document
+ */
+function generateJsonSchema(spec, options = {}) {
+  const base = path.basename(spec.filename || 'spec', '.finapp');
+  const title = spec.app ? spec.app.name : base;
+  const $defs = {};
+  for (const { name, description, type } of collectTypes(spec)) {
+    $defs[name] = { description, ...toSchema(type) };
+  }
+  return {
+    $schema: DRAFT,
+    $id: options.id || `${base}.schema.json`,
+    title,
+    description: `Types generated from ${path.basename(spec.filename || base)}`,
+    $defs
+  };
+}
+
+/**
+ * Render a type descriptor as a schema
+ * @private
+ */
+function toSchema(type, nullable = false) {
+  let schema;
+  switch (type.kind) {
+    case 'scalar':
+      schema = type.name === 'date' ? { type: 'string', format: 'date' } : { type: type.name };
+      break;
+    case 'ref':
+      schema = { $ref: `#/$defs/${type.name}` };
+      break;
+    case 'array':
+      schema = { type: 'array', items: toSchema(type.items) };
+      break;
+    case 'enum':
+      schema = { enum: type.values };
+      break;
+    case 'object':
+      schema = {
+        type: 'object',
+        properties: Object.fromEntries(type.fields.map(field => [field.name, toSchema(field.type, field.nullable)])),
+        required: type.fields.filter(field => field.required).map(field => field.name),
+        additionalProperties: false
+      };
+      break;
+    default:
+      schema = {};
+      break;
+  }
+
+  if (!nullable) return schema;
+  if (schema.type) return { ...schema, type: [schema.type, 'null'] };
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * Validate a value against a definition of a generated schema. Supports the
+ * keywords the generator emits: type, format date, enum, properties,
+ * required, additionalProperties, items, anyOf and local `$ref`s.
+ * @param {Object} schema - Document from generateJsonSchema()
+ * @param {string} definition - Name under `$defs`, e.g. `Loan`
+ * @param {any} value - The value
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Skip `required` at the top level, for objects built up in steps
+ * @returns {Array<Object>} Problems as `{path, message}`; empty when valid
+ */
+function validateInstance(schema, definition, value, options = {}) {
+  if (!schema.$defs[definition]) {
+    throw new Error(`Schema has no definition '${definition}'`);
+  }
+  const problems = [];
+  check(schema, schema.$defs[definition], value, definition, problems, options.partial === true);
+  return problems;
+}
+
+/**
+ * @private
+ */
+function check(root, schema, value, at, problems, partial) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    check(root, root.$defs[name], value, at, problems, false);
+    return;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const attempt = [];
+      check(root, option, value, at, attempt, false);
+      return attempt.length === 0;
+    });
+    if (!matches) problems.push({ path: at, message: 'does not match any allowed type' });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path: at, message: `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      problems.push({ path: at, message: `should be ${types.join(' or ')}` });
+      return;
+    }
+    if (value === null) return;
+  }
+
+  if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value)))) {
+    problems.push({ path: at, message: 'should be an ISO 8601 date' });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => check(root, schema.items, item, `${at}[${index}]`, problems, false));
+  }
+
+  if (schema.properties && value && typeof value === 'object') {
+    if (!partial) {
+      (schema.required || [])
+        .filter(name => value[name] === undefined)
+        .forEach(name => problems.push({ path: `${at}.${name}`, message: 'is required' }));
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (schema.properties[name]) {
+        if (item !== undefined) check(root, schema.properties[name], item, `${at}.${name}`, problems, false);
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: `${at}.${name}`, message: 'is not a declared field' });
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+module.exports = {
+  DRAFT,
+  generateJsonSchema,
+  validateInstance
+};
@@ -0,0 +1,202 @@
+/**
+ * Message Extraction
+ *
+ * Collects the user-facing text of a specification into a keyed source
+ * catalogue that translators work from:
+ *
+ *   - screen and navigation `title`, `text`, `label`, `placeholder`,
+ *     `message`, `description` and `value` strings
+ *   - error `message`s and validation `message`s
+ *   - the error hub's display properties that the display component
+ *     declares as `string` (`title`, `message`, `primaryAction`, ...)
+ *
+ * Bindings become ICU arguments named after the last segment of their path,
+ * so "Loan #{{item.id}}" is filed as "Loan #{id}"; a string that is nothing
+ * but bindings is data, not text, and is skipped. Keys come from
+ * messageKey(): "Select Top-up Amount" is `select_top_up_amount`. The same
+ * text on several screens is one message with several sources.
+ */
+
+const { toPlain, getProperty } = require('../parsers/finapp-parser');
+const { walk } = require('../parsers/finapp-model');
+const { messageKey } = require('../../core/lib/common/i18n');
+
+/**
+ * Screen and navigation properties whose strings are shown to the customer
+ */
+const TEXT_PROPERTIES = ['title', 'subtitle', 'text', 'label', 'placeholder', 'message', 'description', 'value'];
+
+/**
+ * `{{expression}}` bindings inside a string
+ */
+const BINDING = /\{\{\s*(.*?)\s*\}\}/g;
+
+/**
+ * ICU argument name for a binding: the last segment of a plain path, or
+ * `value` for anything more complex
+ * @private
+ */
+function argumentName(expression) {
+  return /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(expression)
+    ? expression.split('.').pop()
+    : 'value';
+}
+
+/**
+ * A source string as ICU message text, or null when it is not user-facing
+ * @param {string} text - The string as written in the specification
+ * @returns {Object|null} `{message, arguments}` where `arguments` maps each
+ *   ICU argument name to the binding expression it stands for
+ */
+function toMessage(text) {
+  if (typeof text !== 'string' || text.startsWith('bind:') || !/\p{L}/u.test(text.replace(BINDING, ''))) {
+    return null;
+  }
+  const args = {};
+  let message = '';
+  let last = 0;
+  for (const match of text.matchAll(BINDING)) {
+    message += escapeLiteral(text.slice(last, match.index));
+    let name = argumentName(match[1]);
+    for (let n = 2; args[name] !== undefined && args[name] !== match[1]; n++) {
+      name = `${argumentName(match[1])}${n}`;
+    }
+    args[name] = match[1];
+    message += `{${name}}`;
+    last = match.index + match[0].length;
+  }
+  message += escapeLiteral(text.slice(last));
+  return { message, arguments: args };
+}
+
+/**
+ * Quote the characters ICU treats as syntax
+ * @private
+ */
+function escapeLiteral(text) {
+  return text.replace(/'(?=[{}'])/g, '\'\'').replace(/[{}]+/g, braces => `'${braces}'`);
+}
+
+/**
+ * Walks a specification for its user-facing strings
+ * @private
+ */
+class MessageExtractor {
+  constructor(spec, file) {
+    this.spec = spec;
+    this.file = file;
+    this.messages = new Map();
+    this.diagnostics = [];
+  }
+
+  extract() {
+    for (const screen of this.spec.screens.values()) {
+      this._textProperties(screen, `screen ${screen.name}`);
+    }
+    if (this.spec.navigation) {
+      this._textProperties(this.spec.navigation, 'navigation');
+    }
+    for (const error of this.spec.errors.values()) {
+      this._property(getProperty(error, 'message'), `error ${error.name}`);
+    }
+    for (const validation of this.spec.validations.values()) {
+      this._property(getProperty(validation, 'message'), `validation ${validation.name}`);
+    }
+    for (const journey of this.spec.journeys.values()) {
+      if (journey.errorHub) this._handlers(journey.errorHub.handlers, `journey ${journey.name}`);
+    }
+    if (this.spec.platform && this.spec.platform.errorHub) {
+      this._handlers(this.spec.platform.errorHub.defaultHandlers, 'platform');
+    }
+    return [...this.messages.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  _textProperties(root, context) {
+    walk(root, node => {
+      if (node.type === 'Property' && TEXT_PROPERTIES.includes(node.key)) {
+        this._property(node, context);
+      }
+    });
+  }
+
+  /**
+   * Display properties the handler's component declares as strings
+   * @private
+   */
+  _handlers(handlers, context) {
+    for (const handler of handlers) {
+      const display = getProperty(handler, 'display');
+      const component = display && this.spec.components.get(toPlain(display.value));
+      const properties = getProperty(handler, 'properties');
+      if (!component || !properties || properties.value.type !== 'ObjectLiteral') continue;
+
+      const declared = toPlain((getProperty(component, 'properties') || {}).value) || {};
+      for (const property of properties.value.properties) {
+        if (property.type === 'Property' && ['string', 'string?'].includes(declared[property.key])) {
+          this._property(property, `${context} ${handler.error}`);
+        }
+      }
+    }
+  }
+
+  _property(property, context) {
+    if (!property || property.value.type !== 'StringLiteral') return;
+    const converted = toMessage(property.value.value);
+    if (!converted) return;
+
+    const key = messageKey(converted.message);
+    const source = {
+      file: this.file,
+      line: property.value.loc.start.line,
+      column: property.value.loc.start.column,
+      context: `${context} ${property.key}`
+    };
+    const existing = this.messages.get(key);
+    if (!existing) {
+      this.messages.set(key, { key, message: converted.message, arguments: converted.arguments, sources: [source] });
+    } else if (existing.message === converted.message) {
+      existing.sources.push(source);
+    } else {
+      this.diagnostics.push({
+        severity: 'warning',
+        code: 'key-collision',
+        message: `'${converted.message}' has the same key '${key}' as '${existing.message}' (line ${existing.sources[0].line}) and is not extracted`,
+        ...source
+      });
+    }
+  }
+}
+
+/**
+ * Extract the user-facing strings of a specification
+ * @param {Object} spec - Specification model from buildModel()
+ * @param {Object} options - Extraction options
+ * @param {string} options.file - File recorded on sources; defaults to `spec.filename`
+ * @returns {{messages: Array<Object>, diagnostics: Array<Object>}} Messages
+ *   `{key, message, arguments, sources}` ordered by key, where each source is
+ *   `{file, line, column, context}`, and `key-collision` warnings for
+ *   different text that would share a key
+ */
+function extractMessages(spec, options = {}) {
+  const extractor = new MessageExtractor(spec, options.file || spec.filename);
+  const messages = extractor.extract();
+  return { messages, diagnostics: extractor.diagnostics };
+}
+
+/**
+ * The source catalogue file for extracted messages: keys in order, two-space indented
+ * @param {Array<Object>} messages - Messages from extractMessages()
+ * @returns {string} JSON text
+ */
+function renderCatalogue(messages) {
+  const entries = {};
+  messages.forEach(entry => { entries[entry.key] = entry.message; });
+  return `${JSON.stringify(entries, null, 2)}\n`;
+}
+
+module.exports = {
+  TEXT_PROPERTIES,
+  toMessage,
+  extractMessages,
+  renderCatalogue
+};
@@ -0,0 +1,139 @@
+/**
+ * Type Model
+ *
+ * Turns the `model` blocks and `api ... operation` request/response shapes of
+ * a specification into neutral type descriptors. The JSON Schema and
+ * TypeScript emitters both render these descriptors, so the two outputs
+ * always agree.
+ *
+ * A descriptor is one of:
+ *   { kind: 'scalar', name: 'string' | 'number' | 'boolean' | 'date' }
+ *   { kind: 'ref', name: 'Loan' }
+ *   { kind: 'array', items: descriptor }
+ *   { kind: 'enum', values: ['error', 'warning'] }
+ *   { kind: 'object', fields: [{ name, type, required, nullable }] }
+ *   { kind: 'unknown', name }
+ */
+
+const { getProperty, getValue } = require('../parsers/finapp-parser');
+
+/**
+ * Scalar types understood by the emitters
+ */
+const SCALARS = ['string', 'number', 'boolean', 'date'];
+
+/**
+ * Convert a field type node into a descriptor
+ * @param {Object} spec - Specification model
+ * @param {Object} node - Identifier, ArrayType, OptionalType, UnionType or ObjectLiteral node
+ * @returns {Object} `{type, nullable}`
+ */
+function describeType(spec, node) {
+  switch (node.type) {
+    case 'OptionalType':
+      return { type: describeName(spec, node.baseType.name), nullable: true };
+    case 'ArrayType':
+      return { type: { kind: 'array', items: describeName(spec, node.elementType.name) }, nullable: false };
+    case 'Identifier':
+      return { type: describeName(spec, node.name), nullable: false };
+    case 'UnionType':
+      return { type: { kind: 'enum', values: node.options.map(option => option.value) }, nullable: false };
+    case 'ObjectLiteral':
+      return { type: describeObject(spec, node), nullable: false };
+    default:
+      return { type: { kind: 'unknown', name: node.type }, nullable: false };
+  }
+}
+
+/**
+ * @private
+ */
+function describeName(spec, name) {
+  if (SCALARS.includes(name)) return { kind: 'scalar', name };
+  if (spec.models.has(name)) return { kind: 'ref', name };
+  return { kind: 'unknown', name };
+}
+
+/**
+ * Describe an inline object such as `request: { loanId: string, term: number? }`.
+ * When any field is marked `required`, only marked fields are required (as in
+ * endpoint bodies); otherwise every field without `?` is (as in operations).
+ * @param {Object} spec - Specification model
+ * @param {Object} node - ObjectLiteral node
+ * @returns {Object} An object descriptor
+ */
+function describeObject(spec, node) {
+  const members = node.properties.filter(member => member.type === 'Property');
+  const explicit = members.some(member => member.required);
+  return {
+    kind: 'object',
+    fields: members.map(member => {
+      const { type, nullable } = describeType(spec, member.value);
+      return { name: member.key, type, nullable, required: explicit ? member.required : !nullable };
+    })
+  };
+}
+
+/**
+ * Describe a `model` block. Fields are required only when marked `required`.
+ * @param {Object} spec - Specification model
+ * @param {Object} model - ModelDeclaration node
+ * @returns {Object} An object descriptor
+ */
+function describeModel(spec, model) {
+  return {
+    kind: 'object',
+    fields: model.fields.map(field => {
+      const { type, nullable } = describeType(spec, field.fieldType);
+      return { name: field.name, type, nullable, required: field.required };
+    })
+  };
+}
+
+/**
+ * Collect every named type of a specification: one per model, then a
+ * request and a response per api operation (`LoanTopupServiceCheckEligibilityRequest`)
+ * @param {Object} spec - Specification model
+ * @returns {Array<Object>} `{name, description, type}` in declaration order
+ */
+function collectTypes(spec) {
+  const types = [...spec.models.values()].map(model => ({
+    name: model.name,
+    description: `model ${model.name}`,
+    type: describeModel(spec, model)
+  }));
+
+  for (const api of spec.apis.values()) {
+    for (const operation of api.operations || []) {
+      const method = getValue(operation, 'method', null);
+      const endpoint = getValue(api, 'endpoint', null);
+      const route = [method, endpoint].filter(Boolean).join(' ');
+      for (const part of ['request', 'response']) {
+        const property = getProperty(operation, part);
+        if (!property) continue;
+        types.push({
+          name: `${api.name}${capitalise(operation.name)}${capitalise(part)}`,
+          description: `${capitalise(part)} of ${api.name}.${operation.name}${route ? ` (${route})` : ''}`,
+          type: describeType(spec, property.value).type
+        });
+      }
+    }
+  }
+
+  return types;
+}
+
+/**
+ * @private
+ */
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  SCALARS,
+  describeType,
+  describeObject,
+  describeModel,
+  collectTypes
+};
@@ -0,0 +1,79 @@
+/**
+ * TypeScript Declarations Transformer
+ *
+ * Emits a `.d.ts` file for a specification: an interface per model and a
+ * request/response type per api operation, with the same names as the
+ * `$defs` of the JSON Schema transformer.
+ */
+
+const path = require('path');
+const { collectTypes } = require('./type-model');
+
+/**
+ * Render the declarations of a specification
+ * @param {Object} spec - Specification model from buildModel()
+ * @returns {string} The `.d.ts` source
+ */
+function generateDeclarations(spec) {
+  const file = path.basename(spec.filename || 'spec.finapp');
+  const lines = [
+    `// Generated from ${file} by code-generation/bin/finapp-generate-types.js. Do not edit.`,
+    '',
+    '/** ISO 8601 date, e.g. "2023-04-15" */',
+    'export type ISODate = string;'
+  ];
+
+  for (const { name, description, type } of collectTypes(spec)) {
+    lines.push('', `/** ${description} */`);
+    if (type.kind === 'object') {
+      lines.push(`export interface ${name} {`);
+      type.fields.forEach(field => {
+        const optional = field.required ? '' : '?';
+        const nullable = field.nullable ? ' | null' : '';
+        lines.push(`  ${propertyName(field.name)}${optional}: ${toTypeScript(field.type)}${nullable};`);
+      });
+      lines.push('}');
+    } else {
+      lines.push(`export type ${name} = ${toTypeScript(type)};`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a type descriptor as a TypeScript type
+ * @private
+ */
+function toTypeScript(type) {
+  switch (type.kind) {
+    case 'scalar':
+      return type.name === 'date' ? 'ISODate' : type.name;
+    case 'ref':
+      return type.name;
+    case 'array': {
+      const items = toTypeScript(type.items);
+      return /^\w+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+    }
+    case 'enum':
+      return type.values.map(value => JSON.stringify(value)).join(' | ');
+    case 'object':
+      return `{ ${type.fields.map(field => (
+        `${propertyName(field.name)}${field.required ? '' : '?'}: ${toTypeScript(field.type)}${field.nullable ? ' | null' : ''};`
+      )).join(' ')} }`;
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Quote property names that are not identifiers
+ * @private
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+module.exports = {
+  generateDeclarations
+};
@@ -0,0 +1,287 @@
+/**
+ * Business Calendar
+ *
+ * Working days per region: weekends, bank holidays, opening and cut-off
+ * times. Each region's calendar is the `calendar.json` of its region pack in
+ * `regions/`, so a year of holidays or a new region is a data change. Dates are local to
+ * the region's time zone: an instant is read as the date its clocks show
+ * there, and `YYYY-MM-DD` strings are calendar dates as given. Past the
+ * years a calendar's holidays cover, only its weekends are closed, and a
+ * warning says so once per region and year.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseInstant, zonedTime } = require('./clock');
+
+/**
+ * Directory of the region packs shipped with the runtime, each holding a `calendar.json`
+ */
+const CALENDARS_DIR = path.join(__dirname, 'regions');
+
+/**
+ * Days checked by nextBusinessDay() before giving up
+ */
+const MAX_SEARCH_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an unknown region or an invalid date or calendar, and
+ * passed to the warning handler for a date outside a calendar's data
+ */
+class CalendarError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `UNKNOWN_REGION`, `INVALID_DATE`, `OUTSIDE_COVERAGE` or `INVALID_CALENDAR`
+   * @param {string} details.region - Region id
+   * @param {string} details.date - The offending date
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CalendarError';
+    this.details = details;
+  }
+}
+
+/**
+ * Business-day calculations over per-region calendars
+ */
+class BusinessCalendar {
+  /**
+   * @param {Array<Object>} calendars - Calendar data: `{region, timeZone, weekend, opensAt,
+   *   cutOff, coverage: {from, to}, holidays: [{date, name}]}`
+   * @param {Object} options - Calendar options
+   * @param {Function} options.onWarning - Called with a CalendarError coded `OUTSIDE_COVERAGE`
+   *   the first time a region is asked about a year past its holidays; defaults to process.emitWarning()
+   * @throws {CalendarError} When a calendar lacks a region, time zone or coverage
+   */
+  constructor(calendars = [], options = {}) {
+    this.onWarning = options.onWarning || (warning => process.emitWarning(warning));
+    this.warned = new Set();
+    this.calendars = new Map();
+    calendars.forEach(calendar => {
+      const missing = ['region', 'timeZone', 'coverage'].find(key => !calendar[key]);
+      if (missing) {
+        throw new CalendarError(`Calendar ${calendar.region || '(unnamed)'} has no ${missing}`, {
+          code: 'INVALID_CALENDAR',
+          region: calendar.region
+        });
+      }
+      this.calendars.set(calendar.region, {
+        weekend: [0, 6],
+        opensAt: '09:00',
+        cutOff: '17:00',
+        ...calendar,
+        holidaysByDate: new Map((calendar.holidays || []).map(holiday => [holiday.date, holiday]))
+      });
+    });
+  }
+
+  /**
+   * Load every `.json` calendar in a directory, and the `calendar.json` of
+   * each of its subdirectories
+   * @param {string} directory - Directory of calendar files or region packs; defaults to the bundled `regions/`
+   * @param {Object} options - See constructor
+   * @returns {BusinessCalendar} The calendars
+   */
+  static fromDirectory(directory = CALENDARS_DIR, options = {}) {
+    const calendars = fs.readdirSync(directory, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => (entry.isDirectory() ? path.join(entry.name, 'calendar.json') : entry.name))
+      .filter(file => file.endsWith('.json') && fs.existsSync(path.join(directory, file)))
+      .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+    return new BusinessCalendar(calendars, options);
+  }
+
+  /**
+   * @returns {Array<string>} Ids of the regions with a calendar
+   */
+  get regions() {
+    return [...this.calendars.keys()];
+  }
+
+  /**
+   * @param {string} region - Region id
+   * @returns {Object} The region's calendar data
+   * @throws {CalendarError} For a region without a calendar
+   */
+  calendar(region) {
+    const calendar = this.calendars.get(region);
+    if (!calendar) {
+      throw new CalendarError(`No business calendar for region '${region}'`, { code: 'UNKNOWN_REGION', region });
+    }
+    return calendar;
+  }
+
+  /**
+   * @param {string} region - Region id
+   * @returns {string} The region's IANA time zone
+   */
+  timeZone(region) {
+    return this.calendar(region).timeZone;
+  }
+
+  /**
+   * The region's date for a value
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {string} region - Region id
+   * @returns {string} `YYYY-MM-DD`
+   * @throws {CalendarError} For a value that is neither
+   */
+  localDate(value, region) {
+    const { timeZone } = this.calendar(region);
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const check = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== value) {
+        throw new CalendarError(`Invalid date '${value}'`, { code: 'INVALID_DATE', region, date: value });
+      }
+      return value;
+    }
+    try {
+      return zonedTime(parseInstant(value, { timeZone }), timeZone).date;
+    } catch (error) {
+      throw new CalendarError(`Invalid date '${value}'`, { code: 'INVALID_DATE', region, date: String(value) });
+    }
+  }
+
+  /**
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {string} region - Region id
+   * @returns {Object|null} The `{date, name}` holiday on that date; null
+   *   outside the calendar's data, after a warning
+   */
+  holiday(value, region) {
+    const date = this.localDate(value, region);
+    if (!this.covers(date, region)) {
+      this._warnOutsideCoverage(date, region);
+      return null;
+    }
+    return this.calendar(region).holidaysByDate.get(date) || null;
+  }
+
+  /**
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {string} region - Region id
+   * @returns {boolean} Whether the calendar's holidays cover that date
+   */
+  covers(value, region) {
+    const date = this.localDate(value, region);
+    const { coverage } = this.calendar(region);
+    return date >= coverage.from && date <= coverage.to;
+  }
+
+  isHoliday(value, region) {
+    return this.holiday(value, region) !== null;
+  }
+
+  isWeekend(value, region) {
+    const date = this.localDate(value, region);
+    return this.calendar(region).weekend.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+
+  /**
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {string} region - Region id
+   * @returns {boolean} Whether the region's banks work that day
+   */
+  isBusinessDay(value, region) {
+    return !this.isWeekend(value, region) && !this.isHoliday(value, region);
+  }
+
+  /**
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {string} region - Region id
+   * @returns {string} The first business day after that date, as `YYYY-MM-DD`
+   * @throws {CalendarError} When no day within a year is a business day
+   */
+  nextBusinessDay(value, region) {
+    return this.addBusinessDays(value, 1, region);
+  }
+
+  /**
+   * @param {Date|string|number} value - An instant, or a `YYYY-MM-DD` date
+   * @param {number} days - Business days to add, at least 1
+   * @param {string} region - Region id
+   * @returns {string} `YYYY-MM-DD`
+   */
+  addBusinessDays(value, days, region) {
+    let date = this.localDate(value, region);
+    let remaining = days;
+    for (let step = 0; remaining > 0 && step < MAX_SEARCH_DAYS; step++) {
+      date = addDays(date, 1);
+      if (this.isBusinessDay(date, region)) remaining--;
+    }
+    if (remaining > 0) {
+      throw new CalendarError(`No business day within ${MAX_SEARCH_DAYS} days of ${date}`, { code: 'OUTSIDE_COVERAGE', region, date });
+    }
+    return date;
+  }
+
+  /**
+   * @param {Date|string|number} instant - The instant
+   * @param {string} region - Region id
+   * @returns {boolean} Whether the instant is at or after the day's cut-off in the region
+   */
+  isAfterCutOff(instant, region) {
+    const { timeZone, cutOff } = this.calendar(region);
+    const local = zonedTime(parseInstant(instant, { timeZone }), timeZone);
+    const time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+    return time >= cutOff;
+  }
+
+  /**
+   * The business day that books an instruction received at an instant: the
+   * same day before the cut-off on a business day, otherwise the next one
+   * @param {Date|string|number} instant - When the instruction arrived
+   * @param {string} region - Region id
+   * @returns {string} `YYYY-MM-DD`
+   */
+  processingDate(instant, region) {
+    const date = this.localDate(instant, region);
+    if (this.isBusinessDay(date, region) && !this.isAfterCutOff(instant, region)) {
+      return date;
+    }
+    return this.nextBusinessDay(date, region);
+  }
+
+  /**
+   * @param {string} date - `YYYY-MM-DD`
+   * @param {string} region - Region id
+   * @returns {Date} When the region's banks open on that date
+   */
+  openingTime(date, region) {
+    const { timeZone, opensAt } = this.calendar(region);
+    return parseInstant(`${this.localDate(date, region)}T${opensAt}`, { timeZone });
+  }
+
+  /**
+   * Warn, once per region and year, that a date falls outside the calendar's data
+   * @private
+   */
+  _warnOutsideCoverage(date, region) {
+    const key = `${region}:${date.slice(0, 4)}`;
+    if (this.warned.has(key)) return;
+    this.warned.add(key);
+
+    const { coverage } = this.calendar(region);
+    this.onWarning(new CalendarError(
+      `The ${region} calendar covers ${coverage.from} to ${coverage.to}, not ${date}; only weekends are treated as closed`,
+      { code: 'OUTSIDE_COVERAGE', region, date }
+    ));
+  }
+}
+
+/**
+ * @private
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  BusinessCalendar,
+  CalendarError,
+  CALENDARS_DIR
+};
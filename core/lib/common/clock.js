@@ -0,0 +1,291 @@
+/**
+ * Clock
+ *
+ * The time source for the runtimes and the simulated app. A clock either
+ * follows the system time or is frozen at an instant; both kinds can be set
+ * and advanced, so a scenario can say "it is 23:30 in Hong Kong" and then
+ * "three days have passed" without touching the machine's clock.
+ *
+ * Runtimes that take a `now` function are given `() => clock.now()`.
+ */
+
+/**
+ * Short weekday names as Intl writes them in en-US, Sunday first
+ */
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Milliseconds in each duration unit accepted by advance()
+ */
+const DURATION_UNITS = {
+  days: 24 * 60 * 60 * 1000,
+  hours: 60 * 60 * 1000,
+  minutes: 60 * 1000,
+  seconds: 1000,
+  milliseconds: 1
+};
+
+/**
+ * ISO 8601 date or date-time with an optional offset. The offset may be
+ * written `Z`, `+08`, `+0800` or `+08:00`.
+ */
+const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/;
+
+/**
+ * Error raised for a date-time that does not parse or an invalid duration
+ */
+class ClockError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.text - The offending value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ClockError';
+    this.details = details;
+  }
+}
+
+/**
+ * A settable, advanceable source of the current time
+ */
+class Clock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {Date|string|number} options.at - Freeze the clock at this instant
+   * @param {Function} options.source - Returns epoch milliseconds; defaults to `Date.now`
+   */
+  constructor(options = {}) {
+    this.source = options.source || Date.now;
+    this.offset = 0;
+    this.frozenAt = null;
+    if (options.at !== undefined) {
+      this.freeze(options.at);
+    }
+  }
+
+  /**
+   * @returns {Clock} A clock that follows the system time
+   */
+  static system() {
+    return new Clock();
+  }
+
+  /**
+   * @param {Date|string|number} at - The instant, see parseInstant()
+   * @returns {Clock} A clock frozen at the instant
+   */
+  static fixed(at) {
+    return new Clock({ at });
+  }
+
+  /**
+   * @returns {Date} The current time
+   */
+  now() {
+    return new Date(this.frozenAt !== null ? this.frozenAt : this.source() + this.offset);
+  }
+
+  /**
+   * Whether the clock stands still
+   */
+  get frozen() {
+    return this.frozenAt !== null;
+  }
+
+  /**
+   * Stop the clock
+   * @param {Date|string|number} at - Where to stop it; defaults to the current time
+   * @returns {Clock} This clock
+   */
+  freeze(at) {
+    this.frozenAt = at === undefined ? this.now().getTime() : parseInstant(at).getTime();
+    return this;
+  }
+
+  /**
+   * Let a frozen clock run again from where it stands
+   * @returns {Clock} This clock
+   */
+  unfreeze() {
+    if (this.frozenAt !== null) {
+      this.offset = this.frozenAt - this.source();
+      this.frozenAt = null;
+    }
+    return this;
+  }
+
+  /**
+   * Move the clock to an instant. A frozen clock stays frozen there; a
+   * running clock carries on from it.
+   * @param {Date|string|number} at - The instant, see parseInstant()
+   * @param {Object} options - Parse options, see parseInstant()
+   * @returns {Clock} This clock
+   */
+  set(at, options = {}) {
+    const instant = parseInstant(at, options).getTime();
+    if (this.frozenAt !== null) {
+      this.frozenAt = instant;
+    } else {
+      this.offset = instant - this.source();
+    }
+    return this;
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number|Object} duration - Milliseconds, or `{days, hours, minutes, seconds, milliseconds}`;
+   *   a day is 24 hours whatever the time zone
+   * @returns {Clock} This clock
+   * @throws {ClockError} For a negative or malformed duration
+   */
+  advance(duration) {
+    const ms = durationMs(duration);
+    if (this.frozenAt !== null) {
+      this.frozenAt += ms;
+    } else {
+      this.offset += ms;
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} The current wall-clock time in the zone, see zonedTime()
+   */
+  zoned(timeZone) {
+    return zonedTime(this.now(), timeZone);
+  }
+
+  /**
+   * @param {string} timeZone - IANA time zone
+   * @returns {string} Today's date in the zone as `YYYY-MM-DD`
+   */
+  today(timeZone) {
+    return this.zoned(timeZone).date;
+  }
+}
+
+/**
+ * Read an instant. Strings are ISO 8601; one without an offset is wall-clock
+ * time in `options.timeZone`, so `2025-03-15T10:30` in `Asia/Hong_Kong` and
+ * `2025-03-15T10:30:00+08` are the same instant.
+ * @param {Date|string|number} value - A Date, epoch milliseconds or an ISO 8601 string
+ * @param {Object} options - Parse options
+ * @param {string} options.timeZone - IANA time zone for strings without an offset
+ * @returns {Date} The instant
+ * @throws {ClockError} When the value is not a date-time, or has no offset and no time zone is given
+ */
+function parseInstant(value, options = {}) {
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value instanceof Date ? value.getTime() : value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ClockError(`Invalid date-time '${value}'`, { text: String(value) });
+    }
+    return date;
+  }
+
+  const text = String(value).trim();
+  const match = DATE_TIME.exec(text);
+  if (!match) {
+    throw new ClockError(`Invalid date-time '${text}'`, { text });
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00', fraction = '0', zone] = match;
+  const fields = [year, month, day, hour, minute, second].map(Number);
+  const ms = Number(fraction.padEnd(3, '0'));
+
+  if (zone) {
+    const offset = zone === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2}):?(\d{2})?$/, (all, hours, minutes) => `${hours}:${minutes || '00'}`);
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${String(ms).padStart(3, '0')}${offset}`);
+    if (Number.isNaN(date.getTime())) {
+      throw new ClockError(`Invalid date-time '${text}'`, { text });
+    }
+    return date;
+  }
+
+  if (!options.timeZone) {
+    throw new ClockError(`Date-time '${text}' has no offset and no time zone was given`, { text });
+  }
+  const instant = fromWallClock(fields, options.timeZone);
+  const check = zonedTime(instant, options.timeZone);
+  if (check.year !== fields[0] || check.month !== fields[1] || check.day !== fields[2]) {
+    throw new ClockError(`Invalid date-time '${text}'`, { text });
+  }
+  return new Date(instant.getTime() + ms);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date|string|number} value - The instant
+ * @param {string} timeZone - IANA time zone, e.g. `Europe/London`; the machine's zone when omitted
+ * @returns {Object} `{year, month, day, hour, minute, second, weekday, date}` where `month` is
+ *   1-based, `weekday` is 0 for Sunday and `date` is `YYYY-MM-DD`
+ */
+function zonedTime(value, timeZone) {
+  const instant = value instanceof Date ? value : new Date(value);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(instant);
+  const part = type => parts.find(candidate => candidate.type === type).value;
+  const [year, month, day] = [part('year'), part('month'), part('day')];
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(part('hour')),
+    minute: Number(part('minute')),
+    second: Number(part('second')),
+    weekday: WEEKDAYS.indexOf(part('weekday')),
+    date: `${year}-${month}-${day}`
+  };
+}
+
+/**
+ * The instant at which a zone's clocks show the given wall-clock time. In a
+ * daylight-saving gap the time is read with the offset in force before it.
+ * @private
+ */
+function fromWallClock([year, month, day, hour, minute, second], timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = wall;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const shown = zonedTime(instant, timeZone);
+    const shownMs = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute, shown.second);
+    instant += wall - shownMs;
+  }
+  return new Date(instant);
+}
+
+/**
+ * @private
+ */
+function durationMs(duration) {
+  if (typeof duration === 'number') {
+    if (!Number.isFinite(duration) || duration < 0) {
+      throw new ClockError(`Invalid duration '${duration}'`, { text: String(duration) });
+    }
+    return duration;
+  }
+  const units = Object.keys(duration || {});
+  const unknown = units.find(unit => !DURATION_UNITS[unit]);
+  if (!units.length || unknown) {
+    throw new ClockError(`Invalid duration ${JSON.stringify(duration)}`, { text: JSON.stringify(duration) });
+  }
+  return durationMs(units.reduce((total, unit) => total + Number(duration[unit]) * DURATION_UNITS[unit], 0));
+}
+
+module.exports = {
+  Clock,
+  ClockError,
+  parseInstant,
+  zonedTime
+};
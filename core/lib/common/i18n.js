@@ -0,0 +1,403 @@
+/**
+ * Message Catalogues
+ *
+ * Keyed, per-locale catalogues of user-facing text in ICU message syntax,
+ * and a formatter for the part of ICU the apps use: `{name}` arguments,
+ * `{name, number}` and `{name, number, integer|percent}`, `{name, plural,
+ * =0 {...} one {...} other {...}}` with `#` for the number, and `{name,
+ * select, a {...} other {...}}`. Plural categories come from `Intl.PluralRules`
+ * for the locale, so `one` never applies in `zh-HK`.
+ *
+ * Lookups fall back from a locale to the source language in the same region,
+ * then to the source language: `zh-HK` -> `en-HK` -> `en`. Catalogues are
+ * read from `<name>.<locale>.json` files, which the message extractor writes
+ * for the source language and translators write for the others.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Locale of the text written in specifications
+ */
+const SOURCE_LOCALE = 'en';
+
+/**
+ * Error raised for a message that does not parse, an unknown key, or a
+ * missing argument
+ */
+class MessageFormatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `SYNTAX`, `UNKNOWN_KEY` or `MISSING_VALUE`
+   * @param {string} details.key - Message key
+   * @param {string} details.argument - Argument without a value
+   * @param {number} details.offset - Offset of a syntax error in the message
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MessageFormatError';
+    this.details = details;
+  }
+}
+
+/**
+ * Reads ICU message text into parts
+ * @private
+ */
+class MessageParser {
+  constructor(text) {
+    this.text = text;
+    this.index = 0;
+  }
+
+  parse() {
+    const parts = this._parts(false);
+    if (this.index < this.text.length) {
+      this._fail(`Unexpected '${this.text[this.index]}'`);
+    }
+    return parts;
+  }
+
+  /**
+   * Literal text and arguments up to an unmatched `}`
+   */
+  _parts(inPlural) {
+    const parts = [];
+    let literal = '';
+    const flush = () => {
+      if (literal) parts.push(literal);
+      literal = '';
+    };
+    while (this.index < this.text.length) {
+      const char = this.text[this.index];
+      if (char === '}') break;
+      if (char === '{') {
+        flush();
+        parts.push(this._argument(inPlural));
+      } else if (char === '#' && inPlural) {
+        flush();
+        parts.push({ type: 'pound' });
+        this.index++;
+      } else if (char === '\'') {
+        literal += this._quoted(inPlural);
+      } else {
+        literal += char;
+        this.index++;
+      }
+    }
+    flush();
+    return parts;
+  }
+
+  /**
+   * `''` is an apostrophe; `'{...}'` quotes syntax characters; any other
+   * apostrophe is literal
+   */
+  _quoted(inPlural) {
+    const next = this.text[this.index + 1];
+    if (next === '\'') {
+      this.index += 2;
+      return '\'';
+    }
+    if (next === '{' || next === '}' || (next === '#' && inPlural)) {
+      const end = this.text.indexOf('\'', this.index + 1);
+      const quoted = this.text.slice(this.index + 1, end === -1 ? this.text.length : end);
+      this.index = end === -1 ? this.text.length : end + 1;
+      return quoted;
+    }
+    this.index++;
+    return '\'';
+  }
+
+  /**
+   * One `{...}` argument; `inPlural` is whether it sits inside a plural,
+   * so a `#` in a nested select still stands for that plural's number
+   */
+  _argument(inPlural) {
+    this.index++;
+    const name = this._word('an argument name');
+    if (this._skip('}')) {
+      return { type: 'argument', name };
+    }
+    this._expect(',');
+    const format = this._word('number, plural or select');
+    if (format === 'number') {
+      const style = this._skip(',') ? this._word('a number style') : null;
+      if (style && !['integer', 'percent'].includes(style)) {
+        this._fail(`Unknown number style '${style}'`);
+      }
+      this._expect('}');
+      return { type: 'number', name, style };
+    }
+    if (format !== 'plural' && format !== 'select') {
+      this._fail(`Unknown argument type '${format}'`);
+    }
+    this._expect(',');
+    const options = {};
+    this._spaces();
+    while (this.text[this.index] !== '}') {
+      const selector = this._word('a selector', format === 'plural' ? /^=?[\w-]+/ : /^[\w-]+/);
+      this._expect('{');
+      options[selector] = this._parts(format === 'plural' || inPlural);
+      this._expect('}');
+      this._spaces();
+      if (this.index >= this.text.length) this._fail('Unclosed argument');
+    }
+    this.index++;
+    if (!options.other) {
+      this._fail(`The ${format} of '${name}' needs an 'other' option`);
+    }
+    return { type: format, name, options };
+  }
+
+  _word(expected, pattern = /^[A-Za-z_][\w-]*/) {
+    this._spaces();
+    const match = pattern.exec(this.text.slice(this.index));
+    if (!match) this._fail(`Expected ${expected}`);
+    this.index += match[0].length;
+    this._spaces();
+    return match[0];
+  }
+
+  _skip(char) {
+    this._spaces();
+    if (this.text[this.index] !== char) return false;
+    this.index++;
+    return true;
+  }
+
+  _expect(char) {
+    if (!this._skip(char)) {
+      this._fail(this.index < this.text.length ? `Expected '${char}'` : 'Unclosed argument');
+    }
+  }
+
+  _spaces() {
+    while (/\s/.test(this.text[this.index] || '')) this.index++;
+  }
+
+  _fail(problem) {
+    throw new MessageFormatError(`${problem} at offset ${this.index} of "${this.text}"`, {
+      code: 'SYNTAX',
+      offset: this.index
+    });
+  }
+}
+
+/**
+ * Parse an ICU message
+ * @param {string} text - Message text
+ * @returns {Array} Parts: literal strings and `{type, name, ...}` arguments
+ * @throws {MessageFormatError} With code `SYNTAX`
+ */
+function parseMessage(text) {
+  return new MessageParser(String(text)).parse();
+}
+
+/**
+ * Names of the arguments a message uses, including those inside plural and select options
+ * @param {string} text - Message text
+ * @returns {Array<string>} Sorted names
+ * @throws {MessageFormatError} With code `SYNTAX`
+ */
+function messageArguments(text) {
+  const names = new Set();
+  const visit = parts => parts.forEach(part => {
+    if (typeof part === 'string' || part.type === 'pound') return;
+    names.add(part.name);
+    Object.values(part.options || {}).forEach(visit);
+  });
+  visit(parseMessage(text));
+  return [...names].sort();
+}
+
+/**
+ * Fill a message's arguments
+ * @param {string} text - Message text
+ * @param {string} locale - Locale for numbers and plural rules
+ * @param {Object} values - Argument values
+ * @returns {string} The formatted text
+ * @throws {MessageFormatError} With code `SYNTAX` or `MISSING_VALUE`
+ */
+function formatMessage(text, locale, values = {}) {
+  const numbers = new Intl.NumberFormat(locale);
+  const value = name => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new MessageFormatError(`No value for {${name}} in "${text}"`, { code: 'MISSING_VALUE', argument: name });
+    }
+    return values[name];
+  };
+  const render = (parts, count) => parts.map(part => {
+    if (typeof part === 'string') return part;
+    switch (part.type) {
+      case 'pound':
+        return numbers.format(count);
+      case 'argument':
+        return String(value(part.name));
+      case 'number':
+        return new Intl.NumberFormat(locale, {
+          maximumFractionDigits: part.style === 'integer' ? 0 : undefined,
+          style: part.style === 'percent' ? 'percent' : 'decimal'
+        }).format(Number(value(part.name)));
+      case 'plural': {
+        const number = Number(value(part.name));
+        const option = part.options[`=${number}`]
+          || part.options[new Intl.PluralRules(locale).select(number)]
+          || part.options.other;
+        return render(option, number);
+      }
+      default:
+        return render(part.options[String(value(part.name))] || part.options.other, count);
+    }
+  }).join('');
+  return render(parseMessage(text), null);
+}
+
+/**
+ * The key a source text is filed under: its words in lower case joined by
+ * underscores, so "Select Top-up Amount" is `select_top_up_amount`
+ * @param {string} text - Source text
+ * @returns {string} The key
+ */
+function messageKey(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Locales to look a message up in, most specific first. Only the region
+ * subtag carries over to the source language, so `zh-Hant-HK` falls back
+ * to `en-HK` rather than `en-Hant`
+ * @param {string} locale - Requested locale, e.g. `zh-HK`
+ * @param {string} sourceLocale - Language the messages were written in
+ * @returns {Array<string>} e.g. `['zh-HK', 'en-HK', 'en']`
+ */
+function fallbackLocales(locale, sourceLocale = SOURCE_LOCALE) {
+  const region = String(locale).split('-').slice(1).find(subtag => /^([A-Za-z]{2}|\d{3})$/.test(subtag));
+  return [...new Set([locale, region ? `${sourceLocale}-${region}` : null, sourceLocale].filter(Boolean))];
+}
+
+/**
+ * Messages per locale with fallback lookup
+ */
+class MessageCatalogue {
+  /**
+   * @param {Object} messages - Locale mapped to `{key: message}`
+   * @param {Object} options - Catalogue options
+   * @param {string} options.sourceLocale - Language the messages were written in; defaults to `en`
+   */
+  constructor(messages = {}, options = {}) {
+    this.messages = messages;
+    this.sourceLocale = options.sourceLocale || SOURCE_LOCALE;
+  }
+
+  /**
+   * Read the `<name>.<locale>.json` catalogues of a directory
+   * @param {string} directory - Directory holding the catalogues
+   * @param {string} name - Catalogue name, e.g. `loan-topup`
+   * @param {Object} options - See constructor
+   * @returns {MessageCatalogue} The catalogue; empty when the directory does not exist
+   */
+  static fromDirectory(directory, name, options = {}) {
+    return new MessageCatalogue(readCatalogues(directory, name), options);
+  }
+
+  /**
+   * A catalogue with more messages; they win over this catalogue's for the same locale and key
+   * @param {Object} messages - Locale mapped to `{key: message}`
+   * @returns {MessageCatalogue} The new catalogue
+   */
+  extend(messages = {}) {
+    const merged = { ...this.messages };
+    for (const [locale, entries] of Object.entries(messages)) {
+      merged[locale] = { ...merged[locale], ...entries };
+    }
+    return new MessageCatalogue(merged, { sourceLocale: this.sourceLocale });
+  }
+
+  /**
+   * @returns {Array<string>} Locales with messages
+   */
+  locales() {
+    return Object.keys(this.messages);
+  }
+
+  /**
+   * Whether any locale has a message for a key
+   * @param {string} key - Message key
+   * @returns {boolean} True when the key is known
+   */
+  has(key) {
+    return Object.values(this.messages).some(entries => Object.prototype.hasOwnProperty.call(entries, key));
+  }
+
+  /**
+   * Find the message for a key along the locale's fallbacks
+   * @param {string} key - Message key
+   * @param {string} locale - Requested locale
+   * @returns {Object|null} `{locale, message}` with the locale the message came from, or null
+   */
+  lookup(key, locale) {
+    for (const candidate of fallbackLocales(locale, this.sourceLocale)) {
+      const entries = this.messages[candidate] || {};
+      if (Object.prototype.hasOwnProperty.call(entries, key)) {
+        return { locale: candidate, message: entries[key] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Format the message for a key in a locale. Numbers and plurals follow
+   * the requested locale even when the text comes from a fallback.
+   * @param {string} key - Message key
+   * @param {string} locale - Requested locale
+   * @param {Object} values - Argument values
+   * @returns {string} The formatted text
+   * @throws {MessageFormatError} With code `UNKNOWN_KEY`, `SYNTAX` or `MISSING_VALUE`
+   */
+  format(key, locale, values = {}) {
+    const found = this.lookup(key, locale);
+    if (!found) {
+      throw new MessageFormatError(`No message '${key}' for ${locale}`, { code: 'UNKNOWN_KEY', key });
+    }
+    try {
+      return formatMessage(found.message, locale, values);
+    } catch (error) {
+      if (error instanceof MessageFormatError) error.details.key = key;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Read `<name>.<locale>.json` files
+ * @param {string} directory - Directory holding the catalogues
+ * @param {string} name - Catalogue name
+ * @returns {Object} Locale mapped to `{key: message}`
+ */
+function readCatalogues(directory, name) {
+  if (!fs.existsSync(directory)) return {};
+  const messages = {};
+  for (const file of fs.readdirSync(directory).sort()) {
+    if (!file.startsWith(`${name}.`) || !file.endsWith('.json')) continue;
+    const locale = file.slice(name.length + 1, -'.json'.length);
+    if (/^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$/.test(locale)) {
+      messages[locale] = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    }
+  }
+  return messages;
+}
+
+module.exports = {
+  SOURCE_LOCALE,
+  MessageFormatError,
+  MessageCatalogue,
+  parseMessage,
+  messageArguments,
+  formatMessage,
+  messageKey,
+  fallbackLocales,
+  readCatalogues
+};
@@ -0,0 +1,275 @@
+/**
+ * Loan Math
+ *
+ * Repayment arithmetic for instalment loans: annuity payments over a term,
+ * the balance-weighted rate of an existing loan plus a top-up, the full
+ * amortisation schedule and the representative APR. Rates are annual and
+ * in percentage points (`6.5` is 6.5%), amounts are in the currency's major
+ * unit, and every amount a customer would see is rounded by the currency's
+ * rounding rule.
+ *
+ * The DSL registers these calculations as primitives, so the offer
+ * expressions, the app and the step assertions all use this one module.
+ */
+
+/**
+ * Rounding rule per currency: minor-unit decimals and the rounding mode
+ */
+const DEFAULT_ROUNDING = {
+  GBP: { decimals: 2, mode: 'half-up' },
+  HKD: { decimals: 2, mode: 'half-up' },
+  SGD: { decimals: 2, mode: 'half-up' }
+};
+
+/**
+ * Rounding rule for a currency without one of its own
+ */
+const FALLBACK_ROUNDING = { decimals: 2, mode: 'half-up' };
+
+/**
+ * Rounding modes applied to the scaled amount
+ */
+const MODES = {
+  'half-up': value => Math.sign(value) * Math.floor(Math.abs(value) + 0.5),
+  'half-even': value => {
+    const floor = Math.floor(value);
+    const fraction = value - floor;
+    if (fraction !== 0.5) return Math.round(value);
+    return floor % 2 === 0 ? floor : floor + 1;
+  },
+  up: value => Math.sign(value) * Math.ceil(Math.abs(value)),
+  down: value => Math.trunc(value)
+};
+
+/**
+ * Decimals kept on blended rates
+ */
+const RATE_DECIMALS = 4;
+
+/**
+ * Bisection steps when solving for the APR; far more than the precision needs
+ */
+const MAX_APR_ITERATIONS = 200;
+
+/**
+ * Error raised for figures the calculations cannot use
+ */
+class LoanMathError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.field - The offending argument
+   * @param {any} details.value - Its value
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LoanMathError';
+    this.details = details;
+  }
+}
+
+/**
+ * Annuity, schedule and APR calculations with per-currency rounding
+ */
+class LoanCalculator {
+  /**
+   * @param {Object} options - Calculator options
+   * @param {Object} options.rounding - `{decimals, mode}` by currency code, merged over the
+   *   defaults; modes are `half-up`, `half-even`, `up` and `down`
+   * @throws {LoanMathError} For an unknown rounding mode
+   */
+  constructor(options = {}) {
+    this.rounding = { ...DEFAULT_ROUNDING, ...(options.rounding || {}) };
+    Object.entries(this.rounding).forEach(([currency, rule]) => {
+      if (!MODES[rule.mode]) {
+        throw new LoanMathError(`Unknown rounding mode '${rule.mode}' for ${currency}; expected one of ${Object.keys(MODES).join(', ')}`, {
+          field: 'rounding',
+          value: rule.mode
+        });
+      }
+    });
+  }
+
+  /**
+   * Round an amount by the currency's rule
+   * @param {number} amount - The amount
+   * @param {string} currency - ISO currency code
+   * @returns {number} The rounded amount
+   */
+  round(amount, currency) {
+    const rule = this.rounding[currency] || FALLBACK_ROUNDING;
+    const factor = 10 ** rule.decimals;
+    // toPrecision drops binary noise such as 1.005 * 100 = 100.49999999999999
+    const scaled = Number((amount * factor).toPrecision(15));
+    return MODES[rule.mode](scaled) / factor;
+  }
+
+  /**
+   * Balance-weighted annual rate of several balances
+   * @param {Array<Object>} tranches - `{balance, rate}` for each part of the loan
+   * @returns {number} The rate in percentage points
+   * @throws {LoanMathError} When there is no balance to weight by
+   */
+  blendedRate(tranches) {
+    tranches.forEach(tranche => {
+      requireNumber('balance', tranche.balance, { min: 0 });
+      requireNumber('rate', tranche.rate, { min: 0 });
+    });
+    const total = tranches.reduce((sum, tranche) => sum + tranche.balance, 0);
+    if (!total) {
+      throw new LoanMathError('A blended rate needs a balance greater than zero', { field: 'balance', value: total });
+    }
+    const weighted = tranches.reduce((sum, tranche) => sum + tranche.balance * tranche.rate, 0);
+    return roundTo(weighted / total, RATE_DECIMALS);
+  }
+
+  /**
+   * Level monthly payment that repays a principal over a term
+   * @param {number} principal - Amount borrowed
+   * @param {number} annualRate - Annual rate in percentage points
+   * @param {number} months - Term in months
+   * @param {string} currency - ISO currency code
+   * @returns {number} The rounded payment
+   * @throws {LoanMathError} For a negative amount or rate, or a term that is not a whole number of months
+   */
+  monthlyPayment(principal, annualRate, months, currency) {
+    requireNumber('principal', principal, { min: 0 });
+    requireNumber('annualRate', annualRate, { min: 0 });
+    requireTerm(months);
+    const rate = annualRate / 100 / 12;
+    if (!rate) return this.round(principal / months, currency);
+    return this.round((principal * rate) / (1 - (1 + rate) ** -months), currency);
+  }
+
+  /**
+   * Month-by-month repayment of a principal. Interest is rounded each month
+   * and the final payment absorbs the rounding, so the balance ends at zero.
+   * @param {number} principal - Amount borrowed
+   * @param {number} annualRate - Annual rate in percentage points
+   * @param {number} months - Term in months
+   * @param {string} currency - ISO currency code
+   * @returns {Array<Object>} `{period, payment, interest, principal, balance}` per month
+   */
+  schedule(principal, annualRate, months, currency) {
+    const payment = this.monthlyPayment(principal, annualRate, months, currency);
+    const rate = annualRate / 100 / 12;
+    const rows = [];
+    let balance = principal;
+
+    for (let period = 1; period <= months; period++) {
+      const interest = this.round(balance * rate, currency);
+      const repaid = period === months ? balance : Math.min(this.round(payment - interest, currency), balance);
+      balance = this.round(balance - repaid, currency);
+      rows.push({
+        period,
+        payment: this.round(repaid + interest, currency),
+        interest,
+        principal: repaid,
+        balance
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Annual percentage rate at which the payments repay the advance: the
+   * monthly rate that discounts the payments to the advance, compounded
+   * over a year
+   * @param {number} advance - Credit advanced, net of any fees
+   * @param {Array<number>} payments - Monthly payments, the first one month after the advance
+   * @returns {number} The APR in percentage points, to one decimal place
+   * @throws {LoanMathError} When the payments do not cover the advance
+   */
+  apr(advance, payments) {
+    requireNumber('advance', advance, { min: 0 });
+    if (!payments.length) {
+      throw new LoanMathError('An APR needs at least one payment', { field: 'payments', value: payments });
+    }
+    const presentValue = monthlyRate => payments.reduce((sum, payment, index) => sum + payment / (1 + monthlyRate) ** (index + 1), 0);
+    if (presentValue(0) < advance) {
+      throw new LoanMathError('The payments repay less than the advance', { field: 'payments', value: payments });
+    }
+
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < MAX_APR_ITERATIONS && high - low > 1e-12; step++) {
+      const middle = (low + high) / 2;
+      if (presentValue(middle) > advance) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return roundTo(((1 + (low + high) / 2) ** 12 - 1) * 100, 1);
+  }
+
+  /**
+   * Loan figures after a top-up repaid with the existing balance over the
+   * remaining term, at the balance-weighted rate of the two
+   * @param {Object} loan - The top-up
+   * @param {number} loan.currentBalance - Balance of the existing loan
+   * @param {number} loan.currentRate - Annual rate of the existing loan
+   * @param {number} loan.amount - Top-up amount
+   * @param {number} loan.topupRate - Annual rate offered on the top-up
+   * @param {number} loan.remainingTerm - Months left on the existing loan
+   * @param {string} loan.currency - ISO currency code
+   * @param {number} loan.fees - Fees charged on the top-up, counted in the APR; defaults to 0
+   * @returns {Object} `{amount, newTotalLoan, interestRate, newMonthlyPayment, remainingTerm,
+   *   totalInterestPayable, totalRepayable, representativeAPR}`
+   */
+  topup(loan) {
+    const { currentBalance, currentRate, amount, topupRate, remainingTerm, currency, fees = 0 } = loan;
+    requireNumber('amount', amount, { min: 0 });
+    requireNumber('fees', fees, { min: 0 });
+    const newTotalLoan = this.round(currentBalance + amount, currency);
+    const interestRate = this.blendedRate([
+      { balance: currentBalance, rate: currentRate },
+      { balance: amount, rate: topupRate }
+    ]);
+    const schedule = this.schedule(newTotalLoan, interestRate, remainingTerm, currency);
+    const totalRepayable = this.round(schedule.reduce((sum, row) => sum + row.payment, 0), currency);
+
+    return {
+      amount,
+      newTotalLoan,
+      interestRate,
+      newMonthlyPayment: schedule[0].payment,
+      remainingTerm,
+      totalInterestPayable: this.round(totalRepayable - newTotalLoan, currency),
+      totalRepayable,
+      representativeAPR: this.apr(newTotalLoan - fees, schedule.map(row => row.payment))
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function requireNumber(field, value, { min = -Infinity } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+    throw new LoanMathError(`'${field}' must be a number${min === 0 ? ' of zero or more' : ''}, got ${value}`, { field, value });
+  }
+}
+
+/**
+ * @private
+ */
+function requireTerm(months) {
+  if (!Number.isInteger(months) || months < 1) {
+    throw new LoanMathError(`'months' must be a whole number of months, got ${months}`, { field: 'months', value: months });
+  }
+}
+
+/**
+ * @private
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(Number((value * factor).toPrecision(15))) / factor;
+}
+
+module.exports = {
+  LoanCalculator,
+  LoanMathError,
+  DEFAULT_ROUNDING
+};
@@ -0,0 +1,407 @@
+/**
+ * Region Formatting
+ *
+ * Currency, number, percentage and date formatting driven by the `regions`
+ * of an app declaration (`locale`, `currency`, `currencySymbol`,
+ * `dateFormat`), with parse and verify helpers for assertions. Nothing here
+ * knows about particular regions: a region added to the specification
+ * formats and parses through the same code.
+ *
+ * Separators and symbol placement come from `Intl` for the region's locale;
+ * the symbol itself is always the declared `currencySymbol`, so `HK$` and
+ * `S$` are not flattened to `$`.
+ */
+
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+const { ClockError, parseInstant } = require('./clock');
+
+/**
+ * Error raised for an unknown region or a value that does not parse
+ */
+class RegionFormatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.region - Region id or label
+   * @param {string} details.text - Text that failed to parse
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RegionFormatError';
+    this.details = details;
+  }
+}
+
+/**
+ * Date format used when a region declares none
+ */
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Date pattern tokens, longest first
+ */
+const DATE_TOKEN = /YYYY|YY|MM|M|DD|D/g;
+
+/**
+ * Formats and parses values the way each region displays them
+ */
+class RegionFormatter {
+  /**
+   * @param {Array<Object>} regions - Region declarations:
+   *   `{id, locale, currency, currencySymbol, dateFormat, timeZone}`; `locale` may be a list
+   */
+  constructor(regions = []) {
+    this.regions = regions.map(region => ({ ...region, locales: [].concat(region.locale || 'en') }));
+  }
+
+  /**
+   * Create a formatter for the regions of a specification
+   * @param {Object} spec - Specification model from buildModel()
+   * @returns {RegionFormatter} The formatter
+   */
+  static fromSpec(spec) {
+    const property = spec.app ? getProperty(spec.app, 'regions') : null;
+    return new RegionFormatter(property ? toPlain(property.value) : []);
+  }
+
+  /**
+   * Create a formatter for the regions of a .finapp file
+   * @param {string} filePath - Path to the specification
+   * @returns {RegionFormatter} The formatter
+   */
+  static fromFile(filePath) {
+    return RegionFormatter.fromSpec(loadSpec(filePath));
+  }
+
+  /**
+   * Find a region by id (`UK`), currency code or label containing it
+   * (`GBP (£)`), or locale (`zh-HK`)
+   * @param {string} key - The id, currency or locale
+   * @returns {Object} The region, with `locales` as a list
+   * @throws {RegionFormatError} When no region matches
+   */
+  region(key) {
+    const text = String(key);
+    const found = this.regions.find(region => region.id === text)
+      || this.regions.find(region => region.currency && new RegExp(`\\b${region.currency}\\b`).test(text))
+      || this.regions.find(region => region.locales.includes(text));
+    if (!found) {
+      throw new RegionFormatError(`Unknown region '${text}'`, { region: text });
+    }
+    return found;
+  }
+
+  /**
+   * Format a currency amount, e.g. `£1,234.50`
+   * @param {number} amount - The amount
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - Options
+   * @param {string} options.locale - One of the region's locales; defaults to the first
+   * @param {number} options.fractionDigits - Override the currency's minor digits
+   * @returns {string} The formatted amount
+   */
+  formatCurrency(amount, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    return this._currencyParts(region, Number(amount), options).map(part => part.value).join('');
+  }
+
+  /**
+   * Format a number with the region's separators, e.g. `1,234.5`
+   * @param {number} value - The number
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`, and `fractionDigits` to fix the digits
+   * @returns {string} The formatted number
+   */
+  formatNumber(value, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    return new Intl.NumberFormat(this._locale(region, options), digits(options.fractionDigits)).format(Number(value));
+  }
+
+  /**
+   * Format a percentage given in percentage points, e.g. 6.9 → `6.9%`
+   * @param {number} value - Percentage points
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`, and `fractionDigits` (default 1)
+   * @returns {string} The formatted percentage
+   */
+  formatPercent(value, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    const fractionDigits = options.fractionDigits === undefined ? 1 : options.fractionDigits;
+    return new Intl.NumberFormat(this._locale(region, options), { style: 'percent', ...digits(fractionDigits) })
+      .format(Number(value) / 100);
+  }
+
+  /**
+   * Format an annual percentage rate as written in the specification, e.g. `6.9% APR`
+   * @param {number} value - Percentage points
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - See formatPercent()
+   * @returns {string} The formatted rate
+   */
+  formatApr(value, regionKey, options = {}) {
+    return `${this.formatPercent(value, regionKey, options)} APR`;
+  }
+
+  /**
+   * Format a date with the region's `dateFormat`, e.g. `15/04/2024`.
+   * `YYYY-MM-DD` strings are read as calendar dates, not UTC instants. Other
+   * values are instants, shown on the region's date in its `timeZone` (UTC
+   * for regions that declare none), whatever the machine's time zone.
+   * @param {Date|string|number} value - The date
+   * @param {string} regionKey - Region id, currency or locale
+   * @returns {string} The formatted date
+   */
+  formatDate(value, regionKey) {
+    const region = this.region(regionKey);
+    const { year, month, day } = calendarDate(value, region);
+    const pad = number => String(number).padStart(2, '0');
+    const parts = {
+      YYYY: String(year),
+      YY: String(year).slice(-2),
+      MM: pad(month),
+      M: String(month),
+      DD: pad(day),
+      D: String(day)
+    };
+    return dateFormat(region).replace(DATE_TOKEN, token => parts[token]);
+  }
+
+  /**
+   * Parse a currency amount. Grouping separators and the fraction are
+   * optional, so `£25,000` and `£25000.00` both read as 25000.
+   * @param {string} text - The text
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`
+   * @returns {number} The amount
+   * @throws {RegionFormatError} When the text is not an amount in this region's currency
+   */
+  parseCurrency(text, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    const match = new RegExp(`^\\s*${this._currencySource(region, options)}\\s*$`).exec(String(text));
+    if (!match) {
+      throw new RegionFormatError(`'${text}' is not a ${region.currency} amount for region ${region.id}`, { region: region.id, text });
+    }
+    return this._toNumber(match[0], region, options);
+  }
+
+  /**
+   * Parse a number written with the region's separators
+   * @param {string} text - The text
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`
+   * @returns {number} The number
+   * @throws {RegionFormatError} When the text is not a number
+   */
+  parseNumber(text, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    const { group, decimal } = this._separators(region, options);
+    const pattern = new RegExp(`^\\s*-?\\d{1,3}(?:${escape(group)}?\\d{3})*(?:${escape(decimal)}\\d+)?\\s*$`);
+    if (!pattern.test(String(text))) {
+      throw new RegionFormatError(`'${text}' is not a number for region ${region.id}`, { region: region.id, text });
+    }
+    return this._toNumber(text, region, options);
+  }
+
+  /**
+   * Parse a percentage, with or without an `APR` suffix, to percentage points
+   * @param {string} text - The text, e.g. `6.9% APR`
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`
+   * @returns {number} Percentage points
+   * @throws {RegionFormatError} When the text is not a percentage
+   */
+  parsePercent(text, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    const match = /^\s*(.+?)\s*%\s*(?:APR)?\s*$/.exec(String(text));
+    if (!match) {
+      throw new RegionFormatError(`'${text}' is not a percentage for region ${region.id}`, { region: region.id, text });
+    }
+    return this.parseNumber(match[1], region.id, options);
+  }
+
+  /**
+   * Parse a date written in the region's `dateFormat`
+   * @param {string} text - The text, e.g. `15/04/2024`
+   * @param {string} regionKey - Region id, currency or locale
+   * @returns {Date} Midnight of that day in the region's `timeZone` (UTC for
+   *   regions that declare none), so formatDate() shows the same day
+   * @throws {RegionFormatError} When the text does not match or is not a real day
+   */
+  parseDate(text, regionKey) {
+    const region = this.region(regionKey);
+    const tokens = [];
+    const source = escape(dateFormat(region)).replace(DATE_TOKEN, token => {
+      tokens.push(token);
+      return token.length === 4 ? '(\\d{4})' : token.length === 2 ? '(\\d{2})' : '(\\d{1,2})';
+    });
+    const match = new RegExp(`^\\s*${source}\\s*$`).exec(String(text));
+    const fail = () => new RegionFormatError(`'${text}' is not a ${dateFormat(region)} date for region ${region.id}`, { region: region.id, text });
+    if (!match) throw fail();
+
+    const values = {};
+    tokens.forEach((token, index) => {
+      values[token[0]] = Number(match[index + 1]) + (token === 'YY' ? 2000 : 0);
+    });
+    const pad = (number, width) => String(number).padStart(width, '0');
+    try {
+      return parseInstant(`${pad(values.Y, 4)}-${pad(values.M, 2)}-${pad(values.D, 2)}T00:00`, {
+        timeZone: region.timeZone || 'UTC'
+      });
+    } catch (error) {
+      if (error instanceof ClockError) throw fail();
+      throw error;
+    }
+  }
+
+  /**
+   * Whether text is an amount in the region's currency
+   * @param {string} text - The text
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`; `exact: false` also accepts amounts
+   *   without grouping or minor digits, such as `£25,000`
+   * @returns {boolean} True when it is
+   */
+  isCurrency(text, regionKey, options = {}) {
+    try {
+      const value = this.parseCurrency(text, regionKey, options);
+      return options.exact === false || this.formatCurrency(value, regionKey, options) === String(text).trim();
+    } catch (error) {
+      if (error instanceof RegionFormatError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether text is a valid date in the region's `dateFormat`
+   * @param {string} text - The text
+   * @param {string} regionKey - Region id, currency or locale
+   * @returns {boolean} True when it is
+   */
+  isDate(text, regionKey) {
+    try {
+      this.parseDate(text, regionKey);
+      return true;
+    } catch (error) {
+      if (error instanceof RegionFormatError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Find the amounts in the region's currency inside a longer text
+   * @param {string} text - The text, e.g. a whole screen
+   * @param {string} regionKey - Region id, currency or locale
+   * @param {Object} options - `locale`; `exact: true` keeps only fully formatted amounts
+   * @returns {Array<Object>} Matches as `{text, value, index}`
+   */
+  findAmounts(text, regionKey, options = {}) {
+    const region = this.region(regionKey);
+    const pattern = new RegExp(`(?<![\\p{L}\\d])${this._currencySource(region, options)}`, 'gu');
+    return [...String(text).matchAll(pattern)]
+      .map(match => ({ text: match[0], value: this._toNumber(match[0], region, options), index: match.index }))
+      .filter(amount => !options.exact || this.formatCurrency(amount.value, region.id, options) === amount.text);
+  }
+
+  /**
+   * @private
+   */
+  _locale(region, options) {
+    if (options.locale && !region.locales.includes(options.locale)) {
+      throw new RegionFormatError(`Locale '${options.locale}' is not declared for region ${region.id}`, { region: region.id });
+    }
+    return options.locale || region.locales[0];
+  }
+
+  /**
+   * Intl currency parts with the declared symbol substituted
+   * @private
+   */
+  _currencyParts(region, amount, options) {
+    const format = new Intl.NumberFormat(this._locale(region, options), {
+      style: 'currency',
+      currency: region.currency,
+      ...digits(options.fractionDigits)
+    });
+    return format.formatToParts(amount).map(part => (
+      part.type === 'currency' && region.currencySymbol ? { ...part, value: region.currencySymbol } : part
+    ));
+  }
+
+  /**
+   * @private
+   */
+  _separators(region, options) {
+    const parts = new Intl.NumberFormat(this._locale(region, options)).formatToParts(1234567.5);
+    const find = type => (parts.find(part => part.type === type) || {}).value;
+    return { group: find('group') || ',', decimal: find('decimal') || '.' };
+  }
+
+  /**
+   * Regular expression source for an amount, with the symbol where the locale puts it
+   * @private
+   */
+  _currencySource(region, options) {
+    const parts = this._currencyParts(region, -1234.5, options);
+    const { group, decimal } = this._separators(region, options);
+    const number = `\\d{1,3}(?:${escape(group)}?\\d{3})*(?:${escape(decimal)}\\d+)?`;
+    const symbol = escape(parts.find(part => part.type === 'currency').value);
+    const symbolFirst = parts.findIndex(part => part.type === 'currency') < parts.findIndex(part => part.type === 'integer');
+    return symbolFirst ? `-?${symbol}\\s?${number}` : `-?${number}\\s?${symbol}`;
+  }
+
+  /**
+   * @private
+   */
+  _toNumber(text, region, options) {
+    const { group, decimal } = this._separators(region, options);
+    const digitsOnly = String(text)
+      .split(group).join('')
+      .replace(decimal, '.')
+      .replace(/[^\d.-]/g, '');
+    return Number(digitsOnly);
+  }
+}
+
+/**
+ * @private
+ */
+function digits(fractionDigits) {
+  return fractionDigits === undefined ? {} : { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits };
+}
+
+/**
+ * @private
+ */
+function dateFormat(region) {
+  return region.dateFormat || DEFAULT_DATE_FORMAT;
+}
+
+/**
+ * @private
+ */
+function calendarDate(value, region) {
+  const plain = value instanceof Date ? null : /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (plain) return { year: Number(plain[1]), month: Number(plain[2]), day: Number(plain[3]) };
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RegionFormatError(`Invalid date '${value}'`, { region: region.id, text: String(value) });
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: region.timeZone || 'UTC', year: 'numeric', month: 'numeric', day: 'numeric'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(candidate => candidate.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+/**
+ * @private
+ */
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  RegionFormatter,
+  RegionFormatError
+};
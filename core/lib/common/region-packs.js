@@ -0,0 +1,209 @@
+/**
+ * Region Packs
+ *
+ * Everything the runtime knows about a region, bundled in one directory so
+ * that adding a region is a data drop-in. A pack is a directory under
+ * `regions/` holding
+ *
+ *   - `region.json`: locale, currency and date format, the regulator, the
+ *     cooling-off rule, the amount limits and the mandatory disclosures per
+ *     screen
+ *   - `calendar.json`: the business calendar (see business-calendar.js)
+ *
+ * Packs are discovered, not listed: every subdirectory with a `region.json`
+ * is a pack. Completeness is checked by the region pack validator in
+ * code-generation, which compares packs with each other and with the
+ * `app.regions` of a specification.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BusinessCalendar } = require('./business-calendar');
+const { RegionFormatter } = require('./region-format');
+
+/**
+ * Directory of the region packs shipped with the runtime
+ */
+const REGION_PACKS_DIR = path.join(__dirname, 'regions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an unknown region or a pack that cannot be read
+ */
+class RegionPackError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `UNKNOWN_REGION` or `INVALID_PACK`
+   * @param {string} details.region - Region id
+   * @param {string} details.file - The pack file that could not be read
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RegionPackError';
+    this.details = details;
+  }
+}
+
+/**
+ * Read a pack file, or null when the pack has none
+ * @private
+ */
+function readPackFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new RegionPackError(`Cannot read ${file}: ${error.message}`, { code: 'INVALID_PACK', file });
+  }
+}
+
+/**
+ * Read the packs of a directory
+ * @param {string} directory - Directory of pack directories; defaults to the bundled `regions/`
+ * @returns {Array<Object>} The `region.json` of each pack with its `calendar`
+ *   and the `files` it was read from, ordered by directory name
+ * @throws {RegionPackError} With code `INVALID_PACK` for a file that is not JSON
+ */
+function readRegionPacks(directory = REGION_PACKS_DIR) {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(directory, entry.name, 'region.json')))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(entry => {
+      const files = {
+        region: path.join(directory, entry.name, 'region.json'),
+        calendar: path.join(directory, entry.name, 'calendar.json')
+      };
+      return { ...readPackFile(files.region), calendar: readPackFile(files.calendar), files };
+    });
+}
+
+/**
+ * The discovered region packs
+ */
+class RegionPacks {
+  /**
+   * @param {Array<Object>} packs - Packs as readRegionPacks() returns them
+   */
+  constructor(packs = []) {
+    this.packs = packs;
+    this._calendar = null;
+  }
+
+  /**
+   * Discover the packs of a directory
+   * @param {string} directory - Directory of pack directories; defaults to the bundled `regions/`
+   * @returns {RegionPacks} The packs
+   */
+  static fromDirectory(directory = REGION_PACKS_DIR) {
+    return new RegionPacks(readRegionPacks(directory));
+  }
+
+  /**
+   * @returns {Array<string>} Region ids with a pack
+   */
+  get ids() {
+    return this.packs.map(pack => pack.id);
+  }
+
+  /**
+   * @param {string} id - Region id
+   * @returns {boolean} Whether the region has a pack
+   */
+  has(id) {
+    return this.packs.some(pack => pack.id === id);
+  }
+
+  /**
+   * @param {string} id - Region id
+   * @returns {Object} The region's pack
+   * @throws {RegionPackError} With code `UNKNOWN_REGION`
+   */
+  get(id) {
+    const pack = this.packs.find(candidate => candidate.id === id);
+    if (!pack) {
+      throw new RegionPackError(`No region pack for '${id}'`, { code: 'UNKNOWN_REGION', region: id });
+    }
+    return pack;
+  }
+
+  /**
+   * The region as the app and the DSL use it: the pack's settings without its
+   * disclosures and calendar, with the regulator's id as `regulatoryBody`
+   * @param {string} id - Region id
+   * @returns {Object} `{id, displayName, locale, locales, currency, currencySymbol,
+   *   currencyName, dateFormat, regulatoryBody, regulator, coolingOffDays, minAmount, maxAmount, timeZone}`
+   */
+  region(id) {
+    const pack = this.get(id);
+    const regulator = pack.regulator || {};
+    const limits = pack.amountLimits || {};
+    return {
+      id: pack.id,
+      displayName: pack.displayName,
+      locale: pack.locale,
+      locales: [].concat(pack.locale || []),
+      currency: pack.currency,
+      currencySymbol: pack.currencySymbol,
+      currencyName: pack.currencyName,
+      dateFormat: pack.dateFormat,
+      regulatoryBody: regulator.id,
+      regulator,
+      coolingOffDays: (pack.coolingOff || {}).days,
+      minAmount: limits.min,
+      maxAmount: limits.max,
+      timeZone: pack.calendar ? pack.calendar.timeZone : null
+    };
+  }
+
+  /**
+   * The mandatory disclosures a region shows on a screen
+   * @param {string} id - Region id
+   * @param {string} screen - Screen name, e.g. `TermsScreen`
+   * @returns {Object} Disclosure names mapped to their text; empty when the screen has none
+   */
+  disclosures(id, screen) {
+    return { ...(this.get(id).disclosures || {})[screen] };
+  }
+
+  /**
+   * @returns {RegionFormatter} A formatter for the packs' regions
+   */
+  formatter() {
+    return new RegionFormatter(this.packs.map(pack => this.region(pack.id)));
+  }
+
+  /**
+   * @returns {BusinessCalendar} The packs' business calendars
+   */
+  calendar() {
+    this._calendar = this._calendar || new BusinessCalendar(this.packs.filter(pack => pack.calendar).map(pack => pack.calendar));
+    return this._calendar;
+  }
+
+  /**
+   * The last day a customer can withdraw from an agreement made at an
+   * instant: the region's cooling-off days after the local date, counted as
+   * business days when the pack says so
+   * @param {string} id - Region id
+   * @param {Date|string|number} value - When the agreement was made, or its `YYYY-MM-DD` date
+   * @returns {string} `YYYY-MM-DD`
+   */
+  coolingOffEnds(id, value) {
+    const { days, businessDays } = this.get(id).coolingOff;
+    const calendar = this.calendar();
+    const date = calendar.localDate(value, id);
+    if (businessDays) {
+      return calendar.addBusinessDays(date, days, id);
+    }
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = {
+  REGION_PACKS_DIR,
+  RegionPackError,
+  RegionPacks,
+  readRegionPacks
+};
@@ -0,0 +1,192 @@
+/**
+ * Amount Options
+ *
+ * The pre-defined top-up amounts offered on the amount selection screen.
+ * Limits come from the `customerSegments` block of the app declaration and
+ * from the customer's `TopupOffer`; every amount lies on the step of the
+ * screen's amount slider. The strategy is deterministic so that the options
+ * for each region and segment can be written down in a scenario.
+ */
+
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+
+/**
+ * Number of options offered when the caller does not ask for another count
+ */
+const DEFAULT_COUNT = 3;
+
+/**
+ * Significands of the round amounts interior options snap to
+ */
+const NICE_UNITS = [1, 2, 5];
+
+/**
+ * Error raised for an unknown segment or region, or limits that leave no amounts
+ */
+class AmountOptionsError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `UNKNOWN_SEGMENT`, `UNKNOWN_REGION`, `NO_AMOUNTS` or `INVALID_COUNT`
+   * @param {string} details.segment - Segment id
+   * @param {string} details.region - Region id
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AmountOptionsError';
+    this.details = details;
+  }
+}
+
+/**
+ * Generates pre-defined amount options per region and segment
+ */
+class AmountOptionGenerator {
+  /**
+   * @param {Array<Object>} segments - Customer segments: `{id, minTopupAmounts, maxTopupAmounts}`
+   *   with amounts by region id
+   * @param {Object} options - Generator options
+   * @param {number} options.step - Slider step every amount lies on; defaults to 1
+   */
+  constructor(segments = [], options = {}) {
+    this.segments = segments;
+    this.step = options.step || 1;
+  }
+
+  /**
+   * Create a generator for the segments and amount slider of a specification
+   * @param {Object} spec - Specification model from buildModel()
+   * @returns {AmountOptionGenerator} The generator
+   */
+  static fromSpec(spec) {
+    const property = spec.app ? getProperty(spec.app, 'customerSegments') : null;
+    return new AmountOptionGenerator(property ? toPlain(property.value) : [], { step: sliderStep(spec) });
+  }
+
+  /**
+   * The amount range open to a customer: the segment limits, narrowed by
+   * the offer, moved inwards onto the slider step
+   * @param {Object} context - Customer context
+   * @param {string} context.region - Region id
+   * @param {string} context.segment - Segment id
+   * @param {Object} context.offer - The customer's TopupOffer; its `minTopupAmount` and
+   *   pre-approved `maxTopupAmount` narrow the segment limits
+   * @returns {Object} `{minAmount, maxAmount, step}`
+   * @throws {AmountOptionsError} For an unknown segment or region, or an empty range
+   */
+  range(context) {
+    const segment = this.segments.find(candidate => candidate.id === context.segment);
+    if (!segment) {
+      throw new AmountOptionsError(`Unknown customer segment '${context.segment}'`, { code: 'UNKNOWN_SEGMENT', segment: context.segment });
+    }
+    const segmentMin = (segment.minTopupAmounts || {})[context.region];
+    const segmentMax = (segment.maxTopupAmounts || {})[context.region];
+    if (segmentMin === undefined || segmentMax === undefined) {
+      throw new AmountOptionsError(`Segment '${segment.id}' has no top-up limits for region '${context.region}'`, {
+        code: 'UNKNOWN_REGION',
+        segment: segment.id,
+        region: context.region
+      });
+    }
+
+    const offer = context.offer || {};
+    const minAmount = Math.ceil(Math.max(segmentMin, offer.minTopupAmount || 0) / this.step) * this.step;
+    const maxAmount = Math.floor(Math.min(segmentMax, offer.maxTopupAmount || Infinity) / this.step) * this.step;
+    if (minAmount > maxAmount) {
+      throw new AmountOptionsError(`No ${this.step}-step amount lies between ${minAmount} and ${maxAmount} for ${segment.id} in ${context.region}`, {
+        code: 'NO_AMOUNTS',
+        segment: segment.id,
+        region: context.region
+      });
+    }
+    return { minAmount, maxAmount, step: this.step };
+  }
+
+  /**
+   * Pre-defined amounts and the default selection. The first and last
+   * options are the range limits. The others are evenly spaced between
+   * them and snapped to a round unit: the largest 1, 2 or 5 times a power
+   * of ten that is at most half the spacing, and never below the slider
+   * step. The suggested amount is the middle option, the lower one of the
+   * two middles for an even count.
+   * @param {Object} context - See range(); plus `count`, the number of options (default 3)
+   * @returns {Object} `{options, suggestedAmount, minAmount, maxAmount, step}`; fewer options
+   *   than asked for when the range is too narrow to hold them
+   * @throws {AmountOptionsError} See range(), or for a count below two
+   */
+  generate(context) {
+    const count = context.count === undefined ? DEFAULT_COUNT : context.count;
+    if (!Number.isInteger(count) || count < 2) {
+      throw new AmountOptionsError(`Amount options need a count of at least 2, got ${count}`, { code: 'INVALID_COUNT' });
+    }
+
+    const { minAmount, maxAmount, step } = this.range(context);
+    const spacing = (maxAmount - minAmount) / (count - 1);
+    const unit = Math.max(step, roundUnit(spacing / 2));
+    const options = [minAmount];
+
+    for (let index = 1; index < count - 1; index++) {
+      const exact = minAmount + spacing * index;
+      const candidates = [Math.round(exact / unit) * unit, Math.round(exact / step) * step];
+      const amount = candidates.find(candidate => candidate > options[options.length - 1] && candidate < maxAmount);
+      if (amount !== undefined) options.push(amount);
+    }
+    if (maxAmount > minAmount) options.push(maxAmount);
+
+    return {
+      options,
+      suggestedAmount: options[Math.floor((options.length - 1) / 2)],
+      minAmount,
+      maxAmount,
+      step
+    };
+  }
+}
+
+/**
+ * Largest 1, 2 or 5 times a power of ten that is at most the value
+ * @private
+ */
+function roundUnit(value) {
+  if (value < 1) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const significand = NICE_UNITS.filter(unit => unit * power <= value).pop();
+  return significand * power;
+}
+
+/**
+ * Step of the first amount slider declared on a screen
+ * @private
+ */
+function sliderStep(spec) {
+  for (const screen of spec.screens.values()) {
+    const layout = getProperty(screen, 'layout');
+    const slider = layout ? findComponent(toPlain(layout.value), 'sliderInput') : null;
+    if (slider && slider.step) return slider.step;
+  }
+  return 1;
+}
+
+/**
+ * @private
+ */
+function findComponent(value, type) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findComponent(item, type);
+      if (found) return found;
+    }
+  } else if (value && typeof value === 'object') {
+    if (value.type === type) return value;
+    for (const child of Object.values(value)) {
+      const found = findComponent(child, type);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  AmountOptionGenerator,
+  AmountOptionsError
+};
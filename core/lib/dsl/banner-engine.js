@@ -0,0 +1,236 @@
+/**
+ * Banner Engine
+ *
+ * Chooses the `PromotionalBanner`s to show a customer. The banners live in
+ * a catalogue file that marketing maintains; this module only knows the
+ * rules: a banner applies when its region and segment match and the local
+ * date and time fall inside its campaign dates and time-of-day window.
+ * Banners that apply are ranked by the catalogue's precedence; the others
+ * come back with the reasons they were left out.
+ */
+
+const fs = require('fs');
+const { schemaFields, checkObject } = require('../../../code-generation/parsers/finapp-types');
+const { zonedTime } = require('../common/clock');
+
+/**
+ * Ranking criteria, most significant first unless the catalogue says otherwise.
+ * Each compares two banners; a negative result ranks the first higher.
+ */
+const CRITERIA = {
+  // Banners aimed at the customer's segment before banners for everyone
+  customerSegment: (a, b) => Number(Boolean(b.customerSegment)) - Number(Boolean(a.customerSegment)),
+  // Banners for this time of day before all-day banners
+  timeOfDay: (a, b) => Number(hasTimeWindow(b)) - Number(hasTimeWindow(a)),
+  // Short campaigns before long-running ones
+  window: (a, b) => campaignDays(a) - campaignDays(b)
+};
+
+const DEFAULT_PRECEDENCE = ['customerSegment', 'timeOfDay', 'window'];
+
+/**
+ * `HH:MM-HH:MM`, a time-of-day window written inline
+ */
+const TIME_RANGE = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for a catalogue the engine cannot use
+ */
+class BannerCatalogueError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.banner - Id of the offending banner
+   * @param {Array<Object>} details.problems - `{field, message}` from the model check
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BannerCatalogueError';
+    this.details = details;
+  }
+}
+
+/**
+ * Selects and ranks promotional banners from a catalogue
+ */
+class BannerEngine {
+  /**
+   * @param {Object} catalogue - `{banners, timeWindows, precedence}`: PromotionalBanner records,
+   *   named `{from, to}` windows for `timeOfDay`, and ranking criteria names
+   * @param {Object} options - Engine options
+   * @param {Object} options.spec - Specification model; banners are checked against its
+   *   `PromotionalBanner` model when given
+   * @throws {BannerCatalogueError} For a banner that does not fit the model or the rules
+   */
+  constructor(catalogue, options = {}) {
+    this.timeWindows = catalogue.timeWindows || {};
+    this.precedence = catalogue.precedence || DEFAULT_PRECEDENCE;
+    this.banners = catalogue.banners || [];
+
+    const unknown = this.precedence.find(name => !CRITERIA[name]);
+    if (unknown) {
+      throw new BannerCatalogueError(`Unknown precedence '${unknown}'; expected one of ${Object.keys(CRITERIA).join(', ')}`);
+    }
+    const model = options.spec && options.spec.models.get('PromotionalBanner');
+    const fields = model ? schemaFields(model) : null;
+    const ids = new Set();
+    this.banners.forEach(banner => {
+      this._check(banner, options.spec, fields);
+      if (ids.has(banner.id)) {
+        throw new BannerCatalogueError(`Banner '${banner.id}' is listed twice`, { banner: banner.id });
+      }
+      ids.add(banner.id);
+    });
+  }
+
+  /**
+   * Load a catalogue file
+   * @param {string} filePath - Path to the JSON catalogue
+   * @param {Object} options - See constructor
+   * @returns {BannerEngine} The engine
+   */
+  static fromFile(filePath, options = {}) {
+    return new BannerEngine(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+  }
+
+  /**
+   * The banners for a customer at a moment
+   * @param {Object} context - Selection context
+   * @param {string} context.region - Region id
+   * @param {string} context.segment - Customer segment id; segment-specific banners need it
+   * @param {Date} context.now - The instant
+   * @param {string} context.timeZone - IANA time zone the campaign dates and windows are read in
+   * @returns {Object} `{banners, excluded}`: applicable banners, highest precedence first, and
+   *   `{banner, reasons: [{code, message}]}` for each banner left out
+   */
+  select(context) {
+    const local = zonedTime(context.now || new Date(), context.timeZone);
+    const applicable = [];
+    const excluded = [];
+
+    this.banners.forEach((banner, index) => {
+      const reasons = this._exclusions(banner, context, local);
+      if (reasons.length) {
+        excluded.push({ banner: { ...banner }, reasons });
+      } else {
+        applicable.push({ banner, index });
+      }
+    });
+
+    applicable.sort((a, b) => this._compare(a.banner, b.banner) || a.index - b.index);
+    return { banners: applicable.map(entry => ({ ...entry.banner })), excluded };
+  }
+
+  /**
+   * Why a banner does not apply; empty when it does
+   * @private
+   */
+  _exclusions(banner, context, local) {
+    const reasons = [];
+    if (banner.region !== context.region) {
+      reasons.push({ code: 'REGION', message: `Runs in ${banner.region}, not ${context.region}` });
+    }
+    if (banner.customerSegment && banner.customerSegment !== context.segment) {
+      reasons.push({ code: 'SEGMENT', message: `Targets the ${banner.customerSegment} segment, not ${context.segment || 'an unknown segment'}` });
+    }
+    if (local.date < banner.startDate) {
+      reasons.push({ code: 'NOT_STARTED', message: `Starts on ${banner.startDate}` });
+    }
+    if (local.date > banner.endDate) {
+      reasons.push({ code: 'ENDED', message: `Ended on ${banner.endDate}` });
+    }
+    const window = this._timeWindow(banner);
+    if (window && !inWindow(window, local)) {
+      reasons.push({ code: 'TIME_OF_DAY', message: `Shown ${window.from}-${window.to}, not at ${pad(local.hour)}:${pad(local.minute)}` });
+    }
+    return reasons;
+  }
+
+  /**
+   * @private
+   */
+  _compare(a, b) {
+    for (const name of this.precedence) {
+      const order = CRITERIA[name](a, b);
+      if (order) return order;
+    }
+    return 0;
+  }
+
+  /**
+   * The `{from, to}` window of a banner's `timeOfDay`, or null for all day
+   * @private
+   */
+  _timeWindow(banner) {
+    if (!hasTimeWindow(banner)) return null;
+    const range = TIME_RANGE.exec(banner.timeOfDay);
+    return range ? { from: range[1], to: range[2] } : this.timeWindows[banner.timeOfDay];
+  }
+
+  /**
+   * @private
+   */
+  _check(banner, spec, fields) {
+    const problems = fields
+      ? checkObject(spec, banner, fields)
+      : ['id', 'title', 'startDate', 'endDate', 'region']
+        .filter(field => !banner[field])
+        .map(field => ({ field, message: `'${field}' is required` }));
+    const id = banner && banner.id;
+    if (problems.length) {
+      throw new BannerCatalogueError(`Banner '${id}' does not fit PromotionalBanner: ${problems.map(problem => problem.message).join('; ')}`, {
+        banner: id,
+        problems
+      });
+    }
+    if (![banner.startDate, banner.endDate].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      throw new BannerCatalogueError(`Banner '${id}' campaign dates must be YYYY-MM-DD`, { banner: id });
+    }
+    if (banner.startDate > banner.endDate) {
+      throw new BannerCatalogueError(`Banner '${id}' ends before it starts`, { banner: id });
+    }
+    if (hasTimeWindow(banner) && !TIME_RANGE.test(banner.timeOfDay) && !this.timeWindows[banner.timeOfDay]) {
+      throw new BannerCatalogueError(`Banner '${id}' has unknown timeOfDay '${banner.timeOfDay}'`, { banner: id });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function hasTimeWindow(banner) {
+  return Boolean(banner.timeOfDay) && banner.timeOfDay !== 'any';
+}
+
+/**
+ * @private
+ */
+function campaignDays(banner) {
+  return (Date.parse(banner.endDate) - Date.parse(banner.startDate)) / DAY_MS;
+}
+
+/**
+ * Whether a local time is inside a window; windows may cross midnight
+ * @private
+ */
+function inWindow(window, local) {
+  const minutes = local.hour * 60 + local.minute;
+  const toMinutes = text => Number(text.slice(0, 2)) * 60 + Number(text.slice(3, 5));
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * @private
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+module.exports = {
+  BannerEngine,
+  BannerCatalogueError
+};
@@ -0,0 +1,55 @@
+/**
+ * Binding Functions
+ *
+ * Built-in functions callable from `bind:` values, `{{...}}` templates and
+ * `condition` expressions, and from the `dataFunctions` expressions of screen
+ * specifications.
+ *
+ * Region arguments are region ids (`"UK"`); formatting is delegated to the
+ * region formatter, so locale, currency and date format come from the
+ * `regions` of the app declaration. Promotional offers come from the banner
+ * engine's catalogue.
+ */
+
+const { RegionFormatter } = require('../common/region-format');
+
+/**
+ * Build the built-in function registry
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.regions - App regions, see RegionFormatter
+ * @param {Function} options.now - Returns the current Date; defaults to the system clock
+ * @param {string} options.timeZone - Time zone the time-dependent functions read the clock in;
+ *   defaults to the machine's
+ * @param {BannerEngine} options.banners - Promotional banner catalogue; without one no offers apply
+ * @returns {Object} Functions by name
+ */
+function createBuiltins(options = {}) {
+  const formatter = new RegionFormatter(options.regions || []);
+  const now = options.now || (() => new Date());
+  const promotions = (region, segment) => (options.banners
+    ? options.banners.select({ region, segment, now: now(), timeZone: options.timeZone }).banners
+    : []);
+  const firstTitle = banners => (banners.length ? banners[0].title : null);
+  const hasTimeOfDay = banner => Boolean(banner.timeOfDay) && banner.timeOfDay !== 'any';
+
+  return {
+    formatCurrency: (value, region) => formatter.formatCurrency(value, region),
+    formatNumber: (value, region, fractionDigits) => formatter.formatNumber(value, region, { fractionDigits }),
+    formatPercent: (value, region) => formatter.formatPercent(value, region),
+    formatApr: (value, region) => formatter.formatApr(value, region),
+    formatDate: (value, region) => formatter.formatDate(value, region),
+    currencySymbol: region => formatter.region(region).currencySymbol,
+
+    getPromotionalBanners: (region, segment) => promotions(region, segment),
+    getTimeBasedOffer: (region, segment) => firstTitle(promotions(region, segment).filter(hasTimeOfDay)),
+    getSeasonalOffer: (region, segment) => firstTitle(promotions(region, segment).filter(banner => !hasTimeOfDay(banner))),
+
+    min: (...values) => Math.min(...values),
+    max: (...values) => Math.max(...values),
+    round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits
+  };
+}
+
+module.exports = {
+  createBuiltins
+};
@@ -0,0 +1,431 @@
+/**
+ * Binding Runtime
+ *
+ * Resolves screen layouts against a data context. Three kinds of string in a
+ * layout carry expressions, all evaluated by the sandboxed expression engine:
+ *
+ *   - `"bind:offer.minTopupAmount"` resolves to the raw value
+ *   - `"Loan #{{item.id}}"` has each `{{...}}` replaced by its value
+ *   - `condition` of a `type: conditional` node and `data` of a `type: list`
+ *     node are plain expressions
+ *
+ * A conditional renders its `components` only when the condition holds; a
+ * list renders `itemComponent` once per element with `item` and `index` in
+ * scope. Anything that cannot be resolved — a missing identifier, a property
+ * missing from the data, an unknown function, a syntax or evaluation error —
+ * is reported in `unresolved` with its layout path and source location
+ * instead of aborting the render.
+ */
+
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+const { compile } = require('./expression');
+const { createBuiltins } = require('./binding-functions');
+
+/**
+ * Prefix marking a string property as a binding
+ */
+const BIND_PREFIX = 'bind:';
+
+/**
+ * `{{expression}}` placeholders in strings
+ */
+const TEMPLATE_PATTERN = /\{\{\s*(.+?)\s*\}\}/g;
+
+/**
+ * Evaluates bindings and renders screen layouts to concrete values
+ */
+class BindingRuntime {
+  /**
+   * @param {Object} options - Runtime options
+   * @param {Object} options.spec - Specification model from buildModel(), for resolveScreen()
+   * @param {Array<Object>} options.regions - Regions for the built-in formatters
+   * @param {Function} options.now - Clock for the time-dependent built-ins
+   * @param {string} options.timeZone - Time zone the time-dependent built-ins read the clock in
+   * @param {BannerEngine} options.banners - Promotional banners for the offer built-ins
+   * @param {Object} options.functions - Extra or overriding functions by name
+   */
+  constructor(options = {}) {
+    this.spec = options.spec || null;
+    this.functions = {
+      ...createBuiltins({ regions: options.regions, now: options.now, timeZone: options.timeZone, banners: options.banners }),
+      ...options.functions
+    };
+  }
+
+  /**
+   * Create a runtime for a specification, with the app regions
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {Object} options - See constructor
+   * @returns {BindingRuntime} The runtime
+   */
+  static fromSpec(spec, options = {}) {
+    const regions = spec.app ? toPlain((getProperty(spec.app, 'regions') || {}).value) || [] : [];
+    return new BindingRuntime({ regions, ...options, spec });
+  }
+
+  /**
+   * Create a runtime for a .finapp file
+   * @param {string} filePath - Path to the specification
+   * @param {Object} options - See constructor
+   * @returns {BindingRuntime} The runtime
+   */
+  static fromFile(filePath, options = {}) {
+    return BindingRuntime.fromSpec(loadSpec(filePath), options);
+  }
+
+  /**
+   * Evaluate a single expression
+   * @param {string} source - The expression, without `bind:` prefix or braces
+   * @param {Object} context - Data context
+   * @returns {Object} `{value, unresolved}`
+   */
+  evaluate(source, context = {}) {
+    const unresolved = [];
+    const value = this._evaluate(source, context, { path: '', unresolved });
+    return { value, unresolved };
+  }
+
+  /**
+   * Resolve a layout value: an AST node from the parser or plain data
+   * @param {Object} node - The value
+   * @param {Object} context - Data context
+   * @returns {Object} `{value, unresolved}`
+   */
+  resolveTree(node, context = {}) {
+    const unresolved = [];
+    const value = this._resolve(isNode(node) ? node : { type: 'Plain', value: node }, context, { path: '', unresolved });
+    return { value, unresolved };
+  }
+
+  /**
+   * Render a screen of the specification
+   * @param {string} name - Screen name, e.g. `AmountSelectionScreen`
+   * @param {Object} context - Data context
+   * @returns {Object} `{screen, title, layout, unresolved}`
+   * @throws {Error} When the runtime has no specification or the screen is not declared
+   */
+  resolveScreen(name, context = {}) {
+    const screen = this.spec && this.spec.screens.get(name);
+    if (!screen) {
+      throw new Error(this.spec ? `Unknown screen '${name}'` : 'resolveScreen() needs a runtime created with fromSpec()');
+    }
+
+    const unresolved = [];
+    const state = { path: '', unresolved };
+    this._checkDataFunctions(screen, state);
+
+    const title = getProperty(screen, 'title');
+    const layout = getProperty(screen, 'layout');
+    return {
+      screen: name,
+      title: title ? this._resolve(title.value, context, { ...state, path: 'title' }) : null,
+      layout: layout ? this._resolve(layout.value, context, { ...state, path: 'layout' }) : null,
+      unresolved
+    };
+  }
+
+  /**
+   * Call a `dataFunctions` entry of a screen: its expression is evaluated
+   * with the declared params bound to the arguments
+   * @param {string} screenName - Screen name, e.g. `LoansOverview`
+   * @param {string} name - Function name, e.g. `formatCurrency`
+   * @param {Array} args - Arguments, in the order of `params`
+   * @returns {Object} `{value, unresolved}`
+   * @throws {Error} When the screen or the function is not declared
+   */
+  callScreenFunction(screenName, name, args = []) {
+    const screen = this.spec && this.spec.screens.get(screenName);
+    if (!screen) {
+      throw new Error(this.spec ? `Unknown screen '${screenName}'` : 'callScreenFunction() needs a runtime created with fromSpec()');
+    }
+    const entry = screenFunctions(screen).find(candidate => candidate.name === name);
+    if (!entry) {
+      throw new Error(`Screen '${screenName}' declares no function '${name}'`);
+    }
+
+    const scope = {};
+    entry.params.forEach((param, index) => {
+      scope[param] = args[index];
+    });
+    const unresolved = [];
+    const value = this._evaluate(entry.expression, scope, { path: entry.path, unresolved, loc: entry.loc });
+    return { value, unresolved };
+  }
+
+  /**
+   * Report `dataFunctions` of a screen that have no built-in implementation,
+   * or whose expression does not parse or reads names outside its params
+   * @private
+   */
+  _checkDataFunctions(screen, state) {
+    screenFunctions(screen).forEach(({ name, params, expression, path, loc }) => {
+      if (name && !this.functions[name]) {
+        this._report(state, {
+          path,
+          expression: null,
+          name,
+          kind: 'function',
+          message: `Screen function '${name}' has no built-in implementation`
+        }, loc);
+      }
+      if (typeof expression !== 'string') return;
+
+      let compiled;
+      try {
+        compiled = compile(expression);
+      } catch (error) {
+        this._report(state, { path, expression, name: expression, kind: 'syntax', message: error.message }, loc);
+        return;
+      }
+      compiled.identifiers.forEach(identifier => {
+        if (!params.includes(identifier)) {
+          this._report(state, { path, expression, name: identifier, kind: 'identifier', message: `Unbound identifier '${identifier}'` }, loc);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _resolve(node, context, state) {
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'TemplateLiteral':
+        return this._resolveString(node.value, context, { ...state, loc: node.loc });
+      case 'ObjectLiteral':
+        return this._resolveObject(node, context, state);
+      case 'ArrayLiteral':
+        return node.elements.map((element, index) => this._resolve(element, context, { ...state, path: `${state.path}[${index}]` }));
+      case 'Plain':
+        return this._resolvePlain(node.value, context, state);
+      default:
+        return toPlain(node);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _resolveObject(node, context, state) {
+    const members = new Map(node.properties.map(member => [member.type === 'Flag' ? member.name : member.key, member]));
+    const child = (key, scope = context, path = join(state.path, key)) => {
+      const member = members.get(key);
+      if (member.type === 'Flag') return true;
+      return this._resolve(member.value, scope, { ...state, path });
+    };
+    const expression = key => {
+      const member = members.get(key);
+      return { source: toPlain(member.value), loc: member.value.loc };
+    };
+    return this._resolveComponent([...members.keys()], child, expression, context, state);
+  }
+
+  /**
+   * Resolve plain data (layouts built in code or steps)
+   * @private
+   */
+  _resolvePlain(value, context, state) {
+    if (typeof value === 'string') {
+      return this._resolveString(value, context, state);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this._resolvePlain(item, context, { ...state, path: `${state.path}[${index}]` }));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const child = (key, scope = context, path = join(state.path, key)) => this._resolvePlain(value[key], scope, { ...state, path });
+    const expression = key => ({ source: value[key], loc: null });
+    return this._resolveComponent(Object.keys(value), child, expression, context, state);
+  }
+
+  /**
+   * Shared object rendering for AST and plain layouts: conditionals and lists
+   * get their expression keys evaluated, everything else is resolved key by key
+   * @private
+   */
+  _resolveComponent(keys, child, expression, context, state) {
+    const has = key => keys.includes(key);
+    const type = has('type') ? child('type') : null;
+    const result = {};
+
+    if (type === 'conditional' && has('condition')) {
+      const { source, loc } = expression('condition');
+      const visible = Boolean(this._evaluate(source, context, { ...state, path: join(state.path, 'condition'), loc }));
+      keys.forEach(key => {
+        if (key === 'condition') result.condition = source;
+        else if (key === 'components') result.components = visible ? child(key) : [];
+        else result[key] = child(key);
+      });
+      result.visible = visible;
+      return result;
+    }
+
+    if (type === 'list' && has('data')) {
+      const { source, loc } = expression('data');
+      const listPath = join(state.path, 'data');
+      const data = this._evaluate(source, context, { ...state, path: listPath, loc });
+      if (data !== undefined && !Array.isArray(data)) {
+        this._report(state, { path: listPath, expression: source, name: source, kind: 'error', message: `List data '${source}' is not an array` }, loc);
+      }
+      keys.forEach(key => {
+        if (key === 'data') result.data = source;
+        else if (key !== 'itemComponent') result[key] = child(key);
+      });
+      result.items = (Array.isArray(data) ? data : []).map((item, index) => (
+        has('itemComponent')
+          ? child('itemComponent', { ...context, item, index }, join(state.path, `items[${index}]`))
+          : item
+      ));
+      return result;
+    }
+
+    keys.forEach(key => {
+      result[key] = child(key);
+    });
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _resolveString(text, context, state) {
+    if (text.startsWith(BIND_PREFIX)) {
+      return this._evaluate(text.slice(BIND_PREFIX.length).trim(), context, state);
+    }
+    if (!text.includes('{{')) {
+      return text;
+    }
+    return text.replace(TEMPLATE_PATTERN, (match, source) => {
+      const value = this._evaluate(source, context, state);
+      return value === undefined || value === null ? match : String(value);
+    });
+  }
+
+  /**
+   * Evaluate an expression, recording what could not be resolved. Returns
+   * undefined when the expression cannot be evaluated.
+   * @private
+   */
+  _evaluate(source, context, state) {
+    const report = (name, kind, message) => this._report(state, { path: state.path, expression: source, name, kind, message }, state.loc);
+
+    let expression;
+    try {
+      expression = compile(source);
+    } catch (error) {
+      report(source, 'syntax', error.message);
+      return undefined;
+    }
+
+    let missing = false;
+    expression.identifiers.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(context, name)) {
+        report(name, 'identifier', `Unbound identifier '${name}'`);
+        missing = true;
+      }
+    });
+    expression.functions.forEach(name => {
+      if (typeof this.functions[name] !== 'function') {
+        report(name, 'function', `Unknown function '${name}'`);
+        missing = true;
+      }
+    });
+    if (missing) return undefined;
+
+    let value;
+    try {
+      value = expression.evaluate(context, { functions: this.functions });
+    } catch (error) {
+      report(source, 'error', error.message);
+      return undefined;
+    }
+
+    expression.paths.forEach(segments => {
+      if (readPath(context, segments) === undefined) {
+        const name = segments.join('.');
+        report(name, 'property', `Property '${name}' is not in the data`);
+      }
+    });
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _report(state, entry, loc) {
+    const file = this.spec && this.spec.filename;
+    state.unresolved.push({
+      ...entry,
+      location: loc ? { file, line: loc.start.line, column: loc.start.column } : null
+    });
+  }
+}
+
+/**
+ * The `dataFunctions` entries of a screen as `{name, params, expression, path, loc}`
+ * @private
+ */
+function screenFunctions(screen) {
+  const property = getProperty(screen, 'dataFunctions');
+  if (!property || property.value.type !== 'ArrayLiteral') return [];
+
+  return property.value.elements.map((element, index) => {
+    const read = key => toPlain((getProperty(element, key) || {}).value);
+    return {
+      name: read('name'),
+      params: read('params') || [],
+      expression: read('expression'),
+      path: `dataFunctions[${index}]`,
+      loc: element.loc
+    };
+  });
+}
+
+/**
+ * Follow a static path through own properties; undefined when any step is missing
+ * @private
+ */
+function readPath(scope, segments) {
+  let value = scope;
+  for (const segment of segments) {
+    if (value === null) return null;
+    if (value === undefined || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return typeof value === 'string' && segment === 'length' ? value.length : undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function isNode(value) {
+  return Boolean(value && typeof value === 'object' && (value.loc || Array.isArray(value.properties) || Array.isArray(value.elements)));
+}
+
+/**
+ * @private
+ */
+function join(base, key) {
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Format an unresolved entry as `file:line:col: [kind] name (path)`
+ * @param {Object} entry - Entry from `unresolved`
+ * @returns {string} The line
+ */
+function formatUnresolved(entry) {
+  const where = entry.location ? `${entry.location.file}:${entry.location.line}:${entry.location.column}: ` : '';
+  return `${where}[${entry.kind}] ${entry.message} (${entry.path})`;
+}
+
+module.exports = {
+  BIND_PREFIX,
+  BindingRuntime,
+  formatUnresolved
+};
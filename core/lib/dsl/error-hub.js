@@ -0,0 +1,331 @@
+/**
+ * Error Hub Resolver
+ *
+ * JavaScript counterpart of `handle-api-error` in loan_topup.clj, driven by
+ * a parsed `.finapp` specification instead of hard-coded tables. An API
+ * failure is resolved in three steps:
+ *
+ *   1. `api ... errorMapping` turns (service, operation, status, code) into
+ *      a declared error or error category.
+ *   2. The journey `errorHub ownership` decides whether the journey owns the
+ *      error or delegates it to the platform.
+ *   3. The owner's handler (journey `handlers`, else platform
+ *      `defaultHandlers`) supplies the display component and recovery plan.
+ *
+ * Every step is recorded in `explanation` with the source location of the
+ * rule that matched.
+ */
+
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+
+/**
+ * Error name used when no errorMapping rule matches, as in map-api-error
+ */
+const UNKNOWN_ERROR = 'UnknownError';
+
+/**
+ * Resolves API failures to error definitions, owners and handlers
+ */
+class ErrorHubResolver {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   */
+  constructor(spec) {
+    this.spec = spec;
+  }
+
+  /**
+   * Create a resolver for a .finapp file
+   * @param {string} filePath - Path to the specification
+   * @returns {ErrorHubResolver} The resolver
+   */
+  static fromFile(filePath) {
+    return new ErrorHubResolver(loadSpec(filePath));
+  }
+
+  /**
+   * Resolve an API failure
+   * @param {Object} failure - The failure
+   * @param {string} failure.journey - Journey name, e.g. `LoanTopupJourney`
+   * @param {string} failure.service - API name, e.g. `LoanTopupService`
+   * @param {string} failure.operation - Operation name, e.g. `createTopup`
+   * @param {number} failure.status - HTTP status
+   * @param {string} failure.code - API error code from the response body, if any
+   * @param {Object} failure.context - Extra values for `{{...}}` and path interpolation
+   * @returns {Object} `{error, owner, handled, display, recovery, explanation}`
+   */
+  resolve(failure) {
+    const explanation = [];
+    const errorName = this._mapApiError(failure, explanation);
+    const error = this.errorDetails(errorName);
+    const owner = this._owner(failure.journey, errorName, explanation);
+    const handler = this._handler(failure.journey, error, owner, explanation);
+
+    if (!handler) {
+      return { error, owner, handled: false, display: null, recovery: null, explanation };
+    }
+
+    const scope = { error, ...failure.context };
+    const body = propertiesOf(handler.node);
+    const display = body.display ? displayName(body.display) : null;
+    const properties = body.properties ? interpolateObject(body.properties.value, scope) : {};
+
+    return {
+      error,
+      owner,
+      handled: true,
+      display: display && {
+        component: display,
+        componentType: this._componentType(display),
+        location: body.location ? toPlain(body.location.value) : null,
+        properties: { ...this._componentDefaults(display), ...properties }
+      },
+      recovery: body.recovery ? interpolateObject(body.recovery.value, scope) : {},
+      explanation
+    };
+  }
+
+  /**
+   * Full details of a declared error or category, as get-error-details
+   * merges category and error information
+   * @param {string} name - Error or category name
+   * @returns {Object} `{name, category, code, message, severity, retryable, codes}`
+   */
+  errorDetails(name) {
+    const error = this.spec.errors.get(name);
+    const categoryName = error ? (error.extends && error.extends.name) : (this.spec.errorCategories.has(name) ? name : null);
+    const category = categoryName ? this.spec.errorCategories.get(categoryName) : null;
+
+    return {
+      ...(category ? propertiesToValues(category) : {}),
+      ...(error ? propertiesToValues(error) : {}),
+      name,
+      category: categoryName
+    };
+  }
+
+  /**
+   * Step 1: errorMapping. An exact status wins over its `Nxx` range; a status
+   * mapped by code falls back to UnknownError when the code is not listed.
+   * @private
+   */
+  _mapApiError({ service, operation, status, code }, explanation) {
+    const api = this.spec.apis.get(service);
+    const op = api && (api.operations || []).find(candidate => candidate.name === operation);
+    if (!op || !op.errorMapping) {
+      explanation.push(step('errorMapping', `No errorMapping for ${service}.${operation}`, op || api, this.spec));
+      return UNKNOWN_ERROR;
+    }
+
+    const statusText = String(status);
+    const range = `${statusText.charAt(0)}xx`;
+    const rule = op.errorMapping.rules.find(candidate => candidate.status === statusText)
+      || op.errorMapping.rules.find(candidate => candidate.status === range);
+    if (!rule) {
+      explanation.push(step('errorMapping', `${service}.${operation} maps no rule for status ${status}`, op.errorMapping, this.spec));
+      return UNKNOWN_ERROR;
+    }
+
+    if (rule.target) {
+      explanation.push(step('errorMapping', `${service}.${operation} ${rule.status}: ${rule.target.name}`, rule, this.spec));
+      return rule.target.name;
+    }
+
+    const mapping = rule.codes.find(candidate => candidate.code === code);
+    if (!mapping) {
+      explanation.push(step('errorMapping',
+        `${service}.${operation} ${rule.status} has no mapping for code ${JSON.stringify(code)}`, rule, this.spec));
+      return UNKNOWN_ERROR;
+    }
+    explanation.push(step('errorMapping', `${service}.${operation} ${rule.status}: "${mapping.code}" -> ${mapping.target.name}`, mapping, this.spec));
+    return mapping.target.name;
+  }
+
+  /**
+   * Step 2: ownership, defaulting to the platform as get-error-owner does
+   * @private
+   */
+  _owner(journeyName, errorName, explanation) {
+    const journey = this.spec.journeys.get(journeyName);
+    const ownership = journey && journey.errorHub && journey.errorHub.ownership;
+    if (!ownership) {
+      explanation.push(step('ownership', `${journeyName} declares no ownership; ${errorName} goes to the platform`, journey, this.spec));
+      return 'platform';
+    }
+
+    const owned = ownership.owns.find(name => name.name === errorName);
+    if (owned) {
+      explanation.push(step('ownership', `${journeyName} owns ${errorName}`, owned, this.spec));
+      return 'journey';
+    }
+    const delegated = ownership.delegates.find(name => name.name === errorName);
+    if (delegated) {
+      explanation.push(step('ownership', `${journeyName} delegates ${errorName} to the platform`, delegated, this.spec));
+      return 'platform';
+    }
+    explanation.push(step('ownership', `${journeyName} neither owns nor delegates ${errorName}; defaulting to the platform`, ownership, this.spec));
+    return 'platform';
+  }
+
+  /**
+   * Step 3: the owner's handler. A journey-owned error without a journey
+   * handler, and a platform error without a handler of its own, fall back to
+   * the platform default for the error's category.
+   * @private
+   */
+  _handler(journeyName, error, owner, explanation) {
+    if (owner === 'journey') {
+      const journey = this.spec.journeys.get(journeyName);
+      const handler = journey.errorHub.handlers.find(candidate => candidate.error === error.name);
+      if (handler) {
+        explanation.push(step('handler', `${journeyName} handler for ${error.name}`, handler, this.spec));
+        return { source: 'journey', node: handler };
+      }
+      explanation.push(step('handler', `${journeyName} owns ${error.name} but has no handler for it`, journey.errorHub, this.spec));
+    }
+
+    const defaults = this.spec.platform && this.spec.platform.errorHub ? this.spec.platform.errorHub.defaultHandlers : [];
+    for (const name of [error.name, error.category].filter(Boolean)) {
+      const handler = defaults.find(candidate => candidate.error === name);
+      if (handler) {
+        const via = name === error.name ? '' : ` (category of ${error.name})`;
+        explanation.push(step('handler', `platform default handler for ${name}${via}`, handler, this.spec));
+        return { source: 'platform', node: handler };
+      }
+    }
+
+    explanation.push(step('handler', `No handler for ${error.name}`, this.spec.platform, this.spec));
+    return null;
+  }
+
+  /**
+   * Declared `type` of a display component, e.g. `banner` or `modal`
+   * @private
+   */
+  _componentType(name) {
+    const component = this.spec.components.get(name);
+    const type = component && getProperty(component, 'type');
+    return type ? toPlain(type.value) : null;
+  }
+
+  /**
+   * Default property values declared on a display component (`= "error"`)
+   * @private
+   */
+  _componentDefaults(name) {
+    const component = this.spec.components.get(name);
+    const properties = component && getProperty(component, 'properties');
+    if (!properties || properties.value.type !== 'ObjectLiteral') {
+      return {};
+    }
+    return Object.fromEntries(properties.value.properties
+      .filter(member => member.type === 'Property' && member.defaultValue)
+      .map(member => [member.key, toPlain(member.defaultValue)]));
+  }
+}
+
+/**
+ * Property nodes of a handler body, by key
+ * @private
+ */
+function propertiesOf(handler) {
+  return Object.fromEntries(handler.properties
+    .filter(member => member.type === 'Property')
+    .map(member => [member.key, member]));
+}
+
+/**
+ * Plain values of a declaration's properties
+ * @private
+ */
+function propertiesToValues(node) {
+  return Object.fromEntries(node.properties
+    .filter(member => member.type === 'Property')
+    .map(member => [member.key, toPlain(member.value)]));
+}
+
+/**
+ * `ErrorBanner` may be written as a name or a string
+ * @private
+ */
+function displayName(property) {
+  return String(toPlain(property.value));
+}
+
+/**
+ * Interpolate an ObjectLiteral of handler values against a scope:
+ * paths (`error.message`) are looked up, `{{path}}` in strings is replaced,
+ * and calls (`navigate(LoginScreen)`) become `{action, args}` descriptors
+ * @private
+ */
+function interpolateObject(node, scope) {
+  if (node.type !== 'ObjectLiteral') {
+    return interpolate(node, scope);
+  }
+  return Object.fromEntries(node.properties.map(member => (
+    member.type === 'Flag' ? [member.name, true] : [member.key, interpolate(member.value, scope)]
+  )));
+}
+
+/**
+ * @private
+ */
+function interpolate(node, scope) {
+  switch (node.type) {
+    case 'Path':
+      return lookup(scope, node.segments);
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return node.value.replace(/\{\{\s*([\w$.]+)\s*\}\}/g, (match, path) => {
+        const value = lookup(scope, path.split('.'));
+        return value === undefined || value === null ? match : String(value);
+      });
+    case 'CallExpression':
+      return { action: node.callee, args: node.arguments.map(argument => toPlain(argument)) };
+    case 'ObjectLiteral':
+      return interpolateObject(node, scope);
+    case 'ArrayLiteral':
+      return node.elements.map(element => interpolate(element, scope));
+    default:
+      return toPlain(node);
+  }
+}
+
+/**
+ * @private
+ */
+function lookup(scope, segments) {
+  return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), scope);
+}
+
+/**
+ * One explanation entry with the source location of the node that decided it
+ * @private
+ */
+function step(name, detail, node, spec) {
+  const loc = node && (node.nameLoc || node.codeLoc || node.statusLoc || node.loc);
+  return {
+    step: name,
+    detail,
+    location: loc ? { file: spec.filename, line: loc.start.line, column: loc.start.column } : null
+  };
+}
+
+/**
+ * Render an explanation as text, one step per line
+ * @param {Array<Object>} explanation - From resolve()
+ * @returns {string} e.g. `errorMapping: LoanTopupService.createTopup 400: ... (loan-topup.finapp:303:9)`
+ */
+function formatExplanation(explanation) {
+  return explanation.map(entry => {
+    const where = entry.location ? ` (${entry.location.file}:${entry.location.line}:${entry.location.column})` : '';
+    return `${entry.step}: ${entry.detail}${where}`;
+  }).join('\n');
+}
+
+module.exports = {
+  ErrorHubResolver,
+  UNKNOWN_ERROR,
+  formatExplanation
+};
@@ -0,0 +1,544 @@
+/**
+ * Expression Engine
+ *
+ * Sandboxed evaluator for the small JavaScript-like expressions written in
+ * `.finapp` specifications, such as validation rules
+ * (`amount >= minTopupAmount && amount <= maxTopupAmount`). Expressions are
+ * parsed into an AST and interpreted; nothing is passed to `eval` or
+ * `Function`. Identifiers resolve only against the scope supplied by the
+ * caller, calls only against a registry of functions, and member access only
+ * reaches own properties.
+ *
+ * Supported: number/string/boolean/null literals, array literals, identifiers,
+ * `a.b` and `a[b]`, registered function calls, `! - +`, `* / %`, `+ -`,
+ * `< <= > >=`, `== != === !==`, `&&`, `||`, `?:` and parentheses.
+ */
+
+/**
+ * Error raised when an expression cannot be parsed or evaluated
+ */
+class ExpressionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.source - The expression
+   * @param {number} details.position - 0-based offset of the problem
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.details = details;
+  }
+}
+
+/**
+ * Punctuators, longest first
+ */
+const PUNCTUATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '!', '<', '>', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ',', '?', ':'];
+
+/**
+ * Binary operators by precedence level, lowest first
+ */
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Literal keywords
+ */
+const KEYWORDS = { true: true, false: false, null: null, undefined };
+
+/**
+ * Property names never readable through member access
+ */
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__']);
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let offset = 0;
+  while (offset < source.length) {
+    const rest = source.slice(offset);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      offset += space[0].length;
+      continue;
+    }
+
+    const number = /^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(rest);
+    const punctuator = PUNCTUATORS.find(candidate => rest.startsWith(candidate));
+
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), start: offset, end: offset + number[0].length });
+      offset += number[0].length;
+    } else if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], start: offset, end: offset + identifier[0].length });
+      offset += identifier[0].length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const token = readString(source, offset);
+      tokens.push(token);
+      offset = token.end;
+    } else if (punctuator) {
+      tokens.push({ type: 'punctuator', value: punctuator, start: offset, end: offset + punctuator.length });
+      offset += punctuator.length;
+    } else {
+      throw new ExpressionError(`Unexpected character '${rest[0]}' at ${offset}`, { source, position: offset });
+    }
+  }
+  tokens.push({ type: 'eof', value: null, start: source.length, end: source.length });
+  return tokens;
+}
+
+/**
+ * Read a quoted string starting at offset
+ * @private
+ */
+function readString(source, start) {
+  const quote = source[start];
+  let value = '';
+  let offset = start + 1;
+  while (offset < source.length) {
+    const char = source[offset];
+    if (char === quote) {
+      return { type: 'string', value, start, end: offset + 1 };
+    }
+    if (char === '\\' && offset + 1 < source.length) {
+      const escaped = source[offset + 1];
+      value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+      offset += 2;
+    } else {
+      value += char;
+      offset += 1;
+    }
+  }
+  throw new ExpressionError(`Unterminated string at ${start}`, { source, position: start });
+}
+
+/**
+ * Precedence-climbing parser over the token list
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    const node = this.parseConditional();
+    if (this.peek().type !== 'eof') {
+      throw this.unexpected();
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  match(value) {
+    const token = this.peek();
+    if (token.type === 'punctuator' && token.value === value) {
+      this.index += 1;
+      return token;
+    }
+    return null;
+  }
+
+  expect(value) {
+    const token = this.match(value);
+    if (!token) {
+      throw this.unexpected(`'${value}'`);
+    }
+    return token;
+  }
+
+  unexpected(expected) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of expression' : `'${this.source.slice(token.start, token.end)}'`;
+    const message = expected ? `Expected ${expected} but found ${found} at ${token.start}` : `Unexpected ${found} at ${token.start}`;
+    return new ExpressionError(message, { source: this.source, position: token.start });
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.match('?')) {
+      return test;
+    }
+    const consequent = this.parseConditional();
+    this.expect(':');
+    const alternate = this.parseConditional();
+    return { type: 'Conditional', test, consequent, alternate, start: test.start, end: alternate.end };
+  }
+
+  parseBinary(level) {
+    if (level === BINARY_LEVELS.length) {
+      return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'punctuator' || !BINARY_LEVELS[level].includes(token.value)) {
+        return left;
+      }
+      this.next();
+      const right = this.parseBinary(level + 1);
+      const type = token.value === '&&' || token.value === '||' ? 'Logical' : 'Binary';
+      left = { type, operator: token.value, left, right, start: left.start, end: right.end };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) {
+      this.next();
+      const argument = this.parseUnary();
+      return { type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+    for (;;) {
+      if (this.match('.')) {
+        const property = this.next();
+        if (property.type !== 'identifier') {
+          this.index -= 1;
+          throw this.unexpected('a property name');
+        }
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: property.value, start: property.start, end: property.end }, computed: false, start: node.start, end: property.end };
+      } else if (this.match('[')) {
+        const property = this.parseConditional();
+        const close = this.expect(']');
+        node = { type: 'Member', object: node, property, computed: true, start: node.start, end: close.end };
+      } else if (this.peek().type === 'punctuator' && this.peek().value === '(') {
+        if (node.type !== 'Identifier') {
+          throw new ExpressionError(`Only registered functions can be called, at ${node.start}`, { source: this.source, position: node.start });
+        }
+        this.next();
+        const args = this.parseList(')');
+        node = { type: 'Call', callee: node.name, args, start: node.start, end: this.tokens[this.index - 1].end };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseList(close) {
+    const items = [];
+    if (this.match(close)) {
+      return items;
+    }
+    do {
+      items.push(this.parseConditional());
+    } while (this.match(','));
+    this.expect(close);
+    return items;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'Literal', value: token.value, start: token.start, end: token.end };
+      case 'identifier':
+        if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+          return { type: 'Literal', value: KEYWORDS[token.value], start: token.start, end: token.end };
+        }
+        return { type: 'Identifier', name: token.value, start: token.start, end: token.end };
+      case 'punctuator':
+        if (token.value === '(') {
+          const inner = this.parseConditional();
+          const close = this.expect(')');
+          return { ...inner, start: token.start, end: close.end, parenthesized: true };
+        }
+        if (token.value === '[') {
+          const elements = this.parseList(']');
+          return { type: 'Array', elements, start: token.start, end: this.tokens[this.index - 1].end };
+        }
+        break;
+      default:
+        break;
+    }
+    this.index -= 1;
+    throw this.unexpected('a value');
+  }
+}
+
+/**
+ * A parsed expression, ready to evaluate against any number of scopes
+ */
+class Expression {
+  /**
+   * @param {string} source - The expression text
+   */
+  constructor(source) {
+    this.source = source;
+    this.ast = new Parser(source).parse();
+    this.identifiers = freeIdentifiers(this.ast);
+    this.functions = calledFunctions(this.ast);
+    this.paths = memberPaths(this.ast);
+  }
+
+  /**
+   * Evaluate against a scope
+   * @param {Object} scope - Values for the identifiers
+   * @param {Object} options - Evaluation options
+   * @param {Object} options.functions - Callable functions by name
+   * @returns {any} The value
+   * @throws {ExpressionError} On an unbound identifier, unknown function or blocked property
+   */
+  evaluate(scope = {}, options = {}) {
+    return evaluateNode(this.ast, { scope, functions: options.functions || {}, source: this.source });
+  }
+
+  /**
+   * Find the sub-clause responsible for a falsy result. For `a && b` that is
+   * the first falsy operand (searched recursively); for `a || b` it is the
+   * whole disjunction, since every alternative failed.
+   * @param {Object} scope - Values for the identifiers
+   * @param {Object} options - See evaluate()
+   * @returns {Object|null} `{clause, start, end, values}` or null when the expression is truthy
+   */
+  explainFailure(scope = {}, options = {}) {
+    const context = { scope, functions: options.functions || {}, source: this.source };
+    if (evaluateNode(this.ast, context)) {
+      return null;
+    }
+
+    let node = this.ast;
+    while (node.type === 'Logical' && node.operator === '&&') {
+      node = evaluateNode(node.left, context) ? node.right : node.left;
+    }
+    const values = {};
+    for (const name of freeIdentifiers(node)) {
+      values[name] = Object.prototype.hasOwnProperty.call(scope, name) ? scope[name] : undefined;
+    }
+    return { clause: this.source.slice(node.start, node.end).trim(), start: node.start, end: node.end, values };
+  }
+}
+
+/**
+ * Interpret an AST node
+ * @private
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Array':
+      return node.elements.map(element => evaluateNode(element, context));
+    case 'Identifier':
+      if (!Object.prototype.hasOwnProperty.call(context.scope, node.name)) {
+        throw new ExpressionError(`Unbound identifier '${node.name}'`, { source: context.source, position: node.start });
+      }
+      return context.scope[node.name];
+    case 'Member':
+      return readMember(
+        evaluateNode(node.object, context),
+        node.computed ? evaluateNode(node.property, context) : node.property.value,
+        node,
+        context
+      );
+    case 'Call': {
+      const fn = Object.prototype.hasOwnProperty.call(context.functions, node.callee) ? context.functions[node.callee] : null;
+      if (typeof fn !== 'function') {
+        throw new ExpressionError(`Unknown function '${node.callee}'`, { source: context.source, position: node.start });
+      }
+      return fn(...node.args.map(arg => evaluateNode(arg, context)));
+    }
+    case 'Unary': {
+      const value = evaluateNode(node.argument, context);
+      if (node.operator === '!') return !value;
+      if (node.operator === '-') return -value;
+      return +value;
+    }
+    case 'Logical': {
+      const left = evaluateNode(node.left, context);
+      if (node.operator === '&&') return left ? evaluateNode(node.right, context) : left;
+      return left ? left : evaluateNode(node.right, context);
+    }
+    case 'Binary':
+      return applyBinary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    case 'Conditional':
+      return evaluateNode(node.test, context) ? evaluateNode(node.consequent, context) : evaluateNode(node.alternate, context);
+    default:
+      throw new ExpressionError(`Cannot evaluate ${node.type}`, { source: context.source, position: node.start });
+  }
+}
+
+/**
+ * Read an own property, or `length` of a string or array
+ * @private
+ */
+function readMember(object, property, node, context) {
+  const key = String(property);
+  if (BLOCKED_PROPERTIES.has(key)) {
+    throw new ExpressionError(`Property '${key}' is not accessible`, { source: context.source, position: node.start });
+  }
+  if (object === null || object === undefined) {
+    return undefined;
+  }
+  if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+    return object.length;
+  }
+  if (typeof object !== 'object' && typeof object !== 'string') {
+    return undefined;
+  }
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+/**
+ * `==` as the specs use it: null and undefined equal each other and nothing
+ * else; other values compare with `===`, without type coercion
+ * @private
+ */
+function looselyEqual(left, right) {
+  const leftMissing = left === null || left === undefined;
+  const rightMissing = right === null || right === undefined;
+  return leftMissing || rightMissing ? leftMissing && rightMissing : left === right;
+}
+
+/**
+ * @private
+ */
+function applyBinary(operator, left, right) {
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return looselyEqual(left, right);
+    case '!=': return !looselyEqual(left, right);
+    case '===': return left === right;
+    case '!==': return left !== right;
+    default: throw new ExpressionError(`Unknown operator '${operator}'`);
+  }
+}
+
+/**
+ * Identifiers read from the scope (not property names or called functions)
+ * @private
+ */
+function freeIdentifiers(root) {
+  const names = new Set();
+  const visit = node => {
+    switch (node.type) {
+      case 'Identifier': names.add(node.name); break;
+      case 'Member': visit(node.object); if (node.computed) visit(node.property); break;
+      case 'Call': node.args.forEach(visit); break;
+      case 'Unary': visit(node.argument); break;
+      case 'Logical':
+      case 'Binary': visit(node.left); visit(node.right); break;
+      case 'Conditional': visit(node.test); visit(node.consequent); visit(node.alternate); break;
+      case 'Array': node.elements.forEach(visit); break;
+      default: break;
+    }
+  };
+  visit(root);
+  return names;
+}
+
+/**
+ * Names of the functions an expression calls
+ * @private
+ */
+function calledFunctions(root) {
+  const names = new Set();
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'Call') names.add(node.callee);
+    Object.values(node).forEach(child => {
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child === 'object') visit(child);
+    });
+  };
+  visit(root);
+  return names;
+}
+
+/**
+ * Longest static property paths read by an expression (`offer.minTopupAmount`),
+ * as lists of segments
+ * @private
+ */
+function memberPaths(root) {
+  const paths = [];
+  const staticPath = node => {
+    if (node.type === 'Identifier') return [node.name];
+    if (node.type === 'Member' && !node.computed) {
+      const object = staticPath(node.object);
+      return object && object.concat(node.property.value);
+    }
+    return null;
+  };
+  const visit = (node, parent) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'Member' && !(parent && parent.type === 'Member' && parent.object === node)) {
+      const segments = staticPath(node);
+      if (segments) paths.push(segments);
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (key === 'property' && node.type === 'Member' && !node.computed) return;
+      if (Array.isArray(child)) child.forEach(item => visit(item, node));
+      else if (child && typeof child === 'object') visit(child, node);
+    });
+  };
+  visit(root, null);
+  return paths;
+}
+
+// Parsed expressions by source; specifications reuse the same rules often
+const cache = new Map();
+
+/**
+ * Parse an expression, reusing earlier parses of the same text
+ * @param {string} source - The expression
+ * @returns {Expression} The parsed expression
+ * @throws {ExpressionError} On a syntax error
+ */
+function compile(source) {
+  if (!cache.has(source)) {
+    cache.set(source, new Expression(source));
+  }
+  return cache.get(source);
+}
+
+/**
+ * Parse and evaluate an expression in one step
+ * @param {string} source - The expression
+ * @param {Object} scope - Values for the identifiers
+ * @param {Object} options - See Expression#evaluate
+ * @returns {any} The value
+ */
+function evaluate(source, scope, options) {
+  return compile(source).evaluate(scope, options);
+}
+
+module.exports = {
+  Expression,
+  ExpressionError,
+  compile,
+  evaluate
+};
@@ -0,0 +1,399 @@
+/**
+ * Journey Runtime
+ *
+ * Runs a `journey` declaration of a `.finapp` specification: starts on its
+ * `initialScreen`, keeps a navigation history stack and only allows the
+ * transitions the screens declare. A transition is declared by an action on
+ * a screen component:
+ *
+ *   - `navigate(TermsScreen)` or `{ navigate: TopupOfferScreen, params: {...} }`
+ *     moves to that screen
+ *   - `navigateBack()` returns to the previous screen
+ *   - `"createTopup"`, the name of an api endpoint, runs the operation and
+ *     then moves to the next screen in the journey's `screens` order
+ *
+ * Navigating to a screen already on the history stack unwinds the stack to
+ * it, so returning to `LoansOverview` does not grow the history forever.
+ *
+ * Journey state (current screen, history, params and data such as the
+ * selected amount) can be saved to a storage backend with an expiry and
+ * resumed later; see journey-storage.js.
+ */
+
+const { loadSpec, walk } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+const { BindingRuntime } = require('./bindings');
+const { MemoryJourneyStorage } = require('./journey-storage');
+
+/**
+ * Days a saved journey can be resumed for, as in the abandonment scenarios
+ */
+const DEFAULT_EXPIRY_DAYS = 14;
+
+/**
+ * Version written to saved records
+ */
+const STATE_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an illegal transition or unusable journey state.
+ * `details.code` is one of UNKNOWN_JOURNEY, NOT_STARTED, UNKNOWN_SCREEN,
+ * ILLEGAL_TRANSITION, NO_HISTORY, UNKNOWN_ACTION or NO_OPERATION_HANDLER.
+ */
+class JourneyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - Machine-readable reason
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JourneyError';
+    this.details = details;
+  }
+}
+
+/**
+ * Navigation and persistence for one journey
+ */
+class JourneyRuntime {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {string} journeyName - Journey to run, e.g. `LoanTopupJourney`
+   * @param {Object} options - Runtime options
+   * @param {string} options.id - Identifies whose journey this is, e.g. a customer id; part of the storage key
+   * @param {Object} options.storage - Storage backend; defaults to a MemoryJourneyStorage
+   * @param {number} options.expiryDays - Days a saved state stays resumable
+   * @param {Function} options.now - Returns the current Date; defaults to the system clock
+   * @param {Object} options.operations - Async handlers for api actions by endpoint id,
+   *   called with `(journey, params)`; their result is stored in `data[endpointId]`
+   * @throws {JourneyError} When the journey is not declared
+   */
+  constructor(spec, journeyName, options = {}) {
+    const journey = spec.journeys.get(journeyName);
+    if (!journey) {
+      throw new JourneyError(`Unknown journey '${journeyName}'`, { code: 'UNKNOWN_JOURNEY' });
+    }
+
+    this.spec = spec;
+    this.name = journeyName;
+    this.id = options.id || 'default';
+    this.storage = options.storage || new MemoryJourneyStorage();
+    this.expiryDays = options.expiryDays === undefined ? DEFAULT_EXPIRY_DAYS : options.expiryDays;
+    this.now = options.now || (() => new Date());
+    this.operations = options.operations || {};
+    this.bindings = BindingRuntime.fromSpec(spec, { now: this.now });
+
+    this.screens = toPlain((getProperty(journey, 'screens') || {}).value) || [];
+    this.initialScreen = toPlain((getProperty(journey, 'initialScreen') || {}).value) || this.screens[0];
+    this.transitions = new Map(this.screens.map(screen => [screen, this._declaredTargets(screen)]));
+
+    this.current = null;
+    this.history = [];
+    this.params = {};
+    this.data = {};
+  }
+
+  /**
+   * Create a runtime for a journey of a .finapp file
+   * @param {string} filePath - Path to the specification
+   * @param {string} journeyName - Journey to run
+   * @param {Object} options - See constructor
+   * @returns {JourneyRuntime} The runtime
+   */
+  static fromFile(filePath, journeyName, options = {}) {
+    return new JourneyRuntime(loadSpec(filePath), journeyName, options);
+  }
+
+  /**
+   * Start (or restart) on the initial screen with empty history and data
+   * @returns {JourneyRuntime} This runtime
+   */
+  start() {
+    this.current = this.initialScreen;
+    this.history = [];
+    this.params = {};
+    this.data = {};
+    return this;
+  }
+
+  /**
+   * Whether the current screen declares a transition to a screen
+   * @param {string} target - Screen name
+   * @returns {boolean} True when navigate(target) would succeed
+   */
+  canNavigate(target) {
+    return this.current !== null && this.screens.includes(target) && this.transitions.get(this.current).has(target);
+  }
+
+  /**
+   * Move to a screen declared as a target of the current screen
+   * @param {string} target - Screen name
+   * @param {Object} params - Route parameters, e.g. `{ loanId: 'L001' }`
+   * @returns {string} The new current screen
+   * @throws {JourneyError} When the transition is not declared or leaves the journey
+   */
+  navigate(target, params = {}) {
+    this._requireStarted();
+    if (!this.screens.includes(target)) {
+      throw new JourneyError(`Screen '${target}' is not part of journey ${this.name}`, { code: 'UNKNOWN_SCREEN', from: this.current, to: target });
+    }
+    if (!this.transitions.get(this.current).has(target)) {
+      throw new JourneyError(`${this.current} has no transition to ${target}`, { code: 'ILLEGAL_TRANSITION', from: this.current, to: target });
+    }
+
+    const index = this.history.findIndex(entry => entry.screen === target);
+    if (index >= 0) {
+      this.history = this.history.slice(0, index);
+    } else {
+      this.history.push({ screen: this.current, params: this.params });
+    }
+    this.current = target;
+    this.params = params;
+    return target;
+  }
+
+  /**
+   * Return to the previous screen and its params
+   * @returns {string} The new current screen
+   * @throws {JourneyError} When the history is empty
+   */
+  navigateBack() {
+    this._requireStarted();
+    const previous = this.history.pop();
+    if (!previous) {
+      throw new JourneyError(`${this.current} is the first screen of journey ${this.name}`, { code: 'NO_HISTORY', from: this.current });
+    }
+    this.current = previous.screen;
+    this.params = previous.params;
+    return this.current;
+  }
+
+  /**
+   * Run an action. Accepts the shapes actions take once resolved from a
+   * layout: `{call: 'navigate', args: ['TermsScreen']}`, `{navigate, params}`,
+   * `{action, args}` from the error hub, or an endpoint id string.
+   * @param {Object|string} action - The action
+   * @returns {Promise<Object>} `{type, screen, result}`
+   * @throws {JourneyError} For an unknown action or illegal transition
+   */
+  async runAction(action) {
+    this._requireStarted();
+    if (typeof action === 'string') {
+      return this._runOperation(action, {});
+    }
+
+    const call = action && (action.call || action.action);
+    const args = (action && action.args) || [];
+    if (call === 'navigate') {
+      return { type: 'navigate', screen: this.navigate(args[0], args[1] || {}) };
+    }
+    if (call === 'navigateBack') {
+      return { type: 'navigateBack', screen: this.navigateBack() };
+    }
+    if (action && action.navigate) {
+      return { type: 'navigate', screen: this.navigate(action.navigate, action.params || {}) };
+    }
+    throw new JourneyError(`Unknown action ${JSON.stringify(action)}`, { code: 'UNKNOWN_ACTION', action });
+  }
+
+  /**
+   * The actions of a screen's components, in layout order
+   * @param {string} screen - Screen name; defaults to the current screen
+   * @returns {Array<Object>} `{label, event, node}` where `event` is `action` or e.g. `onTap`
+   */
+  actions(screen = this.current) {
+    const declaration = this.spec.screens.get(screen);
+    const layout = declaration && getProperty(declaration, 'layout');
+    const found = [];
+    if (!layout) return found;
+
+    walk(layout.value, node => {
+      if (node.type !== 'ObjectLiteral') return undefined;
+      const label = ['label', 'text', 'title']
+        .map(key => getProperty(node, key))
+        .find(property => property && property.value.type === 'StringLiteral');
+      const direct = getProperty(node, 'action');
+      if (direct) {
+        found.push({ label: label ? label.value.value : null, event: 'action', node: direct.value });
+      }
+      const handlers = getProperty(node, 'actions');
+      if (handlers && handlers.value.type === 'ObjectLiteral') {
+        handlers.value.properties
+          .filter(member => member.type === 'Property')
+          .forEach(member => found.push({ label: label ? label.value.value : null, event: member.key, node: member.value }));
+      }
+      return undefined;
+    });
+    return found;
+  }
+
+  /**
+   * Run the action of the component with a label on the current screen,
+   * as if the user tapped it. `{{...}}` in the action's params are resolved
+   * against the context, e.g. `{ item: loan }` for a list row.
+   * @param {string} label - Component label or text, e.g. `Continue`
+   * @param {Object} context - Binding context for the action
+   * @returns {Promise<Object>} See runAction()
+   * @throws {JourneyError} When the screen has no such action
+   */
+  async trigger(label, context = {}) {
+    this._requireStarted();
+    const match = this.actions().find(candidate => candidate.label === label);
+    if (!match) {
+      throw new JourneyError(`${this.current} has no action labelled '${label}'`, { code: 'UNKNOWN_ACTION', screen: this.current, label });
+    }
+    return this.runAction(this.bindings.resolveTree(match.node, context).value);
+  }
+
+  /**
+   * Set a journey data value, e.g. `selectedAmount`
+   * @param {string} key - The key
+   * @param {any} value - A JSON-serialisable value
+   * @returns {JourneyRuntime} This runtime
+   */
+  set(key, value) {
+    this.data[key] = value;
+    return this;
+  }
+
+  /**
+   * Save the journey state with a fresh expiry
+   * @returns {Promise<Object>} The saved record
+   */
+  async save() {
+    this._requireStarted();
+    const savedAt = this.now();
+    const record = {
+      version: STATE_VERSION,
+      journey: this.name,
+      id: this.id,
+      screen: this.current,
+      history: this.history,
+      params: this.params,
+      data: this.data,
+      savedAt: savedAt.toISOString(),
+      expiresAt: new Date(savedAt.getTime() + this.expiryDays * DAY_MS).toISOString()
+    };
+    await this.storage.save(this._key(), record);
+    return record;
+  }
+
+  /**
+   * The saved state, if any and not expired. Expired state is removed.
+   * @returns {Promise<Object|null>} The record, or null
+   */
+  async savedState() {
+    const record = await this.storage.load(this._key());
+    if (!record) return null;
+    if (Date.parse(record.expiresAt) <= this.now().getTime()) {
+      await this.storage.remove(this._key());
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * When the saved state stops being resumable
+   * @returns {Promise<Date|null>} The expiry, or null when nothing resumable is saved
+   */
+  async stateExpiry() {
+    const record = await this.savedState();
+    return record ? new Date(record.expiresAt) : null;
+  }
+
+  /**
+   * Restore the saved state
+   * @returns {Promise<boolean>} False when nothing resumable is saved
+   */
+  async resume() {
+    const record = await this.savedState();
+    if (!record) return false;
+    if (!this.screens.includes(record.screen)) {
+      throw new JourneyError(`Saved screen '${record.screen}' is not part of journey ${this.name}`, { code: 'UNKNOWN_SCREEN', to: record.screen });
+    }
+    this.current = record.screen;
+    this.history = record.history;
+    this.params = record.params;
+    this.data = record.data;
+    return true;
+  }
+
+  /**
+   * Delete the saved state, e.g. once the journey completes
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    await this.storage.remove(this._key());
+  }
+
+  /**
+   * Screens a screen's actions can navigate to
+   * @private
+   */
+  _declaredTargets(screen) {
+    const targets = new Set();
+    const next = this.screens[this.screens.indexOf(screen) + 1];
+    for (const { node } of this.actions(screen)) {
+      walk(node, child => {
+        if (child.type === 'CallExpression' && child.callee === 'navigate' && child.arguments[0]) {
+          targets.add(toPlain(child.arguments[0]));
+        } else if (child.type === 'ObjectLiteral' && getProperty(child, 'navigate')) {
+          targets.add(toPlain(getProperty(child, 'navigate').value));
+        } else if (child.type === 'StringLiteral' && this._isOperation(child.value) && next) {
+          targets.add(next);
+        }
+      });
+    }
+    return targets;
+  }
+
+  /**
+   * @private
+   */
+  async _runOperation(endpointId, params) {
+    if (!this._isOperation(endpointId)) {
+      throw new JourneyError(`Unknown action '${endpointId}'`, { code: 'UNKNOWN_ACTION', action: endpointId });
+    }
+    const handler = this.operations[endpointId];
+    if (!handler) {
+      throw new JourneyError(`No handler for operation '${endpointId}'`, { code: 'NO_OPERATION_HANDLER', action: endpointId });
+    }
+
+    const result = await handler(this, params);
+    this.data[endpointId] = result;
+    const next = this.screens[this.screens.indexOf(this.current) + 1];
+    return { type: 'operation', screen: next ? this.navigate(next) : this.current, result };
+  }
+
+  /**
+   * @private
+   */
+  _isOperation(name) {
+    return this.spec.apiEndpoints.has(name) || Object.prototype.hasOwnProperty.call(this.operations, name);
+  }
+
+  /**
+   * @private
+   */
+  _requireStarted() {
+    if (this.current === null) {
+      throw new JourneyError(`Journey ${this.name} has not been started or resumed`, { code: 'NOT_STARTED' });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _key() {
+    return `${this.name}/${this.id}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  JourneyError,
+  JourneyRuntime
+};
@@ -0,0 +1,106 @@
+/**
+ * Journey Storage
+ *
+ * Backends for saved journey state. A backend is any object with async
+ * `load(key)`, `save(key, record)` and `remove(key)`; records are plain
+ * JSON-serialisable objects. Two backends are provided: in-memory for tests
+ * and a directory of JSON files for state that must survive the process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps records in a Map; records are copied in and out so callers cannot
+ * mutate stored state
+ */
+class MemoryJourneyStorage {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} The record, or null
+   */
+  async load(key) {
+    return this.records.has(key) ? JSON.parse(this.records.get(key)) : null;
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @param {Object} record - The record
+   * @returns {Promise<void>}
+   */
+  async save(key, record) {
+    this.records.set(key, JSON.stringify(record));
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Keeps one JSON file per record in a directory
+ */
+class FileJourneyStorage {
+  /**
+   * @param {string} directory - Directory for the files; created on first save
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} The record, or null
+   */
+  async load(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write the record through a temporary file, so a crash never leaves a
+   * half-written record behind
+   * @param {string} key - Record key
+   * @param {Object} record - The record
+   * @returns {Promise<void>}
+   */
+  async save(key, record) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const file = this._file(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, `${JSON.stringify(record, null, 2)}\n`);
+    await fs.promises.rename(temporary, file);
+  }
+
+  /**
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this._file(key), { force: true });
+  }
+
+  /**
+   * @private
+   */
+  _file(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+}
+
+module.exports = {
+  MemoryJourneyStorage,
+  FileJourneyStorage
+};
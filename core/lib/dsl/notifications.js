@@ -0,0 +1,392 @@
+/**
+ * Notifications
+ *
+ * Sends the messages declared by `notification` blocks: a template per
+ * locale, the channels to use, the journey events that schedule it, a delay
+ * in days (optionally per region) and the regions and segments it is meant
+ * for. The scheduler reads time from the app clock, so a reminder due in
+ * three days is delivered when the clock has moved three days on. Marketing
+ * messages respect customer opt-outs, and `suppressible` ones are held back
+ * while an offer suppression window is open. Every message, sent or not,
+ * stays in a local outbox with its status so tests can inspect it.
+ */
+
+const { toPlain, hasFlag } = require('../../../code-generation/parsers/finapp-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for an unknown notification, a missing template or value,
+ * or a declaration that cannot be scheduled
+ */
+class NotificationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `UNKNOWN_NOTIFICATION`, `NO_TEMPLATE`, `MISSING_VALUE`,
+   *   `NO_DELAY` or `INVALID_DECLARATION`
+   * @param {string} details.notification - Notification name
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'NotificationError';
+    this.details = details;
+  }
+}
+
+/**
+ * `LoanTopupReminder` -> `LOAN_TOPUP_REMINDER`
+ * @private
+ */
+function typeName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * A value or list of values as a list
+ * @private
+ */
+function list(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Plain definition of a NotificationDeclaration node
+ * @private
+ */
+function definitionOf(node) {
+  const plain = toPlain({ type: 'ObjectLiteral', properties: node.properties });
+  const audience = plain.audience || {};
+  const definition = {
+    name: node.name,
+    type: plain.type || typeName(node.name),
+    kind: plain.kind || 'notification',
+    category: plain.category || 'service',
+    channels: list(plain.channels),
+    on: list(plain.on),
+    cancelledBy: list(plain.cancelledBy),
+    delayDays: plain.delayDays === undefined ? 0 : plain.delayDays,
+    regions: audience.regions ? list(audience.regions) : null,
+    segments: audience.segments ? list(audience.segments) : null,
+    suppressible: hasFlag(node, 'suppressible'),
+    templates: plain.templates || {}
+  };
+  if (!definition.channels.length || !definition.on.length) {
+    throw new NotificationError(`Notification '${node.name}' needs 'channels' and 'on'`, {
+      code: 'INVALID_DECLARATION',
+      notification: node.name
+    });
+  }
+  return definition;
+}
+
+/**
+ * The notifications a specification declares
+ */
+class NotificationCatalogue {
+  /**
+   * @param {Array<Object>} definitions - Notification definitions:
+   *   `{name, type, kind, category, channels, on, cancelledBy, delayDays, regions, segments, suppressible, templates}`
+   */
+  constructor(definitions = []) {
+    this.definitions = definitions;
+  }
+
+  /**
+   * Create a catalogue from the `notification` declarations of a specification
+   * @param {Object} spec - Specification model from buildModel()
+   * @returns {NotificationCatalogue} The catalogue
+   * @throws {NotificationError} For a declaration without channels or events
+   */
+  static fromSpec(spec) {
+    return new NotificationCatalogue([...(spec.notifications || new Map()).values()].map(definitionOf));
+  }
+
+  /**
+   * @param {string} key - Notification name or type
+   * @returns {Object} The definition
+   * @throws {NotificationError} For an unknown notification
+   */
+  get(key) {
+    const definition = this.definitions.find(candidate => candidate.name === key || candidate.type === key);
+    if (!definition) {
+      throw new NotificationError(`Unknown notification '${key}'`, { code: 'UNKNOWN_NOTIFICATION', notification: key });
+    }
+    return definition;
+  }
+
+  /**
+   * The notifications an event schedules for a recipient
+   * @param {string} event - Journey event, e.g. `topupConfirmed`
+   * @param {Object} recipient - `{region, segment}`
+   * @returns {Array<Object>} Definitions in declaration order
+   */
+  forEvent(event, recipient = {}) {
+    return this.definitions.filter(definition => definition.on.includes(event)
+      && (!definition.regions || definition.regions.includes(recipient.region))
+      && (!definition.segments || definition.segments.includes(recipient.segment)));
+  }
+
+  /**
+   * Days between the event and delivery in a region
+   * @param {Object|string} notification - Definition, name or type
+   * @param {string} region - Region id
+   * @returns {number} Days
+   * @throws {NotificationError} When the delay is per region and leaves the region out
+   */
+  delayDays(notification, region) {
+    const definition = typeof notification === 'string' ? this.get(notification) : notification;
+    if (typeof definition.delayDays === 'number') return definition.delayDays;
+    const days = definition.delayDays[region];
+    if (typeof days !== 'number') {
+      throw new NotificationError(`Notification '${definition.name}' has no delay for region '${region}'`, {
+        code: 'NO_DELAY',
+        notification: definition.name,
+        region
+      });
+    }
+    return days;
+  }
+
+  /**
+   * Fill a notification's template. The locale is the requested language,
+   * then a template in the same language (`zh` for `zh-HK`), then the first
+   * of `locales` with a template, then the first template declared.
+   * @param {Object|string} notification - Definition, name or type
+   * @param {string} language - Preferred locale
+   * @param {Object} values - Placeholder values
+   * @param {Array<string>} locales - Fallback locales, e.g. the region's
+   * @returns {Object} `{language, content}` with the locale actually used
+   * @throws {NotificationError} When there is no template or a placeholder has no value
+   */
+  render(notification, language, values = {}, locales = []) {
+    const definition = typeof notification === 'string' ? this.get(notification) : notification;
+    const available = Object.keys(definition.templates);
+    if (!available.length) {
+      throw new NotificationError(`Notification '${definition.name}' has no templates`, {
+        code: 'NO_TEMPLATE',
+        notification: definition.name
+      });
+    }
+    const base = String(language || '').split('-')[0];
+    const chosen = available.find(locale => locale === language)
+      || available.find(locale => locale.split('-')[0] === base)
+      || locales.find(locale => available.includes(locale))
+      || available[0];
+
+    const content = definition.templates[chosen].replace(/\{(\w+)\}/g, (match, name) => {
+      if (values[name] === undefined || values[name] === null) {
+        throw new NotificationError(`Notification '${definition.name}' needs a value for {${name}}`, {
+          code: 'MISSING_VALUE',
+          notification: definition.name,
+          placeholder: name
+        });
+      }
+      return String(values[name]);
+    });
+    return { language: chosen, content };
+  }
+}
+
+/**
+ * Messages in the order they were scheduled. An entry's `status` is
+ * `scheduled` until it is settled as `delivered`, `cancelled`, `suppressed`
+ * or `opted-out`.
+ */
+class NotificationOutbox {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Store a message, giving it the next `MSG<n>` id
+   * @param {Object} entry - The message
+   * @returns {Object} The stored entry
+   */
+  add(entry) {
+    const stored = { id: `MSG${this.entries.length + 1}`, ...entry };
+    this.entries.push(stored);
+    return stored;
+  }
+
+  /**
+   * Messages whose fields equal every field of the filter
+   * @param {Object} filter - e.g. `{customerId, type, channel, status}`
+   * @returns {Array<Object>} Matching entries in scheduling order
+   */
+  find(filter = {}) {
+    const fields = Object.entries(filter).filter(([, value]) => value !== undefined);
+    return this.entries.filter(entry => fields.every(([key, value]) => entry[key] === value));
+  }
+
+  /**
+   * Forget every message
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+/**
+ * Schedules catalogue notifications against a clock and settles them when due
+ */
+class NotificationScheduler {
+  /**
+   * @param {NotificationCatalogue} catalogue - Declared notifications
+   * @param {Object} options - Scheduler options
+   * @param {Clock} options.clock - Source of the current time
+   * @param {NotificationOutbox} options.outbox - Where messages are kept; defaults to a new one
+   */
+  constructor(catalogue, options = {}) {
+    this.catalogue = catalogue;
+    this.clock = options.clock;
+    this.outbox = options.outbox || new NotificationOutbox();
+    this.suppressions = [];
+    this.optOuts = [];
+  }
+
+  /**
+   * Record a journey event for a customer: pending messages it cancels are
+   * cancelled, and the notifications it triggers are scheduled on every
+   * channel, rendered in the recipient's language
+   * @param {string} event - Journey event, e.g. `journeyAbandoned`
+   * @param {Object} recipient - The customer
+   * @param {string} recipient.customerId - Customer id
+   * @param {string} recipient.region - Region id
+   * @param {string} recipient.segment - Segment id
+   * @param {string} recipient.language - Preferred locale
+   * @param {Array<string>} recipient.locales - Fallback locales, e.g. the region's
+   * @param {Object} recipient.addresses - Address per channel (`{email: ...}`); the customer id otherwise
+   * @param {Object} values - Template placeholder values
+   * @returns {Array<Object>} The scheduled entries
+   * @throws {NotificationError} See NotificationCatalogue.render() and delayDays()
+   */
+  emit(event, recipient, values = {}) {
+    this.deliverDue();
+    const now = this.clock.now();
+    this.outbox.find({ customerId: recipient.customerId, status: 'scheduled' })
+      .filter(entry => this.catalogue.get(entry.notification).cancelledBy.includes(event))
+      .forEach(entry => Object.assign(entry, { status: 'cancelled', settledAt: now, reason: event }));
+
+    const scheduled = [];
+    for (const definition of this.catalogue.forEvent(event, recipient)) {
+      const { language, content } = this.catalogue.render(definition, recipient.language, values, recipient.locales);
+      const due = new Date(now.getTime() + this.catalogue.delayDays(definition, recipient.region) * DAY_MS);
+      for (const channel of definition.channels) {
+        scheduled.push(this.outbox.add({
+          customerId: recipient.customerId,
+          notification: definition.name,
+          type: definition.type,
+          kind: definition.kind,
+          category: definition.category,
+          channel,
+          recipient: (recipient.addresses || {})[channel] || recipient.customerId,
+          language,
+          content,
+          event,
+          scheduledAt: now,
+          createdAt: due,
+          status: 'scheduled'
+        }));
+      }
+    }
+    this.deliverDue();
+    return scheduled;
+  }
+
+  /**
+   * Hold back `suppressible` messages to a customer that fall due before a time
+   * @param {string} customerId - Customer id
+   * @param {Date} until - End of the window
+   */
+  suppress(customerId, until) {
+    this.suppressions.push({ customerId, from: this.clock.now(), until: new Date(until) });
+  }
+
+  /**
+   * Stop marketing messages to a customer from now on. Filter fields left
+   * out match everything, so `optOut(id)` stops all marketing.
+   * @param {string} customerId - Customer id
+   * @param {Object} filter - `{type, channel}` to narrow the opt-out
+   */
+  optOut(customerId, filter = {}) {
+    this.optOuts.push({ customerId, type: filter.type || null, channel: filter.channel || null, from: this.clock.now(), until: null });
+  }
+
+  /**
+   * End the opt-outs that optOut() recorded with the same filter
+   * @param {string} customerId - Customer id
+   * @param {Object} filter - `{type, channel}` as given to optOut()
+   */
+  optIn(customerId, filter = {}) {
+    const now = this.clock.now();
+    this.optOuts
+      .filter(optOut => optOut.customerId === customerId && !optOut.until
+        && optOut.type === (filter.type || null) && optOut.channel === (filter.channel || null))
+      .forEach(optOut => { optOut.until = now; });
+  }
+
+  /**
+   * Settle every scheduled message that is due by now. Each one is judged at
+   * its due time: suppressed inside a suppression window, opted out when a
+   * marketing opt-out covers it, delivered otherwise.
+   * @returns {Array<Object>} The entries settled by this call
+   */
+  deliverDue() {
+    const now = this.clock.now().getTime();
+    const due = this.outbox.find({ status: 'scheduled' }).filter(entry => entry.createdAt.getTime() <= now);
+    for (const entry of due) {
+      const definition = this.catalogue.get(entry.notification);
+      if (definition.suppressible && this._covers(this.suppressions, entry)) {
+        entry.status = 'suppressed';
+      } else if (entry.category === 'marketing' && this._covers(this.optOuts, entry)) {
+        entry.status = 'opted-out';
+      } else {
+        entry.status = 'delivered';
+      }
+      entry.settledAt = entry.createdAt;
+    }
+    return due;
+  }
+
+  /**
+   * Messages delivered to a customer by now
+   * @param {string} customerId - Customer id
+   * @param {string} kind - `notification` or `communication`; all kinds when left out
+   * @returns {Array<Object>} Deliveries, newest first
+   */
+  delivered(customerId, kind) {
+    return this.entries({ customerId, kind, status: 'delivered' }).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Outbox entries after settling those that are due
+   * @param {Object} filter - See NotificationOutbox.find()
+   * @returns {Array<Object>} Matching entries in scheduling order
+   */
+  entries(filter = {}) {
+    this.deliverDue();
+    return this.outbox.find(filter);
+  }
+
+  /**
+   * Whether a window in the list covers an entry's due time
+   * @private
+   */
+  _covers(windows, entry) {
+    const at = entry.createdAt.getTime();
+    return windows.some(window => window.customerId === entry.customerId
+      && (!window.type || window.type === entry.type)
+      && (!window.channel || window.channel === entry.channel)
+      && window.from.getTime() <= at
+      && (!window.until || at < window.until.getTime()));
+  }
+}
+
+module.exports = {
+  NotificationError,
+  NotificationCatalogue,
+  NotificationOutbox,
+  NotificationScheduler
+};
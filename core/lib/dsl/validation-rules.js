@@ -0,0 +1,151 @@
+/**
+ * Validation Rules
+ *
+ * Compiles the `validation` blocks of a `.finapp` specification with the
+ * sandboxed expression engine and checks objects against them:
+ *
+ *   validation TopupAmount {
+ *       on: TopupAmount
+ *       rule: "amount >= minTopupAmount && amount <= maxTopupAmount"
+ *       message: "Top-up amount must be within the allowed limits"
+ *   }
+ *
+ * Rule identifiers resolve against the object being validated, then against
+ * an optional context for values that are not fields of the `on:` model
+ * (here `minTopupAmount` and `maxTopupAmount`, which live on the offer).
+ */
+
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { getValue, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+const { compile, ExpressionError } = require('./expression');
+
+/**
+ * The compiled validation blocks of a specification
+ */
+class ValidationRules {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {Object} options - Options
+   * @param {Object} options.functions - Functions rules may call
+   * @throws {ExpressionError} If a rule does not parse; the message names the file and line
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.functions = options.functions || {};
+    this.rules = new Map();
+    for (const validation of spec.validations.values()) {
+      this.rules.set(validation.name, this._compileRule(validation));
+    }
+  }
+
+  /**
+   * Compile the validation blocks of a .finapp file
+   * @param {string} filePath - Path to the specification
+   * @param {Object} options - See constructor
+   * @returns {ValidationRules} The rules
+   */
+  static fromFile(filePath, options) {
+    return new ValidationRules(loadSpec(filePath), options);
+  }
+
+  /**
+   * Look up a compiled rule by validation name
+   * @param {string} name - Validation name
+   * @returns {Object} `{name, on, rule, message, expression, fields, contextIdentifiers}`
+   * @throws {Error} If no such validation is declared
+   */
+  get(name) {
+    const rule = this.rules.get(name);
+    if (!rule) {
+      throw new Error(`Unknown validation '${name}'`);
+    }
+    return rule;
+  }
+
+  /**
+   * Rules bound to a model through `on:`
+   * @param {string} modelName - Model name
+   * @returns {Array<Object>} The rules, in declaration order
+   */
+  forModel(modelName) {
+    return [...this.rules.values()].filter(rule => rule.on === modelName);
+  }
+
+  /**
+   * Check an object against one validation
+   * @param {string} name - Validation name
+   * @param {Object} object - Instance of the `on:` model
+   * @param {Object} context - Values for identifiers that are not model fields
+   * @returns {Object} `{validation, valid}`, plus `message`, `clause` and `values` when invalid,
+   *   or `message` and `error` when the rule could not be evaluated
+   */
+  check(name, object, context = {}) {
+    const rule = this.get(name);
+    const scope = {
+      ...Object.fromEntries(rule.fields.map(field => [field, undefined])),
+      ...context,
+      ...object
+    };
+
+    try {
+      const failure = rule.expression.explainFailure(scope, { functions: this.functions });
+      if (!failure) {
+        return { validation: name, valid: true };
+      }
+      return { validation: name, valid: false, message: rule.message, clause: failure.clause, values: failure.values };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      return { validation: name, valid: false, message: rule.message, error: error.message };
+    }
+  }
+
+  /**
+   * Check an object against every rule bound to its model
+   * @param {string} modelName - Model name
+   * @param {Object} object - The instance
+   * @param {Object} context - Values for identifiers that are not model fields
+   * @returns {Object} `{valid, failures}` where failures are check() results
+   */
+  validate(modelName, object, context = {}) {
+    const failures = this.forModel(modelName)
+      .map(rule => this.check(rule.name, object, context))
+      .filter(result => !result.valid);
+    return { valid: failures.length === 0, failures };
+  }
+
+  /**
+   * @private
+   */
+  _compileRule(validation) {
+    const ruleProperty = getProperty(validation, 'rule');
+    const on = getValue(validation, 'on', null);
+    const model = on && this.spec.models.get(on);
+    const fields = model ? model.fields.map(field => field.name) : [];
+
+    let expression;
+    try {
+      expression = compile(String(getValue(validation, 'rule', '')));
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      const loc = (ruleProperty ? ruleProperty.value : validation).loc.start;
+      throw new ExpressionError(
+        `${this.spec.filename}:${loc.line}:${loc.column}: validation ${validation.name}: ${error.message}`,
+        { ...error.details, file: this.spec.filename, line: loc.line, column: loc.column }
+      );
+    }
+
+    return {
+      name: validation.name,
+      on,
+      rule: expression.source,
+      message: getValue(validation, 'message', `Validation ${validation.name} failed`),
+      expression,
+      fields,
+      contextIdentifiers: [...expression.identifiers].filter(name => !fields.includes(name))
+    };
+  }
+}
+
+module.exports = {
+  ValidationRules
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  default: {
+    paths: ['specifications/features/**/*.feature'],
+    require: ['specifications/support/world.js', 'specifications/step-definitions/**/*.js'],
+    publishQuiet: true
+  }
+};
@@ -4,7 +4,8 @@
   :license {:name "EPL-2.0 OR GPL-2.0-or-later WITH Classpath-exception-2.0"
             :url "https://www.eclipse.org/legal/epl-2.0/"}
   :dependencies [[org.clojure/clojure "1.11.1"]
-                 [org.clojure/clojurescript "1.11.60"]]
+                 [org.clojure/clojurescript "1.11.60"]
+                 [org.clojure/data.json "2.5.0"]]
   :plugins [[lein-cljsbuild "1.1.8"]
             [lein-figwheel "0.5.20"]
             [lein-codox "0.10.8"]
@@ -26,7 +27,8 @@
                            :source-map-timestamp true}}
                {:id "prod"
                 :source-paths ["src"]
-                :compiler {:output-to "target/js/main.js"
+                :compiler {:main finapp-dsl.cljs-bridge
+                           :output-to "target/js/main.js"
                            :output-dir "target/js/out"
                            :optimizations :advanced
                            :target :nodejs}}]}
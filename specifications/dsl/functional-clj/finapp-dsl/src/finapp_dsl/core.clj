@@ -112,11 +112,11 @@
      The value bound to the variable
    
    Throws:
-     Exception if the variable is unbound in the environment"
+     ExceptionInfo with the variable name if the variable is unbound in the environment"
   [var env]
   (let [name (:name var)]
     (cond
-      (nil? env) (throw (Exception. (str "Unbound variable: " name)))
+      (nil? env) (throw (ex-info (str "Unbound variable: " name) {:variable name}))
       (contains? (:frame env) name) (get-in env [:frame name])
       :else (lookup-variable-value var (:base env)))))
 
@@ -146,11 +146,11 @@
      The updated environment with the new value
    
    Throws:
-     Exception if the variable is unbound in the environment"
+     ExceptionInfo with the variable name if the variable is unbound in the environment"
   [var val env]
   (let [name (:name var)]
     (cond
-      (nil? env) (throw (Exception. (str "Unbound variable: " name)))
+      (nil? env) (throw (ex-info (str "Unbound variable: " name) {:variable name}))
       (contains? (:frame env) name) (assoc-in env [:frame name] val)
       :else (set-variable-value! var val (:base env)))))
 
@@ -280,13 +280,27 @@
     :else exp))
 
 ;; Business domain
-(def uk-region 
-  "Region definition for the United Kingdom"
-  {:code "UK" :name "United Kingdom"})
-
-(def hk-region 
-  "Region definition for Hong Kong"
-  {:code "HK" :name "Hong Kong"})
+(defn region-from-pack
+  "Builds a region definition from a region pack.
+   
+   Parameters:
+     pack - The pack's region.json, keyword-keyed
+   
+   Returns:
+     A map with :code, :name, :currency, :currencySymbol, :dateFormat,
+     :language, :regulatoryBody, :coolingOffPeriod, :minAmount and :maxAmount"
+  [pack]
+  (let [locale (:locale pack)]
+    {:code (:id pack)
+     :name (:displayName pack)
+     :currency (:currency pack)
+     :currencySymbol (:currencySymbol pack)
+     :dateFormat (:dateFormat pack)
+     :language (if (string? locale) locale (first locale))
+     :regulatoryBody (get-in pack [:regulator :id])
+     :coolingOffPeriod (get-in pack [:coolingOff :days])
+     :minAmount (get-in pack [:amountLimits :min])
+     :maxAmount (get-in pack [:amountLimits :max])}))
 
 (def basic-segment 
   "Customer segment definition for basic customers"
@@ -0,0 +1,152 @@
+(ns finapp-dsl.loan-math
+  "Repayment arithmetic for instalment loans: annuity payments, blended
+  rates, amortisation schedules and the representative APR. A port of
+  `core/lib/common/loan-math.js`; rates are annual percentage points and
+  amounts are rounded by the currency's rounding rule.")
+
+;; ===== Rounding =====
+
+;; Rounding rule per currency: minor-unit decimals and the rounding mode
+(def default-rounding
+  {"GBP" {:decimals 2 :mode :half-up}
+   "HKD" {:decimals 2 :mode :half-up}
+   "SGD" {:decimals 2 :mode :half-up}})
+
+(def fallback-rounding {:decimals 2 :mode :half-up})
+
+;; Decimals kept on blended rates
+(def rate-decimals 4)
+
+(defn- half-up [value]
+  (* (Math/signum (double value)) (Math/floor (+ (Math/abs (double value)) 0.5))))
+
+(defn- round-scaled [mode value]
+  (case mode
+    :half-up (half-up value)
+    :half-even (Math/rint value)
+    :up (* (Math/signum (double value)) (Math/ceil (Math/abs (double value))))
+    :down (if (neg? value) (Math/ceil value) (Math/floor value))))
+
+(defn- clean
+  "Drop binary noise such as 1.005 * 100 = 100.49999999999999"
+  [value]
+  (Double/parseDouble (format "%.15g" (double value))))
+
+(defn round-amount
+  "Round an amount by the currency's rule"
+  ([amount currency] (round-amount default-rounding amount currency))
+  ([rounding amount currency]
+   (let [{:keys [decimals mode]} (get rounding currency fallback-rounding)
+         factor (Math/pow 10 decimals)]
+     (/ (round-scaled mode (clean (* amount factor))) factor))))
+
+(defn- round-to [value decimals]
+  (let [factor (Math/pow 10 decimals)]
+    (/ (Math/round (clean (* value factor))) factor)))
+
+;; ===== Validation =====
+
+(defn- require-number [field value]
+  (when-not (and (number? value) (not (neg? value)) (Double/isFinite (double value)))
+    (throw (ex-info (str "'" field "' must be a number of zero or more, got " value)
+                    {:field field :value value}))))
+
+(defn- require-term [months]
+  (when-not (and (integer? months) (pos? months))
+    (throw (ex-info (str "'months' must be a whole number of months, got " months)
+                    {:field "months" :value months}))))
+
+;; ===== Calculations =====
+
+(defn blended-rate
+  "Balance-weighted annual rate of several {:balance :rate} tranches"
+  [tranches]
+  (doseq [{:keys [balance rate]} tranches]
+    (require-number "balance" balance)
+    (require-number "rate" rate))
+  (let [total (reduce + 0 (map :balance tranches))]
+    (when (zero? total)
+      (throw (ex-info "A blended rate needs a balance greater than zero"
+                      {:field "balance" :value total})))
+    (round-to (/ (reduce + 0 (map #(* (:balance %) (:rate %)) tranches)) total)
+              rate-decimals)))
+
+(defn monthly-payment
+  "Level monthly payment that repays a principal over a term"
+  [principal annual-rate months currency]
+  (require-number "principal" principal)
+  (require-number "annualRate" annual-rate)
+  (require-term months)
+  (let [rate (/ annual-rate 100.0 12)]
+    (round-amount (if (zero? rate)
+                    (/ principal months)
+                    (/ (* principal rate) (- 1 (Math/pow (+ 1 rate) (- months)))))
+                  currency)))
+
+(defn amortisation-schedule
+  "Month-by-month repayment of a principal. Interest is rounded each month
+  and the final payment absorbs the rounding, so the balance ends at zero."
+  [principal annual-rate months currency]
+  (let [payment (monthly-payment principal annual-rate months currency)
+        rate (/ annual-rate 100.0 12)]
+    (loop [period 1
+           balance principal
+           rows []]
+      (if (> period months)
+        rows
+        (let [interest (round-amount (* balance rate) currency)
+              repaid (if (= period months)
+                       balance
+                       (min (round-amount (- payment interest) currency) balance))
+              remaining (round-amount (- balance repaid) currency)]
+          (recur (inc period)
+                 remaining
+                 (conj rows {:period period
+                             :payment (round-amount (+ repaid interest) currency)
+                             :interest interest
+                             :principal repaid
+                             :balance remaining})))))))
+
+(defn representative-apr
+  "Annual percentage rate at which monthly payments, the first one month
+  after the advance, repay the advance; to one decimal place"
+  [advance payments]
+  (require-number "advance" advance)
+  (when (empty? payments)
+    (throw (ex-info "An APR needs at least one payment" {:field "payments" :value payments})))
+  (let [present-value (fn [monthly-rate]
+                        (reduce + 0 (map-indexed (fn [index payment]
+                                                   (/ payment (Math/pow (+ 1 monthly-rate) (inc index))))
+                                                 payments)))]
+    (when (< (present-value 0) advance)
+      (throw (ex-info "The payments repay less than the advance" {:field "payments" :value payments})))
+    (loop [low 0.0
+           high 1.0
+           step 0]
+      (if (or (>= step 200) (<= (- high low) 1e-12))
+        (round-to (* 100 (- (Math/pow (+ 1 (/ (+ low high) 2)) 12) 1)) 1)
+        (let [middle (/ (+ low high) 2)]
+          (if (> (present-value middle) advance)
+            (recur middle high (inc step))
+            (recur low middle (inc step))))))))
+
+(defn topup
+  "Loan figures after a top-up repaid with the existing balance over the
+  remaining term, at the balance-weighted rate of the two"
+  [{:keys [currentBalance currentRate amount topupRate remainingTerm currency fees]
+    :or {fees 0}}]
+  (require-number "amount" amount)
+  (require-number "fees" fees)
+  (let [new-total-loan (round-amount (+ currentBalance amount) currency)
+        interest-rate (blended-rate [{:balance currentBalance :rate currentRate}
+                                     {:balance amount :rate topupRate}])
+        schedule (amortisation-schedule new-total-loan interest-rate remainingTerm currency)
+        total-repayable (round-amount (reduce + 0 (map :payment schedule)) currency)]
+    {:amount amount
+     :newTotalLoan new-total-loan
+     :interestRate interest-rate
+     :newMonthlyPayment (:payment (first schedule))
+     :remainingTerm remainingTerm
+     :totalInterestPayable (round-amount (- total-repayable new-total-loan) currency)
+     :totalRepayable total-repayable
+     :representativeAPR (representative-apr (- new-total-loan fees) (map :payment schedule))}))
@@ -1,51 +1,32 @@
 (ns finapp-dsl.loan-topup
   (:require [finapp-dsl.core :as dsl]
+            [finapp-dsl.loan-math :as loan-math]
             [clojure.string :as str]))
 
 ;; ===== Domain-Specific Constants =====
 
-;; Region definitions
-(def uk-region {:code "UK" :name "United Kingdom"
-                :currency "GBP"
-                :currencySymbol "£"
-                :dateFormat "DD/MM/YYYY"
-                :regulatoryBody "FCA"
-                :coolingOffPeriod 14
-                :language "en-GB"
-                :translationsKey "uk_translations"})
-
-(def hk-region {:code "HK" :name "Hong Kong"
-                :currency "HKD"
-                :currencySymbol "HK$"
-                :dateFormat "DD/MM/YYYY"
-                :regulatoryBody "HKMA"
-                :coolingOffPeriod 10
-                :language "zh-HK"
-                :translationsKey "hk_translations"})
-
-(def sg-region {:code "SG" :name "Singapore"
-                :currency "SGD"
-                :currencySymbol "S$"
-                :dateFormat "DD/MM/YYYY"
-                :regulatoryBody "MAS"
-                :coolingOffPeriod 7
-                :language "en-SG"
-                :translationsKey "sg_translations"})
+;; Region definitions, registered from the region packs: by the host
+;; through the bridge, or on the JVM by finapp-dsl.region-packs
+(defonce regions (atom {}))
+
+(defn register-regions!
+  "Replaces the known regions with definitions built by dsl/region-from-pack.
+   Returns the codes of the registered regions."
+  [region-definitions]
+  (vec (keys (reset! regions (into {} (map (juxt :code identity)) region-definitions)))))
+
+(defn get-region
+  "The registered definition of a region; throws for a region without a pack"
+  [code]
+  (or (get @regions code)
+      (throw (ex-info (str "Unknown region: " code) {:region code}))))
 
 ;; Amount rules by region
 (defn get-max-amount-by-region [region]
-  (case region
-    "UK" 25000
-    "HK" 150000
-    "SG" 30000
-    10000)) ; default
+  (:maxAmount (get-region region)))
 
 (defn get-min-amount-by-region [region]
-  (case region
-    "UK" 1000
-    "HK" 5000
-    "SG" 1500
-    500)) ; default
+  (:minAmount (get-region region)))
 
 ;; Segment definitions
 (def customer-segments
@@ -370,6 +351,17 @@
       (< amount 5000) (+ base-rate 0.5)    ; Premium for small amounts
       :else base-rate)))
 
+(defn calculate-topup-repayments
+  "Loan figures after a top-up over the remaining term, at the blended rate
+  of the existing balance and the top-up"
+  [current-balance current-rate amount topup-rate remaining-term currency]
+  (loan-math/topup {:currentBalance current-balance
+                    :currentRate current-rate
+                    :amount amount
+                    :topupRate topup-rate
+                    :remainingTerm remaining-term
+                    :currency currency}))
+
 ;; Loan topup journey using the DSL
 
 (defn build-offer-calculation [env]
@@ -392,6 +384,12 @@
                     base-amount-var])]
     calc-expr))
 
+(defn build-repayment-calculation [env]
+  (dsl/make-application
+   (dsl/make-variable "calculate-topup-repayments")
+   (mapv dsl/make-variable
+         ["currentBalance" "currentRate" "topupAmount" "topupRate" "remainingTerm" "currency"])))
+
 (defn setup-loan-topup-environment []
   (let [env (dsl/create-global-environment)
         
@@ -404,7 +402,14 @@
         ;; Define domain-specific functions
         apply-amount-rule-fn apply-amount-rule
         apply-eligibility-rule-fn apply-eligibility-rule
-        calculate-interest-rate-fn calculate-interest-rate]
+        calculate-interest-rate-fn calculate-interest-rate
+        
+        ;; Repayment arithmetic
+        blended-rate-fn loan-math/blended-rate
+        monthly-payment-fn loan-math/monthly-payment
+        amortisation-schedule-fn loan-math/amortisation-schedule
+        representative-apr-fn loan-math/representative-apr
+        calculate-topup-repayments-fn calculate-topup-repayments]
     
     ;; Extend environment with functions
     (-> env
@@ -414,7 +419,12 @@
         (dsl/define-variable! (dsl/make-variable "multiply") multiply-fn)
         (dsl/define-variable! (dsl/make-variable "apply-amount-rule") apply-amount-rule-fn)
         (dsl/define-variable! (dsl/make-variable "apply-eligibility-rule") apply-eligibility-rule-fn)
-        (dsl/define-variable! (dsl/make-variable "calculate-interest-rate") calculate-interest-rate-fn))))
+        (dsl/define-variable! (dsl/make-variable "calculate-interest-rate") calculate-interest-rate-fn)
+        (dsl/define-variable! (dsl/make-variable "blended-rate") blended-rate-fn)
+        (dsl/define-variable! (dsl/make-variable "monthly-payment") monthly-payment-fn)
+        (dsl/define-variable! (dsl/make-variable "amortisation-schedule") amortisation-schedule-fn)
+        (dsl/define-variable! (dsl/make-variable "representative-apr") representative-apr-fn)
+        (dsl/define-variable! (dsl/make-variable "calculate-topup-repayments") calculate-topup-repayments-fn))))
 
 ;; UI journey screens
 (def journey-screens
@@ -523,6 +533,7 @@
 (defn -main
   "Demo of the loan top-up journey with error handling."
   [& args]
+  (register-regions! ((requiring-resolve 'finapp-dsl.region-packs/read-regions)))
   (println "\n=== FinApp DSL Loan Top-up Demo ===\n")
   
   (println "Scenario 1: Successful Loan Top-up (Private Customer)")
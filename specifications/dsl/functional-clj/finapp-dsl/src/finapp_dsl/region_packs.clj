@@ -0,0 +1,24 @@
+(ns finapp-dsl.region-packs
+  "Reads the region packs of `core/lib/common/regions` on the JVM, the way
+  `core/lib/common/region-packs.js` does for the host. Every subdirectory
+  with a `region.json` is a pack."
+  (:require [clojure.data.json :as json]
+            [clojure.java.io :as io]
+            [finapp-dsl.core :as dsl]))
+
+;; The runtime's bundled packs, relative to this project
+(def default-directory "../../../../core/lib/common/regions")
+
+(defn read-region-packs
+  "The keyword-keyed `region.json` of each pack, ordered by directory name"
+  ([] (read-region-packs default-directory))
+  ([directory]
+   (->> (.listFiles (io/file directory))
+        (filter #(.exists (io/file % "region.json")))
+        (sort-by #(.getName %))
+        (mapv #(json/read-str (slurp (io/file % "region.json")) :key-fn keyword)))))
+
+(defn read-regions
+  "Region definitions built by dsl/region-from-pack, one per pack"
+  ([] (read-regions default-directory))
+  ([directory] (mapv dsl/region-from-pack (read-region-packs directory))))
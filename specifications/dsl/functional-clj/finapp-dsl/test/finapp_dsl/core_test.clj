@@ -147,3 +147,19 @@
       
       (let [env-after-assign (evaluate assign-expr env-with-x)]
         (is (= 42 (lookup-variable-value var env-after-assign)))))))
+
+(deftest region-from-pack-test
+  (testing "Region definition from a region pack"
+    (let [region (region-from-pack {:id "SG"
+                                    :displayName "Singapore"
+                                    :locale "en-SG"
+                                    :currency "SGD"
+                                    :regulator {:id "MAS" :name "Monetary Authority of Singapore"}
+                                    :coolingOff {:days 7 :businessDays true}
+                                    :amountLimits {:min 1500 :max 150000}})]
+      (is (= "SG" (:code region)))
+      (is (= "en-SG" (:language region)))
+      (is (= "MAS" (:regulatoryBody region)))
+      (is (= 7 (:coolingOffPeriod region)))
+      (is (= 150000 (:maxAmount region))))
+    (is (= "en-HK" (:language (region-from-pack {:id "HK" :locale ["en-HK" "zh-HK"]}))))))
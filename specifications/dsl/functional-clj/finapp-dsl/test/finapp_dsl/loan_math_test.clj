@@ -0,0 +1,51 @@
+(ns finapp-dsl.loan-math-test
+  (:require [clojure.test :refer :all]
+            [finapp-dsl.core :as dsl]
+            [finapp-dsl.loan-math :as loan-math]
+            [finapp-dsl.loan-topup :as loan-topup]))
+
+(deftest rounding-test
+  (testing "Currency rounding rules"
+    (is (= 1.01 (loan-math/round-amount 1.005 "GBP")))
+    (is (= 2.0 (loan-math/round-amount {"GBP" {:decimals 0 :mode :half-even}} 2.5 "GBP")))
+    (is (= 3.0 (loan-math/round-amount {"GBP" {:decimals 0 :mode :up}} 2.1 "GBP")))
+    (is (= 2.5 (loan-math/round-amount 2.5 "XXX")))))
+
+(deftest annuity-test
+  (testing "Level monthly payment"
+    (is (= 237.15 (loan-math/monthly-payment 10000 6.5 48 "GBP")))
+    (is (= 250.0 (loan-math/monthly-payment 12000 0 48 "GBP"))))
+
+  (testing "Schedule ends at a zero balance"
+    (let [schedule (loan-math/amortisation-schedule 10000 6.5 48 "GBP")]
+      (is (= 48 (count schedule)))
+      (is (= {:period 1 :payment 237.15 :interest 54.17 :principal 182.98 :balance 9817.02}
+             (first schedule)))
+      (is (= 0.0 (:balance (last schedule))))
+      (is (= 237.14 (:payment (last schedule))))))
+
+  (testing "Invalid terms"
+    (is (thrown? clojure.lang.ExceptionInfo (loan-math/monthly-payment 10000 6.5 0 "GBP")))
+    (is (thrown? clojure.lang.ExceptionInfo (loan-math/monthly-payment -1 6.5 12 "GBP")))))
+
+(deftest apr-test
+  (testing "Blended rate and APR"
+    (is (= 6.4652 (loan-math/blended-rate [{:balance 10000 :rate 5.9} {:balance 13000 :rate 6.9}])))
+    (is (= 41.3 (loan-math/representative-apr 1000 (repeat 12 100))))
+    (is (thrown? clojure.lang.ExceptionInfo (loan-math/representative-apr 1000 (repeat 9 100))))))
+
+(deftest repayment-calculation-test
+  (testing "Top-up repayments through the DSL"
+    (let [env (-> (loan-topup/setup-loan-topup-environment)
+                  (dsl/define-variable! (dsl/make-variable "currentBalance") 10000)
+                  (dsl/define-variable! (dsl/make-variable "currentRate") 5.9)
+                  (dsl/define-variable! (dsl/make-variable "topupAmount") 13000)
+                  (dsl/define-variable! (dsl/make-variable "topupRate") 6.9)
+                  (dsl/define-variable! (dsl/make-variable "remainingTerm") 48)
+                  (dsl/define-variable! (dsl/make-variable "currency") "GBP"))
+          result (dsl/evaluate (loan-topup/build-repayment-calculation env) env)]
+      (is (= 23000.0 (:newTotalLoan result)))
+      (is (= 545.07 (:newMonthlyPayment result)))
+      (is (= 3163.65 (:totalInterestPayable result)))
+      (is (= 26163.65 (:totalRepayable result)))
+      (is (= 6.7 (:representativeAPR result))))))
@@ -1,29 +1,37 @@
 (ns finapp-dsl.loan-topup-test
   (:require [clojure.test :refer :all]
             [finapp-dsl.core :as dsl]
-            [finapp-dsl.loan-topup :as loan-topup]))
+            [finapp-dsl.loan-topup :as loan-topup]
+            [finapp-dsl.region-packs :as region-packs]))
+
+(use-fixtures :once
+  (fn [run]
+    (loan-topup/register-regions! (region-packs/read-regions))
+    (run)))
 
 (deftest region-definitions-test
-  (testing "Region definitions"
-    (is (= "UK" (:code loan-topup/uk-region)))
-    (is (= "GBP" (:currency loan-topup/uk-region)))
-    (is (= "HK" (:code loan-topup/hk-region)))
-    (is (= "HKD" (:currency loan-topup/hk-region)))
-    (is (= "SG" (:code loan-topup/sg-region)))
-    (is (= "SGD" (:currency loan-topup/sg-region)))))
+  (testing "Regions come from the region packs"
+    (is (= "GBP" (:currency (loan-topup/get-region "UK"))))
+    (is (= "HKD" (:currency (loan-topup/get-region "HK"))))
+    (is (= "SGD" (:currency (loan-topup/get-region "SG"))))
+    (is (= "MAS" (:regulatoryBody (loan-topup/get-region "SG")))))
+
+  (testing "A region without a pack is unknown"
+    (is (thrown-with-msg? clojure.lang.ExceptionInfo #"Unknown region: JP"
+                          (loan-topup/get-region "JP")))))
 
 (deftest amount-rules-test
   (testing "UK region amount rules"
     (is (= 1000 (loan-topup/get-min-amount-by-region "UK")))
-    (is (= 25000 (loan-topup/get-max-amount-by-region "UK"))))
+    (is (= 100000 (loan-topup/get-max-amount-by-region "UK"))))
   
   (testing "HK region amount rules"
-    (is (= 5000 (loan-topup/get-min-amount-by-region "HK")))
-    (is (= 150000 (loan-topup/get-max-amount-by-region "HK"))))
+    (is (= 10000 (loan-topup/get-min-amount-by-region "HK")))
+    (is (= 800000 (loan-topup/get-max-amount-by-region "HK"))))
   
   (testing "SG region amount rules"
     (is (= 1500 (loan-topup/get-min-amount-by-region "SG")))
-    (is (= 30000 (loan-topup/get-max-amount-by-region "SG"))))
+    (is (= 150000 (loan-topup/get-max-amount-by-region "SG"))))
   
   (testing "Segment multipliers"
     (is (= 1.0 (loan-topup/get-amount-multiplier-by-segment "Basic")))
@@ -71,7 +79,7 @@
     (is (= 20000 (loan-topup/apply-amount-rule "UK" "Private" 10000))))
   
   (testing "Maximum amount cap is enforced"
-    (is (= 25000 (loan-topup/apply-amount-rule "UK" "Wealth" 20000))))
+    (is (= 100000 (loan-topup/apply-amount-rule "UK" "Wealth" 70000))))
   
   (testing "Minimum amount floor is enforced"
     (is (= 1000 (loan-topup/apply-amount-rule "UK" "Basic" 500)))))
@@ -180,8 +188,8 @@
                             (dsl/define-variable! (dsl/make-variable "baseAmount") 4000))
             result-hk (dsl/evaluate calc-expr env-hk-basic)]
         
-        ;; Should be minimum amount for HK (5000) since 4000 is below minimum
-        (is (= 5000 result-hk))))))
+        ;; Should be minimum amount for HK (10000) since 4000 is below minimum
+        (is (= 10000 result-hk))))))
 
 (deftest journey-execution-test
   (testing "End-to-end journey execution for eligible customer"
@@ -0,0 +1,62 @@
+(ns finapp-dsl.marshal-test
+  (:require [clojure.test :refer :all]
+            [finapp-dsl.core :as dsl]
+            [finapp-dsl.marshal :as marshal]))
+
+(def error-handler
+  {:display :ErrorBanner
+   :location "PaymentEntryScreen"
+   :severity :high
+   :codes #{408 502 503 504}
+   :properties {:actionText "Check balance"
+                :reference "~:not a keyword"}
+   :steps [:amount-selection :journey/terms-review]
+   :raisedAt #inst "2025-03-31T09:00:00.000-00:00"})
+
+(deftest wire-format-test
+  (testing "Keywords, tagged strings, sets and maps"
+    (is (= "~:high" (marshal/encode :high)))
+    (is (= "~:journey/terms-review" (marshal/encode :journey/terms-review)))
+    (is (= "~~:not a keyword" (marshal/encode "~:not a keyword")))
+    (is (= {"~#set" ["~:UK"]} (marshal/encode #{:UK})))
+    (is (= {"severity" "~:high"} (marshal/encode {:severity :high})))
+    (is (= {"~#cmap" ["maxAmount" 25000]} (marshal/encode {"maxAmount" 25000}))))
+
+  (testing "Function names"
+    (is (= "lookupVariableValue" (marshal/camel-case "lookup-variable-value")))
+    (is (= "ukRegion" (marshal/camel-case "uk-region")))))
+
+(deftest round-trip-test
+  (testing "Decoding an encoded value gives it back"
+    (is (= error-handler (marshal/decode (marshal/encode error-handler))))
+    (is (= {:frame {"amount" 5000} :base nil}
+           (marshal/decode (marshal/encode {:frame {"amount" 5000} :base nil}))))
+    (is (= {(keyword nil "~#set") [1]} (marshal/decode (marshal/encode {(keyword nil "~#set") [1]})))))
+
+  (testing "Environments survive the boundary"
+    (let [env (marshal/decode (marshal/encode (dsl/define-variable! (dsl/make-variable "amount") 5000
+                                                                    (dsl/create-global-environment))))]
+      (is (= 5000 (dsl/evaluate (dsl/make-variable "amount") env))))))
+
+(deftest function-test
+  (testing "Wrapped functions take and return wire values"
+    (let [action (fn [error] {:navigate :AccountDetailsScreen :message (:message error)})
+          wire (marshal/encode action)]
+      (is (= {"navigate" "~:AccountDetailsScreen" "message" "Insufficient funds"}
+             (wire {"message" "Insufficient funds"})))
+      (is (identical? action (marshal/decode wire)))))
+
+  (testing "Host functions are callable as procedures"
+    (let [host (fn [amount] (* 2 amount))
+          procedure (marshal/decode host)
+          env (dsl/define-variable! (dsl/make-variable "double") procedure (dsl/create-global-environment))]
+      (is (= 5000 (dsl/evaluate (dsl/make-application (dsl/make-variable "double") [2500]) env)))
+      (is (identical? host (marshal/encode procedure))))))
+
+(deftest error-test
+  (testing "Unbound variables raise ex-info with the variable"
+    (let [error (try
+                  (dsl/lookup-variable-value (dsl/make-variable "missing") (dsl/create-global-environment))
+                  (catch clojure.lang.ExceptionInfo e e))]
+      (is (= "Unbound variable: missing" (ex-message error)))
+      (is (= {"variable" "missing"} (marshal/encode (ex-data error)))))))
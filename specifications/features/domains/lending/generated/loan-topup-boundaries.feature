@@ -0,0 +1,45 @@
+# Generated from loan-topup.finapp and loan-topup.scenarios.json
+# by code-generation/bin/finapp-generate-features.js. Do not edit.
+@generated
+Feature: Loan top-up amount boundaries
+  Each customer segment at its minimum and maximum top-up amount in every region.
+
+  Background:
+    Given I am authenticated in the mobile banking app
+    And I have an existing loan that is eligible for top-up
+    And I have been pre-approved for a loan top-up
+    And my current region is set to "UK"
+    And my customer segment is "Basic"
+    And the current date and time is "2025-03-15T14:30:00Z"
+
+  Scenario Outline: Custom amounts are constrained to the segment's minimum and maximum
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I am on the amount selection screen
+    When I select the option to enter a custom amount
+    Then I should see a slider and input field to specify an amount in "<currency>"
+    And the amount should be constrained between "<min_amount>" and "<max_amount>"
+    And the localised "Continue" button should enable once a valid amount is entered
+
+    Examples:
+      | region | segment | currency  | min_amount | max_amount |
+      | UK     | Basic   | GBP (£)   | £1,000     | £25,000    |
+      | UK     | Wealth  | GBP (£)   | £5,000     | £100,000   |
+      | HK     | Basic   | HKD (HK$) | HK$10,000  | HK$200,000 |
+      | HK     | Wealth  | HKD (HK$) | HK$50,000  | HK$800,000 |
+
+  Scenario Outline: Customer attempts to exceed the segment's maximum top-up amount
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I am on the custom amount selection screen
+    When I try to enter an amount greater than my pre-approved limit
+    Then the system should prevent me from exceeding the maximum
+    And I should see a localised error message explaining the limitation
+    And the input should be automatically adjusted to the maximum allowed amount
+
+    Examples:
+      | region | segment |
+      | UK     | Basic   |
+      | UK     | Wealth  |
+      | HK     | Basic   |
+      | HK     | Wealth  |
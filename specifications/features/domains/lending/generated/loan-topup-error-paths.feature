@@ -0,0 +1,80 @@
+# Generated from loan-topup.finapp and loan-topup.scenarios.json
+# by code-generation/bin/finapp-generate-features.js. Do not edit.
+@generated
+Feature: Loan top-up error paths
+  One scenario per API error code mapped by an errorMapping.
+
+  Background:
+    Given the error hub of "lending/loan-topup.finapp"
+
+  Scenario: checkEligibility failing with 400 LOAN_NOT_ELIGIBLE is shown as ErrorBanner
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 400 and code "LOAN_NOT_ELIGIBLE"
+    Then the resolved error should be "IneligibleLoan"
+    And it should be handled by the journey
+    And it should be displayed with "ErrorBanner"
+
+  Scenario: checkEligibility failing with 400 INCOME_BELOW_THRESHOLD is shown as ModalDialog
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 400 and code "INCOME_BELOW_THRESHOLD"
+    Then the resolved error should be "InsufficientIncome"
+    And it should be handled by the journey
+    And it should be displayed with "ModalDialog"
+
+  Scenario: checkEligibility failing with 400 ACCOUNT_TOO_NEW is shown as ErrorBanner
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 400 and code "ACCOUNT_TOO_NEW"
+    Then the resolved error should be "AccountTooNew"
+    And it should be handled by the journey
+    And it should be displayed with "ErrorBanner"
+
+  Scenario: checkEligibility failing with 401 is shown as SecurityDialog
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 401 and code ""
+    Then the resolved error should be "AuthenticationError"
+    And it should be handled by the platform
+    And it should be displayed with "SecurityDialog"
+
+  Scenario: checkEligibility failing with 403 is shown as ModalDialog
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 403 and code ""
+    Then the resolved error should be "AuthorisationError"
+    And it should be handled by the platform
+    And it should be displayed with "ModalDialog"
+
+  Scenario: checkEligibility failing with 502 is shown as RetryDialog
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 502 and code ""
+    Then the resolved error should be "NetworkError"
+    And it should be handled by the platform
+    And it should be displayed with "RetryDialog"
+
+  Scenario: createTopup failing with 400 AMOUNT_TOO_LOW is shown as ErrorBanner
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 400 and code "AMOUNT_TOO_LOW"
+    Then the resolved error should be "AmountTooLow"
+    And it should be handled by the journey
+    And it should be displayed with "ErrorBanner"
+
+  Scenario: createTopup failing with 400 AMOUNT_TOO_HIGH is shown as ErrorBanner
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 400 and code "AMOUNT_TOO_HIGH"
+    Then the resolved error should be "AmountTooHigh"
+    And it should be handled by the journey
+    And it should be displayed with "ErrorBanner"
+
+  Scenario: createTopup failing with 400 LOAN_OFFER_EXPIRED is shown as ModalDialog
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 400 and code "LOAN_OFFER_EXPIRED"
+    Then the resolved error should be "LoanOfferExpired"
+    And it should be handled by the journey
+    And it should be displayed with "ModalDialog"
+
+  Scenario: createTopup failing with 401 is shown as SecurityDialog
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 401 and code ""
+    Then the resolved error should be "AuthenticationError"
+    And it should be handled by the platform
+    And it should be displayed with "SecurityDialog"
+
+  Scenario: createTopup failing with 403 is shown as ModalDialog
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 403 and code ""
+    Then the resolved error should be "AuthorisationError"
+    And it should be handled by the platform
+    And it should be displayed with "ModalDialog"
+
+  Scenario: createTopup failing with 502 is shown as RetryDialog
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 502 and code ""
+    Then the resolved error should be "NetworkError"
+    And it should be handled by the platform
+    And it should be displayed with "RetryDialog"
@@ -0,0 +1,134 @@
+# Generated from loan-topup.finapp and loan-topup.scenarios.json
+# by code-generation/bin/finapp-generate-features.js. Do not edit.
+@generated
+Feature: Loan top-up happy path for every region and segment
+  Every screen of LoanTopupJourney in every region × customer segment combination.
+
+  Background:
+    Given I am authenticated in the mobile banking app
+    And I have an existing loan that is eligible for top-up
+    And I have been pre-approved for a loan top-up
+    And my current region is set to "UK"
+    And my customer segment is "Basic"
+    And the current date and time is "2025-03-15T14:30:00Z"
+
+  Scenario Outline: Customer is presented with a personalised loan top-up offer
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    When I navigate to the "My Loans" section
+    Then I should see a localised pre-approved message in the appropriate language
+    And I should see my current loan details in the local currency format:
+      | Current balance remaining | Remaining term | Current monthly payment |
+    And I should see a primary call-to-action button with localised text
+    And I should see a secondary option with localised text
+
+    Examples:
+      | region | segment |
+      | UK     | Basic   |
+      | UK     | Wealth  |
+      | HK     | Basic   |
+      | HK     | Wealth  |
+
+  Scenario Outline: Customer segment determines interest rates and limits
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    When I navigate to the "My Loans" section
+    And I select "View Your Offer"
+    Then I should see interest rate of "<interest_rate>"
+    And I should see a maximum top-up amount of up to "<max_amount>"
+
+    Examples:
+      | region | segment | interest_rate | max_amount |
+      | UK     | Basic   | 6.9% APR      | £25,000    |
+      | UK     | Wealth  | 5.4% APR      | £100,000   |
+      | HK     | Basic   | 7.2% APR      | HK$200,000 |
+      | HK     | Wealth  | 5.8% APR      | HK$800,000 |
+
+  Scenario Outline: Customer selects from pre-defined loan top-up amounts based on segment
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I am on the loan top-up offer screen
+    When I select the localised version of "Select Amount"
+    Then I should see at least three pre-defined amount options in "<currency>" format
+    And the pre-defined options should be appropriate for my customer segment
+    And each option should display in the local language and currency:
+      | Top-up amount | New total loan | New monthly payment |
+    And I should see an option to enter a custom amount
+    And I should see a localised "Continue" button
+    And the "Continue" button should be disabled until an amount is selected
+
+    Examples:
+      | region | segment | currency  |
+      | UK     | Basic   | GBP (£)   |
+      | UK     | Wealth  | GBP (£)   |
+      | HK     | Basic   | HKD (HK$) |
+      | HK     | Wealth  | HKD (HK$) |
+
+  Scenario Outline: Customer views detailed loan top-up terms with region-specific regulations
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I have selected a top-up amount
+    When I click the localised version of "Continue"
+    Then I should see a detailed breakdown of my loan top-up in "<currency>":
+      | Original loan amount    |
+      | Current balance         |
+      | Top-up amount           |
+      | New total balance       |
+      | Current monthly payment |
+      | New monthly payment     |
+      | Remaining term          |
+      | Interest rate           |
+      | Total interest payable  |
+      | Total repayable         |
+    And I should see the regulatory information specific to "<region>" including:
+      | Representative APR | "<regulatory_body>" disclosures | Cooling-off period |
+    And I should see the "<segment_benefit>" displayed prominently
+    And I should see localised options to "Accept" or "Go Back"
+
+    Examples:
+      | region | segment | currency  | regulatory_body | segment_benefit                                   |
+      | UK     | Basic   | GBP (£)   | FCA             | No early repayment charges                        |
+      | UK     | Wealth  | GBP (£)   | FCA             | Premier rate guarantee and priority service       |
+      | HK     | Basic   | HKD (HK$) | HKMA            | Standard repayment flexibility                    |
+      | HK     | Wealth  | HKD (HK$) | HKMA            | Jade member priority processing and rate discount |
+
+  Scenario Outline: Customer reviews and accepts loan top-up offer with local regulations
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I am on the detailed terms screen
+    When I select the localised version of "Accept"
+    Then I should see a confirmation screen with content appropriate for "<region>":
+      | Summary of the top-up details                                             |
+      | Region-specific terms and conditions                                      |
+      | Checkbox to confirm I've read and agree to the terms in my local language |
+    And the localised "Confirm Top-up" button should be disabled until I check the agreement box
+
+    Examples:
+      | region | segment |
+      | UK     | Basic   |
+      | UK     | Wealth  |
+      | HK     | Basic   |
+      | HK     | Wealth  |
+
+  Scenario Outline: Customer confirms loan top-up with region-specific processing
+    Given my current region is set to "<region>"
+    And my customer segment is "<segment>"
+    And I am on the confirmation screen
+    And I have checked the agreement box
+    When I select the localised version of "Confirm Top-up"
+    Then I should see a processing indicator
+    And then I should see a success screen showing region-appropriate information:
+      | Localised confirmation message                        |
+      | Top-up amount in "<currency>"                         |
+      | Reference number                                      |
+      | Funds available according to "<region>" banking hours |
+      | New monthly payment amount                            |
+      | Date of first new payment in local format             |
+    And I should see options in the local language to view updated loan details or return to account overview
+
+    Examples:
+      | region | segment | currency  |
+      | UK     | Basic   | GBP (£)   |
+      | UK     | Wealth  | GBP (£)   |
+      | HK     | Basic   | HKD (HK$) |
+      | HK     | Wealth  | HKD (HK$) |
@@ -7,26 +7,29 @@ Feature: Loan Top-up for Pre-approved Customers
     Given I am authenticated in the mobile banking app
     And I have an existing loan that is eligible for top-up
     And I have been pre-approved for a loan top-up
-    And my current region is set to "<region>"
+    And my current region is set to "UK"
+    And my customer segment is "Basic"
+    And the current date and time is "2025-03-15T14:30:00Z"
+
+  Scenario Outline: Customer is presented with personalised loan top-up offer
+    Given my current region is set to "<region>"
     And my customer segment is "<segment>"
     And the current date and time is "<datetime>"
-
-  Examples:
-    | region | segment | datetime               | description                      |
-    | UK     | Basic   | 2025-03-15T14:30:00Z   | UK Basic customer, standard hours |
-    | UK     | Wealth  | 2025-03-15T14:30:00Z   | UK Wealth customer, standard hours |
-    | HK     | Basic   | 2025-03-15T10:30:00+08 | HK Basic customer, standard hours |
-    | HK     | Wealth  | 2025-03-15T10:30:00+08 | HK Wealth customer, standard hours |
-    | UK     | Basic   | 2025-03-15T02:30:00Z   | UK Basic customer, off-peak hours |
-    | HK     | Basic   | 2025-03-15T20:30:00+08 | HK Basic customer, evening hours  |
-
-  Scenario: Customer is presented with personalised loan top-up offer
     When I navigate to the "My Loans" section
     Then I should see a localised pre-approved message in the appropriate language
     And I should see my current loan details in the local currency format:
       | Current balance remaining | Remaining term | Current monthly payment |
     And I should see a primary call-to-action button with localised text
     And I should see a secondary option with localised text
+
+    Examples:
+      | region | segment | datetime               | description                      |
+      | UK     | Basic   | 2025-03-15T14:30:00Z   | UK Basic customer, standard hours |
+      | UK     | Wealth  | 2025-03-15T14:30:00Z   | UK Wealth customer, standard hours |
+      | HK     | Basic   | 2025-03-15T10:30:00+08 | HK Basic customer, standard hours |
+      | HK     | Wealth  | 2025-03-15T10:30:00+08 | HK Wealth customer, standard hours |
+      | UK     | Basic   | 2025-03-15T02:30:00Z   | UK Basic customer, off-peak hours |
+      | HK     | Basic   | 2025-03-15T20:30:00+08 | HK Basic customer, evening hours  |
     
   Scenario Outline: Region-specific offer presentation
     Given my current region is set to "<region>"
@@ -137,8 +140,8 @@ Feature: Loan Top-up for Pre-approved Customers
     When I click the localised version of "Continue"
     Then I should see a detailed breakdown of my loan top-up in "<currency>":
       | Original loan amount | Current balance | Top-up amount | New total balance |
-      | Current monthly payment | New monthly payment | Remaining term |
-      | Interest rate | Total interest payable | Total repayable |
+      | Current monthly payment | New monthly payment | Remaining term | |
+      | Interest rate | Total interest payable | Total repayable | |
     And I should see the regulatory information specific to "<region>" including:
       | Representative APR | "<regulatory_body>" disclosures | Cooling-off period |
     And I should see localised options to "Accept" or "Go Back"
@@ -188,8 +191,8 @@ Feature: Loan Top-up for Pre-approved Customers
     Then I should see a processing indicator
     And then I should see a success screen showing region-appropriate information:
       | Localised confirmation message | Top-up amount in "<currency>" | Reference number |
-      | Funds available according to "<region>" banking hours | New monthly payment amount |
-      | Date of first new payment in local format |
+      | Funds available according to "<region>" banking hours | New monthly payment amount | |
+      | Date of first new payment in local format | | |
     And I should see options in the local language to view updated loan details or return to account overview
     
     Examples:
@@ -215,7 +218,8 @@ Feature: Loan Top-up for Pre-approved Customers
       | UK     | 2025-12-24T14:30:00Z   | Funds available immediately      | Holiday period service notice            |
       | HK     | 2025-03-15T10:30:00+08 | Funds available immediately      | None                                     |
       | HK     | 2025-03-15T16:31:00+08 | Funds available immediately      | None                                     |
-      | HK     | 2025-01-25T10:30:00+08 | Funds available immediately      | Lunar New Year holiday processing notice |
+      | HK     | 2025-01-29T10:30:00+08 | Funds available immediately      | Lunar New Year holiday processing notice |
+      | HK     | 2025-01-25T10:30:00+08 | Funds available immediately      | None                                     |
 
   Scenario Outline: Funds are disbursed after loan top-up confirmation with region-specific processing
     Given my current region is set to "<region>"
@@ -250,7 +254,8 @@ Feature: Loan Top-up for Pre-approved Customers
       | UK     | 2025-12-25T14:30:00Z   | Bank holiday processing notice    | Next working day processing  |
       | HK     | 2025-03-15T10:30:00+08 | Immediate disbursement            | Instant processing           |
       | HK     | 2025-03-15T19:30:00+08 | Immediate disbursement            | Instant processing           |
-      | HK     | 2025-01-25T10:30:00+08 | Lunar New Year processing notice  | Next working day processing  |
+      | HK     | 2025-01-29T10:30:00+08 | Lunar New Year processing notice  | Next working day processing  |
+      | HK     | 2025-01-25T10:30:00+08 | Immediate disbursement            | Instant processing           |
 
   Scenario Outline: Customer abandons loan top-up journey with region-specific resumption
     Given my current region is set to "<region>"
@@ -0,0 +1,52 @@
+Feature: Pre-defined top-up amount options
+  As a developer of the loan top-up journey
+  I want the pre-defined amounts generated from the segment limits and the customer's offer
+  So that every region and segment gets round amounts the slider can select
+
+  Background:
+    Given the amount options of "lending/loan-topup.finapp"
+
+  Scenario Outline: <count> options for a <segment> customer in <region>
+    When <count> amount options are generated for region "<region>" and segment "<segment>"
+    Then the amount options should be "<options>"
+    And the suggested amount should be <suggested>
+
+    Examples:
+      | region | segment | count | options                                  | suggested |
+      | UK     | Basic   | 3     | 1000, 15000, 25000                       | 15000     |
+      | UK     | Wealth  | 3     | 5000, 60000, 100000                      | 60000     |
+      | HK     | Basic   | 3     | 10000, 100000, 200000                    | 100000    |
+      | HK     | Wealth  | 3     | 50000, 400000, 800000                    | 400000    |
+      | UK     | Basic   | 4     | 1000, 10000, 18000, 25000                | 10000     |
+      | UK     | Wealth  | 4     | 5000, 40000, 70000, 100000               | 40000     |
+      | HK     | Basic   | 4     | 10000, 80000, 140000, 200000             | 80000     |
+      | HK     | Wealth  | 4     | 50000, 300000, 600000, 800000            | 300000    |
+      | UK     | Basic   | 5     | 1000, 8000, 14000, 20000, 25000          | 14000     |
+      | HK     | Wealth  | 5     | 50000, 250000, 450000, 600000, 800000    | 450000    |
+
+  Scenario Outline: A pre-approved maximum of <cap> for a <segment> customer in <region>
+    Given the customer is pre-approved for up to <cap>
+    When 3 amount options are generated for region "<region>" and segment "<segment>"
+    Then the amount options should be "<options>"
+
+    Examples:
+      | region | segment | cap   | options             |
+      | UK     | Basic   | 23456 | 1000, 10000, 23400  |
+      | UK     | Wealth  | 20000 | 5000, 12000, 20000  |
+      | HK     | Basic   | 10150 | 10000, 10100        |
+
+  Scenario: A range too narrow for the count gives fewer options
+    Given the customer is pre-approved for up to 1250
+    When 5 amount options are generated for region "UK" and segment "Basic"
+    Then the amount options should be "1000, 1100, 1200"
+    And the suggested amount should be 1100
+
+  Scenario Outline: Amount options that cannot be generated: <code>
+    Given the customer is pre-approved for up to <cap>
+    Then generating amount options for region "<region>" and segment "<segment>" should fail with "<code>"
+
+    Examples:
+      | region | segment | cap   | code            |
+      | UK     | Basic   | 900   | NO_AMOUNTS      |
+      | SG     | Basic   | 30000 | UNKNOWN_REGION  |
+      | UK     | Private | 30000 | UNKNOWN_SEGMENT |
@@ -0,0 +1,43 @@
+Feature: JavaScript and Clojure value translation
+  As a maintainer of the Clojure DSL bridge
+  I want values to cross between JavaScript and Clojure without losing their type
+  So that keywords, sets, dates, callbacks and errors mean the same on both sides
+
+  Scenario Outline: <value> crosses the bridge and comes back unchanged
+    Given the JavaScript value "<value>"
+    Then its wire form should be <wire>
+    And decoding its wire form should give the value back
+
+    Examples:
+      | value                 | wire                                                              |
+      | keyword value         | {"severity":"~:high"}                                             |
+      | namespaced keyword    | "~:journey/terms-review"                                          |
+      | string like a keyword | "~~:high"                                                         |
+      | set of keywords       | {"~#set":["~:UK","~:HK"]}                                         |
+      | string-keyed map      | {"~#cmap":["maxAmount",25000,"~:UK","Basic"]}                     |
+      | object with a tag key | {"~~#set":[1,2]}                                                  |
+      | date                  | "2025-03-31T09:00:00.000Z"                                        |
+      | error handler         | {"display":"~:ErrorBanner","codes":{"~#set":[408,502]},"properties":{"actionText":"Check balance"}} |
+
+  Scenario: A JavaScript callback is callable from Clojure
+    Given a JavaScript callback that navigates to the screen named by its error
+    When Clojure calls the callback with the wire value {"screen":"~:AccountDetailsScreen","retryable":false}
+    Then the callback should have received the keyword ":AccountDetailsScreen"
+    And Clojure should get the wire value {"navigate":"~:AccountDetailsScreen"}
+    And the callback should come back from Clojure as itself
+
+  Scenario: An ex-info thrown in Clojure surfaces as a ClojureError with its ex-data
+    Given a Clojure function that throws an ex-info "Unbound variable: missing" with the wire data {"variable":"missing","severity":"~:high"}
+    When the function is called from JavaScript
+    Then a ClojureError "Unbound variable: missing" should be thrown
+    And its ex-data should be {"variable": "missing", "severity": ":high"}
+
+  Scenario: A ClojureError thrown by a callback is raised in Clojure as the ex-info again
+    Given a JavaScript callback that throws a ClojureError "Amount too high" with the code ":AmountTooHigh"
+    When Clojure calls the callback with the wire value {}
+    Then Clojure should catch the error "Amount too high" with the wire data {"code":"~:AmountTooHigh"}
+
+  Scenario: Other JavaScript errors pass through the bridge unchanged
+    Given a JavaScript callback that throws a TypeError "Cannot read the offer"
+    When Clojure calls the callback with the wire value {}
+    Then Clojure should catch the TypeError "Cannot read the offer"
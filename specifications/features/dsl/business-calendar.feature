@@ -0,0 +1,111 @@
+Feature: Clock and business calendar
+  As a developer of the loan top-up journey
+  I want a controllable clock and per-region working-day calendars
+  So that time-of-day offers, holiday processing and reminders are tested against fixed dates
+
+  Scenario Outline: Reading the date-time "<text>"
+    Then the date-time "<text>" in "<time_zone>" should be the instant "<instant>"
+
+    Examples:
+      | text                      | time_zone      | instant                  |
+      | 2025-03-15T14:30:00Z      | Asia/Hong_Kong | 2025-03-15T14:30:00.000Z |
+      | 2025-03-15T10:30:00+08    | Europe/London  | 2025-03-15T02:30:00.000Z |
+      | 2025-03-15T10:30:00+0800  | Europe/London  | 2025-03-15T02:30:00.000Z |
+      | 2025-03-15T10:30:00+08:00 | Europe/London  | 2025-03-15T02:30:00.000Z |
+      | 2025-03-15T10:30          | Asia/Hong_Kong | 2025-03-15T02:30:00.000Z |
+      | 2025-07-01T09:00          | Europe/London  | 2025-07-01T08:00:00.000Z |
+      | 2025-12-24                | Europe/London  | 2025-12-24T00:00:00.000Z |
+
+  Scenario: A date-time without an offset needs a time zone
+    Then reading the date-time "2025-03-15T10:30" without a time zone should fail
+
+  Scenario: A frozen clock moves only when told
+    Given a clock frozen at "2025-03-15T14:30:00Z"
+    When the clock advances by 3 days
+    Then the clock should read "2025-03-18T14:30:00.000Z"
+    And the wall-clock time in "Asia/Hong_Kong" should be "2025-03-18 22:30"
+    When the clock is set to "2025-01-29T10:30:00+08"
+    Then the clock should read "2025-01-29T02:30:00.000Z"
+
+  Scenario: A running clock keeps time from where it is set
+    Given a running clock set to "2025-03-15T14:30:00Z"
+    When 90 seconds pass on the system clock
+    Then the clock should read "2025-03-15T14:31:30.000Z"
+    When the clock is frozen
+    And 90 seconds pass on the system clock
+    Then the clock should read "2025-03-15T14:31:30.000Z"
+
+  Scenario Outline: <date> is <outcome> in <region>
+    Given the bundled business calendars
+    Then <date> should be <outcome> in region "<region>"
+
+    Examples:
+      | date       | region | outcome                                     |
+      | 2025-12-24 | UK     | a business day                              |
+      | 2025-12-25 | UK     | the holiday Christmas Day                   |
+      | 2025-03-15 | UK     | a weekend day                               |
+      | 2025-01-29 | HK     | the holiday Lunar New Year's Day            |
+      | 2025-01-25 | HK     | a weekend day                               |
+      | 2026-04-07 | HK     | the holiday The day following Easter Monday |
+      | 2027-12-28 | UK     | the holiday Boxing Day (substitute day)     |
+      | 2027-02-08 | HK     | the holiday The third day of Lunar New Year |
+
+  Scenario Outline: The business day after <date> in <region>
+    Given the bundled business calendars
+    Then the next business day after "<date>" in region "<region>" should be "<next>"
+
+    Examples:
+      | date       | region | next       |
+      | 2025-03-14 | UK     | 2025-03-17 |
+      | 2025-12-24 | UK     | 2025-12-29 |
+      | 2025-04-17 | UK     | 2025-04-22 |
+      | 2026-12-24 | UK     | 2026-12-29 |
+      | 2027-12-24 | UK     | 2027-12-29 |
+      | 2025-01-28 | HK     | 2025-02-03 |
+      | 2026-04-02 | HK     | 2026-04-08 |
+      | 2027-02-05 | HK     | 2027-02-10 |
+      | 2027-12-24 | HK     | 2027-12-28 |
+
+  Scenario Outline: An instruction at <instant> in <region> is processed on <date>
+    Given the bundled business calendars
+    Then an instruction received at "<instant>" in region "<region>" should be processed on "<date>"
+
+    Examples:
+      | instant                | region | date       |
+      | 2025-03-14T17:29:00Z   | UK     | 2025-03-14 |
+      | 2025-03-14T17:30:00Z   | UK     | 2025-03-17 |
+      | 2025-07-01T16:45:00Z   | UK     | 2025-07-02 |
+      | 2025-12-25T10:00:00Z   | UK     | 2025-12-29 |
+      | 2025-03-14T16:15:00+08 | HK     | 2025-03-14 |
+      | 2025-03-14T16:45:00+08 | HK     | 2025-03-17 |
+      | 2025-03-15T10:30:00+08 | HK     | 2025-03-17 |
+
+  Scenario Outline: Calendar queries that cannot be answered: <code>
+    Given the bundled business calendars
+    Then asking whether "<date>" is a business day in region "<region>" should fail with "<code>"
+
+    Examples:
+      | date       | region | code           |
+      | 2025-03-14 | JP     | UNKNOWN_REGION |
+      | 2025-02-30 | HK     | INVALID_DATE   |
+
+  Scenario: Past its holidays a calendar closes only at weekends, with a warning
+    Given the bundled business calendars
+    Then 2028-12-25 should be a business day in region "UK"
+    And 2028-12-26 should be a business day in region "UK"
+    And 2028-12-30 should be a weekend day in region "UK"
+    And the next business day after "2027-02-05" in region "SG" should be "2027-02-08"
+    And the calendars should have warned:
+      | code             | region | date       | message                                                                                              |
+      | OUTSIDE_COVERAGE | UK     | 2028-12-25 | The UK calendar covers 2025-01-01 to 2027-12-31, not 2028-12-25; only weekends are treated as closed |
+      | OUTSIDE_COVERAGE | SG     | 2027-02-08 | The SG calendar covers 2025-01-01 to 2026-12-31, not 2027-02-08; only weekends are treated as closed |
+
+  Scenario: A region calendar added as data
+    Given a business calendar:
+      """
+      { "region": "SG", "timeZone": "Asia/Singapore", "cutOff": "16:00",
+        "coverage": { "from": "2025-01-01", "to": "2025-12-31" },
+        "holidays": [{ "date": "2025-01-29", "name": "Chinese New Year" }, { "date": "2025-01-30", "name": "Chinese New Year" }] }
+      """
+    Then the next business day after "2025-01-28" in region "SG" should be "2025-01-31"
+    And an instruction received at "2025-01-31T16:30:00+08" in region "SG" should be processed on "2025-02-03"
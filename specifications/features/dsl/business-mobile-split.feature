@@ -0,0 +1,120 @@
+Feature: Business and mobile DSL files
+  As a maintainer of the loan top-up specification
+  I want business rules in a .bizapp and screens in a .mobileapp that imports from it
+  So that each team owns its file while tools still see one specification
+
+  Scenario: The split loan top-up files merge back into the original specification
+    When I load "lending/loan-topup.mobileapp"
+    Then there should be no diagnostics
+    And the merged model should match "lending/loan-topup.finapp"
+    And the merged model should come from "loan-topup.bizapp, loan-topup.mobileapp"
+
+  Scenario: The checked-in files are what the migration produces
+    When I split "lending/loan-topup.finapp"
+    Then the business file should be "lending/loan-topup.bizapp"
+    And the mobile file should be "lending/loan-topup.mobileapp"
+    And the mobile file should import "NetworkError, AuthenticationError, AuthorisationError, IneligibleLoan, InsufficientIncome, AmountTooLow, AmountTooHigh, LoanOfferExpired, AccountTooNew, TopupOffer, TopupConfirmation, getLoans"
+
+  Scenario: Constructs in the wrong file are reported
+    Given the file "payments.bizapp":
+      """
+      app PaymentApp {
+        name: "Payments"
+        theme: { primaryColor: "#2E5BFF" }
+      }
+
+      screen PaymentScreen {
+        title: "Pay"
+      }
+      """
+    And the file "payments.mobileapp":
+      """
+      app PaymentApp {
+        platforms: [ios]
+        regions: ["UK"]
+      }
+
+      model Payment {
+        amount: number required
+      }
+      """
+    When I load "payments.bizapp"
+    Then the diagnostics should be:
+      | file            | line | code                  |
+      | payments.bizapp | 3    | misplaced-property    |
+      | payments.bizapp | 6    | misplaced-declaration |
+    When I load "payments.mobileapp"
+    Then the diagnostics should be:
+      | file               | line | code                  |
+      | payments.mobileapp | 3    | misplaced-property    |
+      | payments.mobileapp | 6    | misplaced-declaration |
+
+  Scenario: Dangling, missing and ambiguous references are reported
+    Given the file "payments.bizapp":
+      """
+      errors {
+        category NetworkError { codes: [503] }
+        error LimitExceeded extends NetworkError { message: "Over your limit" }
+      }
+
+      model Payment {
+        amount: number required
+      }
+
+      api: {
+        endpoints: [
+          { id: getPayments, path: "/payments", method: "GET" }
+        ]
+      }
+      """
+    And the file "payments.mobileapp":
+      """
+      import { NetworkError, RecipientUnknown, Payment } from "./payments.bizapp"
+      import { DailyLimit } from "./limits.bizapp"
+
+      components {
+        component Payment { type: "card" }
+      }
+
+      journey PaymentJourney {
+        errorHub {
+          ownership {
+            owns: [NetworkError, LimitExceeded, TimedOut]
+          }
+        }
+      }
+
+      screen PaymentScreen {
+        apiCall: getPayments
+      }
+      """
+    When I load "payments.mobileapp"
+    Then the diagnostics should be:
+      | file               | line | code                  |
+      | payments.mobileapp | 1    | unknown-import        |
+      | payments.mobileapp | 1    | ambiguous-reference   |
+      | payments.mobileapp | 2    | missing-import-source |
+      | payments.mobileapp | 11   | missing-import        |
+      | payments.mobileapp | 11   | unresolved-reference  |
+      | payments.mobileapp | 17   | missing-import        |
+
+  Scenario: An import nothing uses is a warning
+    Given the file "payments.bizapp":
+      """
+      model Payment {
+        amount: number required
+      }
+      """
+    And the file "payments.mobileapp":
+      """
+      import { Payment } from "./payments.bizapp"
+
+      screen PaymentScreen {
+        title: "Pay"
+      }
+      """
+    When I load "payments.mobileapp"
+    Then the diagnostics should be:
+      | file               | line | code          |
+      | payments.mobileapp | 1    | unused-import |
+    And the merged model should declare the model "Payment" and the screen "PaymentScreen"
@@ -0,0 +1,31 @@
+Feature: Loading the DSL through the bridge
+  As a maintainer of the Clojure DSL bridge
+  I want the DSL that loadDSL returns to call a persistent worker thread
+  So that every caller gets batching, caching, timeouts and metrics without managing a worker
+
+  Background:
+    Given the DSL loaded through the bridge for the "js" backend
+
+  Scenario: Calls of the loaded DSL are batched, cached and timed
+    When the worker applies the amount rule for "UK" "Wealth" 1000 twice
+    And the worker applies the amount rule in one batch to:
+      | region | segment | amount |
+      | UK     | Basic   | 1000   |
+      | HK     | Wealth  | 600000 |
+    Then the batch results should be "1000, 800000"
+    And the worker should have sent 3 batches for 11 calls
+    And the worker should have answered 1 call from its cache
+    And the worker latency of "applyAmountRule" should cover 3 calls
+
+  Scenario: Environments of the loaded DSL stay in the worker
+    When the loan top-up environment is set up in the worker
+    And "amount" is defined as 5000 in the worker environment
+    Then the worker environment should be a handle
+    And evaluating the variable "amount" in the worker should give 5000
+
+  Scenario: A call of the loaded DSL that exceeds its timeout restarts the worker
+    Given the loan top-up environment is set up in the worker
+    When an evaluation doubling to depth 24 is given 200 ms
+    Then it should fail with "TIMEOUT"
+    And the worker should have restarted 1 time
+    And an evaluation doubling to depth 4 should give 16
@@ -0,0 +1,57 @@
+Feature: Persistent DSL worker
+  As a maintainer of the Clojure DSL bridge
+  I want DSL calls evaluated by one long-lived worker thread
+  So that a suite with many outlines loads the DSL once and stays fast and robust
+
+  Background:
+    Given a DSL worker for the "js" backend
+
+  Scenario: Environments stay in the worker and are passed back by handle
+    When the loan top-up environment is set up in the worker
+    And "amount" is defined as 5000 in the worker environment
+    Then the worker environment should be a handle
+    And evaluating the variable "amount" in the worker should give 5000
+
+  Scenario: Calls made together travel in one batch
+    When the worker applies the amount rule in one batch to:
+      | region | segment | amount |
+      | UK     | Basic   | 1000   |
+      | UK     | Wealth  | 1000   |
+      | HK     | Wealth  | 600000 |
+    Then the batch results should be "1000, 1500, 800000"
+    And the worker should have sent 1 batch for 3 calls
+
+  Scenario: Pure calls and screen definitions are answered from the cache
+    When the worker applies the amount rule for "UK" "Wealth" 1000 twice
+    And the worker reads the "termsReviewScreen" definition twice
+    Then the worker should have sent 2 batches for 4 calls
+    And the worker should have answered 2 calls from its cache
+
+  Scenario: An evaluation error is reported with its message and data
+    When the loan top-up environment is set up in the worker
+    Then evaluating the variable "missing" in the worker should fail with the ClojureError "Unbound variable: missing" and the data {"variable":"missing"}
+
+  Scenario: Other errors raised in the worker are reported as failed calls
+    When the loan top-up environment is set up in the worker
+    And "amount" is defined as 5000 in the worker environment
+    Then applying the variable "amount" in the worker should fail with "CALL_FAILED" "5000 is not a procedure"
+
+  Scenario: A batch that exceeds its timeout restarts the worker
+    Given the loan top-up environment is set up in the worker
+    When an evaluation doubling to depth 24 is given 200 ms
+    Then it should fail with "TIMEOUT"
+    And the worker should have restarted 1 time
+    And an evaluation doubling to depth 4 should give 16
+    But the environment from before the restart should be rejected as "STALE_HANDLE"
+
+  Scenario: Closing the worker rejects a running batch and stops its timeout
+    Given the loan top-up environment is set up in the worker
+    When the worker is closed while an evaluation doubling to depth 24 is given 200 ms
+    Then it should fail with "CLOSED"
+    And the worker should not have timed out
+
+  Scenario: Latency is reported per export
+    When the loan top-up environment is set up in the worker
+    And "amount" is defined as 5000 in the worker environment
+    And the variable "amount" is evaluated 3 times in the worker
+    Then the worker latency of "evaluate" should cover 3 calls
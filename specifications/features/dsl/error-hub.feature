@@ -0,0 +1,50 @@
+Feature: Error hub resolution
+  As a developer of the loan top-up journey
+  I want API failures resolved through errorMapping, journey ownership and platform defaults
+  So that every error path shows the component and recovery the specification declares
+
+  Background:
+    Given the error hub of "lending/loan-topup.finapp"
+
+  Scenario Outline: <operation> failing with <status> <code> is shown as <component>
+    When "LoanTopupService.<operation>" fails in "LoanTopupJourney" with status <status> and code "<code>"
+    Then the resolved error should be "<error>"
+    And it should be handled by the <owner>
+    And it should be displayed with "<component>"
+    And the explanation should name the errorMapping, ownership and handler rules
+
+    Examples:
+      | operation        | status | code                   | error               | owner    | component      |
+      | checkEligibility | 400    | LOAN_NOT_ELIGIBLE      | IneligibleLoan      | journey  | ErrorBanner    |
+      | checkEligibility | 400    | INCOME_BELOW_THRESHOLD | InsufficientIncome  | journey  | ModalDialog    |
+      | checkEligibility | 400    | ACCOUNT_TOO_NEW        | AccountTooNew       | journey  | ErrorBanner    |
+      | createTopup      | 400    | AMOUNT_TOO_LOW         | AmountTooLow        | journey  | ErrorBanner    |
+      | createTopup      | 400    | AMOUNT_TOO_HIGH        | AmountTooHigh       | journey  | ErrorBanner    |
+      | createTopup      | 400    | LOAN_OFFER_EXPIRED     | LoanOfferExpired    | journey  | ModalDialog    |
+      | createTopup      | 401    |                        | AuthenticationError | platform | SecurityDialog |
+      | createTopup      | 403    |                        | AuthorisationError  | platform | ModalDialog    |
+      | createTopup      | 503    |                        | NetworkError        | platform | RetryDialog    |
+
+  Scenario: Handler properties are interpolated from the error definition
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 400 and code "AMOUNT_TOO_HIGH"
+    Then the display property "message" should be "The requested amount exceeds your maximum eligible amount"
+    And the display property "variant" should be "error"
+    And the recovery plan should be:
+      """
+      { "allowRetry": true, "focusField": "amountField" }
+      """
+
+  Scenario: Platform recovery actions are described, not run
+    When "LoanTopupService.checkEligibility" fails in "LoanTopupJourney" with status 502 and code ""
+    Then the recovery plan should be:
+      """
+      {
+        "retryStrategy": { "action": "exponentialBackoff", "args": [3, 1000] },
+        "cancelFlow": { "action": "navigateBack", "args": [] }
+      }
+      """
+
+  Scenario: An unmapped API code is reported as unhandled
+    When "LoanTopupService.createTopup" fails in "LoanTopupJourney" with status 400 and code "SOMETHING_NEW"
+    Then the resolved error should be "UnknownError"
+    And the error should not be handled
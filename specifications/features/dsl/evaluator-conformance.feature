@@ -0,0 +1,50 @@
+Feature: DSL evaluator backend conformance
+  As a maintainer of the functional DSL
+  I want the JavaScript reference evaluator and the compiled Clojure DSL to agree
+  So that scenarios behave the same whichever backend evaluates them
+
+  Scenario Outline: <case> evaluates identically on every backend
+    Given the DSL conformance case "<case>"
+    When I evaluate it with the "js" backend
+    Then the result should be <expected>
+    And the "clojure" backend should produce the same result
+
+    Examples:
+      | case                                    | expected                                             |
+      | quoted text                             | "UK"                                                 |
+      | self-evaluating number                  | 42                                                   |
+      | defined variable                        | 5000                                                 |
+      | variable from enclosing frame           | "HK"                                                 |
+      | shadowed variable                       | "UK"                                                 |
+      | unbound variable                        | the error "Unbound variable: missing" with the data {"variable": "missing"} |
+      | set variable in enclosing frame         | 2500                                                 |
+      | primitive application                   | 5                                                    |
+      | nested primitive application            | 5500                                                 |
+      | lambda application                      | 42                                                   |
+      | conditional with zero predicate         | "consequent"                                         |
+      | conditional on region                   | "Other"                                              |
+      | sequence result                         | "UK"                                                 |
+      | assignment result                       | 7500                                                 |
+      | offer calculation for UK Wealth         | 30000                                                |
+      | offer calculation for HK Basic          | 10000                                                |
+      | amount rule within limits               | 12000                                                |
+      | offer calculation above the UK maximum  | 100000                                               |
+      | amount rule for a region without a pack | the error "Unknown region: JP" with the data {"region": "JP"} |
+      | interest rate for large amounts         | 5.55                                                 |
+      | repayments for a UK top-up              | {"amount": 13000, "newTotalLoan": 23000, "interestRate": 6.4652, "newMonthlyPayment": 545.07, "remainingTerm": 48, "totalInterestPayable": 3163.65, "totalRepayable": 26163.65, "representativeAPR": 6.7} |
+      | representative APR                      | 41.3                                                 |
+      | eligibility rule                        | {"eligible": false, "reason": "Customer income below minimum requirement"} |
+      | region from a pack                      | {"code": "HK", "name": "Hong Kong", "currency": "HKD", "currencySymbol": "HK$", "dateFormat": "DD/MM/YYYY", "language": "en-HK", "regulatoryBody": "HKMA", "coolingOffPeriod": 7, "minAmount": 10000, "maxAmount": 800000} |
+
+  Scenario: A failing DSL call names the export and backend it came from
+    Then the error of the DSL conformance case "unbound variable" on the "js" backend should come from its "evaluate" export
+
+  Scenario: Loading the DSL from a module path that does not exist is refused
+    Then loading the DSL from "specifications/dsl/functional-clj/domains/lending/loan_topup_example" on the "js" backend should fail with "Clojure DSL module not found"
+
+  Scenario: The DSL is loaded from the build of the module path it is given
+    Given a DSL module whose build is:
+      """
+      module.exports = { makeVariable: name => name };
+      """
+    Then loading that DSL module on the "clojure" backend should fail with "DSL backend 'clojure' does not export 'regionFromPack'"
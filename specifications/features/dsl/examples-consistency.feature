@@ -0,0 +1,108 @@
+Feature: Examples tables agree with the specification
+  As a maintainer of the loan top-up journey
+  I want the rates and limits in Examples tables checked against the .finapp business data
+  So that a change on one side cannot silently diverge from the other
+
+  Background:
+    Given the specification "loan.finapp":
+      """
+      app LoanApp {
+        regions: [
+          { id: "UK", regulatoryBody: "FCA" },
+          { id: "HK", regulatoryBody: "HKMA" }
+        ]
+        customerSegments: [
+          {
+            id: "Basic"
+            interestRates: { "UK": "6.9% APR", "HK": "7.2% APR" }
+            maxTopupAmounts: { "UK": 25000, "HK": 200000 }
+            benefits: { "UK": "No early repayment charges" }
+          }
+        ]
+      }
+      """
+    And the Examples mapping:
+      """
+      {
+        "feature": "loan.feature",
+        "spec": "loan.finapp",
+        "keys": { "region": "regions", "segment": "customerSegments" },
+        "columns": [
+          { "column": "interest_rate", "field": "customerSegments.interestRates" },
+          { "column": "max_amount", "field": "customerSegments.maxTopupAmounts", "format": "amount" },
+          { "column": "regulatory_body", "field": "regions.regulatoryBody" },
+          { "column": "segment_benefit", "field": "customerSegments.benefits", "scenario": "Benefits on the terms screen" }
+        ]
+      }
+      """
+
+  Scenario: The loan top-up feature agrees with its specification
+    When I check the Examples mapping "lending/loan-topup.examples.json"
+    Then there should be no consistency diagnostics
+    And 26 values should have been checked
+
+  Scenario: A changed rate and limit are reported on both sides
+    Given the feature "loan.feature":
+      """
+      Feature: Loans
+        Scenario Outline: Rates and limits
+          Then I should see "<interest_rate>" and "<max_amount>" for "<regulatory_body>"
+
+          Examples:
+            | region | segment | interest_rate | max_amount | regulatory_body |
+            | UK     | Basic   | 6.5% APR      | £25,000    | FCA             |
+            | HK     | Basic   | 7.2% APR      | HK$150,000 | HKMA            |
+
+        Scenario Outline: Benefits on the terms screen
+          Then I should see "<segment_benefit>"
+
+          Examples:
+            | region | segment | segment_benefit            |
+            | UK     | Basic   | No early repayment charges |
+
+        Scenario Outline: Benefits after disbursement
+          Then I should see "<segment_benefit>"
+
+          Examples:
+            | region | segment | segment_benefit    |
+            | UK     | Basic   | Standard servicing |
+      """
+    When I check the Examples against the specification
+    Then the consistency diagnostics should be:
+      | line | column | code           | spec line | spec column |
+      | 7    | 28     | value-mismatch | 9         | 30          |
+      | 8    | 44     | value-mismatch | 10        | 45          |
+    And 7 values should have been checked
+    And the first consistency diagnostic should read:
+      """
+      loan.feature:7:28: error: interest_rate is '6.5% APR' but customerSegments[Basic].interestRates.UK is '6.9% APR' [value-mismatch]
+      loan.finapp:9:30: note: customerSegments[Basic].interestRates.UK is declared here
+      """
+
+  Scenario: Rows the specification cannot answer are reported
+    Given the feature "loan.feature":
+      """
+      Feature: Loans
+        Scenario Outline: Rates
+          Then I should see "<interest_rate>"
+
+          Examples:
+            | region | segment | interest_rate |
+            | SG     | Basic   | 6.8% APR      |
+            | UK     | Wealth  | 5.4% APR      |
+
+        Scenario Outline: Limits
+          Then I should see "<max_amount>"
+
+          Examples:
+            | region | max_amount |
+            | UK     | £25,000    |
+      """
+    When I check the Examples against the specification
+    Then the consistency diagnostics should be:
+      | line | column | code           | spec line | spec column |
+      | 1    | 1      | unused-mapping |           |             |
+      | 1    | 1      | unused-mapping |           |             |
+      | 7    | 28     | missing-field  | 9         | 22          |
+      | 8    | 18     | unknown-key    | 6         | 3           |
+      | 14   | 18     | unkeyed-column |           |             |
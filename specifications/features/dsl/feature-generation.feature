@@ -0,0 +1,108 @@
+Feature: Feature files generated from the journey and segment matrix
+  As a maintainer of the loan top-up specification
+  I want outlines for every region × segment, error code and amount boundary generated from the DSL
+  So that the Examples tables cannot miss combinations the specification declares
+
+  Scenario: The checked-in generated features are what the generator produces
+    When I generate the features of "lending/loan-topup.scenarios.json"
+    Then there should be no generation warnings
+    And the generated files should match the checked-in files
+
+  Scenario: Every journey screen gets an outline with every region and segment
+    When I generate the features of "lending/loan-topup.scenarios.json"
+    Then "loan-topup-happy-path.feature" should have 6 outlines with the Examples rows:
+      | region | segment |
+      | UK     | Basic   |
+      | UK     | Wealth  |
+      | HK     | Basic   |
+      | HK     | Wealth  |
+    And "loan-topup-boundaries.feature" should have 2 outlines with the Examples rows:
+      | region | segment | currency  | min_amount | max_amount |
+      | UK     | Basic   | GBP (£)   | £1,000     | £25,000    |
+      | UK     | Wealth  | GBP (£)   | £5,000     | £100,000   |
+      | HK     | Basic   | HKD (HK$) | HK$10,000  | HK$200,000 |
+      | HK     | Wealth  | HKD (HK$) | HK$50,000  | HK$800,000 |
+
+  Scenario: Each mapped API error code gets an error-path scenario
+    When I generate the features of "lending/loan-topup.scenarios.json"
+    Then the error paths should be:
+      | operation        | status | code                   | error               | owner    | component      |
+      | checkEligibility | 400    | LOAN_NOT_ELIGIBLE      | IneligibleLoan      | journey  | ErrorBanner    |
+      | checkEligibility | 400    | INCOME_BELOW_THRESHOLD | InsufficientIncome  | journey  | ModalDialog    |
+      | checkEligibility | 400    | ACCOUNT_TOO_NEW        | AccountTooNew       | journey  | ErrorBanner    |
+      | checkEligibility | 401    |                        | AuthenticationError | platform | SecurityDialog |
+      | checkEligibility | 403    |                        | AuthorisationError  | platform | ModalDialog    |
+      | checkEligibility | 502    |                        | NetworkError        | platform | RetryDialog    |
+      | createTopup      | 400    | AMOUNT_TOO_LOW         | AmountTooLow        | journey  | ErrorBanner    |
+      | createTopup      | 400    | AMOUNT_TOO_HIGH        | AmountTooHigh       | journey  | ErrorBanner    |
+      | createTopup      | 400    | LOAN_OFFER_EXPIRED     | LoanOfferExpired    | journey  | ModalDialog    |
+      | createTopup      | 401    |                        | AuthenticationError | platform | SecurityDialog |
+      | createTopup      | 403    |                        | AuthorisationError  | platform | ModalDialog    |
+      | createTopup      | 502    |                        | NetworkError        | platform | RetryDialog    |
+    And "loan-topup-error-paths.feature" should have 12 scenarios
+
+  Scenario: Screens without phrasing and segments without a value are reported
+    Given the journey specification:
+      """
+      app SavingsApp {
+        regions: [
+          { id: "UK", currency: "GBP", currencySymbol: "£", locale: "en-GB" },
+          { id: "SG", currency: "SGD", currencySymbol: "S$", locale: "en-SG" }
+        ]
+        customerSegments: [
+          { id: "Basic", interestRates: { "UK": "4.1% AER" } }
+        ]
+      }
+
+      journey SavingsJourney {
+        screens: [RateScreen, ReviewScreen]
+      }
+      """
+    And the phrasebook:
+      """
+      {
+        "journey": "SavingsJourney",
+        "name": "savings",
+        "title": "Savings",
+        "screens": {
+          "RateScreen": {
+            "name": "Rates by region",
+            "steps": ["Then I should see interest rate of \"<interest_rate>\""]
+          }
+        }
+      }
+      """
+    When I generate the features
+    Then the generation warnings should be:
+      | warning                                                          |
+      | 'Rates by region' skips SG Basic, which has no interest_rate     |
+      | journey screen 'ReviewScreen' has no phrasing and is not covered |
+    And "savings-happy-path.feature" should have 1 outlines with the Examples rows:
+      | region | segment | interest_rate |
+      | UK     | Basic   | 4.1% AER      |
+
+  Scenario: An unknown placeholder is an error
+    Given the journey specification:
+      """
+      app SavingsApp {
+        regions: [{ id: "UK" }]
+        customerSegments: [{ id: "Basic" }]
+      }
+
+      journey SavingsJourney {
+        screens: [RateScreen]
+      }
+      """
+    And the phrasebook:
+      """
+      {
+        "journey": "SavingsJourney",
+        "name": "savings",
+        "title": "Savings",
+        "screens": {
+          "RateScreen": { "name": "Rates", "steps": ["Then I should see \"<bonus_rate>\""] }
+        }
+      }
+      """
+    When I try to generate the features
+    Then generation should fail with "unknown placeholder <bonus_rate> in 'Rates'"
@@ -0,0 +1,90 @@
+Feature: Figma exports turned into Mobile DSL screens
+  As a developer of the loan top-up journey
+  I want exported Figma frames converted into screen layouts that follow the design system
+  So that design changes reach the Mobile DSL without retyping them or losing my bindings
+
+  Background:
+    Given the Figma component mappings with the theme of "lending/loan-topup.mobileapp"
+
+  Scenario: A frame becomes a screen whose layout uses the mapped components
+    When I transform the Figma export "lending/figma/amount-selection.json"
+    Then the generated screens should be "AmountSelectionScreen"
+    And the generated screen should parse with the title "Select Top-up Amount"
+    And the generated layout value "components[0].type" should be "card"
+    And the generated layout value "components[0].content.components[1].type" should be "sliderInput"
+    And the generated layout value "components[0].content.components[1].step" should be "100"
+    And the generated layout value "components[1].direction" should be "horizontal"
+    And the generated layout value "components[1].components[0].amount" should be "£5,000"
+    And the generated layout value "components[1].components[1].selected" should be "true"
+    And the generated layout value "components[2].components[0].variant" should be "primary"
+    And the generated layout value "components[2].components[0].label" should be "Continue"
+    And the generated layout value "components[2].components[1].variant" should be "secondary"
+
+  Scenario: Layers outside the design system are reported
+    When I transform the Figma export "lending/figma/amount-selection.json"
+    Then the design diagnostics should be:
+      | severity | code               | node                                     |
+      | warning  | unmapped-component | AmountSelectionScreen/Promo Sticker      |
+      | warning  | off-palette-colour | AmountSelectionScreen/Divider            |
+      | info     | skipped-node       | AmountSelectionScreen/Divider            |
+      | warning  | off-scale-spacing  | AmountSelectionScreen/Actions            |
+      | warning  | off-palette-colour | AmountSelectionScreen/Actions/Disclaimer |
+      | warning  | off-typography     | AmountSelectionScreen/Actions/Disclaimer |
+    And the bindings needed should be "amountSlider.min, amountSlider.max, amountSlider.initialValue, amountOptionCard1.amount, amountOptionCard1.selected, amountOptionCard2.amount, amountOptionCard2.selected, primaryButton.action, secondaryButton.action"
+
+  Scenario: A re-export keeps the bindings and actions developers added
+    Given the Mobile DSL source:
+      """
+      screen AmountSelectionScreen {
+          title: "Choose an amount"
+
+          dataBindings: {
+              offer: "api.getTopupOffer({ loanId: route.params.loanId })"
+          }
+
+          layout: {
+              type: "stack"
+              components: [
+                  {
+                      type: "sliderInput"
+                      id: "amountSlider"
+                      label: "Old label"
+                      min: "bind:offer.minTopupAmount"
+                      max: "bind:offer.maxTopupAmount"
+                  },
+                  {
+                      type: "button"
+                      id: "primaryButton"
+                      label: "Next"
+                      action: navigate(TermsScreen)
+                      disabled: "!selectedAmount"
+                  },
+                  {
+                      type: "banner"
+                      id: "promoBanner"
+                      message: "bind:promotion.message"
+                  }
+              ]
+          }
+      }
+      """
+    When I merge the Figma export "lending/figma/amount-selection.json" into it
+    Then the generated screen should parse with the title "Select Top-up Amount"
+    And the merged screen should keep "dataBindings"
+    And the generated layout value "components[0].content.components[1].label" should be "Top-up amount"
+    And the generated layout value "components[0].content.components[1].min" should be "bind:offer.minTopupAmount"
+    And the generated layout value "components[2].components[0].label" should be "Continue"
+    And the generated layout value "components[2].components[0].action.call" should be "navigate"
+    And the generated layout value "components[2].components[0].disabled" should be "!selectedAmount"
+    And the design diagnostics should include a warning "removed-component" for "AmountSelectionScreen/promoBanner"
+    And the bindings needed should not include "amountSlider.min, amountSlider.max, primaryButton.action"
+
+  Scenario: A new frame is appended to the Mobile DSL file
+    Given the Mobile DSL source:
+      """
+      screen TermsScreen {
+          title: "Terms & Conditions"
+      }
+      """
+    When I merge the Figma export "lending/figma/amount-selection.json" into it
+    Then the merged source should declare the screens "TermsScreen, AmountSelectionScreen"
@@ -0,0 +1,62 @@
+Feature: Parsing .finapp specifications
+  As a developer of the loan top-up journey
+  I want a syntax error in a specification to point at the offending token
+  So that I can fix it without hunting through the file
+
+  Scenario Outline: The loan top-up specifications parse into located declarations
+    When I parse "<spec>"
+    Then the parsed declarations should include <declarations>
+    And every parsed declaration should have a source location
+
+    Examples:
+      | spec                                  | declarations                                          |
+      | lending/loan-topup.finapp             | AppDeclaration, ModelDeclaration, ScreenDeclaration   |
+      | lending/error-handling-example.finapp | ErrorsDeclaration, ApiDeclaration, JourneyDeclaration |
+
+  Scenario: A missing ':' is reported at the token that follows the key
+    Given the file "model.finapp":
+      """
+      model Loan {
+          id: string required
+          balance number required
+      }
+      """
+    When I parse "model.finapp"
+    Then the syntax error should be at line 3, column 13 on the token "number"
+    And the syntax error should say "Unexpected identifier 'number', expected ':'"
+    And the syntax error excerpt should be:
+      """
+      3 |     balance number required
+                      ^
+      """
+
+  Scenario: A malformed status wildcard is reported where it starts
+    Given the file "api.finapp":
+      """
+      api LoanApi {
+          operation getLoans {
+              errorMapping {
+                  404: LoanNotFound
+                  4x1: ClientError
+              }
+          }
+      }
+      """
+    When I parse "api.finapp"
+    Then the syntax error should be at line 5, column 13
+    And the syntax error should say "Malformed number or status code '4x1', expected a number or a wildcard such as 4xx"
+    And the syntax error excerpt should be:
+      """
+      5 |             4x1: ClientError
+                      ^
+      """
+
+  Scenario: An unclosed block is reported at the end of the file
+    Given the file "screen.finapp":
+      """
+      screen OverviewScreen {
+          title: "My Loans"
+      """
+    When I parse "screen.finapp"
+    Then the syntax error should be at line 3, column 1
+    And the syntax error should say "Unexpected end of file, expected a property name or '}'"
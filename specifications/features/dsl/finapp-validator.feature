@@ -0,0 +1,186 @@
+Feature: Semantic validation of .finapp specifications
+  As a developer of the loan top-up journey
+  I want references to screens, models and fields checked before code is generated
+  So that a typo in a specification is reported at its line instead of failing at runtime
+
+  Scenario: The loan top-up specifications have no errors
+    Then validating "lending/loan-topup.finapp" should report 0 errors
+    And validating "lending/error-handling-example.finapp" should report 0 errors
+
+  Scenario: Unknown screens are errors wherever they are referenced
+    Given the file "screens.finapp":
+      """
+      journey Onboarding {
+          screens: [OverviewScreen, SummaryScreen]
+          initialScreen: StartScreen
+      }
+
+      screen OverviewScreen {
+          initial
+          layout: {
+              type: stack
+              components: [
+                  { type: button text: "Next" navigate: DetailScreen },
+                  { type: button text: "Help" action: navigate(HelpScreen) },
+                  { type: button text: "Back" action: navigate(HomeScreen) }
+              ]
+          }
+      }
+
+      navigation: {
+          hostScreens: [HomeScreen]
+      }
+      """
+    When I validate "screens.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code           | message                                                                       |
+      | 2    | error    | unknown-screen | Journey 'Onboarding' lists 'SummaryScreen', which has no screen declaration   |
+      | 3    | error    | unknown-screen | Journey 'Onboarding' starts at 'StartScreen', which has no screen declaration |
+      | 11   | error    | unknown-screen | Navigation to undeclared screen 'DetailScreen'                                |
+      | 12   | error    | unknown-screen | Navigation to undeclared screen 'HelpScreen'                                  |
+
+  Scenario: Bindings must name a field of the model their root refers to
+    Given the file "offer.finapp":
+      """
+      model TopupOffer {
+          minTopupAmount: number required
+          maxTopupAmount: number required
+      }
+
+      screen OfferScreen {
+          layout: {
+              type: stack
+              components: [
+                  { type: slider min: "bind:offer.minTopupAmount" max: "bind:offer.maxAmount" }
+              ]
+          }
+      }
+      """
+    When I validate "offer.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code                | message                                                                                  |
+      | 10   | error    | unknown-model-field | 'offer.maxAmount' refers to field 'maxAmount', which model 'TopupOffer' does not declare |
+
+  Scenario: Mock data is checked against its model with an error, a warning or a note
+    Given the file "mock.finapp":
+      """
+      model Loan {
+          id: string required
+          currentBalance: number required
+          isEligibleForTopup: boolean required
+          startDate: date required
+      }
+
+      validation LoanCheck {
+          on: Account
+      }
+
+      mockData: {
+          loans: [
+              {
+                  id: "loan1",
+                  currentBalance: "5000",
+                  isEligibleForTopup: true,
+                  startDate: "03/02/2023",
+                  nickname: "Car"
+              },
+              {
+                  id: "loan2",
+                  isEligibleForTopup: "yes",
+                  startDate: "2023-02-01"
+              }
+          ],
+          userProfile: { name: "Alex" }
+      }
+      """
+    When I validate "mock.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code                    |
+      | 9    | error    | unknown-model           |
+      | 16   | error    | mock-data-type          |
+      | 18   | error    | mock-data-type          |
+      | 19   | warning  | mock-data-unknown-field |
+      | 21   | error    | mock-data-missing-field |
+      | 23   | error    | mock-data-type          |
+      | 27   | info     | mock-data-unmapped      |
+    And the validation summary should be 5 errors, 1 warning and 1 info
+
+  Scenario: An error must extend a declared category
+    Given the file "errors.finapp":
+      """
+      errors {
+          category ValidationError {
+              codes: [400, 422]
+          }
+
+          error InvalidAmount extends ValidationError {
+              message: "The amount is not valid"
+          }
+
+          error Timeout extends NetworkError {
+              message: "The request timed out"
+          }
+      }
+      """
+    When I validate "errors.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code                   | message                                                 |
+      | 10   | error    | unknown-error-category | Error 'Timeout' extends unknown category 'NetworkError' |
+
+  Scenario: An errorMapping must target a declared error or category
+    Given the file "mapping.finapp":
+      """
+      errors {
+          category NetworkError {
+              codes: [502, 503]
+          }
+
+          error InsufficientFunds {
+              message: "Not enough money in the account"
+          }
+      }
+
+      api PaymentService {
+          endpoint: "/api/payments"
+
+          operation createPayment {
+              method: POST
+              errorMapping {
+                  400: {
+                      "INSUFFICIENT_BALANCE" -> InsufficientFunds
+                      "DAILY_LIMIT_EXCEEDED" -> LimitExceeded
+                  }
+                  401: AuthenticationError
+                  5xx: NetworkError
+              }
+          }
+      }
+      """
+    When I validate "mapping.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code          | message                                                                                             |
+      | 19   | error    | unknown-error | errorMapping of 'PaymentService.createPayment' (400) targets undeclared error 'LimitExceeded'       |
+      | 21   | error    | unknown-error | errorMapping of 'PaymentService.createPayment' (401) targets undeclared error 'AuthenticationError' |
+
+  Scenario: An apiCall must name an api endpoint id
+    Given the file "calls.finapp":
+      """
+      api: {
+          endpoints: [
+              { id: getLoans path: "/loans" method: GET }
+          ]
+      }
+
+      screen LoansScreen {
+          onLoad: {
+              apiCall: getLoans
+          }
+          onRefresh: {
+              apiCall: "listLoans"
+          }
+      }
+      """
+    When I validate "calls.finapp"
+    Then the validation diagnostics should be:
+      | line | severity | code             | message                                                |
+      | 12   | error    | unknown-endpoint | apiCall 'listLoans' does not match any api endpoint id |
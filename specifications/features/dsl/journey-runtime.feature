@@ -0,0 +1,60 @@
+Feature: Journey runtime
+  As a developer of the loan top-up journey
+  I want LoanTopupJourney run from its declaration, with saved state that can be resumed
+  So that navigation and abandonment behaviour are checked against the spec, not re-implemented in steps
+
+  Background:
+    Given the journey "LoanTopupJourney" of "lending/loan-topup.finapp" with memory storage
+
+  Scenario: Completing the journey by tapping through the screens
+    When the journey starts
+    And I tap "View Top-up Offer" for loan "L001"
+    Then the journey screen should be "TopupOfferScreen" with loanId "L001"
+    When I tap "Apply for Top-up"
+    And I tap "Continue"
+    And I tap "Continue"
+    Then the journey screen should be "ConfirmationScreen"
+    And the journey history should be "LoansOverview, TopupOfferScreen, AmountSelectionScreen, TermsScreen"
+    When I tap "Confirm Top-up"
+    Then the journey screen should be "SuccessScreen"
+    When I tap "Done"
+    Then the journey screen should be "LoansOverview"
+    And the journey history should be ""
+
+  Scenario: Going back restores the previous screen and its params
+    When the journey starts
+    And I tap "View Top-up Offer" for loan "L002"
+    And I tap "Apply for Top-up"
+    And I tap "Back"
+    Then the journey screen should be "TopupOfferScreen" with loanId "L002"
+
+  Scenario Outline: Transitions the screens do not declare are refused: <from> to <to>
+    When the journey is on "<from>"
+    Then navigating the journey to "<to>" should be refused with "<code>"
+
+    Examples:
+      | from                  | to                 | code               |
+      | LoansOverview         | TermsScreen        | ILLEGAL_TRANSITION |
+      | TopupOfferScreen      | SuccessScreen      | ILLEGAL_TRANSITION |
+      | AmountSelectionScreen | ConfirmationScreen | ILLEGAL_TRANSITION |
+      | SuccessScreen         | LoanDetailsScreen  | UNKNOWN_SCREEN     |
+
+  Scenario: Going back from the initial screen is refused
+    When the journey starts
+    Then going back in the journey should be refused with "NO_HISTORY"
+
+  Scenario Outline: Resuming saved progress after <days> days from <storage> storage
+    Given the journey "LoanTopupJourney" of "lending/loan-topup.finapp" with <storage> storage
+    And the journey is on "AmountSelectionScreen"
+    And the journey "selectedAmount" is 3000
+    When the journey is saved at "2025-03-15T14:30:00Z"
+    Then the saved journey should expire at "2025-03-29T14:30:00.000Z"
+    When <days> days have passed since the journey was saved
+    Then the journey should <outcome>
+
+    Examples:
+      | storage | days | outcome                                                        |
+      | memory  | 1    | resume on "AmountSelectionScreen" with selectedAmount 3000     |
+      | file    | 13   | resume on "AmountSelectionScreen" with selectedAmount 3000     |
+      | memory  | 14   | not resume                                                     |
+      | file    | 30   | not resume                                                     |
@@ -0,0 +1,69 @@
+Feature: Loan repayment calculations
+  As a developer of the loan top-up journey
+  I want one module to compute payments, schedules and the APR of a top-up
+  So that the DSL, the app screens and the scenario assertions show the same figures
+
+  Scenario Outline: Monthly payment of <principal> <currency> at <rate>% over <months> months
+    Given the standard currency rounding
+    Then the monthly payment on <principal> "<currency>" at <rate>% over <months> months should be <payment>
+
+    Examples:
+      | principal | currency | rate | months | payment |
+      | 10000     | GBP      | 6.5  | 48     | 237.15  |
+      | 25000     | GBP      | 6.9  | 60     | 493.85  |
+      | 200000    | HKD      | 7.2  | 36     | 6193.72 |
+      | 1200      | GBP      | 0    | 12     | 100     |
+
+  Scenario: The amortisation schedule repays the loan exactly
+    Given the standard currency rounding
+    When the amortisation schedule of 5000 "GBP" at 6.9% over 12 months is calculated
+    Then the schedule should have 12 payments totalling 5188.83
+    And payment 1 should be 432.4 of which 28.75 is interest, leaving 4596.35
+    And payment 12 should be 432.43 of which 2.47 is interest, leaving 0
+
+  Scenario: An existing balance and a top-up are repaid at their blended rate
+    Given the standard currency rounding
+    Then the blended rate of 10000 at 5.9% and 5000 at 6.9% should be 6.2333%
+
+  Scenario Outline: Top-up of <amount> <currency> on a <balance> balance evaluated by the DSL
+    Given the loan top-up DSL environment with:
+      | currentBalance | currentRate | topupAmount | topupRate | remainingTerm | currency   |
+      | <balance>      | <current>   | <amount>    | <topup>   | <term>        | <currency> |
+    When the repayment calculation is evaluated
+    Then the repayments should be:
+      | newTotalLoan   | interestRate | newMonthlyPayment | totalInterestPayable | totalRepayable   | representativeAPR |
+      | <total>        | <blended>    | <payment>         | <interest>           | <repayable>      | <apr>             |
+    And the repayments should match the loan calculator
+
+    Examples:
+      | balance | current | amount | topup | term | currency | total  | blended | payment | interest | repayable | apr |
+      | 10000   | 5.9     | 13000  | 6.9   | 48   | GBP      | 23000  | 6.4652  | 545.07  | 3163.65  | 26163.65  | 6.7 |
+      | 180000  | 5.4     | 50000  | 5.8   | 40   | HKD      | 230000 | 5.487   | 6304.96 | 22198.27 | 252198.27 | 5.6 |
+
+  Scenario Outline: Representative APR of <advance> repaid by <payments> payments of <payment>
+    Given the standard currency rounding
+    Then the representative APR of <advance> repaid by <payments> monthly payments of <payment> should be <apr>%
+
+    Examples:
+      | advance | payments | payment | apr  |
+      | 1000    | 12       | 100     | 41.3 |
+      | 10000   | 36       | 308.73  | 7.2  |
+      | 9800    | 36       | 306.49  | 8.2  |
+
+  Scenario Outline: Payments rounded <mode> to <decimals> decimals in <currency>
+    Given the currency rounding:
+      | currency   | decimals   | mode   |
+      | <currency> | <decimals> | <mode> |
+    Then the monthly payment on <principal> "<currency>" at <rate>% over <months> months should be <payment>
+
+    Examples:
+      | currency | decimals | mode      | principal | rate | months | payment |
+      | GBP      | 2        | up        | 25000     | 6.9  | 60     | 493.86  |
+      | HKD      | 0        | up        | 200000    | 7.2  | 36     | 6194    |
+      | HKD      | 0        | down      | 200000    | 7.2  | 36     | 6193    |
+
+  Scenario: Figures that cannot be calculated are rejected
+    Given the standard currency rounding
+    Then the monthly payment on 1000 "GBP" at 6.5% over 0 months should fail with "'months' must be a whole number of months"
+    And the representative APR of 1000 repaid by 9 monthly payments of 100 should fail with "The payments repay less than the advance"
+    And the currency rounding mode "bankers" should be rejected
@@ -0,0 +1,207 @@
+Feature: Message catalogues and translation reports
+  As a developer of the loan top-up journey
+  I want the specification's user-facing strings in keyed per-locale catalogues
+  So that every region's languages are translated and CI catches what is missing
+
+  Scenario Outline: Plurals and numbers follow the locale in <locale>
+    Given the messages:
+      | locale | key    | message                                                         |
+      | en     | months | {count, plural, =0 {no months} one {# month} other {# months}} |
+      | zh-HK  | months | {count, plural, other {# 個月}}                                 |
+    Then "months" in "<locale>" with count <count> should read "<text>"
+
+    Examples:
+      | locale | count | text         |
+      | en-GB  | 0     | no months    |
+      | en-GB  | 1     | 1 month      |
+      | en-GB  | 24    | 24 months    |
+      | en-GB  | 1200  | 1,200 months |
+      | zh-HK  | 1     | 1 個月       |
+      | zh-HK  | 24    | 24 個月      |
+
+  Scenario Outline: A # in a select nested in a plural is the plural's number
+    Given the messages:
+      | locale | key  | message                                                                                                                                      |
+      | en     | term | {count, plural, one {{rate, select, fixed {# fixed month} other {# month}}} other {{rate, select, fixed {# fixed months} other {# months}}}} |
+    Then "term" in "en-GB" with the values <values> should read "<text>"
+
+    Examples:
+      | values                              | text            |
+      | {"count": 1, "rate": "fixed"}       | 1 fixed month   |
+      | {"count": 24, "rate": "fixed"}      | 24 fixed months |
+      | {"count": 1200, "rate": "variable"} | 1,200 months    |
+
+  Scenario: Lookups fall back from zh-HK to en-HK to en, skipping script subtags
+    Given the messages:
+      | locale | key     | message                      |
+      | en     | back    | Back                         |
+      | en     | support | Call us                      |
+      | en     | rate    | Rate {rate, number, percent} |
+      | en-HK  | support | Call our Hong Kong team      |
+      | zh-HK  | back    | 返回                         |
+    Then the messages should be looked up as:
+      | key     | locale     | from  | text                    |
+      | back    | zh-HK      | zh-HK | 返回                    |
+      | support | zh-HK      | en-HK | Call our Hong Kong team |
+      | back    | en-HK      | en    | Back                    |
+      | support | en-GB      | en    | Call us                 |
+      | rate    | zh-HK      | en    | Rate 4%                 |
+      | support | zh-Hant-HK | en-HK | Call our Hong Kong team |
+      | back    | zh-Hant    | en    | Back                    |
+
+  Scenario Outline: Formatting fails with <code>
+    Given the messages:
+      | locale | key    | message                      |
+      | en     | broken | {count, plural, one {# day}} |
+      | en     | loan   | Loan #{id}                   |
+    Then formatting "<key>" in "en-GB" should fail with "<code>"
+
+    Examples:
+      | key     | code          |
+      | broken  | SYNTAX        |
+      | loan    | MISSING_VALUE |
+      | unknown | UNKNOWN_KEY   |
+
+  Scenario: Screen text, error and validation messages and error hub strings are extracted
+    Given the message specification "offers.finapp":
+      """
+      errors {
+        error OfferExpired {
+          message: "Your offer has expired"
+        }
+      }
+
+      components {
+        component ErrorBanner {
+          properties: {
+            message: string
+            actionText: string?
+          }
+        }
+      }
+
+      validation Amount {
+          on: Amount
+          rule: "amount > 0"
+          message: "Enter an amount"
+      }
+
+      journey OfferJourney {
+        screens: [OfferScreen]
+        errorHub {
+          handlers {
+            OfferExpired: {
+              display: ErrorBanner
+              properties: {
+                message: error.message
+                actionText: "Start again"
+                action: navigate(OfferScreen)
+              }
+            }
+          }
+        }
+      }
+
+      screen OfferScreen {
+          title: "Your offer"
+          layout: {
+              type: stack
+              components: [
+                  { type: text value: "Loan #{{item.id}} at {{rate * 100}}%" },
+                  { type: text value: "{{item.balance}}" },
+                  { type: button label: "Start again" },
+                  { type: text value: "Your Offer" }
+              ]
+          }
+      }
+      """
+    Then the extracted messages should be:
+      | key                    | message                | lines  |
+      | enter_an_amount        | Enter an amount        | 19     |
+      | loan_id_at_value       | Loan #{id} at {value}% | 43     |
+      | start_again            | Start again            | 45, 30 |
+      | your_offer             | Your offer             | 39     |
+      | your_offer_has_expired | Your offer has expired | 3      |
+    And the extraction warnings should be:
+      | line | code          |
+      | 46   | key-collision |
+
+  Scenario: The translation report lists untranslated, orphaned and mismatched messages per region
+    Given the file "offers.finapp":
+      """
+      app Offers {
+          regions: [ { id: "UK" locale: "en-GB" }, { id: "HK" locale: ["en-HK", "zh-HK"] } ]
+      }
+
+      screen OfferScreen {
+          title: "Your offer"
+          layout: {
+              type: stack
+              components: [
+                  { type: text value: "Loan #{{item.id}}" },
+                  { type: button label: "Continue" }
+              ]
+          }
+      }
+      """
+    And the file "offers.en.json":
+      """
+      {
+        "continue": "Continue",
+        "loan_id": "Loan #{id}",
+        "your_offer": "Your offer"
+      }
+      """
+    And the file "offers.zh-HK.json":
+      """
+      {
+        "continue": "繼續",
+        "loan_id": "貸款 #{loanId}",
+        "your_offers": "您的優惠"
+      }
+      """
+    And the file "offers.fr.json":
+      """
+      {
+        "continue": "Continuer"
+      }
+      """
+    When I report the translations of "offers.finapp"
+    Then the translation diagnostics should be:
+      | file              | line | severity | code              |
+      | offers.fr.json    | 1    | warning  | unused-locale     |
+      | offers.zh-HK.json | 3    | error    | argument-mismatch |
+      | offers.zh-HK.json | 4    | warning  | orphaned          |
+      | offers.finapp     | 6    | error    | untranslated      |
+    And the translation summary should be:
+      | region | locale | translated |
+      | UK     | en-GB  | 3/3        |
+      | HK     | en-HK  | 3/3        |
+      | HK     | zh-HK  | 2/3        |
+
+  Scenario: A source catalogue that no longer matches the specification is stale
+    Given the file "offers.finapp":
+      """
+      app Offers {
+          regions: [ { id: "UK" locale: "en-GB" } ]
+      }
+
+      screen OfferScreen {
+          title: "Your new offer"
+      }
+      """
+    And the file "offers.en.json":
+      """
+      {
+        "your_offer": "Your offer"
+      }
+      """
+    When I report the translations of "offers.finapp"
+    Then the translation diagnostics should be:
+      | file          | line | severity | code            |
+      | offers.finapp | 1    | error    | stale-catalogue |
+
+  Scenario: The loan top-up catalogues are current and every region is translated
+    Then the message catalogue of "lending/loan-topup.finapp" should be up to date
+    And the translation report of "lending/loan-topup.finapp" should have no diagnostics
+    And every locale of "lending/loan-topup.finapp" should be fully translated
@@ -0,0 +1,94 @@
+Feature: Mock API server from the specification
+  As a developer of the loan top-up journey
+  I want the api: endpoints of loan-topup.finapp served from its mockData
+  So that the app can be built and tested against a backend that behaves like the spec
+
+  Background:
+    Given the mock API of "lending/loan-topup.finapp"
+
+  Scenario Outline: Requests are routed by method and path
+    When I send GET "<path>"
+    Then the mock API should answer <status>
+    And the mock API response should be <response>
+
+    Examples:
+      | path                     | status | response                       |
+      | /loans                   | 200    | 3 records                      |
+      | /loans?region=HK         | 200    | 1 record                       |
+      | /loans/loan3             | 200    | the record with id "loan3"     |
+      | /loans/loan1/topup-offer | 200    | the record with loanId "loan1" |
+      | /v1/loans/loan2          | 200    | the record with id "loan2"     |
+      | /loans/loan9             | 404    | the error "NOT_FOUND"          |
+      | /accounts                | 404    | the error "NOT_FOUND"          |
+      | /loans/%E0%A4%A          | 400    | the error "INVALID_REQUEST"    |
+
+  Scenario: A method the path does not declare is refused
+    When I send DELETE "/loans"
+    Then the mock API should answer 405 with code "METHOD_NOT_ALLOWED"
+    And the mock API response header "allow" should be "GET"
+
+  Scenario: A request body that does not match the endpoint schema is rejected
+    When I POST to "/loans/topup" with:
+      """
+      { "loanId": "loan1", "amount": "3000" }
+      """
+    Then the mock API should answer 400 with code "INVALID_REQUEST"
+    And the mock API response errors should be:
+      | field        | message                    |
+      | amount       | 'amount' should be number  |
+      | interestRate | 'interestRate' is required |
+
+  Scenario: Each created top-up gets its own id and reference
+    When I POST to "/loans/topup" with:
+      """
+      { "loanId": "loan1", "amount": 2000, "interestRate": 6.9 }
+      """
+    And I POST to "/loans/topup" with:
+      """
+      { "loanId": "loan3", "amount": 20000, "interestRate": 5.8 }
+      """
+    And I send GET "/loans/topup/topup3"
+    Then the mock API should answer 200
+    And the mock API response should be the record with reference "TOP123458"
+    And the "topupConfirmations" mock data should have the references "TOP123456, TOP123457, TOP123458"
+
+  Scenario Outline: An injected <fault> fault answers <times> request(s) of <endpoint>
+    Given the mock API fails "<endpoint>" with <fault> <times> times
+    When I send GET "/loans/loan1/topup-offer" 3 times
+    Then the mock API should answer "<statuses>"
+    And the mock API should have <left> faults left
+
+    Examples:
+      | endpoint      | fault               | times | statuses      | left |
+      | getTopupOffer | "LOAN_NOT_ELIGIBLE" | 2     | 400, 400, 200 | 0    |
+      | getTopupOffer | 503                 | 1     | 503, 200, 200 | 0    |
+      | getTopupOffer | 503                 | 0     | 200, 200, 200 | 0    |
+      | getLoans      | 503                 | 1     | 200, 200, 200 | 1    |
+
+  Scenario: An injected error code answers with the message its error declares
+    Given the mock API fails "createTopup" with "AMOUNT_TOO_HIGH" 1 time
+    When I POST to "/loans/topup" with:
+      """
+      { "loanId": "loan1", "amount": 2000, "interestRate": 6.9 }
+      """
+    Then the mock API should answer 400 with code "AMOUNT_TOO_HIGH"
+    And the mock API response message should be the message of error "AmountTooHigh"
+
+  Scenario: A fault header fails a single request
+    When I send GET "/loans" with the header "x-mock-fault" set to "503"
+    Then the mock API should answer 503 with code "SERVICE_UNAVAILABLE"
+    When I send GET "/loans"
+    Then the mock API should answer 200
+
+  Scenario Outline: A fault that cannot be served is refused
+    When I send POST "/__mock/faults" with:
+      """
+      <fault>
+      """
+    Then the mock API should answer 400 with code "INVALID_FAULT"
+
+    Examples:
+      | fault                                        |
+      | { "endpoint": "getAccounts", "status": 503 } |
+      | { "code": "NOT_MAPPED" }                     |
+      | { "status": 503, "times": -1 }               |
@@ -0,0 +1,126 @@
+Feature: Notification templates and scheduling
+  As a developer of the loan top-up journey
+  I want notifications declared in the specification and scheduled against the app clock
+  So that confirmations, reminders and follow-ups reach customers in their language and only when wanted
+
+  Background:
+    Given the notifications of "lending/loan-topup.finapp" at "2025-03-10T09:00:00Z"
+
+  Scenario Outline: The top-up confirmation is sent at once on push and email in <language>
+    Given a <segment> customer in "<region>" who reads "<language>"
+    When the notification event "topupConfirmed" happens with:
+      | amount    | <amount> |
+      | reference | TU000001 |
+    Then the notification outbox should be:
+      | type                    | channel   | recipient        | status    | language   | due             |
+      | LOAN_TOPUP_CONFIRMATION | push      | CUST123456       | delivered | <language> | 2025-03-10      |
+      | LOAN_TOPUP_CONFIRMATION | email     | cust@example.com | delivered | <language> | 2025-03-10      |
+      | <follow_up>             | follow-up | CUST123456       | scheduled | <language> | <follow_up_due> |
+    And the "push" notification should read "<content>"
+
+    Examples:
+      | region | segment | language | amount    | content                                                          | follow_up                               | follow_up_due |
+      | UK     | Basic   | en-GB    | £5,000    | Your loan top-up of £5,000 is confirmed. Reference: TU000001.    | STANDARD_SATISFACTION_SURVEY            | 2025-03-17    |
+      | HK     | Basic   | en-HK    | HK$50,000 | Your loan top-up of HK$50,000 is confirmed. Reference: TU000001. | STANDARD_SATISFACTION_SURVEY            | 2025-03-17    |
+      | HK     | Wealth  | zh-HK    | HK$50,000 | 您的 HK$50,000 貸款加借已確認。參考編號：TU000001。              | PRIORITY_RELATIONSHIP_MANAGER_FOLLOW-UP | 2025-03-12    |
+
+  Scenario Outline: The reminder after abandoning the journey in <region> waits <days> days
+    Given a Wealth customer in "<region>" who reads "<language>"
+    When the notification event "journeyAbandoned" happens with:
+      | expiry | 24/03/2025 |
+    And <before> notification days pass
+    Then the "LOAN_TOPUP_REMINDER" notification should be "scheduled"
+    When 1 notification day passes
+    Then the "LOAN_TOPUP_REMINDER" notification should be "delivered"
+    And the "push" notification should read "<content>"
+
+    Examples:
+      | region | language | days | before | content                                                            |
+      | UK     | en-GB    | 3    | 2      | Your loan top-up application is saved. Continue before 24/03/2025. |
+      | HK     | zh-HK    | 2    | 1      | 您的貸款加借申請已儲存，請於 24/03/2025 前繼續。                   |
+
+  Scenario: Confirming the top-up cancels the pending reminder
+    Given a Basic customer in "UK" who reads "en-GB"
+    When the notification event "journeyAbandoned" happens with:
+      | expiry | 24/03/2025 |
+    And 1 notification day passes
+    And the notification event "topupConfirmed" happens with:
+      | amount    | £5,000   |
+      | reference | TU000001 |
+    Then the "LOAN_TOPUP_REMINDER" notification should be "cancelled"
+    And the "LOAN_TOPUP_CONFIRMATION" notification should be "delivered"
+
+  Scenario: An offer suppression window holds back suppressible notifications only
+    Given a Basic customer in "UK" who reads "en-GB"
+    When the notification event "journeyAbandoned" happens with:
+      | expiry | 24/03/2025 |
+    And the customer's offers are suppressed until "2025-03-17T09:00:00Z"
+    And 7 notification days pass
+    Then the "LOAN_TOPUP_REMINDER" notification should be "suppressed"
+    And the "STANDARD_SATISFACTION_SURVEY" notification should be "delivered"
+
+  Scenario: Opting out stops marketing but not service notifications
+    Given a Basic customer in "UK" who reads "en-GB"
+    When the customer opts out of marketing notifications
+    And the notification event "topupConfirmed" happens with:
+      | amount    | £5,000   |
+      | reference | TU000001 |
+    And 7 notification days pass
+    Then the "LOAN_TOPUP_CONFIRMATION" notification should be "delivered"
+    And the "STANDARD_SATISFACTION_SURVEY" notification should be "opted-out"
+
+  Scenario: Opting back in applies to messages due afterwards
+    Given a Basic customer in "UK" who reads "en-GB"
+    When the customer opts out of "STANDARD_SATISFACTION_SURVEY" notifications
+    And the notification event "journeyAbandoned" happens with:
+      | expiry | 24/03/2025 |
+    And 1 notification day passes
+    And the customer opts back in to "STANDARD_SATISFACTION_SURVEY" notifications
+    And 6 notification days pass
+    Then the "STANDARD_SATISFACTION_SURVEY" notification should be "delivered"
+    And the "LOAN_TOPUP_REMINDER" notification should be "delivered"
+
+  Scenario: A language without a template falls back to the region's locales
+    Given a Basic customer in "UK" who reads "fr-FR"
+    When the notification event "topupConfirmed" happens with:
+      | amount    | £5,000   |
+      | reference | TU000001 |
+    Then the "push" notification should be in "en-GB"
+
+  Scenario Outline: Rendering fails with <code>
+    Then rendering the "<notification>" notification in "en-GB" should fail with "<code>"
+
+    Examples:
+      | notification         | code                 |
+      | LOAN_TOPUP_REMINDER  | MISSING_VALUE        |
+      | LOAN_TOPUP_CANCELLED | UNKNOWN_NOTIFICATION |
+
+  Scenario: The validator checks notification audiences, templates and placeholders
+    Given the notification specification "offers.finapp":
+      """
+      app Offers {
+          regions: [ { id: "UK" locale: "en-GB" }, { id: "HK" locale: ["en-HK", "zh-HK"] } ]
+          customerSegments: [ { id: "Basic" } ]
+      }
+
+      notification Welcome {
+          channels: [push]
+          on: signedUp
+          audience: { regions: [UK, SG], segments: [Basic] }
+          templates: {
+              "en-GB": "Welcome, {name}"
+              "zh-HK": "歡迎 {firstName}"
+          }
+      }
+
+      notification Goodbye {
+          channels: [email]
+          on: closedAccount
+          templates: { "en-GB": "Goodbye" }
+      }
+      """
+    Then the notification diagnostics should be:
+      | line | column | severity | code                      |
+      | 9    | 31     | error    | unknown-audience          |
+      | 12   | 18     | warning  | notification-placeholders |
+      | 19   | 5      | error    | notification-template     |
@@ -0,0 +1,57 @@
+Feature: Promotional banner selection
+  As a developer of the loan top-up journey
+  I want promotional banners chosen from a catalogue by region, segment and local time
+  So that marketing can change campaigns without code changes and the choice can be explained
+
+  Background:
+    Given the banner catalogue "lending/promotional-banners.json" for "lending/loan-topup.finapp"
+
+  Scenario Outline: Banners for a <segment> customer in <region> at <datetime>
+    When banners are selected for region "<region>" and segment "<segment>" at "<datetime>"
+    Then the selected banners should be "<banners>"
+
+    Examples:
+      | region | segment | datetime               | banners                                                         |
+      | UK     | Basic   | 2025-03-15T14:30:00Z   | Spring Home Improvement Promotion                               |
+      | UK     | Basic   | 2025-03-15T02:30:00Z   | Night Owl Banking Benefits, Spring Home Improvement Promotion   |
+      | UK     | Basic   | 2025-05-20T14:30:00Z   | Summer Holiday Financing Options                                |
+      | UK     | Basic   | 2025-12-24T12:00:00Z   | Festive payment holiday option                                  |
+      | UK     | Wealth  | 2025-09-10T20:00:00+01 | Premier Rate Review, Evening Banking Exclusive Benefits         |
+      | UK     | Basic   | 2025-09-10T20:00:00+01 | Evening Banking Exclusive Benefits                              |
+      | HK     | Basic   | 2025-01-25T10:30:00+08 | Lunar New Year Special Offers                                   |
+      | HK     | Basic   | 2025-03-15T12:30:00Z   | Evening Banking Exclusive Benefits                              |
+      | HK     | Wealth  | 2025-07-15T12:00:00+08 |                                                                 |
+
+  Scenario: Banners left out are explained
+    When banners are selected for region "UK" and segment "Basic" at "2025-03-15T14:30:00Z"
+    Then banner "night-owl-uk" should be excluded for "TIME_OF_DAY"
+    And banner "summer-holiday-uk-2025" should be excluded for "NOT_STARTED"
+    And banner "lunar-new-year-hk-2025" should be excluded for "REGION, ENDED"
+    And banner "premier-rate-review-uk-2025" should be excluded for "SEGMENT, NOT_STARTED"
+
+  Scenario: The catalogue decides the precedence
+    Given the banner catalogue:
+      """
+      {
+        "precedence": ["window"],
+        "banners": [
+          { "id": "all-year", "title": "All-year offer", "description": "Always on", "startDate": "2025-01-01", "endDate": "2025-12-31", "region": "UK", "customerSegment": "Basic" },
+          { "id": "weekend", "title": "Weekend offer", "description": "Two days only", "startDate": "2025-03-15", "endDate": "2025-03-16", "region": "UK" }
+        ]
+      }
+      """
+    When banners are selected for region "UK" and segment "Basic" at "2025-03-15T14:30:00Z"
+    Then the selected banners should be "Weekend offer, All-year offer"
+
+  Scenario Outline: Catalogue entries that cannot be used are rejected: <problem>
+    Then the banner catalogue should be rejected with "<problem>" for the banner:
+      """
+      <banner>
+      """
+
+    Examples:
+      | banner                                                                                                                                          | problem                        |
+      | { "id": "b1", "description": "No title", "startDate": "2025-01-01", "endDate": "2025-01-31", "region": "UK" }                                    | 'title' is required            |
+      | { "id": "b2", "title": "T", "description": "D", "startDate": "2025-01-01", "endDate": "2025-01-31", "region": "UK", "priority": 1 }              | 'priority' is not a known field |
+      | { "id": "b3", "title": "T", "description": "D", "startDate": "2025-02-01", "endDate": "2025-01-31", "region": "UK" }                              | ends before it starts          |
+      | { "id": "b4", "title": "T", "description": "D", "startDate": "2025-01-01", "endDate": "2025-01-31", "region": "UK", "timeOfDay": "lunchtime" }   | unknown timeOfDay 'lunchtime'  |
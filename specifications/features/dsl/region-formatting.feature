@@ -0,0 +1,90 @@
+Feature: Region-driven formatting
+  As a developer of the loan top-up journey
+  I want amounts, rates and dates formatted and parsed from the regions declared in the spec
+  So that step definitions never hard-code currency symbols or date patterns
+
+  Background:
+    Given the region formats of "lending/loan-topup.finapp"
+
+  Scenario Outline: Formatting a <kind> for <region>
+    Then formatting the <kind> "<value>" for region "<region>" should give "<text>"
+
+    Examples:
+      | kind     | value      | region  | text           |
+      | currency | 1234.5     | UK      | £1,234.50      |
+      | currency | 200000     | HK      | HK$200,000.00  |
+      | currency | -75        | GBP (£) | -£75.00        |
+      | currency | 50000      | HKD ($) | HK$50,000.00   |
+      | currency | 888        | zh-HK   | HK$888.00      |
+      | percent  | 6.9        | UK      | 6.9%           |
+      | apr      | 7.2        | HK      | 7.2% APR       |
+      | number   | 1234567.25 | HK      | 1,234,567.25   |
+      | date     | 2025-03-05 | UK      | 05/03/2025     |
+      | date     | 2025-12-24 | HK      | 24/12/2025     |
+
+  Scenario Outline: Parsing a <kind> for <region>
+    Then parsing the <kind> "<text>" for region "<region>" should give "<value>"
+
+    Examples:
+      | kind     | text          | region | value      |
+      | currency | £1,234.50     | UK     | 1234.5     |
+      | currency | £25,000       | UK     | 25000      |
+      | currency | HK$800,000    | HK     | 800000     |
+      | percent  | 5.8% APR      | HK     | 5.8        |
+      | date     | 15/04/2025    | UK     | 2025-04-15 |
+
+  Scenario Outline: Verifying "<text>" as a <region> amount
+    Then "<text>" should <outcome> a currency amount for region "<region>"
+
+    Examples:
+      | text        | region | outcome |
+      | £1,234.50   | UK     | be      |
+      | £1234.50    | UK     | not be  |
+      | £25,000     | UK     | not be  |
+      | HK$1,234.50 | UK     | not be  |
+      | HK$1,234.50 | HK     | be      |
+      | £1,234.50   | HK     | not be  |
+
+  Scenario: Amounts are found in screen text by region
+    Then the amounts for region "HK" in "Balance HK$12,000.00, top-up HK$3,000.00, fee £5.00" should be:
+      | text         | value |
+      | HK$12,000.00 | 12000 |
+      | HK$3,000.00  | 3000  |
+
+  Scenario: Invalid dates are rejected
+    Then "31/02/2025" should not be a date for region "UK"
+
+  Scenario: A region added as data formats without code changes
+    Given an additional region:
+      """
+      { "id": "SG", "locale": "en-SG", "currency": "SGD", "currencySymbol": "S$", "dateFormat": "DD/MM/YYYY" }
+      """
+    Then formatting the currency "1234.5" for region "SG" should give "S$1,234.50"
+    And parsing the currency "S$99.90" for region "SG" should give "99.9"
+    And "$1,234.50" should not be a currency amount for region "SG"
+
+  Scenario Outline: An instant is shown on the date its region's clocks show
+    Given the region formats of the bundled region packs
+    Then formatting the date "<instant>" for region "<region>" should give "<text>"
+
+    Examples:
+      | instant                   | region | text       |
+      | 2025-03-14T20:30:00Z      | UK     | 14/03/2025 |
+      | 2025-03-14T20:30:00Z      | HK     | 15/03/2025 |
+      | 2025-03-14T20:30:00Z      | SG     | 15/03/2025 |
+      | 2025-06-30T23:30:00Z      | UK     | 01/07/2025 |
+      | 2025-06-30T23:30:00+08:00 | HK     | 30/06/2025 |
+
+  Scenario Outline: A parsed date formats as the same day on a machine in <machine>
+    Given the region formats of the bundled region packs
+    And the machine's time zone is "<machine>"
+    Then parsing the date "15/04/2024" for region "<region>" and formatting it again should give "15/04/2024"
+
+    Examples:
+      | machine             | region |
+      | Asia/Tokyo          | UK     |
+      | Asia/Tokyo          | HK     |
+      | Asia/Tokyo          | SG     |
+      | America/Los_Angeles | UK     |
+      | America/Los_Angeles | HK     |
+      | Pacific/Kiritimati  | SG     |
@@ -0,0 +1,133 @@
+Feature: Region packs
+  As a developer of the loan top-up journey
+  I want each region's regulator, disclosures, cooling-off rule, limits and calendar in one pack
+  So that adding a region is a data drop-in that the validator checks for completeness
+
+  Scenario: The bundled region packs are discovered from their directory
+    Given the bundled region packs
+    Then the region packs should be:
+      | id | regulator | currency | locale       | cooling_off     | limits          | time_zone      |
+      | HK | HKMA      | HKD      | en-HK, zh-HK | 7 days          | 10000 to 800000 | Asia/Hong_Kong |
+      | SG | MAS       | SGD      | en-SG        | 7 business days | 1500 to 150000  | Asia/Singapore |
+      | UK | FCA       | GBP      | en-GB        | 14 days         | 1000 to 100000  | Europe/London  |
+
+  Scenario Outline: Every region shows its mandatory disclosures on the <screen>
+    Given the bundled region packs
+    Then the "<screen>" disclosures of every region should be <disclosures>
+    And the "TermsScreen" regulatory disclosure of "<region>" should mention "<regulator>"
+
+    Examples:
+      | screen             | disclosures                | region | regulator |
+      | LoansOverview      | termsAndConditions         | UK     | FCA       |
+      | TermsScreen        | regulatoryDisclosure       | HK     | HKMA      |
+      | ConfirmationScreen | agreementTerms, disclosure | SG     | MAS       |
+
+  Scenario Outline: The cooling-off period of an agreement made on <date> in <region> ends on <ends>
+    Given the bundled region packs
+    Then the cooling-off period of an agreement made at "<date>" in "<region>" should end on "<ends>"
+
+    Examples:
+      | region | date                 | ends       |
+      | UK     | 2025-03-10T15:00     | 2025-03-24 |
+      | UK     | 2025-12-20T10:00     | 2026-01-03 |
+      | HK     | 2025-01-27T10:00     | 2025-02-03 |
+      | HK     | 2025-03-14T23:30:00Z | 2025-03-22 |
+      | SG     | 2026-08-04T10:00     | 2026-08-14 |
+      | SG     | 2025-03-14T10:00     | 2025-03-25 |
+
+  Scenario: Looking up a region without a pack fails
+    Given the bundled region packs
+    Then looking up the region "JP" should fail with "UNKNOWN_REGION"
+
+  Scenario: Singapore is added by dropping its pack into the packs directory
+    Given a copy of the bundled region packs without "SG"
+    Then the copied region packs should be "HK, UK"
+    When I add the bundled "SG" pack to the copy
+    Then the copied region packs should be "HK, SG, UK"
+    And the copied region packs should have no region pack errors
+    And the DSL regions loaded from the copy should be:
+      | code | name           | regulatoryBody | coolingOffPeriod | language |
+      | HK   | Hong Kong      | HKMA           | 7                | en-HK    |
+      | SG   | Singapore      | MAS            | 7                | en-SG    |
+      | UK   | United Kingdom | FCA            | 14               | en-GB    |
+
+  Scenario: An incomplete pack is reported
+    Given a copy of the bundled region packs without "SG"
+    And the copied region pack "MY" has the "region.json":
+      """
+      {
+        "id": "MY",
+        "displayName": "Malaysia",
+        "locale": "en-MY",
+        "currency": "MYR",
+        "dateFormat": "DD/MM/YYYY",
+        "regulator": { "id": "BNM" },
+        "coolingOff": { "days": 0 },
+        "amountLimits": { "min": 50000, "max": 5000 },
+        "disclosures": {
+          "LoansOverview": {
+            "termsAndConditions": "Lending is subject to status. Loans in Malaysia are regulated by BNM."
+          },
+          "TermsScreen": {
+            "regulatoryDisclosure": "BNM disclosures: complaints may be referred to the Ombudsman for Financial Services."
+          }
+        }
+      }
+      """
+    And the copied region pack "MY" has the "calendar.json":
+      """
+      {
+        "region": "SG",
+        "timeZone": "Asia/Kuala_Lumpur",
+        "weekend": ["Saturday", "Sunday"],
+        "opensAt": "09:00",
+        "cutOff": "16:00",
+        "holidays": []
+      }
+      """
+    Then the copied region packs should have the region pack errors:
+      | file          | line | code                    |
+      | region.json   | 1    | pack-missing-field      |
+      | region.json   | 7    | pack-missing-field      |
+      | region.json   | 8    | pack-cooling-off        |
+      | region.json   | 9    | pack-limits             |
+      | calendar.json | 2    | pack-calendar           |
+      | region.json   | 10   | pack-missing-disclosure |
+      | region.json   | 10   | pack-missing-disclosure |
+
+  Scenario: A specification's regions and segment limits are checked against the packs
+    Given the file "offers.finapp":
+      """
+      app Offers {
+          regions: [
+              { id: "UK" locale: "en-GB" currency: "GBP" regulatoryBody: "PRA" coolingOffPeriod: 28 },
+              { id: "JP" locale: "ja-JP" currency: "JPY" }
+          ]
+          customerSegments: [
+              {
+                  id: "Basic"
+                  minTopupAmounts: { "UK": 500 }
+                  maxTopupAmounts: { "UK": 25000 }
+              }
+          ]
+      }
+      """
+    When I check the regions of "offers.finapp" against the bundled region packs
+    Then the region pack errors should be:
+      | file          | line | code          |
+      | offers.finapp | 3    | pack-mismatch |
+      | offers.finapp | 3    | pack-mismatch |
+      | offers.finapp | 4    | missing-pack  |
+      | offers.finapp | 9    | pack-limits   |
+
+  Scenario: The app runs in a region that only the region packs declare
+    Given I am authenticated in the mobile banking app
+    And I have an existing loan that is eligible for top-up
+    And my current region is set to "SG"
+    When I navigate to the "My Loans" section
+    Then I should see all monetary values in "SGD" format
+    And I should see dates in "DD/MM/YYYY" format
+    And I should see the terms and conditions specific to "SG" regulations
+
+  Scenario: The loan top-up specification agrees with the bundled region packs
+    Then the bundled region packs should have no region pack errors against "lending/loan-topup.finapp"
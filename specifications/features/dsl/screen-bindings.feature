@@ -0,0 +1,102 @@
+Feature: Screen bindings rendered against data
+  As a developer of the loan top-up journey
+  I want the bind: values, {{...}} templates and conditions of a screen resolved against data
+  So that screens can be checked for concrete values without a device
+
+  Background:
+    Given the screens of "lending/loan-topup.finapp" at "2025-03-10T20:30:00" in "Europe/London"
+    And the promotional banners of "lending/promotional-banners.json"
+
+  Scenario Outline: Amount selection in <region>
+    Given the screen data:
+      """
+      {
+        "offer": { "minTopupAmount": <min>, "maxTopupAmount": <max>, "interestRate": "6.9% APR" },
+        "suggestedAmount": <suggested>,
+        "currentLoanAmount": <current>,
+        "selectedAmount": <selected>,
+        "userRegion": "<region>"
+      }
+      """
+    When I render the screen "AmountSelectionScreen"
+    Then the screen value "layout.components[0].content.components[1].min" should be "<min>"
+    And the screen value "layout.components[0].content.components[1].initialValue" should be "<suggested>"
+    And the screen value "layout.components[1].items[0].value" should be "<original>"
+    And the screen value "layout.components[1].items[2].value" should be "<total>"
+    And the screen value "layout.components[0].content.components[1].currencySymbol" should be "<symbol>"
+    And the screen should have no unresolved bindings
+
+    Examples:
+      | region | min   | max    | suggested | current | selected | symbol | original     | total         |
+      | UK     | 1000  | 25000  | 5000      | 10000   | 2500     | £      | £10,000.00   | £12,500.00    |
+      | HK     | 10000 | 200000 | 50000     | 80000   | 20000    | HK$    | HK$80,000.00 | HK$100,000.00 |
+
+  Scenario: Loans overview lists loans and evaluates promotional conditions
+    Given the screen data:
+      """
+      {
+        "userProfile": { "region": "UK", "customerSegment": "Basic" },
+        "loans": [
+          { "id": "L001", "currentBalance": 5000, "monthlyPayment": 250.5, "nextPaymentDate": "2024-04-15", "region": "UK", "isEligibleForTopup": true },
+          { "id": "L002", "currentBalance": 42000, "monthlyPayment": 1800, "nextPaymentDate": "2024-04-01", "region": "HK", "isEligibleForTopup": false }
+        ]
+      }
+      """
+    When I render the screen "LoansOverview"
+    Then the screen value "layout.components[1].components[0].title" should be "Evening Banking Exclusive Benefits"
+    And the screen value "layout.components[2].components[0].title" should be "Spring Home Improvement Promotion"
+    And the screen value "layout.components[3].items[0].components[0].components[0].value" should be "Loan #L001"
+    And the screen value "layout.components[3].items[0].components[1].components[2].value" should be "15/04/2024"
+    And the screen value "layout.components[3].items[1].components[1].components[0].value" should be "HK$42,000.00"
+    And the screen value "layout.components[3].items[1].components[2].visible" should be "false"
+    And the screen should have no unresolved bindings
+
+  Scenario: Missing data is reported instead of rendered
+    Given the screen data:
+      """
+      { "loans": [] }
+      """
+    When I render the screen "LoansOverview"
+    Then the screen value "layout.components[2].visible" should be "false"
+    And the unresolved bindings should be:
+      | kind       | name        | line |
+      | identifier | userProfile | 505  |
+      | identifier | userProfile | 519  |
+
+  Scenario Outline: The loans overview screen function <function> is evaluated in the binding grammar
+    When I call the screen function "<function>" of "LoansOverview" with <arguments>
+    Then the screen function should return "<value>"
+
+    Examples:
+      | function          | arguments            | value                              |
+      | formatCurrency    | [5000, "UK"]         | £5,000.00                          |
+      | formatCurrency    | [42000.5, "HK"]      | HK$42,000.50                       |
+      | formatDate        | ["2024-04-15", "UK"] | 15/04/2024                         |
+      | getTimeBasedOffer | ["UK", "Basic"]      | Evening Banking Exclusive Benefits |
+      | getSeasonalOffer  | ["UK", "Basic"]      | Spring Home Improvement Promotion  |
+
+  Scenario: A screen function written as JavaScript is reported
+    Given the file "overview.finapp":
+      """
+      screen Overview {
+          title: "My Loans"
+          dataFunctions: [
+              {
+                  name: "formatCurrency"
+                  params: ["value", "region"]
+                  expression: "region === 'UK' ? `£${value.toFixed(2)}` : value"
+              },
+              {
+                  name: "formatDate"
+                  params: ["dateValue"]
+                  expression: "formatDate(dateValue, region)"
+              }
+          ]
+      }
+      """
+    And the screens of the file "overview.finapp"
+    When I render the screen "Overview"
+    Then the unresolved bindings should be:
+      | kind       | name                                             | line |
+      | syntax     | region === 'UK' ? `£${value.toFixed(2)}` : value | 4    |
+      | identifier | region                                           | 9    |
@@ -0,0 +1,98 @@
+Feature: JSON Schema and TypeScript declarations from the specification
+  As a developer of the loan top-up journey
+  I want the models and api operations of a .finapp file turned into a JSON Schema and .d.ts types
+  So that fixtures, the mock API and the app agree on the shape of the data
+
+  Background:
+    Given the file "types.finapp":
+      """
+      model Loan {
+          id: string required
+          balance: number required
+          startDate: date required
+          nickname: string?
+          status: "active" | "closed" required
+          offers: TopupOffer[]
+      }
+
+      model TopupOffer {
+          maxTopupAmount: number required
+          promotionId: string
+      }
+
+      api LoanService {
+          endpoint: "/api/loans"
+
+          operation checkEligibility {
+              method: POST
+              request: { loanId: string, amount: number? }
+              response: { eligible: boolean, reason: "INCOME" | "TENURE" }
+          }
+      }
+      """
+
+  Scenario: Models and operations become JSON Schema definitions
+    When I generate the JSON Schema of "types.finapp"
+    Then the JSON Schema definitions should be "Loan, TopupOffer, LoanServiceCheckEligibilityRequest, LoanServiceCheckEligibilityResponse"
+    And the JSON Schema definition "LoanServiceCheckEligibilityRequest" should be described as "Request of LoanService.checkEligibility (POST /api/loans)"
+    And the JSON Schema properties should be:
+      | definition                          | property       | schema                                                 | required |
+      | Loan                                | id             | {"type":"string"}                                      | yes      |
+      | Loan                                | balance        | {"type":"number"}                                      | yes      |
+      | Loan                                | startDate      | {"type":"string","format":"date"}                      | yes      |
+      | Loan                                | nickname       | {"type":["string","null"]}                             | no       |
+      | Loan                                | status         | {"enum":["active","closed"]}                           | yes      |
+      | Loan                                | offers         | {"type":"array","items":{"$ref":"#/$defs/TopupOffer"}} | no       |
+      | TopupOffer                          | maxTopupAmount | {"type":"number"}                                      | yes      |
+      | TopupOffer                          | promotionId    | {"type":"string"}                                      | no       |
+      | LoanServiceCheckEligibilityRequest  | loanId         | {"type":"string"}                                      | yes      |
+      | LoanServiceCheckEligibilityRequest  | amount         | {"type":["number","null"]}                             | no       |
+      | LoanServiceCheckEligibilityResponse | reason         | {"enum":["INCOME","TENURE"]}                           | yes      |
+
+  Scenario Outline: Values are checked against the generated schema
+    When I generate the JSON Schema of "types.finapp"
+    Then the "<definition>" value <value> should have the schema problems "<problems>"
+
+    Examples:
+      | definition | value                                                                                  | problems                                                 |
+      | Loan       | {"id":"loan1","balance":5000,"startDate":"2023-01-05","status":"active"}               |                                                          |
+      | Loan       | {"id":"loan1","balance":"5000","startDate":"2023-01-05","status":"open","offers":[{}]} | Loan.balance, Loan.status, Loan.offers[0].maxTopupAmount |
+      | TopupOffer | {"maxTopupAmount":5000,"promotionId":"promo1","expiryDate":"2023-06-15"}               | TopupOffer.expiryDate                                    |
+
+  Scenario: Models and operations become TypeScript declarations
+    When I generate the TypeScript declarations of "types.finapp"
+    Then the TypeScript declarations should be:
+      """
+      // Generated from types.finapp by code-generation/bin/finapp-generate-types.js. Do not edit.
+
+      /** ISO 8601 date, e.g. "2023-04-15" */
+      export type ISODate = string;
+
+      /** model Loan */
+      export interface Loan {
+        id: string;
+        balance: number;
+        startDate: ISODate;
+        nickname?: string | null;
+        status: "active" | "closed";
+        offers?: TopupOffer[];
+      }
+
+      /** model TopupOffer */
+      export interface TopupOffer {
+        maxTopupAmount: number;
+        promotionId?: string;
+      }
+
+      /** Request of LoanService.checkEligibility (POST /api/loans) */
+      export interface LoanServiceCheckEligibilityRequest {
+        loanId: string;
+        amount?: number | null;
+      }
+
+      /** Response of LoanService.checkEligibility (POST /api/loans) */
+      export interface LoanServiceCheckEligibilityResponse {
+        eligible: boolean;
+        reason: "INCOME" | "TENURE";
+      }
+      """
@@ -0,0 +1,50 @@
+Feature: Validation rules from the specification
+  As a developer of the loan top-up journey
+  I want the validation rules written in loan-topup.finapp to be the ones that run
+  So that the spec, the step definitions and the mock server agree on what is valid
+
+  Background:
+    Given the validation rules of "lending/loan-topup.finapp"
+
+  Scenario Outline: Loan eligibility for a <status> loan eligible=<eligible>
+    When a Loan with isEligibleForTopup <eligible> and status "<status>" is validated
+    Then the validation should <outcome>
+
+    Examples:
+      | eligible | status | outcome                                                                                                |
+      | true     | active | pass                                                                                                   |
+      | false    | active | fail with "Loan must be active and eligible for top-up" on clause "isEligibleForTopup"                 |
+      | true     | closed | fail with "Loan must be active and eligible for top-up" on clause "status === 'active'"                |
+
+  Scenario Outline: Top-up amount <amount> against an offer of <min> to <max>
+    When a TopupAmount of <amount> is validated against an offer from <min> to <max>
+    Then the validation should <outcome>
+
+    Examples:
+      | amount | min   | max    | outcome                                                                                       |
+      | 1000   | 1000  | 5000   | pass                                                                                          |
+      | 5000   | 1000  | 5000   | pass                                                                                          |
+      | 999    | 1000  | 5000   | fail with "Top-up amount must be within the allowed limits" on clause "amount >= minTopupAmount" |
+      | 5001   | 1000  | 5000   | fail with "Top-up amount must be within the allowed limits" on clause "amount <= maxTopupAmount" |
+      | 9000   | 10000 | 100000 | fail with "Top-up amount must be within the allowed limits" on clause "amount >= minTopupAmount" |
+
+  Scenario: The mock server rejects a top-up outside the offer limits
+    Given the mock API of "lending/loan-topup.finapp" validating "createTopup" with "TopupAmount"
+    When I POST to "/loans/topup" with:
+      """
+      { "loanId": "loan1", "amount": 9000, "interestRate": 6.9 }
+      """
+    Then the mock API should answer 422 with code "VALIDATION_FAILED"
+    And the failed clause should be "amount <= maxTopupAmount"
+
+  Scenario Outline: Rule expressions compare <expression> without converting types
+    Then the rule expression "<expression>" with <values> should be <result>
+
+    Examples:
+      | expression                | values                               | result |
+      | offer.promotionId == null | {"offer": {}}                        | true   |
+      | offer.promotionId == null | {"offer": {"promotionId": null}}     | true   |
+      | offer.promotionId != null | {"offer": {"promotionId": "promo1"}} | true   |
+      | amount == '5000'          | {"amount": 5000}                     | false  |
+      | amount != '5000'          | {"amount": 5000}                     | true   |
+      | amount == 5000            | {"amount": 5000}                     | true   |
@@ -0,0 +1,36 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { AmountOptionGenerator, AmountOptionsError } = require('../../../core/lib/dsl/amount-options');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+Given('the amount options of {string}', function(specPath) {
+  this.amountOptions = AmountOptionGenerator.fromSpec(loadSpec(path.join(DOMAINS_DIR, specPath)));
+  this.amountOffer = {};
+});
+
+Given('the customer is pre-approved for up to {int}', function(maxTopupAmount) {
+  this.amountOffer = { maxTopupAmount };
+});
+
+When('{int} amount options are generated for region {string} and segment {string}', function(count, region, segment) {
+  this.generatedAmounts = this.amountOptions.generate({ region, segment, offer: this.amountOffer, count });
+});
+
+Then('the amount options should be {string}', function(options) {
+  expect(this.generatedAmounts.options.join(', ')).to.equal(options);
+  this.generatedAmounts.options.forEach(amount => {
+    expect(amount % this.generatedAmounts.step, String(amount)).to.equal(0);
+  });
+});
+
+Then('the suggested amount should be {int}', function(amount) {
+  expect(this.generatedAmounts.suggestedAmount).to.equal(amount);
+});
+
+Then('generating amount options for region {string} and segment {string} should fail with {string}', function(region, segment, code) {
+  const generate = () => this.amountOptions.generate({ region, segment, offer: this.amountOffer });
+  expect(generate).to.throw(AmountOptionsError).with.nested.property('details.code', code);
+});
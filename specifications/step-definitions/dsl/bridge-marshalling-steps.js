@@ -0,0 +1,123 @@
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { Keyword, ClojureError, keyword, toWire, fromWire } = require('../../support/bridges/marshal');
+
+// JavaScript values the scenarios send across the bridge
+const samples = {
+  'keyword value': () => ({ severity: keyword('high') }),
+  'namespaced keyword': () => keyword('journey/terms-review'),
+  'string like a keyword': () => '~:high',
+  'set of keywords': () => new Set([keyword('UK'), keyword('HK')]),
+  'string-keyed map': () => new Map([['maxAmount', 25000], [keyword('UK'), 'Basic']]),
+  'object with a tag key': () => ({ '~#set': [1, 2] }),
+  'date': () => new Date('2025-03-31T09:00:00Z'),
+  'error handler': () => ({
+    display: keyword('ErrorBanner'),
+    codes: new Set([408, 502]),
+    properties: { actionText: 'Check balance' }
+  })
+};
+
+/**
+ * Parse JSON, reading strings that start with a colon as keywords
+ */
+function withKeywords(json) {
+  return JSON.parse(json, (key, value) =>
+    typeof value === 'string' && value.startsWith(':') ? keyword(value.slice(1)) : value);
+}
+
+/**
+ * The error thrown to JavaScript by the Clojure half for an ex-info
+ */
+function exInfo(message, wireData) {
+  return Object.assign(new Error(message), { name: 'ClojureError', data: wireData });
+}
+
+Given('the JavaScript value {string}', function(name) {
+  this.marshalValue = samples[name]();
+});
+
+Then(/^its wire form should be (.+)$/, function(wireJson) {
+  expect(JSON.stringify(toWire(this.marshalValue))).to.equal(JSON.stringify(JSON.parse(wireJson)));
+});
+
+Then('decoding its wire form should give the value back', function() {
+  const decoded = fromWire(toWire(this.marshalValue));
+  expect(decoded).to.deep.equal(this.marshalValue);
+  if (this.marshalValue instanceof Keyword) expect(decoded).to.equal(this.marshalValue);
+});
+
+Given('a JavaScript callback that navigates to the screen named by its error', function() {
+  this.callback = error => {
+    this.callbackArgument = error;
+    return { navigate: error.screen };
+  };
+});
+
+Given('a JavaScript callback that throws a ClojureError {string} with the code {string}', function(message, code) {
+  this.callback = () => {
+    throw new ClojureError(message, { data: { code: keyword(code.replace(/^:/, '')) } });
+  };
+});
+
+Given('a JavaScript callback that throws a TypeError {string}', function(message) {
+  this.callback = () => {
+    throw new TypeError(message);
+  };
+});
+
+When(/^Clojure calls the callback with the wire value (.+)$/, function(wireJson) {
+  try {
+    this.callbackResult = toWire(this.callback)(JSON.parse(wireJson));
+  } catch (error) {
+    this.caughtError = error;
+  }
+});
+
+Then('the callback should have received the keyword {string}', function(text) {
+  expect(this.callbackArgument.screen).to.be.an.instanceOf(Keyword);
+  expect(String(this.callbackArgument.screen)).to.equal(text);
+  expect(this.callbackArgument.retryable).to.equal(false);
+});
+
+Then(/^Clojure should get the wire value (.+)$/, function(wireJson) {
+  expect(this.callbackResult).to.deep.equal(JSON.parse(wireJson));
+});
+
+Then('the callback should come back from Clojure as itself', function() {
+  expect(fromWire(toWire(this.callback))).to.equal(this.callback);
+});
+
+Given(/^a Clojure function that throws an ex-info "(.*)" with the wire data (.+)$/, function(message, wireJson) {
+  this.clojureFunction = () => {
+    throw exInfo(message, JSON.parse(wireJson));
+  };
+});
+
+When('the function is called from JavaScript', function() {
+  try {
+    fromWire(this.clojureFunction)();
+  } catch (error) {
+    this.caughtError = error;
+  }
+});
+
+Then('a ClojureError {string} should be thrown', function(message) {
+  expect(this.caughtError).to.be.an.instanceOf(ClojureError);
+  expect(this.caughtError.message).to.equal(message);
+});
+
+Then(/^its ex-data should be (.+)$/, function(json) {
+  expect(this.caughtError.details.data).to.deep.equal(withKeywords(json));
+});
+
+Then(/^Clojure should catch the error "(.*)" with the wire data (.+)$/, function(message, wireJson) {
+  expect(this.caughtError).to.not.be.an.instanceOf(ClojureError);
+  const { name, data } = this.caughtError;
+  expect({ name, message: this.caughtError.message, data }).to.deep.equal({ name: 'ClojureError', message, data: JSON.parse(wireJson) });
+});
+
+Then('Clojure should catch the TypeError {string}', function(message) {
+  expect(this.caughtError).to.be.an.instanceOf(TypeError);
+  expect(this.caughtError.message).to.equal(message);
+});
@@ -0,0 +1,93 @@
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { Clock, parseInstant } = require('../../../core/lib/common/clock');
+const { BusinessCalendar } = require('../../../core/lib/common/business-calendar');
+
+const pad = value => String(value).padStart(2, '0');
+
+// Clock
+
+Then('the date-time {string} in {string} should be the instant {string}', function(text, timeZone, instant) {
+  expect(parseInstant(text, { timeZone }).toISOString()).to.equal(instant);
+});
+
+Then('reading the date-time {string} without a time zone should fail', function(text) {
+  expect(() => parseInstant(text)).to.throw(/no offset/);
+});
+
+Given('a clock frozen at {string}', function(instant) {
+  this.clock = Clock.fixed(instant);
+});
+
+Given('a running clock set to {string}', function(instant) {
+  // A fake system time the steps move by hand
+  this.systemTime = Date.parse('2030-01-01T00:00:00Z');
+  this.clock = new Clock({ source: () => this.systemTime }).set(instant);
+});
+
+When('{int} seconds pass on the system clock', function(seconds) {
+  this.systemTime += seconds * 1000;
+});
+
+When('the clock advances by {int} days', function(days) {
+  this.clock.advance({ days });
+});
+
+When('the clock is set to {string}', function(instant) {
+  this.clock.set(instant);
+});
+
+When('the clock is frozen', function() {
+  this.clock.freeze();
+});
+
+Then('the clock should read {string}', function(instant) {
+  expect(this.clock.now().toISOString()).to.equal(instant);
+});
+
+Then('the wall-clock time in {string} should be {string}', function(timeZone, expected) {
+  const local = this.clock.zoned(timeZone);
+  expect(`${local.date} ${pad(local.hour)}:${pad(local.minute)}`).to.equal(expected);
+});
+
+// Business calendar
+
+Given('the bundled business calendars', function() {
+  this.calendarWarnings = [];
+  this.calendar = BusinessCalendar.fromDirectory(undefined, { onWarning: warning => this.calendarWarnings.push(warning) });
+});
+
+Given('a business calendar:', function(json) {
+  this.calendar = new BusinessCalendar([JSON.parse(json)]);
+});
+
+Then(/^(\d{4}-\d{2}-\d{2}) should be a business day in region "([^"]+)"$/, function(date, region) {
+  expect(this.calendar.isBusinessDay(date, region)).to.be.true;
+});
+
+Then(/^(\d{4}-\d{2}-\d{2}) should be a weekend day in region "([^"]+)"$/, function(date, region) {
+  expect(this.calendar.isWeekend(date, region)).to.be.true;
+  expect(this.calendar.isBusinessDay(date, region)).to.be.false;
+});
+
+Then(/^(\d{4}-\d{2}-\d{2}) should be the holiday (.+) in region "([^"]+)"$/, function(date, name, region) {
+  expect(this.calendar.holiday(date, region)).to.deep.equal({ date, name });
+  expect(this.calendar.isBusinessDay(date, region)).to.be.false;
+});
+
+Then('the next business day after {string} in region {string} should be {string}', function(date, region, next) {
+  expect(this.calendar.nextBusinessDay(date, region)).to.equal(next);
+});
+
+Then('an instruction received at {string} in region {string} should be processed on {string}', function(instant, region, date) {
+  expect(this.calendar.processingDate(instant, region)).to.equal(date);
+});
+
+Then('asking whether {string} is a business day in region {string} should fail with {string}', function(date, region, code) {
+  expect(() => this.calendar.isBusinessDay(date, region)).to.throw().with.nested.property('details.code', code);
+});
+
+Then('the calendars should have warned:', function(table) {
+  const actual = this.calendarWarnings.map(warning => ({ ...warning.details, message: warning.message }));
+  expect(actual).to.deep.equal(table.hashes());
+});
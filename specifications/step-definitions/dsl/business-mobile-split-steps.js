@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Given, When, Then, After } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { loadModule } = require('../../../code-generation/parsers/finapp-loader');
+const { splitSpec, specDifferences } = require('../../../code-generation/transformers/finapp-split');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+/**
+ * Files written by the scenario live in a temporary directory; others are domain files
+ */
+function resolveFile(world, name) {
+  return world.splitDirectory ? path.join(world.splitDirectory, name) : path.join(DOMAINS_DIR, name);
+}
+
+After(function() {
+  if (this.splitDirectory) fs.rmSync(this.splitDirectory, { recursive: true, force: true });
+});
+
+Given('the file {string}:', function(name, source) {
+  this.splitDirectory = this.splitDirectory || fs.mkdtempSync(path.join(os.tmpdir(), 'finapp-split-'));
+  fs.writeFileSync(path.join(this.splitDirectory, name), `${source}\n`);
+});
+
+When('I load {string}', function(name) {
+  this.loadedModule = loadModule(resolveFile(this, name));
+});
+
+When('I split {string}', function(name) {
+  const file = resolveFile(this, name);
+  this.split = splitSpec(fs.readFileSync(file, 'utf8'), {
+    filename: file,
+    importPath: `./${path.basename(file, '.finapp')}.bizapp`
+  });
+});
+
+Then('there should be no diagnostics', function() {
+  expect(this.loadedModule.diagnostics).to.deep.equal([]);
+});
+
+Then('the diagnostics should be:', function(table) {
+  const actual = this.loadedModule.diagnostics.map(diagnostic => ({
+    file: path.basename(diagnostic.file),
+    line: String(diagnostic.line),
+    code: diagnostic.code
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the merged model should match {string}', function(name) {
+  expect(specDifferences(loadSpec(resolveFile(this, name)), this.loadedModule.spec)).to.deep.equal([]);
+});
+
+Then('the merged model should come from {string}', function(files) {
+  expect(this.loadedModule.spec.files.map(file => path.basename(file)).join(', ')).to.equal(files);
+});
+
+Then('the merged model should declare the model {string} and the screen {string}', function(model, screen) {
+  expect(this.loadedModule.spec.models.has(model)).to.equal(true);
+  expect(this.loadedModule.spec.screens.has(screen)).to.equal(true);
+});
+
+Then('the business file should be {string}', function(name) {
+  expect(this.split.bizapp).to.equal(fs.readFileSync(resolveFile(this, name), 'utf8'));
+});
+
+Then('the mobile file should be {string}', function(name) {
+  expect(this.split.mobileapp).to.equal(fs.readFileSync(resolveFile(this, name), 'utf8'));
+});
+
+Then('the mobile file should import {string}', function(names) {
+  expect(this.split.imports.join(', ')).to.equal(names);
+});
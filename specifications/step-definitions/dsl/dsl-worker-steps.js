@@ -0,0 +1,159 @@
+const { Given, When, Then, After } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { ClojureDSLWorker, DSLWorkerError, DSLHandle } = require('../../support/bridges/dsl-worker');
+const { ClojureDSLBridge, ClojureError } = require('../../support/bridges/clojure-dsl-bridge');
+
+/**
+ * An expression that applies `add` to two recursive calls down to the
+ * given depth, evaluating to 2^depth after 2^depth applications
+ */
+async function doublingExpression(dsl, depth) {
+  const [self, n, subtract, equal, add] = await Promise.all(
+    ['self', 'n', 'subtract', 'equal?', 'add'].map(name => dsl.makeVariable(name))
+  );
+  const recurse = await dsl.makeApplication(self, [self, await dsl.makeApplication(subtract, [n, 1])]);
+  const body = await dsl.makeIf(await dsl.makeApplication(equal, [n, 0]), 1, await dsl.makeApplication(add, [recurse, recurse]));
+  const doubler = await dsl.makeLambda(['self', 'n'], body);
+  const f = await dsl.makeVariable('f');
+  return dsl.makeApplication(await dsl.makeLambda(['f'], await dsl.makeApplication(f, [f, depth])), [doubler]);
+}
+
+After(async function() {
+  if (this.dslWorker) await this.dslWorker.close();
+});
+
+Given('a DSL worker for the {string} backend', async function(backend) {
+  this.dslWorker = new ClojureDSLWorker({ backend });
+  this.workerDSL = this.dslWorker.api();
+  await this.dslWorker.start();
+});
+
+Given('the DSL loaded through the bridge for the {string} backend', async function(backend) {
+  // The loaded DSL answers batch() and metrics() like the worker it calls
+  this.dslWorker = await new ClojureDSLBridge({ backend }).loadDSL();
+  this.workerDSL = this.dslWorker;
+});
+
+Given('the loan top-up environment is set up in the worker', async function() {
+  this.workerEnvironment = await this.workerDSL.setupLoanTopupEnvironment();
+});
+
+When('{string} is defined as {int} in the worker environment', async function(name, value) {
+  const variable = await this.workerDSL.makeVariable(name);
+  this.workerEnvironment = await this.workerDSL.defineVariable(variable, value, this.workerEnvironment);
+});
+
+When('the variable {string} is evaluated {int} times in the worker', async function(name, times) {
+  for (let i = 0; i < times; i++) {
+    await this.workerDSL.evaluate(await this.workerDSL.makeVariable(name), this.workerEnvironment);
+  }
+});
+
+When('the worker applies the amount rule in one batch to:', async function(dataTable) {
+  const calls = dataTable.hashes().map(row => ({
+    name: 'applyAmountRule',
+    args: [row.region, row.segment, Number(row.amount)]
+  }));
+  this.batchResults = await this.dslWorker.batch(calls);
+});
+
+When('the worker applies the amount rule for {string} {string} {int} twice', async function(region, segment, amount) {
+  await this.workerDSL.applyAmountRule(region, segment, amount);
+  await this.workerDSL.applyAmountRule(region, segment, amount);
+});
+
+When('the worker reads the {string} definition twice', async function(exportName) {
+  const first = await this.dslWorker.value(exportName);
+  expect(await this.dslWorker.value(exportName)).to.deep.equal(first);
+});
+
+When('an evaluation doubling to depth {int} is given {int} ms', async function(depth, timeout) {
+  const expression = await doublingExpression(this.workerDSL, depth);
+  this.staleEnvironment = this.workerEnvironment;
+  try {
+    await this.dslWorker.batch([{ name: 'evaluate', args: [expression, this.workerEnvironment] }], { timeout });
+  } catch (error) {
+    this.workerError = error;
+  }
+});
+
+When('the worker is closed while an evaluation doubling to depth {int} is given {int} ms', async function(depth, timeout) {
+  const expression = await doublingExpression(this.workerDSL, depth);
+  const evaluation = this.dslWorker.batch([{ name: 'evaluate', args: [expression, this.workerEnvironment] }], { timeout })
+    .then(() => null, failure => failure);
+  // Let the batch be sent before closing
+  await new Promise(resolve => setImmediate(resolve));
+  await this.dslWorker.close();
+  this.workerError = await evaluation;
+  // Outlive the timeout, which must not fire on the closed worker
+  await new Promise(resolve => setTimeout(resolve, timeout * 2));
+});
+
+Then('the worker environment should be a handle', function() {
+  expect(this.workerEnvironment).to.be.an.instanceOf(DSLHandle);
+});
+
+Then('evaluating the variable {string} in the worker should give {int}', async function(name, value) {
+  const variable = await this.workerDSL.makeVariable(name);
+  expect(await this.workerDSL.evaluate(variable, this.workerEnvironment)).to.equal(value);
+});
+
+Then('evaluating the variable {string} in the worker should fail with the ClojureError {string} and the data {}', async function(name, message, dataJson) {
+  const variable = await this.workerDSL.makeVariable(name);
+  const error = await this.workerDSL.evaluate(variable, this.workerEnvironment).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(ClojureError);
+  expect({ message: error.message, data: error.details.data }).to.deep.equal({ message, data: JSON.parse(dataJson) });
+});
+
+Then('applying the variable {string} in the worker should fail with {string} {string}', async function(name, code, message) {
+  const application = await this.workerDSL.makeApplication(await this.workerDSL.makeVariable(name), []);
+  const error = await this.workerDSL.evaluate(application, this.workerEnvironment).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(DSLWorkerError);
+  expect({ code: error.details.code, message: error.message }).to.deep.equal({ code, message });
+});
+
+Then('the batch results should be {string}', function(results) {
+  expect(this.batchResults.join(', ')).to.equal(results);
+});
+
+Then(/^the worker should have sent (\d+) batch(?:es)? for (\d+) calls$/, function(batches, calls) {
+  const metrics = this.dslWorker.metrics();
+  expect({ batches: metrics.batches, calls: metrics.calls }).to.deep.equal({ batches: Number(batches), calls: Number(calls) });
+});
+
+Then('the worker should have answered {int} call(s) from its cache', function(hits) {
+  expect(this.dslWorker.metrics().cacheHits).to.equal(hits);
+});
+
+Then('it should fail with {string}', function(code) {
+  expect(this.workerError).to.be.an.instanceOf(DSLWorkerError);
+  expect(this.workerError.details.code).to.equal(code);
+});
+
+Then('the worker should not have timed out', function() {
+  expect(this.dslWorker.metrics()).to.include({ timeouts: 0, restarts: 0 });
+});
+
+Then('the worker should have restarted {int} time(s)', function(restarts) {
+  expect(this.dslWorker.metrics()).to.include({ restarts, timeouts: 1 });
+});
+
+Then('an evaluation doubling to depth {int} should give {int}', async function(depth, value) {
+  const environment = await this.workerDSL.setupLoanTopupEnvironment();
+  expect(await this.workerDSL.evaluate(await doublingExpression(this.workerDSL, depth), environment)).to.equal(value);
+});
+
+Then('the environment from before the restart should be rejected as {string}', async function(code) {
+  const variable = await this.workerDSL.makeVariable('add');
+  const error = await this.workerDSL.evaluate(variable, this.staleEnvironment).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(DSLWorkerError);
+  expect(error.details.code).to.equal(code);
+});
+
+Then('the worker latency of {string} should cover {int} calls', function(exportName, count) {
+  const latency = this.dslWorker.metrics().latency[exportName];
+  expect(latency.count).to.equal(count);
+  expect(latency.p50Ms).to.be.at.most(latency.p95Ms);
+  expect(latency.p95Ms).to.be.at.most(latency.maxMs);
+  expect(latency.meanMs).to.be.above(0);
+});
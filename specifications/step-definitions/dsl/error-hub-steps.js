@@ -0,0 +1,54 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { ErrorHubResolver, formatExplanation } = require('../../../core/lib/dsl/error-hub');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+// Parsed specifications, shared across scenarios
+const resolvers = {};
+
+Given('the error hub of {string}', function(specPath) {
+  if (!resolvers[specPath]) {
+    resolvers[specPath] = ErrorHubResolver.fromFile(path.join(DOMAINS_DIR, specPath));
+  }
+  this.errorHub = resolvers[specPath];
+});
+
+When('{string} fails in {string} with status {int} and code {string}', function(serviceOperation, journey, status, code) {
+  const [service, operation] = serviceOperation.split('.');
+  this.resolvedError = this.errorHub.resolve({ journey, service, operation, status, code: code || undefined });
+  this.attach(formatExplanation(this.resolvedError.explanation));
+});
+
+Then('the resolved error should be {string}', function(name) {
+  expect(this.resolvedError.error.name).to.equal(name);
+});
+
+Then(/^it should be handled by the (journey|platform)$/, function(owner) {
+  expect(this.resolvedError.handled).to.be.true;
+  expect(this.resolvedError.owner).to.equal(owner);
+});
+
+Then('it should be displayed with {string}', function(component) {
+  expect(this.resolvedError.display.component).to.equal(component);
+});
+
+Then('the explanation should name the errorMapping, ownership and handler rules', function() {
+  const steps = this.resolvedError.explanation.map(entry => entry.step);
+  expect(steps).to.deep.equal(['errorMapping', 'ownership', 'handler']);
+  this.resolvedError.explanation.forEach(entry => expect(entry.location).to.include.keys('line', 'column'));
+});
+
+Then('the display property {string} should be {string}', function(property, value) {
+  expect(this.resolvedError.display.properties[property]).to.equal(value);
+});
+
+Then('the recovery plan should be:', function(json) {
+  expect(this.resolvedError.recovery).to.deep.equal(JSON.parse(json));
+});
+
+Then('the error should not be handled', function() {
+  expect(this.resolvedError.handled).to.be.false;
+  expect(this.resolvedError.display).to.be.null;
+});
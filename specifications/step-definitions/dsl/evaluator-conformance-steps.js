@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Given, When, Then, AfterAll } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { ClojureDSLBridge, ClojureBridgeError } = require('../../support/bridges/clojure-dsl-bridge');
+const { cases, runCase } = require('../../support/conformance/dsl-cases');
+
+// Loaded DSL per backend, so each backend is only loaded once per run
+const loadedBackends = {};
+
+/**
+ * Load the DSL through the bridge for a backend
+ * @param {string} backend - Backend name
+ * @returns {Promise<Object>} `{dsl}` or `{unavailable}` with the reason the backend cannot load
+ */
+function loadBackend(backend) {
+  if (!loadedBackends[backend]) {
+    loadedBackends[backend] = new ClojureDSLBridge({ backend }).loadDSL().then(
+      dsl => ({ dsl }),
+      error => {
+        if (!(error instanceof ClojureBridgeError)) throw error;
+        return { unavailable: error.message };
+      }
+    );
+  }
+  return loadedBackends[backend];
+}
+
+AfterAll(async function() {
+  const loaded = await Promise.all(Object.values(loadedBackends));
+  await Promise.all(loaded.filter(backend => backend.dsl).map(backend => backend.dsl.close()));
+});
+
+Given('a DSL module whose build is:', function(source) {
+  this.dslModulePath = fs.mkdtempSync(path.join(os.tmpdir(), 'finapp-dsl-'));
+  fs.mkdirSync(path.join(this.dslModulePath, 'target/js'), { recursive: true });
+  fs.writeFileSync(path.join(this.dslModulePath, 'target/js/main.js'), `${source}\n`);
+});
+
+Given('the DSL conformance case {string}', function(caseName) {
+  this.conformanceCase = caseName;
+});
+
+When('I evaluate it with the {string} backend', async function(backend) {
+  const loaded = await loadBackend(backend);
+  expect(loaded.unavailable, `the ${backend} backend must be available`).to.be.undefined;
+
+  this.conformanceResult = await runCase(this.conformanceCase, loaded.dsl);
+});
+
+// Errors the DSL raises are ex-info in Clojure, so a ClojureError with its ex-data on every backend
+Then(/^the result should be the error "(.*)" with the data (.+)$/, function(message, dataJson) {
+  expect(this.conformanceResult).to.deep.equal({ error: message, errorName: 'ClojureError', errorData: JSON.parse(dataJson) });
+});
+
+Then(/^the result should be (?!the error )(.+)$/, function(expectedJson) {
+  expect(this.conformanceResult).to.deep.equal({ value: JSON.parse(expectedJson) });
+});
+
+Then('the {string} backend should produce the same result', async function(backend) {
+  const loaded = await loadBackend(backend);
+  if (loaded.unavailable) {
+    // Without a compiled artifact there is nothing to compare against
+    this.attach(`Skipped: ${loaded.unavailable}`);
+    return 'skipped';
+  }
+
+  expect(await runCase(this.conformanceCase, loaded.dsl)).to.deep.equal(this.conformanceResult);
+});
+
+Then('the error of the DSL conformance case {string} on the {string} backend should come from its {string} export', async function(caseName, backend, exportName) {
+  const loaded = await loadBackend(backend);
+  const error = await cases[caseName](loaded.dsl).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(Error)
+    .with.property('details').that.deep.includes({ backend, exportName });
+});
+
+Then('loading the DSL from {string} on the {string} backend should fail with {string}', async function(modulePath, backend, message) {
+  const error = await new ClojureDSLBridge({ backend }).loadDSL(modulePath).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(ClojureBridgeError);
+  expect(error.message).to.include(message);
+});
+
+Then('loading that DSL module on the {string} backend should fail with {string}', async function(backend, message) {
+  const error = await new ClojureDSLBridge({ backend }).loadDSL(this.dslModulePath).then(() => null, failure => failure);
+  expect(error).to.be.an.instanceOf(ClojureBridgeError);
+  expect(error.message).to.equal(message);
+});
@@ -0,0 +1,54 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parse } = require('../../../code-generation/parsers/finapp-parser');
+const { buildModel } = require('../../../code-generation/parsers/finapp-model');
+const { readExamples } = require('../../../code-generation/parsers/gherkin-examples');
+const {
+  checkExamples, checkMappingFile, formatConsistencyDiagnostic
+} = require('../../../code-generation/parsers/examples-consistency');
+
+const FEATURES_DIR = path.join(__dirname, '../../features/domains');
+
+Given('the specification {string}:', function(name, source) {
+  this.consistencySpec = buildModel(parse(source, { filename: name }));
+});
+
+Given('the Examples mapping:', function(json) {
+  this.examplesMapping = JSON.parse(json);
+});
+
+Given('the feature {string}:', function(name, source) {
+  this.examplesTables = readExamples(source, name);
+});
+
+When('I check the Examples mapping {string}', function(name) {
+  this.consistency = checkMappingFile(path.join(FEATURES_DIR, name));
+});
+
+When('I check the Examples against the specification', function() {
+  this.consistency = checkExamples(this.examplesTables, this.consistencySpec, this.examplesMapping);
+});
+
+Then('there should be no consistency diagnostics', function() {
+  expect(this.consistency.diagnostics.map(formatConsistencyDiagnostic)).to.deep.equal([]);
+});
+
+Then('{int} values should have been checked', function(count) {
+  expect(this.consistency.checked).to.equal(count);
+});
+
+Then('the consistency diagnostics should be:', function(table) {
+  const actual = this.consistency.diagnostics.map(diagnostic => ({
+    line: String(diagnostic.line),
+    column: String(diagnostic.column),
+    code: diagnostic.code,
+    'spec line': diagnostic.spec ? String(diagnostic.spec.line) : '',
+    'spec column': diagnostic.spec ? String(diagnostic.spec.column) : ''
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the first consistency diagnostic should read:', function(text) {
+  expect(formatConsistencyDiagnostic(this.consistency.diagnostics[0])).to.equal(text);
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parse } = require('../../../code-generation/parsers/finapp-parser');
+const { buildModel, loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { readExamples } = require('../../../code-generation/parsers/gherkin-examples');
+const { loadPhrasebook, errorPaths, generateFeatures } = require('../../../code-generation/transformers/feature-scenarios');
+
+const FEATURES_DIR = path.join(__dirname, '../../features/domains');
+
+/**
+ * A generated file by name
+ */
+function generatedFile(world, name) {
+  const file = world.generated.files.find(candidate => candidate.name === name);
+  expect(file, name).to.exist;
+  return file;
+}
+
+/**
+ * Warnings without the phrasebook prefix
+ */
+function warningTexts(world) {
+  return world.generated.warnings.map(warning => warning.replace(/^[^:]+: /, ''));
+}
+
+Given('the journey specification:', function(source) {
+  this.journeySpec = buildModel(parse(source, { filename: 'journey.finapp' }));
+});
+
+Given('the phrasebook:', function(json) {
+  this.phrasebook = { spec: 'journey.finapp', output: '.', file: 'phrasebook.json', ...JSON.parse(json) };
+});
+
+When('I generate the features of {string}', function(name) {
+  this.phrasebook = loadPhrasebook(path.join(FEATURES_DIR, name));
+  this.generated = generateFeatures(loadSpec(this.phrasebook.spec), this.phrasebook);
+});
+
+When('I generate the features', function() {
+  this.generated = generateFeatures(this.journeySpec, this.phrasebook);
+});
+
+When('I try to generate the features', function() {
+  try {
+    this.generated = generateFeatures(this.journeySpec, this.phrasebook);
+  } catch (error) {
+    this.generationError = error;
+  }
+});
+
+Then('there should be no generation warnings', function() {
+  expect(this.generated.warnings).to.deep.equal([]);
+});
+
+Then('the generation warnings should be:', function(table) {
+  expect(warningTexts(this)).to.deep.equal(table.hashes().map(row => row.warning.trim()));
+});
+
+Then('the generated files should match the checked-in files', function() {
+  for (const { name, source } of this.generated.files) {
+    expect(source, name).to.equal(fs.readFileSync(path.join(this.phrasebook.output, name), 'utf8'));
+  }
+});
+
+Then('{string} should have {int} outlines with the Examples rows:', function(name, count, table) {
+  const tables = readExamples(generatedFile(this, name).source, name);
+  expect(tables).to.have.length(count);
+  const expected = table.raw();
+  for (const examples of tables) {
+    // Compare the columns the outline uses
+    const rows = [examples.header, ...examples.rows.map(row => row.cells)].map(cells => cells.map(cell => cell.value));
+    const columns = expected[0].filter(column => rows[0].includes(column));
+    const project = (row, header) => columns.map(column => row[header.indexOf(column)]);
+    expect(rows.map(row => project(row, rows[0])), examples.scenario)
+      .to.deep.equal(expected.map(row => project(row, expected[0])));
+  }
+});
+
+Then('the error paths should be:', function(table) {
+  const actual = errorPaths(loadSpec(this.phrasebook.spec), this.phrasebook.journey)
+    .map(({ operation, status, code, error, owner, component }) => ({
+      operation, status: String(status), code, error, owner, component
+    }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('{string} should have {int} scenarios', function(name, count) {
+  expect(generatedFile(this, name).source.match(/^ {2}Scenario:/gm)).to.have.length(count);
+});
+
+Then('generation should fail with {string}', function(message) {
+  expect(this.generationError, 'expected generation to fail').to.exist;
+  expect(this.generationError.message).to.include(message);
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parse, parseFile, getValue, toPlain } = require('../../../code-generation/parsers/finapp-parser');
+const {
+  loadMappings, transformFigma, mergeFigma, renderScreen
+} = require('../../../code-generation/transformers/figma-mobile-dsl');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+const MAPPINGS_PATH = path.join(__dirname, '../../dsl/finapp/design-system/figma-components.json');
+
+/**
+ * The declaration of the screen the scenario generated or merged
+ */
+function generatedScreen(world) {
+  const name = world.figmaResult.screens[0].name;
+  const source = world.figmaResult.source || renderScreen(world.figmaResult.screens[0]);
+  return parse(source, { filename: 'generated.mobileapp' }).body
+    .find(node => node.type === 'ScreenDeclaration' && node.name === name);
+}
+
+/**
+ * `component.property` for each binding still needed
+ */
+function bindingsNeeded(world) {
+  return world.figmaResult.diagnostics
+    .filter(diagnostic => diagnostic.code === 'binding-needed')
+    .map(diagnostic => /^'([^']+)' needs a binding for '([^']+)'/.exec(diagnostic.message).slice(1).join('.'));
+}
+
+Given('the Figma component mappings with the theme of {string}', function(specPath) {
+  const app = parseFile(path.join(DOMAINS_DIR, specPath)).body.find(node => node.type === 'AppDeclaration');
+  this.figmaOptions = { mappings: loadMappings(MAPPINGS_PATH), theme: getValue(app, 'theme') };
+});
+
+Given('the Mobile DSL source:', function(source) {
+  this.mobileSource = `${source}\n`;
+});
+
+When('I transform the Figma export {string}', function(exportPath) {
+  const exportJson = JSON.parse(fs.readFileSync(path.join(DOMAINS_DIR, exportPath), 'utf8'));
+  this.figmaResult = transformFigma(exportJson, { ...this.figmaOptions, file: exportPath });
+});
+
+When('I merge the Figma export {string} into it', function(exportPath) {
+  const exportJson = JSON.parse(fs.readFileSync(path.join(DOMAINS_DIR, exportPath), 'utf8'));
+  this.figmaResult = mergeFigma(this.mobileSource, exportJson, {
+    ...this.figmaOptions,
+    file: exportPath,
+    filename: 'screens.mobileapp'
+  });
+});
+
+Then('the generated screens should be {string}', function(names) {
+  expect(this.figmaResult.screens.map(screen => screen.name).join(', ')).to.equal(names);
+});
+
+Then('the generated screen should parse with the title {string}', function(title) {
+  expect(getValue(generatedScreen(this), 'title')).to.equal(title);
+});
+
+Then('the generated layout value {string} should be {string}', function(valuePath, expected) {
+  const value = valuePath
+    .split(/\.|\[(\d+)\]/)
+    .filter(Boolean)
+    .reduce((current, segment) => (current === undefined || current === null ? undefined : current[segment]),
+      getValue(generatedScreen(this), 'layout'));
+  expect(String(value), valuePath).to.equal(expected);
+});
+
+Then('the merged screen should keep {string}', function(key) {
+  const before = parse(this.mobileSource).body.find(node => node.type === 'ScreenDeclaration');
+  expect(getValue(generatedScreen(this), key)).to.deep.equal(getValue(before, key));
+});
+
+Then('the design diagnostics should be:', function(table) {
+  const actual = this.figmaResult.diagnostics
+    .filter(diagnostic => diagnostic.code !== 'binding-needed')
+    .map(({ severity, code, node }) => ({ severity, code, node }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the design diagnostics should include a warning {string} for {string}', function(code, node) {
+  expect(this.figmaResult.diagnostics.filter(diagnostic => diagnostic.severity === 'warning')
+    .map(diagnostic => `${diagnostic.code} ${diagnostic.node}`)).to.include(`${code} ${node}`);
+});
+
+Then('the bindings needed should be {string}', function(bindings) {
+  expect(bindingsNeeded(this).join(', ')).to.equal(bindings);
+});
+
+Then('the bindings needed should not include {string}', function(bindings) {
+  const needed = bindingsNeeded(this);
+  bindings.split(', ').forEach(binding => expect(needed).to.not.include(binding));
+});
+
+Then('the merged source should declare the screens {string}', function(names) {
+  const screens = parse(this.figmaResult.source).body.filter(node => node.type === 'ScreenDeclaration');
+  expect(screens.map(screen => screen.name).join(', ')).to.equal(names);
+});
@@ -0,0 +1,50 @@
+const path = require('path');
+const { When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parseFile, FinappSyntaxError } = require('../../../code-generation/parsers/finapp-parser');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+When('I parse {string}', function(name) {
+  const file = this.splitDirectory ? path.join(this.splitDirectory, name) : path.join(DOMAINS_DIR, name);
+  this.parsedProgram = null;
+  this.syntaxError = null;
+  try {
+    this.parsedProgram = parseFile(file);
+  } catch (error) {
+    if (!(error instanceof FinappSyntaxError)) throw error;
+    this.syntaxError = error;
+  }
+});
+
+Then('the parsed declarations should include {}', function(types) {
+  expect(this.syntaxError, this.syntaxError && this.syntaxError.message).to.equal(null);
+  expect(this.parsedProgram.body.map(node => node.type)).to.include.members(types.split(', '));
+});
+
+Then('every parsed declaration should have a source location', function() {
+  this.parsedProgram.body.forEach(node => {
+    expect(node.loc.start.line, node.type).to.be.a('number').that.is.above(0);
+    expect(node.loc.end.offset, node.type).to.be.above(node.loc.start.offset);
+  });
+});
+
+Then('the syntax error should be at line {int}, column {int}', function(line, column) {
+  expect(this.syntaxError, 'expected a syntax error').to.be.instanceOf(FinappSyntaxError);
+  expect({ line: this.syntaxError.line, column: this.syntaxError.column }).to.deep.equal({ line, column });
+  expect(this.syntaxError.message).to.match(new RegExp(`^\\S+:${line}:${column}: `));
+});
+
+Then('the syntax error should be at line {int}, column {int} on the token {string}', function(line, column, raw) {
+  expect(this.syntaxError, 'expected a syntax error').to.be.instanceOf(FinappSyntaxError);
+  expect({ line: this.syntaxError.line, column: this.syntaxError.column }).to.deep.equal({ line, column });
+  expect(this.syntaxError.token.raw).to.equal(raw);
+});
+
+Then('the syntax error should say {string}', function(reason) {
+  expect(this.syntaxError.reason).to.equal(reason);
+});
+
+Then('the syntax error excerpt should be:', function(excerpt) {
+  expect(this.syntaxError.message.split('\n').slice(1).join('\n')).to.equal(excerpt);
+});
@@ -0,0 +1,26 @@
+const path = require('path');
+const { When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parseFile } = require('../../../code-generation/parsers/finapp-parser');
+const { validate, summarize } = require('../../../code-generation/parsers/finapp-validator');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+When('I validate {string}', function(name) {
+  this.validationDiagnostics = validate(parseFile(path.join(this.splitDirectory, name)));
+});
+
+Then('validating {string} should report {int} errors', function(specPath, count) {
+  const errors = validate(parseFile(path.join(DOMAINS_DIR, specPath))).filter(diagnostic => diagnostic.severity === 'error');
+  expect(errors.map(error => `${error.line}: ${error.message}`)).to.have.length(count);
+});
+
+Then('the validation diagnostics should be:', function(table) {
+  const columns = table.raw()[0];
+  const actual = this.validationDiagnostics.map(diagnostic => Object.fromEntries(columns.map(column => [column, String(diagnostic[column])])));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the validation summary should be {int} errors, {int} warning(s) and {int} info', function(errors, warnings, infos) {
+  expect(summarize(this.validationDiagnostics)).to.deep.equal({ error: errors, warning: warnings, info: infos });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Given, When, Then, After } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { JourneyRuntime } = require('../../../core/lib/dsl/journey-runtime');
+const { MemoryJourneyStorage, FileJourneyStorage } = require('../../../core/lib/dsl/journey-storage');
+const { Clock } = require('../../../core/lib/common/clock');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+/**
+ * Create a journey runtime whose clock the steps control
+ */
+function createJourney(world, journeyName, specPath, storageType) {
+  let storage = new MemoryJourneyStorage();
+  if (storageType === 'file') {
+    world.journeyStorageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'finapp-journey-'));
+    storage = new FileJourneyStorage(world.journeyStorageDir);
+  }
+  world.journeyClock = Clock.fixed('2025-03-15T14:30:00Z');
+  world.journeyArgs = [path.join(DOMAINS_DIR, specPath), journeyName, {
+    storage,
+    id: 'CUST123456',
+    now: () => world.journeyClock.now(),
+    operations: {
+      createTopup: async journey => ({ status: 'CONFIRMED', amount: journey.data.selectedAmount })
+    }
+  }];
+  return JourneyRuntime.fromFile(...world.journeyArgs);
+}
+
+After(function() {
+  if (this.journeyStorageDir) {
+    fs.rmSync(this.journeyStorageDir, { recursive: true, force: true });
+  }
+});
+
+Given('the journey {string} of {string} with {word} storage', function(journeyName, specPath, storageType) {
+  this.journey = createJourney(this, journeyName, specPath, storageType);
+});
+
+When('the journey starts', function() {
+  this.journey.start();
+});
+
+Given('the journey is on {string}', function(screen) {
+  this.journey.start();
+  this.journey.current = screen;
+});
+
+Given('the journey {string} is {int}', function(key, value) {
+  this.journey.set(key, value);
+});
+
+When('I tap {string}', async function(label) {
+  await this.journey.trigger(label);
+});
+
+When('I tap {string} for loan {string}', async function(label, loanId) {
+  await this.journey.trigger(label, { item: { id: loanId } });
+});
+
+Then('the journey screen should be {string}', function(screen) {
+  expect(this.journey.current).to.equal(screen);
+});
+
+Then('the journey screen should be {string} with loanId {string}', function(screen, loanId) {
+  expect(this.journey.current).to.equal(screen);
+  expect(this.journey.params).to.deep.equal({ loanId });
+});
+
+Then('the journey history should be {string}', function(screens) {
+  expect(this.journey.history.map(entry => entry.screen).join(', ')).to.equal(screens);
+});
+
+Then('navigating the journey to {string} should be refused with {string}', function(screen, code) {
+  expect(() => this.journey.navigate(screen)).to.throw().with.nested.property('details.code', code);
+});
+
+Then('going back in the journey should be refused with {string}', function(code) {
+  expect(() => this.journey.navigateBack()).to.throw().with.nested.property('details.code', code);
+});
+
+When('the journey is saved at {string}', async function(time) {
+  this.journeyClock.set(time);
+  await this.journey.save();
+});
+
+Then('the saved journey should expire at {string}', async function(expiry) {
+  expect((await this.journey.stateExpiry()).toISOString()).to.equal(expiry);
+});
+
+When('{int} days have passed since the journey was saved', function(days) {
+  this.journeyClock.advance({ days });
+});
+
+Then('the journey should resume on {string} with selectedAmount {int}', async function(screen, amount) {
+  const resumed = JourneyRuntime.fromFile(...this.journeyArgs);
+  expect(await resumed.resume()).to.be.true;
+  expect(resumed.current).to.equal(screen);
+  expect(resumed.data.selectedAmount).to.equal(amount);
+});
+
+Then('the journey should not resume', async function() {
+  const resumed = JourneyRuntime.fromFile(...this.journeyArgs);
+  expect(await resumed.resume()).to.be.false;
+  expect(await resumed.savedState()).to.be.null;
+});
@@ -0,0 +1,110 @@
+const { Given, When, Then, BeforeAll, AfterAll } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { LoanCalculator, LoanMathError } = require('../../../core/lib/common/loan-math');
+const { ClojureDSLBridge } = require('../../support/bridges/clojure-dsl-bridge');
+
+// The reference evaluator, whose loan top-up environment registers the calculations
+let dsl;
+
+BeforeAll(async function() {
+  dsl = await new ClojureDSLBridge({ backend: 'js' }).loadDSL();
+});
+
+AfterAll(async function() {
+  await dsl.close();
+});
+
+/**
+ * A table cell as a number when it reads as one
+ */
+function cellValue(text) {
+  return text.trim() !== '' && !Number.isNaN(Number(text)) ? Number(text) : text;
+}
+
+Given('the standard currency rounding', function() {
+  this.loanMath = new LoanCalculator();
+});
+
+Given('the currency rounding:', function(dataTable) {
+  const rounding = {};
+  dataTable.hashes().forEach(row => {
+    rounding[row.currency] = { decimals: Number(row.decimals), mode: row.mode };
+  });
+  this.loanMath = new LoanCalculator({ rounding });
+});
+
+Then('the monthly payment on {float} {string} at {float}% over {int} months should be {float}', function(principal, currency, rate, months, payment) {
+  expect(this.loanMath.monthlyPayment(principal, rate, months, currency)).to.equal(payment);
+});
+
+Then('the monthly payment on {float} {string} at {float}% over {int} months should fail with {string}', function(principal, currency, rate, months, problem) {
+  expect(() => this.loanMath.monthlyPayment(principal, rate, months, currency))
+    .to.throw(LoanMathError).with.property('message').that.includes(problem);
+});
+
+When('the amortisation schedule of {float} {string} at {float}% over {int} months is calculated', function(principal, currency, rate, months) {
+  this.schedule = this.loanMath.schedule(principal, rate, months, currency);
+  this.scheduleCurrency = currency;
+});
+
+Then('the schedule should have {int} payments totalling {float}', function(count, total) {
+  expect(this.schedule).to.have.length(count);
+  expect(this.loanMath.round(this.schedule.reduce((sum, row) => sum + row.payment, 0), this.scheduleCurrency)).to.equal(total);
+});
+
+Then('payment {int} should be {float} of which {float} is interest, leaving {float}', function(period, payment, interest, balance) {
+  const row = this.schedule[period - 1];
+  expect({ payment: row.payment, interest: row.interest, balance: row.balance }).to.deep.equal({ payment, interest, balance });
+});
+
+Then('the blended rate of {float} at {float}% and {float} at {float}% should be {float}%', function(balance, rate, topup, topupRate, blended) {
+  expect(this.loanMath.blendedRate([{ balance, rate }, { balance: topup, rate: topupRate }])).to.equal(blended);
+});
+
+Given('the loan top-up DSL environment with:', async function(dataTable) {
+  this.repaymentBindings = {};
+  Object.entries(dataTable.hashes()[0]).forEach(([name, text]) => {
+    this.repaymentBindings[name] = cellValue(text);
+  });
+  let env = await dsl.setupLoanTopupEnvironment();
+  for (const [name, value] of Object.entries(this.repaymentBindings)) {
+    env = await dsl.defineVariable(await dsl.makeVariable(name), value, env);
+  }
+  this.repaymentEnvironment = env;
+});
+
+When('the repayment calculation is evaluated', async function() {
+  this.repayments = await dsl.evaluate(await dsl.buildRepaymentCalculation(this.repaymentEnvironment), this.repaymentEnvironment);
+});
+
+Then('the repayments should be:', function(dataTable) {
+  Object.entries(dataTable.hashes()[0]).forEach(([figure, text]) => {
+    expect(this.repayments[figure], figure).to.equal(cellValue(text));
+  });
+});
+
+Then('the repayments should match the loan calculator', function() {
+  const bindings = this.repaymentBindings;
+  expect(this.repayments).to.deep.equal(new LoanCalculator().topup({
+    currentBalance: bindings.currentBalance,
+    currentRate: bindings.currentRate,
+    amount: bindings.topupAmount,
+    topupRate: bindings.topupRate,
+    remainingTerm: bindings.remainingTerm,
+    currency: bindings.currency
+  }));
+});
+
+Then('the representative APR of {float} repaid by {int} monthly payments of {float} should be {float}%', function(advance, count, payment, apr) {
+  expect(this.loanMath.apr(advance, Array(count).fill(payment))).to.equal(apr);
+});
+
+Then('the representative APR of {float} repaid by {int} monthly payments of {float} should fail with {string}', function(advance, count, payment, problem) {
+  expect(() => this.loanMath.apr(advance, Array(count).fill(payment)))
+    .to.throw(LoanMathError).with.property('message').that.includes(problem);
+});
+
+Then('the currency rounding mode {string} should be rejected', function(mode) {
+  expect(() => new LoanCalculator({ rounding: { GBP: { decimals: 2, mode } } }))
+    .to.throw(LoanMathError).with.property('message').that.includes(`Unknown rounding mode '${mode}'`);
+});
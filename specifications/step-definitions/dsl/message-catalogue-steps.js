@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parse } = require('../../../code-generation/parsers/finapp-parser');
+const { buildModel, loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { extractMessages, renderCatalogue } = require('../../../code-generation/transformers/message-extraction');
+const { checkTranslations } = require('../../../code-generation/parsers/translation-report');
+const { MessageCatalogue, MessageFormatError, SOURCE_LOCALE } = require('../../../core/lib/common/i18n');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+Given('the messages:', function(table) {
+  const messages = {};
+  table.hashes().forEach(({ locale, key, message }) => {
+    messages[locale] = { ...messages[locale], [key]: message };
+  });
+  this.messageCatalogue = new MessageCatalogue(messages);
+});
+
+Then('{string} in {string} with count {int} should read {string}', function(key, locale, count, text) {
+  expect(this.messageCatalogue.format(key, locale, { count })).to.equal(text);
+});
+
+Then('{string} in {string} with the values {} should read {string}', function(key, locale, values, text) {
+  expect(this.messageCatalogue.format(key, locale, JSON.parse(values))).to.equal(text);
+});
+
+Then('the messages should be looked up as:', function(table) {
+  const actual = table.hashes().map(({ key, locale }) => ({
+    key,
+    locale,
+    from: this.messageCatalogue.lookup(key, locale).locale,
+    text: this.messageCatalogue.format(key, locale, { rate: 0.04 })
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('formatting {string} in {string} should fail with {string}', function(key, locale, code) {
+  const format = () => this.messageCatalogue.format(key, locale, { count: 1 });
+  expect(format).to.throw(MessageFormatError).with.nested.property('details.code', code);
+});
+
+Given('the message specification {string}:', function(name, source) {
+  this.extraction = extractMessages(buildModel(parse(source, { filename: name })));
+});
+
+Then('the extracted messages should be:', function(table) {
+  const actual = this.extraction.messages.map(entry => ({
+    key: entry.key,
+    message: entry.message,
+    lines: entry.sources.map(source => source.line).join(', ')
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the extraction warnings should be:', function(table) {
+  const actual = this.extraction.diagnostics.map(diagnostic => ({ line: String(diagnostic.line), code: diagnostic.code }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+When('I report the translations of {string}', function(name) {
+  this.translationReport = checkTranslations(loadSpec(path.join(this.splitDirectory, name)), { directory: this.splitDirectory });
+});
+
+Then('the translation diagnostics should be:', function(table) {
+  const actual = this.translationReport.diagnostics.map(diagnostic => ({
+    file: path.basename(diagnostic.file),
+    line: String(diagnostic.line),
+    severity: diagnostic.severity,
+    code: diagnostic.code
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the translation summary should be:', function(table) {
+  const actual = this.translationReport.regions.map(({ region, locale, total, translated }) => ({
+    region,
+    locale,
+    translated: `${translated}/${total}`
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the message catalogue of {string} should be up to date', function(specPath) {
+  const file = path.join(DOMAINS_DIR, specPath);
+  const catalogue = path.join(path.dirname(file), 'i18n', `${path.basename(file, '.finapp')}.${SOURCE_LOCALE}.json`);
+  const { messages } = extractMessages(loadSpec(file));
+  expect(fs.readFileSync(catalogue, 'utf8'), 'run npm run extract:messages').to.equal(renderCatalogue(messages));
+});
+
+Then('the translation report of {string} should have no diagnostics', function(specPath) {
+  this.translationReport = checkTranslations(loadSpec(path.join(DOMAINS_DIR, specPath)));
+  expect(this.translationReport.diagnostics).to.deep.equal([]);
+});
+
+Then('every locale of {string} should be fully translated', function(specPath) {
+  const { regions } = checkTranslations(loadSpec(path.join(DOMAINS_DIR, specPath)));
+  expect(regions).to.not.be.empty;
+  regions.forEach(({ region, locale, total, translated }) => {
+    expect(translated, `${region} ${locale}`).to.equal(total);
+  });
+});
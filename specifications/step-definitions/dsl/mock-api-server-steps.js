@@ -0,0 +1,77 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain } = require('../../../code-generation/parsers/finapp-parser');
+const { createMockServer } = require('../../../code-generation/adapters/mock-api-server');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+Given('the mock API of {string}', function(specPath) {
+  this.mockApi = createMockServer(loadSpec(path.join(DOMAINS_DIR, specPath)));
+});
+
+Given('the mock API fails {string} with {} {int} time(s)', function(endpoint, fault, times) {
+  const value = JSON.parse(fault);
+  this.mockApi.injectFault({ endpoint, times, ...(typeof value === 'number' ? { status: value } : { code: value }) });
+});
+
+When('I send {word} {string}', async function(method, requestPath) {
+  this.mockResponse = await this.mockApi.handle({ method, path: requestPath });
+});
+
+When('I send {word} {string} with:', async function(method, requestPath, json) {
+  this.mockResponse = await this.mockApi.handle({ method, path: requestPath, body: json });
+});
+
+When('I send {word} {string} with the header {string} set to {string}', async function(method, requestPath, header, value) {
+  this.mockResponse = await this.mockApi.handle({ method, path: requestPath, headers: { [header]: value } });
+});
+
+When('I send {word} {string} {int} times', async function(method, requestPath, count) {
+  this.mockResponses = [];
+  for (let i = 0; i < count; i++) {
+    this.mockResponses.push(await this.mockApi.handle({ method, path: requestPath }));
+  }
+});
+
+Then('the mock API should answer {int}', function(status) {
+  expect(this.mockResponse.status, JSON.stringify(this.mockResponse.body)).to.equal(status);
+});
+
+Then('the mock API should answer {string}', function(statuses) {
+  expect(this.mockResponses.map(response => response.status).join(', ')).to.equal(statuses);
+});
+
+Then('the mock API response should be {int} record(s)', function(count) {
+  expect(this.mockResponse.body).to.be.an('array').with.length(count);
+});
+
+Then('the mock API response should be the record with {word} {string}', function(field, value) {
+  expect(this.mockResponse.body).to.have.property(field, value);
+});
+
+Then('the mock API response should be the error {string}', function(code) {
+  expect(this.mockResponse.body.code).to.equal(code);
+});
+
+Then('the mock API response header {string} should be {string}', function(header, value) {
+  expect(this.mockResponse.headers[header]).to.equal(value);
+});
+
+Then('the mock API response errors should be:', function(table) {
+  expect(this.mockResponse.body.errors).to.deep.equal(table.hashes());
+});
+
+Then('the mock API response message should be the message of error {string}', function(name) {
+  const message = this.mockApi.spec.errors.get(name).properties.find(property => property.key === 'message');
+  expect(this.mockResponse.body.message).to.equal(toPlain(message.value));
+});
+
+Then('the {string} mock data should have the references {string}', function(key, references) {
+  expect(this.mockApi.data[key].map(record => record.reference).join(', ')).to.equal(references);
+});
+
+Then('the mock API should have {int} fault(s) left', function(count) {
+  expect(this.mockApi.faults).to.have.length(count);
+});
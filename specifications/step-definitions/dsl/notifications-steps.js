@@ -0,0 +1,105 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { parse } = require('../../../code-generation/parsers/finapp-parser');
+const { buildModel, loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { validate } = require('../../../code-generation/parsers/finapp-validator');
+const { Clock } = require('../../../core/lib/common/clock');
+const { RegionFormatter } = require('../../../core/lib/common/region-format');
+const {
+  NotificationCatalogue, NotificationScheduler, NotificationError
+} = require('../../../core/lib/dsl/notifications');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+/**
+ * The latest outbox entry of a type or on a channel for the scenario's customer
+ */
+function latestEntry(world, key) {
+  const entries = world.notificationScheduler.entries({ customerId: world.notificationRecipient.customerId })
+    .filter(entry => entry.type === key || entry.channel === key);
+  expect(entries, `no '${key}' notification in the outbox`).to.not.be.empty;
+  return entries[entries.length - 1];
+}
+
+Given('the notifications of {string} at {string}', function(specPath, instant) {
+  const spec = loadSpec(path.join(DOMAINS_DIR, specPath));
+  this.notificationClock = Clock.fixed(instant);
+  this.notificationFormats = RegionFormatter.fromSpec(spec);
+  this.notificationScheduler = new NotificationScheduler(NotificationCatalogue.fromSpec(spec), { clock: this.notificationClock });
+});
+
+Given('a {word} customer in {string} who reads {string}', function(segment, region, language) {
+  this.notificationRecipient = {
+    customerId: 'CUST123456',
+    region,
+    segment,
+    language,
+    locales: this.notificationFormats.region(region).locales,
+    addresses: { email: 'cust@example.com' }
+  };
+});
+
+When('the notification event {string} happens with:', function(event, table) {
+  this.notificationScheduler.emit(event, this.notificationRecipient, table.rowsHash());
+});
+
+When('{int} notification day(s) pass(es)', function(days) {
+  this.notificationClock.advance({ days });
+});
+
+When('the customer\'s offers are suppressed until {string}', function(instant) {
+  this.notificationScheduler.suppress(this.notificationRecipient.customerId, new Date(instant));
+});
+
+When('the customer opts out of marketing notifications', function() {
+  this.notificationScheduler.optOut(this.notificationRecipient.customerId);
+});
+
+When('the customer opts out of {string} notifications', function(type) {
+  this.notificationScheduler.optOut(this.notificationRecipient.customerId, { type });
+});
+
+When('the customer opts back in to {string} notifications', function(type) {
+  this.notificationScheduler.optIn(this.notificationRecipient.customerId, { type });
+});
+
+Then('the notification outbox should be:', function(table) {
+  const columns = table.raw()[0];
+  const actual = this.notificationScheduler.entries({ customerId: this.notificationRecipient.customerId }).map(entry => {
+    const row = { ...entry, due: entry.createdAt.toISOString().slice(0, 10) };
+    return Object.fromEntries(columns.map(column => [column, String(row[column])]));
+  });
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the {string} notification should be {string}', function(key, status) {
+  expect(latestEntry(this, key).status).to.equal(status);
+});
+
+Then('the {string} notification should read {string}', function(key, content) {
+  expect(latestEntry(this, key).content).to.equal(content);
+});
+
+Then('the {string} notification should be in {string}', function(key, language) {
+  expect(latestEntry(this, key).language).to.equal(language);
+});
+
+Then('rendering the {string} notification in {string} should fail with {string}', function(key, language, code) {
+  const render = () => this.notificationScheduler.catalogue.render(key, language, {});
+  expect(render).to.throw(NotificationError).with.nested.property('details.code', code);
+});
+
+Given('the notification specification {string}:', function(name, source) {
+  this.notificationDiagnostics = validate(parse(source, { filename: name }));
+});
+
+Then('the notification diagnostics should be:', function(table) {
+  const actual = this.notificationDiagnostics.map(diagnostic => ({
+    line: String(diagnostic.line),
+    column: String(diagnostic.column),
+    severity: diagnostic.severity,
+    code: diagnostic.code
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
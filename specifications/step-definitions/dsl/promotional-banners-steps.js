@@ -0,0 +1,45 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { BannerEngine, BannerCatalogueError } = require('../../../core/lib/dsl/banner-engine');
+const { BusinessCalendar } = require('../../../core/lib/common/business-calendar');
+const { parseInstant } = require('../../../core/lib/common/clock');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+// Region time zones come from the business calendars
+const calendars = BusinessCalendar.fromDirectory();
+
+Given('the banner catalogue {string} for {string}', function(cataloguePath, specPath) {
+  this.bannerSpec = loadSpec(path.join(DOMAINS_DIR, specPath));
+  this.bannerEngine = BannerEngine.fromFile(path.join(DOMAINS_DIR, cataloguePath), { spec: this.bannerSpec });
+});
+
+Given('the banner catalogue:', function(json) {
+  this.bannerEngine = new BannerEngine(JSON.parse(json), { spec: this.bannerSpec });
+});
+
+When('banners are selected for region {string} and segment {string} at {string}', function(region, segment, time) {
+  this.bannerSelection = this.bannerEngine.select({
+    region,
+    segment,
+    now: parseInstant(time),
+    timeZone: calendars.timeZone(region)
+  });
+});
+
+Then('the selected banners should be {string}', function(titles) {
+  expect(this.bannerSelection.banners.map(banner => banner.title).join(', ')).to.equal(titles);
+});
+
+Then('banner {string} should be excluded for {string}', function(id, codes) {
+  const entry = this.bannerSelection.excluded.find(candidate => candidate.banner.id === id);
+  expect(entry, id).to.not.be.undefined;
+  expect(entry.reasons.map(reason => reason.code).join(', ')).to.equal(codes);
+});
+
+Then('the banner catalogue should be rejected with {string} for the banner:', function(problem, json) {
+  const create = () => new BannerEngine({ banners: [JSON.parse(json)] }, { spec: this.bannerSpec });
+  expect(create).to.throw(BannerCatalogueError).with.property('message').that.includes(problem);
+});
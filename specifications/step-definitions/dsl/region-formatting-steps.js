@@ -0,0 +1,79 @@
+const path = require('path');
+const { Given, Then, After } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { RegionFormatter } = require('../../../core/lib/common/region-format');
+const { RegionPacks } = require('../../../core/lib/common/region-packs');
+const { zonedTime } = require('../../../core/lib/common/clock');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+const FORMATTERS = {
+  currency: (formats, value, region) => formats.formatCurrency(Number(value), region),
+  percent: (formats, value, region) => formats.formatPercent(Number(value), region),
+  apr: (formats, value, region) => formats.formatApr(Number(value), region),
+  number: (formats, value, region) => formats.formatNumber(Number(value), region),
+  date: (formats, value, region) => formats.formatDate(value, region)
+};
+
+const PARSERS = {
+  currency: (formats, text, region) => String(formats.parseCurrency(text, region)),
+  percent: (formats, text, region) => String(formats.parsePercent(text, region)),
+  number: (formats, text, region) => String(formats.parseNumber(text, region)),
+  date: (formats, text, region) => zonedTime(formats.parseDate(text, region), formats.region(region).timeZone || 'UTC').date
+};
+
+After(function() {
+  if (this.machineTimeZone === undefined) return;
+  if (this.machineTimeZone === null) {
+    delete process.env.TZ;
+  } else {
+    process.env.TZ = this.machineTimeZone;
+  }
+});
+
+Given('the machine\'s time zone is {string}', function(timeZone) {
+  if (this.machineTimeZone === undefined) this.machineTimeZone = process.env.TZ === undefined ? null : process.env.TZ;
+  process.env.TZ = timeZone;
+});
+
+Given('the region formats of {string}', function(specPath) {
+  this.regionFormats = RegionFormatter.fromSpec(loadSpec(path.join(DOMAINS_DIR, specPath)));
+});
+
+Given('the region formats of the bundled region packs', function() {
+  this.regionFormats = RegionPacks.fromDirectory().formatter();
+});
+
+Given('an additional region:', function(json) {
+  this.regionFormats = new RegionFormatter([...this.regionFormats.regions, JSON.parse(json)]);
+});
+
+Then('formatting the {word} {string} for region {string} should give {string}', function(kind, value, region, expected) {
+  expect(FORMATTERS[kind](this.regionFormats, value, region)).to.equal(expected);
+});
+
+Then('parsing the {word} {string} for region {string} should give {string}', function(kind, text, region, expected) {
+  expect(PARSERS[kind](this.regionFormats, text, region)).to.equal(expected);
+});
+
+Then('parsing the date {string} for region {string} and formatting it again should give {string}', function(text, region, expected) {
+  expect(this.regionFormats.formatDate(this.regionFormats.parseDate(text, region), region)).to.equal(expected);
+});
+
+Then('{string} should be a currency amount for region {string}', function(text, region) {
+  expect(this.regionFormats.isCurrency(text, region)).to.be.true;
+});
+
+Then('{string} should not be a currency amount for region {string}', function(text, region) {
+  expect(this.regionFormats.isCurrency(text, region)).to.be.false;
+});
+
+Then('{string} should not be a date for region {string}', function(text, region) {
+  expect(this.regionFormats.isDate(text, region)).to.be.false;
+});
+
+Then('the amounts for region {string} in {string} should be:', function(region, text, table) {
+  const amounts = this.regionFormats.findAmounts(text, region).map(amount => ({ text: amount.text, value: String(amount.value) }));
+  expect(amounts).to.deep.equal(table.hashes());
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Given, When, Then, After } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { checkSpecRegions, validateRegionPacks } = require('../../../code-generation/parsers/region-pack-validator');
+const { REGION_PACKS_DIR, RegionPacks, RegionPackError, readRegionPacks } = require('../../../core/lib/common/region-packs');
+const { ClojureDSLBridge } = require('../../support/bridges/clojure-dsl-bridge');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+After(function() {
+  if (this.regionPacksCopy) fs.rmSync(this.regionPacksCopy, { recursive: true, force: true });
+});
+
+/**
+ * Diagnostics as table rows, with file names relative to their pack or directory
+ * @private
+ */
+function errorRows(diagnostics) {
+  return diagnostics.map(diagnostic => ({
+    file: path.basename(diagnostic.file),
+    line: String(diagnostic.line),
+    code: diagnostic.code
+  }));
+}
+
+Given('the bundled region packs', function() {
+  this.regionPacks = RegionPacks.fromDirectory();
+});
+
+Then('the region packs should be:', function(table) {
+  const actual = this.regionPacks.ids.map(id => {
+    const pack = this.regionPacks.get(id);
+    const region = this.regionPacks.region(id);
+    return {
+      id,
+      regulator: region.regulatoryBody,
+      currency: region.currency,
+      locale: region.locales.join(', '),
+      cooling_off: `${region.coolingOffDays} ${pack.coolingOff.businessDays ? 'business days' : 'days'}`,
+      limits: `${region.minAmount} to ${region.maxAmount}`,
+      time_zone: region.timeZone
+    };
+  });
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the {string} disclosures of every region should be {}', function(screen, names) {
+  this.regionPacks.ids.forEach(id => {
+    const disclosures = this.regionPacks.disclosures(id, screen);
+    expect(Object.keys(disclosures), id).to.deep.equal(names.split(', '));
+    Object.values(disclosures).forEach(text => expect(text, id).to.be.a('string').that.is.not.empty);
+  });
+});
+
+Then('the {string} regulatory disclosure of {string} should mention {string}', function(screen, region, regulator) {
+  expect(this.regionPacks.region(region).regulatoryBody).to.equal(regulator);
+  expect(this.regionPacks.disclosures(region, screen).regulatoryDisclosure).to.include(regulator);
+});
+
+Then('the cooling-off period of an agreement made at {string} in {string} should end on {string}', function(value, region, ends) {
+  expect(this.regionPacks.coolingOffEnds(region, value)).to.equal(ends);
+});
+
+Then('looking up the region {string} should fail with {string}', function(region, code) {
+  expect(() => this.regionPacks.region(region)).to.throw(RegionPackError).with.nested.property('details.code', code);
+});
+
+Given('a copy of the bundled region packs without {string}', function(region) {
+  this.regionPacksCopy = fs.mkdtempSync(path.join(os.tmpdir(), 'finapp-regions-'));
+  readRegionPacks().filter(pack => pack.id !== region).forEach(pack => {
+    const directory = path.dirname(pack.files.region);
+    fs.cpSync(directory, path.join(this.regionPacksCopy, path.basename(directory)), { recursive: true });
+  });
+});
+
+When('I add the bundled {string} pack to the copy', function(region) {
+  const directory = path.dirname(readRegionPacks().find(pack => pack.id === region).files.region);
+  fs.cpSync(directory, path.join(this.regionPacksCopy, path.basename(directory)), { recursive: true });
+});
+
+Given('the copied region pack {string} has the {string}:', function(region, name, source) {
+  const directory = path.join(this.regionPacksCopy, region.toLowerCase());
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, name), `${source}\n`);
+});
+
+Then('the copied region packs should be {string}', function(ids) {
+  expect(RegionPacks.fromDirectory(this.regionPacksCopy).ids.join(', ')).to.equal(ids);
+});
+
+Then('the copied region packs should have no region pack errors', function() {
+  expect(validateRegionPacks(readRegionPacks(this.regionPacksCopy))).to.deep.equal([]);
+});
+
+Then('the copied region packs should have the region pack errors:', function(table) {
+  expect(errorRows(validateRegionPacks(readRegionPacks(this.regionPacksCopy)))).to.deep.equal(table.hashes());
+});
+
+Then('the DSL regions loaded from the copy should be:', async function(table) {
+  const dsl = await new ClojureDSLBridge({ backend: 'js' }).loadDSL(undefined, { regionPacks: this.regionPacksCopy });
+  const { regions } = dsl;
+  await dsl.close();
+  const actual = Object.values(regions).map(region => ({
+    code: region.code,
+    name: region.name,
+    regulatoryBody: region.regulatoryBody,
+    coolingOffPeriod: String(region.coolingOffPeriod),
+    language: region.language
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+When('I check the regions of {string} against the bundled region packs', function(name) {
+  this.regionPackErrors = checkSpecRegions(loadSpec(path.join(this.splitDirectory, name)), readRegionPacks(REGION_PACKS_DIR));
+});
+
+Then('the region pack errors should be:', function(table) {
+  expect(errorRows(this.regionPackErrors)).to.deep.equal(table.hashes());
+});
+
+Then('the bundled region packs should have no region pack errors against {string}', function(specPath) {
+  const packs = readRegionPacks(REGION_PACKS_DIR);
+  expect(validateRegionPacks(packs, { spec: loadSpec(path.join(DOMAINS_DIR, specPath)) })).to.deep.equal([]);
+});
@@ -0,0 +1,76 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { BindingRuntime, formatUnresolved } = require('../../../core/lib/dsl/bindings');
+const { BannerEngine } = require('../../../core/lib/dsl/banner-engine');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { parseInstant } = require('../../../core/lib/common/clock');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+/**
+ * Rebuild the runtime from the screen settings of the scenario
+ */
+function createRuntime(world) {
+  const { spec, now, timeZone, banners } = world.screenSettings;
+  world.bindingRuntime = BindingRuntime.fromSpec(spec, { now: () => now, timeZone, banners });
+}
+
+Given('the screens of {string} at {string} in {string}', function(specPath, time, timeZone) {
+  this.screenSettings = {
+    spec: loadSpec(path.join(DOMAINS_DIR, specPath)),
+    now: parseInstant(time, { timeZone }),
+    timeZone
+  };
+  createRuntime(this);
+});
+
+Given('the screens of the file {string}', function(name) {
+  this.screenSettings = { spec: loadSpec(path.join(this.splitDirectory, name)) };
+  createRuntime(this);
+});
+
+Given('the promotional banners of {string}', function(cataloguePath) {
+  const { spec } = this.screenSettings;
+  this.screenSettings.banners = BannerEngine.fromFile(path.join(DOMAINS_DIR, cataloguePath), { spec });
+  createRuntime(this);
+});
+
+Given('the screen data:', function(json) {
+  this.screenData = JSON.parse(json);
+});
+
+When('I render the screen {string}', function(screen) {
+  this.renderedScreen = this.bindingRuntime.resolveScreen(screen, this.screenData || {});
+});
+
+When('I call the screen function {string} of {string} with {}', function(name, screen, json) {
+  this.screenFunctionResult = this.bindingRuntime.callScreenFunction(screen, name, JSON.parse(json));
+});
+
+Then('the screen value {string} should be {string}', function(valuePath, expected) {
+  const value = valuePath
+    .split(/\.|\[(\d+)\]/)
+    .filter(Boolean)
+    .reduce((current, segment) => (current === undefined || current === null ? undefined : current[segment]), this.renderedScreen);
+  expect(String(value), valuePath).to.equal(expected);
+});
+
+Then('the screen should have no unresolved bindings', function() {
+  expect(this.renderedScreen.unresolved.map(formatUnresolved)).to.deep.equal([]);
+});
+
+Then('the unresolved bindings should be:', function(table) {
+  const actual = this.renderedScreen.unresolved.map(entry => ({
+    kind: entry.kind,
+    name: entry.name,
+    line: String(entry.location ? entry.location.line : '')
+  }));
+  expect(actual).to.deep.equal(table.hashes());
+});
+
+Then('the screen function should return {string}', function(expected) {
+  const { value, unresolved } = this.screenFunctionResult;
+  expect(unresolved.map(formatUnresolved)).to.deep.equal([]);
+  expect(String(value)).to.equal(expected);
+});
@@ -0,0 +1,39 @@
+const path = require('path');
+const { When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { generateJsonSchema, validateInstance } = require('../../../code-generation/transformers/json-schema');
+const { generateDeclarations } = require('../../../code-generation/transformers/typescript-declarations');
+
+When('I generate the JSON Schema of {string}', function(name) {
+  this.jsonSchema = generateJsonSchema(loadSpec(path.join(this.splitDirectory, name)));
+});
+
+When('I generate the TypeScript declarations of {string}', function(name) {
+  this.declarations = generateDeclarations(loadSpec(path.join(this.splitDirectory, name)));
+});
+
+Then('the JSON Schema definitions should be {string}', function(names) {
+  expect(Object.keys(this.jsonSchema.$defs).join(', ')).to.equal(names);
+});
+
+Then('the JSON Schema definition {string} should be described as {string}', function(name, description) {
+  expect(this.jsonSchema.$defs[name].description).to.equal(description);
+});
+
+Then('the JSON Schema properties should be:', function(table) {
+  table.hashes().forEach(({ definition, property, schema, required }) => {
+    const entry = this.jsonSchema.$defs[definition];
+    expect(entry.properties[property], `${definition}.${property}`).to.deep.equal(JSON.parse(schema));
+    expect(entry.required.includes(property), `${definition}.${property} required`).to.equal(required === 'yes');
+  });
+});
+
+Then('the {string} value {} should have the schema problems {string}', function(definition, json, paths) {
+  const problems = validateInstance(this.jsonSchema, definition, JSON.parse(json));
+  expect(problems.map(problem => problem.path).join(', ')).to.equal(paths);
+});
+
+Then('the TypeScript declarations should be:', function(expected) {
+  expect(this.declarations).to.equal(`${expected}\n`);
+});
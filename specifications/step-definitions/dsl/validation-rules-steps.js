@@ -0,0 +1,51 @@
+const path = require('path');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { expect } = require('chai');
+const { ValidationRules } = require('../../../core/lib/dsl/validation-rules');
+const { evaluate } = require('../../../core/lib/dsl/expression');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { createMockServer } = require('../../../code-generation/adapters/mock-api-server');
+
+const DOMAINS_DIR = path.join(__dirname, '../../dsl/finapp/domains');
+
+Given('the validation rules of {string}', function(specPath) {
+  this.validationRules = ValidationRules.fromFile(path.join(DOMAINS_DIR, specPath));
+});
+
+When('a Loan with isEligibleForTopup {word} and status {string} is validated', function(eligible, status) {
+  this.validationResult = this.validationRules.validate('Loan', { isEligibleForTopup: eligible === 'true', status });
+});
+
+When('a TopupAmount of {int} is validated against an offer from {int} to {int}', function(amount, min, max) {
+  this.validationResult = this.validationRules.validate('TopupAmount', { amount }, { minTopupAmount: min, maxTopupAmount: max });
+});
+
+Then('the validation should pass', function() {
+  expect(this.validationResult.failures).to.deep.equal([]);
+});
+
+Then('the validation should fail with {string} on clause {string}', function(message, clause) {
+  expect(this.validationResult.valid).to.be.false;
+  expect(this.validationResult.failures[0]).to.include({ message, clause });
+});
+
+Given('the mock API of {string} validating {string} with {string}', function(specPath, endpoint, validation) {
+  this.mockApi = createMockServer(loadSpec(path.join(DOMAINS_DIR, specPath)), { validations: { [endpoint]: [validation] } });
+});
+
+When('I POST to {string} with:', async function(requestPath, json) {
+  this.mockResponse = await this.mockApi.handle({ method: 'POST', path: requestPath, body: json });
+});
+
+Then('the mock API should answer {int} with code {string}', function(status, code) {
+  expect(this.mockResponse.status).to.equal(status);
+  expect(this.mockResponse.body.code).to.equal(code);
+});
+
+Then('the failed clause should be {string}', function(clause) {
+  expect(this.mockResponse.body.errors[0].clause).to.equal(clause);
+});
+
+Then('the rule expression {string} with {} should be {word}', function(expression, json, result) {
+  expect(evaluate(expression, JSON.parse(json))).to.equal(result === 'true');
+});
@@ -0,0 +1,35 @@
+/**
+ * Current App
+ *
+ * The simulated app of the running scenario. The World activates a fresh app
+ * for every scenario; page objects and services are created once per run
+ * and reach the app through currentApp().
+ */
+
+let active = null;
+
+/**
+ * Make an app the current one
+ * @param {Object} app - The SimulatedApp
+ * @returns {Object} The app
+ */
+function activate(app) {
+  active = app;
+  return app;
+}
+
+/**
+ * @returns {Object} The current SimulatedApp
+ * @throws {Error} When no scenario has activated an app
+ */
+function currentApp() {
+  if (!active) {
+    throw new Error('No simulated app is active; specifications/support/world.js must be loaded');
+  }
+  return active;
+}
+
+module.exports = {
+  activate,
+  currentApp
+};
@@ -0,0 +1,1008 @@
+/**
+ * Simulated App
+ *
+ * A headless stand-in for the mobile banking app that the loan top-up
+ * scenarios drive. Screens come from the `.finapp` specification: layouts
+ * are rendered by the binding runtime, navigation runs through the journey
+ * runtime and amount errors through the error hub. Around them the app keeps
+ * what a real back end would — the customer, loans and a ledger of
+ * accounts — and sends the specification's `notification` declarations
+ * through the notification scheduler. It adds the app-shell content the
+ * screens do not declare (offer card, service messages, regulatory panels),
+ * which is read from `app-content.json`. Text is translated through the
+ * specification's message catalogues in its `i18n` directory, with the
+ * app-shell messages of `app-content.json` on top.
+ *
+ * Time comes from the app clock, never the system clock, so scenarios can
+ * set the date and let days pass. Everything about a region — locale,
+ * currency and date formats, regulator, mandatory disclosures, cooling-off
+ * rule, holidays, cut-offs and working days — comes from its region pack, so
+ * any region with a pack can be selected.
+ */
+
+const path = require('path');
+const { loadSpec } = require('../../../code-generation/parsers/finapp-model');
+const { toPlain, getProperty } = require('../../../code-generation/parsers/finapp-parser');
+const { Clock, zonedTime } = require('../../../core/lib/common/clock');
+const { RegionPacks } = require('../../../core/lib/common/region-packs');
+const { BindingRuntime } = require('../../../core/lib/dsl/bindings');
+const { JourneyRuntime } = require('../../../core/lib/dsl/journey-runtime');
+const { MemoryJourneyStorage } = require('../../../core/lib/dsl/journey-storage');
+const { ErrorHubResolver } = require('../../../core/lib/dsl/error-hub');
+const { BannerEngine } = require('../../../core/lib/dsl/banner-engine');
+const { AmountOptionGenerator } = require('../../../core/lib/dsl/amount-options');
+const { NotificationCatalogue, NotificationScheduler } = require('../../../core/lib/dsl/notifications');
+const { LoanCalculator } = require('../../../core/lib/common/loan-math');
+const { MessageCatalogue, messageKey } = require('../../../core/lib/common/i18n');
+const defaultContent = require('./app-content.json');
+
+/**
+ * Specification the app renders by default
+ */
+const SPEC_FILE = path.join(__dirname, '../../dsl/finapp/domains/lending/loan-topup.finapp');
+
+/**
+ * Promotional banner catalogue shown on the loans overview
+ */
+const BANNERS_FILE = path.join(__dirname, '../../dsl/finapp/domains/lending/promotional-banners.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let defaultRegionPacks = null;
+
+/**
+ * Layout keys that hold presentation settings rather than visible text
+ */
+const NON_TEXT_KEYS = new Set([
+  'type', 'id', 'style', 'variant', 'alignment', 'color', 'name', 'size', 'direction',
+  'condition', 'data', 'disabled', 'documentUrl', 'action', 'actions', 'properties', 'visible'
+]);
+
+/**
+ * Error raised when the app is driven in a way the real app would not allow
+ */
+class SimulatedAppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.screen - Screen the app was on
+   * @param {string} details.control - Control involved, if any
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SimulatedAppError';
+    this.details = details;
+  }
+}
+
+/**
+ * In-memory app for one customer session
+ */
+class SimulatedApp {
+  /**
+   * @param {Object} spec - Specification model from buildModel()
+   * @param {Object} options - App options
+   * @param {Object} options.content - App-shell content; defaults to app-content.json
+   * @param {Clock} options.clock - App clock; defaults to one frozen at the system time
+   * @param {RegionPacks} options.regionPacks - Region packs; defaults to the bundled ones
+   * @param {BusinessCalendar} options.calendar - Region calendars; defaults to those of the region packs
+   * @param {BannerEngine} options.banners - Promotional banners; defaults to promotional-banners.json
+   * @param {LoanCalculator} options.loanMath - Repayment calculator; defaults to the standard currency rounding
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.content = options.content || defaultContent;
+    this.regionPacks = options.regionPacks || (defaultRegionPacks = defaultRegionPacks || RegionPacks.fromDirectory());
+    this.formats = this.regionPacks.formatter();
+    this.errorHub = new ErrorHubResolver(spec);
+    this.banners = options.banners || BannerEngine.fromFile(BANNERS_FILE, { spec });
+    this.segments = toPlain((getProperty(spec.app, 'customerSegments') || {}).value) || [];
+    this.loanMath = options.loanMath || new LoanCalculator();
+    this.amounts = AmountOptionGenerator.fromSpec(spec);
+
+    this.clock = options.clock || Clock.fixed(Date.now());
+    this.calendar = options.calendar || this.regionPacks.calendar();
+    this.regionId = defaultRegion(spec, this.regionPacks);
+    this.segmentId = this.segments.length ? this.segments[0].id : null;
+    this.notifications = new NotificationScheduler(NotificationCatalogue.fromSpec(spec), { clock: this.clock });
+    this.messages = (spec.filename
+      ? MessageCatalogue.fromDirectory(path.join(path.dirname(spec.filename), 'i18n'), path.basename(spec.filename, '.finapp'))
+      : new MessageCatalogue()).extend(this.content.copy);
+
+    this.customer = null;
+    this.loans = [];
+    this.preApproval = null;
+    this.accounts = new Map();
+    this.topups = [];
+    this.offerSuppressedUntil = null;
+    this.processing = null;
+    this.amountEntry = null;
+    this.sequence = 0;
+    this.storage = new MemoryJourneyStorage();
+    this.journey = null;
+  }
+
+  /**
+   * Create an app for a .finapp file
+   * @param {string} filePath - Path to the specification; defaults to loan-topup.finapp
+   * @param {Object} options - See constructor
+   * @returns {SimulatedApp} The app
+   */
+  static fromFile(filePath = SPEC_FILE, options = {}) {
+    return new SimulatedApp(loadSpec(filePath), options);
+  }
+
+  // Session
+
+  /**
+   * Sign the customer in and open their primary account
+   * @param {Object} customer - Overrides for the customer in app-content.json
+   * @returns {Object} The customer
+   */
+  authenticate(customer = {}) {
+    this.customer = { ...this.content.customer, ...customer };
+    this.customer.preferredLanguage = this.formats.region(this.regionId).locales[0];
+    this.accounts.set(this.customer.primaryAccountId, {
+      id: this.customer.primaryAccountId,
+      customerId: this.customer.id,
+      balance: 0,
+      transactions: [],
+      benefits: []
+    });
+    this.journey = new JourneyRuntime(this.spec, this.content.journey, {
+      id: this.customer.id,
+      storage: this.storage,
+      now: () => this.now(),
+      operations: { createTopup: journey => this._createTopup(journey) }
+    });
+    return this.customer;
+  }
+
+  /**
+   * @param {string} regionKey - Region id, currency label or locale
+   */
+  setRegion(regionKey) {
+    this.regionId = this.formats.region(regionKey).id;
+    if (this.customer) {
+      this.customer.preferredLanguage = this.formats.region(this.regionId).locales[0];
+    }
+  }
+
+  /**
+   * @param {string} segmentId - A customer segment of the app declaration
+   * @throws {SimulatedAppError} When the segment is not declared
+   */
+  setCustomerSegment(segmentId) {
+    if (!this.segments.some(segment => segment.id === segmentId)) {
+      throw new SimulatedAppError(`Unknown customer segment '${segmentId}'`, { segment: segmentId });
+    }
+    this.segmentId = segmentId;
+  }
+
+  /**
+   * Set the app clock. A date-time without an offset is read as wall-clock
+   * time in the current region.
+   * @param {Date|string} date - The new time, see parseInstant()
+   */
+  setDateTime(date) {
+    this.clock.set(date, { timeZone: this.region().timeZone });
+  }
+
+  /**
+   * Move the app clock forward
+   * @param {number|Object} duration - See Clock#advance()
+   */
+  advanceTime(duration) {
+    this.clock.advance(duration);
+  }
+
+  /**
+   * @returns {Date} The app clock time
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * @param {Object} loan - A Loan; region and currency follow the customer's region
+   */
+  addLoan(loan) {
+    this.loans.push({ isEligibleForTopup: true, status: 'active', ...loan });
+  }
+
+  /**
+   * @param {Object} preApproval - `{isPreApproved, maxAmount}`; `maxAmount` caps the segment maximum
+   */
+  setPreApproval(preApproval) {
+    this.preApproval = preApproval;
+  }
+
+  // Derived data
+
+  /**
+   * The current region: the app declaration merged with its app-shell
+   * content and the regulator and cooling-off period of its region pack
+   * @returns {Object} The region
+   */
+  region() {
+    const pack = this.regionPacks.region(this.regionId);
+    return {
+      ...this.formats.region(this.regionId),
+      ...this.content.regions[this.regionId],
+      regulator: pack.regulator,
+      coolingOffDays: pack.coolingOffDays,
+      timeZone: this.calendar.timeZone(this.regionId)
+    };
+  }
+
+  /**
+   * Terms of the current segment in the current region. A region the
+   * segment declares no terms for has no rate, and the amount limits of its pack.
+   * @returns {Object} `{id, interestRate, minTopupAmount, maxTopupAmount, benefit}`
+   */
+  segment() {
+    const segment = this.segments.find(candidate => candidate.id === this.segmentId);
+    const terms = field => (segment[field] || {})[this.regionId];
+    const pack = this.regionPacks.region(this.regionId);
+    const rate = terms('interestRates');
+    return {
+      id: segment.id,
+      interestRate: rate === undefined ? null : this.formats.parsePercent(rate, this.regionId),
+      minTopupAmount: terms('minTopupAmounts') === undefined ? pack.minAmount : terms('minTopupAmounts'),
+      maxTopupAmount: terms('maxTopupAmounts') === undefined ? pack.maxAmount : terms('maxTopupAmounts'),
+      benefit: terms('benefits')
+    };
+  }
+
+  /**
+   * The customer's loans as the back end returns them
+   * @returns {Array<Object>} Loans
+   */
+  customerLoans() {
+    const region = this.region();
+    const nextPaymentDate = addMonths(this._today(), 1);
+    return this.loans.map(loan => ({
+      region: region.id,
+      currency: region.currency,
+      nextPaymentDate,
+      ...loan
+    }));
+  }
+
+  /**
+   * The loan eligible for a top-up, if any
+   * @returns {Object|null} The loan
+   */
+  topupLoan() {
+    return this.customerLoans().find(loan => loan.isEligibleForTopup && loan.status === 'active') || null;
+  }
+
+  /**
+   * The top-up offer for the eligible loan, from the segment terms and pre-approval
+   * @returns {Object|null} A TopupOffer, or null without a pre-approved loan
+   */
+  offer() {
+    const loan = this.topupLoan();
+    if (!loan || !this.preApproval || !this.preApproval.isPreApproved) return null;
+    const segment = this.segment();
+    const cap = this.preApproval.maxAmount;
+    return {
+      loanId: loan.id,
+      minTopupAmount: segment.minTopupAmount,
+      maxTopupAmount: cap ? Math.min(cap, segment.maxTopupAmount) : segment.maxTopupAmount,
+      interestRate: segment.interestRate,
+      isPreApproved: true,
+      expiryDate: this.preApproval.expiryDate || addDays(this._today(), 30),
+      customerSegment: segment.id
+    };
+  }
+
+  /**
+   * Whether the customer declined the offer recently enough to hide it
+   * @returns {boolean} True while suppressed
+   */
+  isOfferSuppressed() {
+    return Boolean(this.offerSuppressedUntil && this.offerSuppressedUntil > this.now());
+  }
+
+  /**
+   * Loan figures after a top-up over the remaining term, at the blended
+   * rate of the existing balance and the segment's top-up rate
+   * @param {number} amount - Top-up amount
+   * @returns {Object} A TopupAmount plus the blended `interestRate`
+   */
+  quote(amount) {
+    const loan = this.topupLoan();
+    return {
+      ...this.loanMath.topup({
+        currentBalance: loan.currentBalance,
+        currentRate: loan.interestRate,
+        amount,
+        topupRate: this.segment().interestRate,
+        remainingTerm: loan.remainingTerm,
+        currency: loan.currency
+      }),
+      effectiveDate: this._today()
+    };
+  }
+
+  /**
+   * Pre-defined amounts for the segment and offer, from the amount option generator
+   * @returns {Array<number>} Amounts
+   */
+  amountOptions() {
+    return this._amountOptions().options;
+  }
+
+  /**
+   * The amount selected by default: the middle pre-defined option
+   * @returns {number} The amount
+   */
+  suggestedAmount() {
+    return this._amountOptions().suggestedAmount;
+  }
+
+  /**
+   * The customer's language, or the region's first locale before login
+   * @returns {string} Locale such as `zh-HK`
+   */
+  language() {
+    return this.customer ? this.customer.preferredLanguage : this.formats.region(this.regionId).locales[0];
+  }
+
+  /**
+   * Translate app text into the customer's language by its message key;
+   * text without a translation is shown as written, with `{name}`
+   * placeholders filled from values.
+   * @param {string} text - English text
+   * @param {Object} values - Placeholder values
+   * @returns {string} The localised text
+   */
+  localise(text, values = {}) {
+    const found = this.messages.lookup(messageKey(text), this.language());
+    if (found && found.locale !== this.messages.sourceLocale) {
+      return this.messages.format(messageKey(text), this.language(), values);
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+  }
+
+  /**
+   * Format a catalogue message in the customer's language
+   * @param {string} key - Message key, e.g. `months`
+   * @param {Object} values - Argument values
+   * @returns {string} The formatted text
+   * @throws {MessageFormatError} For an unknown key or a missing value
+   */
+  message(key, values = {}) {
+    return this.messages.format(key, this.language(), values);
+  }
+
+  // Navigation
+
+  /**
+   * Open an app section such as "My Loans", starting the journey there
+   * @param {string} section - Section name
+   * @returns {Promise<string>} The screen shown
+   * @throws {SimulatedAppError} For an unknown section
+   */
+  async navigateTo(section) {
+    const screen = this.content.sections[section];
+    if (!screen) {
+      throw new SimulatedAppError(`Unknown section '${section}'`, { section });
+    }
+    this._requireAuthenticated();
+    if (this.journey.current !== screen) {
+      this.journey.start();
+      this.amountEntry = null;
+      if (this.journey.current !== screen) {
+        throw new SimulatedAppError(`Section '${section}' does not start journey ${this.journey.name}`, { section, screen });
+      }
+    }
+    return screen;
+  }
+
+  /**
+   * The current screen
+   * @returns {string|null} Screen name
+   */
+  currentScreen() {
+    return this.journey ? this.journey.current : null;
+  }
+
+  /**
+   * Tap a control of the current screen by its name or localised text
+   * @param {string} text - Control name (`Accept`) or the text shown for it
+   * @returns {Promise<string>} The screen shown afterwards
+   * @throws {SimulatedAppError} When the screen has no such control or it is disabled
+   */
+  async tap(text) {
+    const screen = this.currentScreen();
+    const [name, control] = this._control(text);
+    if (control.check) {
+      this.journey.set(control.check, true);
+    }
+    if (control.label) {
+      const button = this.buttons().find(candidate => candidate.name === name);
+      if (!button.enabled) {
+        throw new SimulatedAppError(`'${text}' is disabled on ${screen}`, { screen, control: name });
+      }
+      const loan = this.topupLoan();
+      await this.journey.trigger(control.label, { item: loan });
+      this.amountEntry = null;
+    }
+    if (control.declinesOffer) {
+      this.offerSuppressedUntil = new Date(this.now().getTime() + this.region().offerSuppressionDays * DAY_MS);
+      this.notifications.suppress(this.customer.id, this.offerSuppressedUntil);
+    }
+    return this.currentScreen();
+  }
+
+  /**
+   * Leave the journey part-way ("Maybe Later" or navigating away): the
+   * progress is saved, a reminder and a follow-up are scheduled, and the
+   * app returns to the loans overview
+   * @returns {Promise<Object>} The saved journey record
+   */
+  async leaveJourney() {
+    this._requireAuthenticated();
+    const record = await this.journey.save();
+    const region = this.region();
+    this._notify('journeyAbandoned', {
+      expiry: this.formats.formatDate(zonedTime(record.expiresAt, region.timeZone).date, region.id)
+    });
+    this.journey.start();
+    this.amountEntry = null;
+    return record;
+  }
+
+  /**
+   * Choose a pre-defined amount on the amount selection screen
+   * @param {number} amount - The amount
+   * @throws {SimulatedAppError} Off the amount screen, or for an amount outside the offer
+   */
+  selectAmount(amount) {
+    this._requireScreen('AmountSelectionScreen');
+    const error = this._amountError(amount);
+    if (error) {
+      throw new SimulatedAppError(error, { screen: 'AmountSelectionScreen', amount });
+    }
+    this.journey.set('selectedAmount', amount);
+  }
+
+  /**
+   * Switch the amount screen to custom entry; nothing is selected until an amount is entered
+   */
+  selectCustomAmount() {
+    this._requireScreen('AmountSelectionScreen');
+    delete this.journey.data.selectedAmount;
+    this.amountEntry = { value: null, error: null };
+  }
+
+  /**
+   * Type a custom amount. Amounts outside the offer are adjusted to the
+   * nearest limit and the error hub's message for the limit is shown.
+   * @param {number} amount - The amount typed
+   * @returns {number} The amount selected
+   */
+  enterAmount(amount) {
+    if (!this.amountEntry) this.selectCustomAmount();
+    const offer = this.offer();
+    const step = this.amounts.step;
+    const value = Math.min(Math.max(Math.round(amount / step) * step, offer.minTopupAmount), offer.maxTopupAmount);
+    this.amountEntry = { value, error: this._amountError(amount) };
+    this.journey.set('selectedAmount', value);
+    return value;
+  }
+
+  /**
+   * Tick a checkbox of the current screen
+   * @param {string} id - Checkbox id, e.g. `agreementCheckbox`
+   */
+  check(id) {
+    this._requireAuthenticated();
+    this.journey.set(id, true);
+  }
+
+  /**
+   * Dismiss the processing indicator once the top-up has been processed
+   * @returns {Object|null} The processed top-up, if any
+   */
+  completeProcessing() {
+    const processed = this.processing;
+    this.processing = null;
+    return processed;
+  }
+
+  // Rendering
+
+  /**
+   * Render the current screen with its app-shell content
+   * @returns {Object} `{screen, title, layout, shell, unresolved}`
+   */
+  render() {
+    this._requireAuthenticated();
+    const rendered = this._bindings().resolveScreen(this.currentScreen(), this.bindingContext());
+    return { ...rendered, shell: this._shell(rendered.screen) };
+  }
+
+  /**
+   * All text the current screen shows, one entry per line
+   * @returns {string} The text
+   */
+  screenText() {
+    const { title, layout, shell } = this.render();
+    const lines = [];
+    collectText(title, lines);
+    collectText(layout, lines);
+    collectText(shell, lines);
+    this.buttons().forEach(button => lines.push(button.text));
+    return lines.join('\n');
+  }
+
+  /**
+   * The controls of the current screen
+   * @returns {Array<Object>} `{name, text, label, enabled}` where `text` is localised
+   */
+  buttons() {
+    const screen = this.currentScreen();
+    const controls = this.content.controls[screen] || {};
+    const context = this.bindingContext();
+    const bindings = this._bindings();
+    const declared = [];
+    collectComponents(bindings.resolveScreen(screen, context).layout, 'button', declared);
+    return Object.entries(controls).map(([name, control]) => {
+      const button = control.label ? declared.find(candidate => candidate.label === control.label) : null;
+      const disabled = button && typeof button.disabled === 'string'
+        ? bindings.evaluate(button.disabled, context).value
+        : false;
+      return { name, text: this.localise(name), label: control.label || null, enabled: !disabled };
+    });
+  }
+
+  /**
+   * Data the screen bindings resolve against
+   * @returns {Object} The context
+   */
+  bindingContext() {
+    const region = this.region();
+    const loan = this.topupLoan();
+    const offer = this.offer();
+    const data = this.journey ? this.journey.data : {};
+    const selectedAmount = data.selectedAmount === undefined ? null : data.selectedAmount;
+    const quote = loan && offer ? this.quote(selectedAmount || 0) : {};
+    return {
+      userProfile: { region: region.id, customerSegment: this.segmentId, preferredLanguage: this.customer && this.customer.preferredLanguage },
+      userRegion: region.id,
+      loans: this.customerLoans(),
+      offer,
+      suggestedAmount: offer ? this.suggestedAmount() : null,
+      selectedAmount,
+      currentLoanAmount: loan ? loan.currentBalance : null,
+      newTotalLoan: quote.newTotalLoan,
+      newMonthlyPayment: quote.newMonthlyPayment,
+      remainingTerm: quote.remainingTerm,
+      totalInterestPayable: quote.totalInterestPayable,
+      totalRepayable: quote.totalRepayable,
+      representativeAPR: quote.representativeAPR,
+      termsDocumentUrl: this.content.defaults.termsDocumentUrl,
+      termsCheckbox: Boolean(data.termsCheckbox),
+      agreementCheckbox: Boolean(data.agreementCheckbox),
+      confirmation: data.createTopup || null
+    };
+  }
+
+  // Back end
+
+  /**
+   * @param {string} accountId - Account id
+   * @returns {Object|null} The account with its ledger
+   */
+  account(accountId) {
+    return this.accounts.get(accountId) || null;
+  }
+
+  /**
+   * Notifications and communications delivered by now
+   * @param {string} customerId - Customer id
+   * @param {string} kind - `notification` or `communication`
+   * @returns {Array<Object>} Deliveries, newest first
+   */
+  delivered(customerId, kind) {
+    return this.notifications.delivered(customerId, kind);
+  }
+
+  /**
+   * Whether an instant falls on the first working day after today in a region
+   * @param {Date|number} timestamp - The instant
+   * @param {string} regionKey - Region id
+   * @returns {boolean} True on the next working day
+   */
+  isNextWorkingDay(timestamp, regionKey) {
+    const { id } = this.formats.region(regionKey);
+    return this.calendar.localDate(new Date(timestamp), id) === this.calendar.nextBusinessDay(this.now(), id);
+  }
+
+  /**
+   * The createTopup operation: credit the account, update the loan, notify
+   * the customer and schedule the segment follow-up
+   * @private
+   */
+  async _createTopup(journey) {
+    const amount = journey.data.selectedAmount;
+    const error = this._amountError(amount);
+    if (error) {
+      throw new SimulatedAppError(error, { screen: journey.current, amount });
+    }
+
+    const now = this.now();
+    const region = this.region();
+    const quote = this.quote(amount);
+    const loan = this.topupLoan();
+    const reward = (region.segments[this.segmentId] || {}).reward || null;
+    const disbursement = this._disbursement(now, region);
+    const reference = `TOP${String(++this.sequence).padStart(6, '0')}`;
+
+    const account = this.account(this.customer.primaryAccountId);
+    account.balance += amount;
+    account.transactions.unshift({
+      id: `TXN${String(this.sequence).padStart(6, '0')}`,
+      reference,
+      description: `Loan Top-up ${reference} (${region.id})`,
+      amount,
+      currency: region.currency,
+      bookedAt: now.toISOString(),
+      processedAt: disbursement.processedAt.toISOString(),
+      status: disbursement.instant ? 'completed' : 'scheduled'
+    });
+    if (reward) {
+      account.benefits.unshift({ description: reward, reference, grantedAt: now.toISOString() });
+    }
+
+    const stored = this.loans.find(candidate => candidate.id === loan.id);
+    stored.currentBalance = quote.newTotalLoan;
+    stored.monthlyPayment = quote.newMonthlyPayment;
+    stored.interestRate = quote.interestRate;
+
+    const confirmation = {
+      topupId: `TU${String(this.sequence).padStart(6, '0')}`,
+      amount,
+      reference,
+      status: disbursement.instant ? 'completed' : 'scheduled',
+      processingDate: this.calendar.processingDate(now, region.id),
+      disbursementDate: disbursement.date,
+      firstNewPaymentDate: loan.nextPaymentDate,
+      coolingOffEnds: this.regionPacks.coolingOffEnds(region.id, now),
+      benefitApplied: reward
+    };
+    this.topups.push({
+      ...confirmation,
+      newMonthlyPayment: quote.newMonthlyPayment,
+      disbursement: disbursement.message,
+      fundsAvailable: this.content.defaults.fundsAvailable,
+      notice: (matchRule(region.confirmationNotices, zonedTime(now, region.timeZone), disbursement.holiday) || {}).notice || null
+    });
+
+    this._notify('topupConfirmed', { amount: this.formats.formatCurrency(amount, region.id), reference });
+    await journey.discard();
+
+    this.processing = { reference, startedAt: now.toISOString() };
+    return confirmation;
+  }
+
+  /**
+   * When a top-up made now is settled: immediately over the instant payment
+   * rails, or at opening on the next business day when today is a bank
+   * holiday. The account is credited straight away in both cases, so the
+   * funds are always available immediately.
+   * @private
+   */
+  _disbursement(now, region) {
+    const today = this.calendar.localDate(now, region.id);
+    const holiday = this.calendar.holiday(today, region.id);
+    if (!holiday) {
+      return { instant: true, date: today, processedAt: now, holiday, message: this.content.defaults.disbursement };
+    }
+    const date = this.calendar.nextBusinessDay(today, region.id);
+    return {
+      instant: false,
+      date,
+      processedAt: this.calendar.openingTime(date, region.id),
+      holiday,
+      message: matchRule(region.holidayNotices, zonedTime(now, region.timeZone), holiday).notice
+    };
+  }
+
+  /**
+   * Tell the notification scheduler about a journey event for the customer
+   * @private
+   */
+  _notify(event, values) {
+    const region = this.region();
+    this.notifications.emit(event, {
+      customerId: this.customer.id,
+      region: region.id,
+      segment: this.segmentId,
+      language: this.customer.preferredLanguage,
+      locales: region.locales,
+      addresses: { email: this.customer.email }
+    }, values);
+  }
+
+  /**
+   * App-shell content of a screen
+   * @private
+   */
+  _shell(screen) {
+    const region = this.region();
+    const format = amount => this.formats.formatCurrency(amount, region.id);
+    const item = (label, value) => ({ label: this.localise(label), value });
+    const local = zonedTime(this.now(), region.timeZone);
+    const loan = this.topupLoan();
+    const offer = this.offer();
+    const months = count => this.message('months', { count });
+
+    if (screen === 'LoansOverview') {
+      const suppressed = this.isOfferSuppressed();
+      return {
+        offer: offer && !suppressed ? {
+          message: this.localise('You have been pre-approved for a loan top-up'),
+          loanSummary: [
+            item('Current balance remaining', format(loan.currentBalance)),
+            item('Remaining term', months(loan.remainingTerm)),
+            item('Current monthly payment', format(loan.monthlyPayment))
+          ]
+        } : null,
+        reconsider: offer && suppressed ? this.localise('Reconsider your top-up offer') : null,
+        termsAndConditions: this.regionPacks.disclosures(region.id, screen).termsAndConditions
+      };
+    }
+
+    if (screen === 'AmountSelectionScreen') {
+      const selected = this.journey.data.selectedAmount;
+      const impact = this.quote(selected || this.suggestedAmount());
+      return {
+        serviceMessage: matchRule(region.serviceMessages, local) || this.content.defaults.serviceMessage,
+        amountOptions: this.amountOptions().map(amount => {
+          const option = this.quote(amount);
+          return {
+            amount,
+            items: [
+              item('Top-up amount', format(amount)),
+              item('New total loan', format(option.newTotalLoan)),
+              item('New monthly payment', format(option.newMonthlyPayment))
+            ]
+          };
+        }),
+        customAmountOption: this.localise('Enter a custom amount'),
+        amountInput: this.amountEntry ? {
+          label: `${this.localise('Top-up amount')} (${region.currencySymbol})`,
+          value: this.amountEntry.value === null ? null : format(this.amountEntry.value),
+          error: this.amountEntry.error ? this.localise(this.amountEntry.error) : null
+        } : null,
+        impact: [
+          item('New total loan amount', format(impact.newTotalLoan)),
+          item('New monthly payment', format(impact.newMonthlyPayment)),
+          item('Remaining term', months(impact.remainingTerm))
+        ]
+      };
+    }
+
+    if (screen === 'TermsScreen') {
+      const quote = this.quote(this.journey.data.selectedAmount);
+      return {
+        breakdown: [
+          item('Original loan amount', format(loan.originalAmount)),
+          item('Current balance', format(loan.currentBalance)),
+          item('Top-up amount', format(quote.amount)),
+          item('New total balance', format(quote.newTotalLoan)),
+          item('Current monthly payment', format(loan.monthlyPayment)),
+          item('New monthly payment', format(quote.newMonthlyPayment)),
+          item('Remaining term', months(quote.remainingTerm)),
+          item('Interest rate', this.formats.formatApr(offer.interestRate, region.id)),
+          item('Total interest payable', format(quote.totalInterestPayable)),
+          item('Total repayable', format(quote.totalRepayable))
+        ],
+        regulatoryInfo: [
+          item('Representative APR', this.formats.formatApr(quote.representativeAPR, region.id)),
+          item(`${region.regulatoryBody} disclosures`, this.regionPacks.disclosures(region.id, screen).regulatoryDisclosure),
+          item('Cooling-off period', this.message('days', { count: region.coolingOffDays }))
+        ],
+        segmentBenefit: { text: this.segment().benefit, highlighted: true }
+      };
+    }
+
+    if (screen === 'ConfirmationScreen') {
+      const quote = this.quote(this.journey.data.selectedAmount);
+      const disclosures = this.regionPacks.disclosures(region.id, screen);
+      return {
+        summary: [
+          item('Top-up amount', format(quote.amount)),
+          item('New total loan', format(quote.newTotalLoan)),
+          item('New monthly payment', format(quote.newMonthlyPayment))
+        ],
+        agreementTerms: disclosures.agreementTerms,
+        disclosure: disclosures.disclosure
+      };
+    }
+
+    if (screen === 'SuccessScreen') {
+      const topup = this.topups[this.topups.length - 1];
+      return {
+        message: this.localise('Your loan top-up has been approved!'),
+        details: [
+          item('Top-up amount', format(topup.amount)),
+          item('Reference', topup.reference),
+          item('New monthly payment', format(topup.newMonthlyPayment)),
+          item('First new payment date', this.formats.formatDate(topup.firstNewPaymentDate, region.id))
+        ],
+        fundsAvailable: this.localise(topup.fundsAvailable),
+        disbursement: topup.disbursement,
+        notice: topup.notice
+      };
+    }
+
+    return {};
+  }
+
+  /**
+   * The error hub's message when an amount is outside the offer
+   * @private
+   */
+  _amountError(amount) {
+    const offer = this.offer();
+    const code = amount > offer.maxTopupAmount ? 'AMOUNT_TOO_HIGH' : (amount < offer.minTopupAmount ? 'AMOUNT_TOO_LOW' : null);
+    if (!code) return null;
+    const resolved = this.errorHub.resolve({
+      journey: this.content.journey,
+      service: 'LoanTopupService',
+      operation: 'createTopup',
+      status: 400,
+      code
+    });
+    return resolved.display ? resolved.display.properties.message : resolved.error.message;
+  }
+
+  /**
+   * @private
+   */
+  _control(text) {
+    const screen = this.currentScreen();
+    const controls = this.content.controls[screen] || {};
+    const found = Object.entries(controls).find(([name]) => name === text || this.localise(name) === text);
+    if (!found) {
+      throw new SimulatedAppError(`${screen} has no control '${text}'`, { screen, control: text });
+    }
+    return found;
+  }
+
+  /**
+   * @private
+   */
+  _amountOptions() {
+    return this.amounts.generate({ region: this.regionId, segment: this.segmentId, offer: this.offer() });
+  }
+
+  /**
+   * @private
+   */
+  _bindings() {
+    return BindingRuntime.fromSpec(this.spec, {
+      regions: this.formats.regions,
+      now: () => this.now(),
+      timeZone: this.region().timeZone,
+      banners: this.banners
+    });
+  }
+
+  /**
+   * @private
+   */
+  _today() {
+    return this.clock.today(this.region().timeZone);
+  }
+
+  /**
+   * @private
+   */
+  _requireAuthenticated() {
+    if (!this.customer) {
+      throw new SimulatedAppError('The customer is not signed in');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _requireScreen(screen) {
+    this._requireAuthenticated();
+    if (this.currentScreen() !== screen) {
+      throw new SimulatedAppError(`Expected ${screen} but the app is on ${this.currentScreen()}`, { screen: this.currentScreen() });
+    }
+  }
+}
+
+/**
+ * The region an app starts in: the first region of the specification that
+ * has a pack, or the first pack
+ * @private
+ */
+function defaultRegion(spec, regionPacks) {
+  const declared = toPlain((getProperty(spec.app, 'regions') || {}).value) || [];
+  const region = declared.find(candidate => regionPacks.has(candidate.id));
+  return region ? region.id : regionPacks.ids[0];
+}
+
+/**
+ * The first time-of-day or calendar rule that applies. Rules have `dates`
+ * (`MM-DD`), a `from`–`to` window (`HH:MM`) that may cross midnight and/or
+ * a `holiday` that the name of today's bank holiday must contain.
+ * @private
+ */
+function matchRule(rules = [], local, holiday = null) {
+  const monthDay = local.date.slice(5);
+  const minutes = local.hour * 60 + local.minute;
+  const toMinutes = text => Number(text.slice(0, 2)) * 60 + Number(text.slice(3, 5));
+  return rules.find(rule => {
+    if (rule.dates && !rule.dates.includes(monthDay)) return false;
+    if (rule.holiday && !(holiday && holiday.name.includes(rule.holiday))) return false;
+    if (!rule.from) return true;
+    const from = toMinutes(rule.from);
+    const to = toMinutes(rule.to);
+    return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  }) || null;
+}
+
+/**
+ * @private
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Same day of a later month, clamped to the month's length
+ * @private
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const length = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, length));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Visible text of a rendered value, depth first
+ * @private
+ */
+function collectText(value, lines, key = null) {
+  if (key && NON_TEXT_KEYS.has(key)) return;
+  if (typeof value === 'string') {
+    lines.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectText(item, lines));
+  } else if (value && typeof value === 'object') {
+    if (value.visible === false) return;
+    Object.entries(value).forEach(([childKey, child]) => collectText(child, lines, childKey));
+  }
+}
+
+/**
+ * Components of a type in a plain layout, skipping hidden conditionals
+ * @private
+ */
+function collectComponents(value, type, found) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectComponents(item, type, found));
+  } else if (value && typeof value === 'object') {
+    if (value.visible === false) return;
+    if (value.type === type) found.push(value);
+    Object.values(value).forEach(child => collectComponents(child, type, found));
+  }
+}
+
+module.exports = {
+  SPEC_FILE,
+  SimulatedApp,
+  SimulatedAppError
+};
@@ -1,137 +1,509 @@
 /**
  * Clojure DSL Bridge
- * 
+ *
  * This module provides an interface between JavaScript code and the Clojure
- * implementation of the Financial DSL. It uses the Lumo ClojureScript runtime
- * for Node.js to enable interop between the languages.
+ * implementation of the Financial DSL. Every DSL function is bound to one of
+ * three backends:
+ *
+ * - `clojure` (default): the ClojureScript build of `finapp-dsl.cljs-bridge`,
+ *   compiled to `target/js/main.js`
+ * - `js`: the pure-JavaScript reference evaluator in ./js-dsl, for machines
+ *   without `lein`
+ * - `mock`: placeholder values, only used when explicitly requested
+ *
+ * The backend is chosen through the `backend` option or the FINAPP_DSL_BACKEND
+ * environment variable (FINAPP_DSL_MOCK is still honoured for mock mode).
+ * Exports of the compiled DSL take and return wire values, which the
+ * proxies translate through ./marshal.
+ *
+ * loadDSL loads the backend once, in the persistent worker thread of
+ * ./dsl-worker, and returns asynchronous functions that call it there.
  */
 
 const path = require('path');
-const { execSync } = require('child_process');
 const fs = require('fs');
 const shelljs = require('shelljs');
+const { ClojureError, Keyword, keyword, fromWire } = require('./marshal');
+const { readRegionPacks } = require('../../../core/lib/common/region-packs');
+
+/**
+ * Relative location of the compiled ClojureScript bridge inside the DSL project
+ */
+const COMPILED_OUTPUT = 'target/js/main.js';
+
+/**
+ * DSL module loaded when no path is given, relative to the working directory
+ */
+const DEFAULT_MODULE_PATH = 'specifications/dsl/functional-clj/finapp-dsl';
+
+/**
+ * Logger used when none is given: loading runs in every worker thread start,
+ * so progress messages are opt-in
+ */
+const SILENT_LOGGER = { log() {} };
+
+/**
+ * Backends the bridge can bind its proxies to
+ */
+const BACKENDS = ['clojure', 'js', 'mock'];
+
+/**
+ * Exports of `finapp-dsl.cljs-bridge` that are DSL functions
+ */
+const FUNCTION_EXPORTS = [
+  'makeVariable',
+  'makeApplication',
+  'makeLambda',
+  'makeIf',
+  'makeAssignment',
+  'makeSequence',
+  'makeQuoted',
+  'extendEnvironment',
+  'lookupVariableValue',
+  'defineVariable',
+  'setVariableValue',
+  'evaluate',
+  'createGlobalEnvironment',
+  'regionFromPack',
+  'registerRegions',
+  'applyAmountRule',
+  'setupLoanTopupEnvironment',
+  'buildOfferCalculation',
+  'buildRepaymentCalculation'
+];
+
+/**
+ * Exports of `finapp-dsl.cljs-bridge` that hold data rather than functions
+ */
+const VALUE_EXPORTS = [
+  'basicSegment',
+  'wealthSegment',
+  'initialOfferScreen',
+  'amountSelectionScreen',
+  'termsReviewScreen',
+  'confirmationScreen',
+  'successScreen'
+];
+
+/**
+ * Error raised when the compiled DSL cannot be built, loaded or called
+ */
+class ClojureBridgeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ClojureBridgeError';
+    this.details = details;
+  }
+}
 
 /**
  * Bridge class to handle interop with Clojure DSL
  */
 class ClojureDSLBridge {
-  constructor() {
+  /**
+   * @param {Object} options - Bridge options
+   * @param {string} options.backend - One of 'clojure', 'js' or 'mock'
+   *   (defaults to the FINAPP_DSL_BACKEND environment variable, then 'clojure')
+   * @param {boolean} options.mock - Shorthand for `backend: 'mock'`
+   * @param {Object} options.logger - Receives progress messages through `log()`, e.g. `console`;
+   *   silent by default
+   */
+  constructor(options = {}) {
+    // Export surface of the active backend
     this.clojureBridge = null;
-    this.basePath = path.resolve(process.cwd(), 'specifications/dsl/functional-clj/finapp-dsl');
+    // Regions the mock backend answers for, by code
+    this.mockRegions = {};
+    this.logger = options.logger || SILENT_LOGGER;
+    this.backend = ClojureDSLBridge.resolveBackend(options);
   }
 
   /**
-   * Load a Clojure DSL module
-   * @param {string} relativePath - Path to the Clojure module (optional, defaults to our standard path)
-   * @returns {Object} JavaScript object with functions from the Clojure DSL
+   * Whether the bridge answers with mock values
+   * @returns {boolean} True in mock mode
    */
-  loadDSL(relativePath = 'specifications/dsl/functional-clj/finapp-dsl') {
-    const absolutePath = path.resolve(process.cwd(), relativePath);
-    console.log(`Loading Clojure DSL from: ${absolutePath}`);
-    
-    // Compile the ClojureScript to JavaScript if it hasn't been already
-    this._ensureCompiled();
-    
+  get mock() {
+    return this.backend === 'mock';
+  }
+
+  /**
+   * Work out which backend to use from options and the environment
+   * @param {Object} options - Options with optional backend and mock keys
+   * @returns {string} The backend name
+   * @throws {ClojureBridgeError} If the backend is unknown
+   */
+  static resolveBackend(options = {}) {
+    let backend = options.backend;
+    if (!backend && options.mock !== undefined) {
+      backend = options.mock ? 'mock' : 'clojure';
+    }
+    if (!backend && ClojureDSLBridge.isMockRequested()) {
+      backend = 'mock';
+    }
+    backend = backend || process.env.FINAPP_DSL_BACKEND || 'clojure';
+
+    if (!BACKENDS.includes(backend)) {
+      throw new ClojureBridgeError(`Unknown DSL backend '${backend}', expected one of ${BACKENDS.join(', ')}`, {
+        backend
+      });
+    }
+    return backend;
+  }
+
+  /**
+   * Check whether mock mode has been requested through the environment
+   * @returns {boolean} True if FINAPP_DSL_MOCK is set to a truthy value
+   */
+  static isMockRequested() {
+    const flag = process.env.FINAPP_DSL_MOCK;
+    return flag !== undefined && !['', '0', 'false', 'no'].includes(flag.toLowerCase());
+  }
+
+  /**
+   * Load a Clojure DSL module into a persistent worker thread. The functions
+   * of the result call the worker and return promises; calls made in the same
+   * tick travel in one batch, and the results of pure calls are cached.
+   * @param {string} relativePath - Path to the Clojure module, the Leiningen project that builds
+   *   `target/js/main.js` (optional, defaults to our standard path)
+   * @param {Object} options - Load options
+   * @param {string} options.backend - Override the bridge's backend for this load
+   * @param {boolean} options.mock - Shorthand for `backend: 'mock'`
+   * @param {string} options.regionPacks - Directory the region packs are discovered in;
+   *   defaults to the bundled `core/lib/common/regions`
+   * @param {number} options.timeout - Milliseconds a batch of calls may take, see ClojureDSLWorker
+   * @param {Array<string>} options.pure - Function exports whose results may be cached
+   * @param {number} options.cacheSize - Number of cached results kept
+   * @returns {Promise<Object>} An async function per DSL function export, the regions,
+   *   customer segments and journey screens, and `batch`, `release`, `metrics` and `close`
+   *   from the worker
+   * @throws {ClojureBridgeError} If the module path does not exist, or the compiled DSL is missing or lacks an export
+   */
+  async loadDSL(relativePath = DEFAULT_MODULE_PATH, options = {}) {
+    const modulePath = this._modulePath(relativePath);
+    if (options.backend !== undefined || options.mock !== undefined) {
+      this.backend = ClojureDSLBridge.resolveBackend(options);
+    }
+
+    const worker = this.createWorker({
+      dslPath: modulePath,
+      regionPacks: options.regionPacks,
+      timeout: options.timeout,
+      pure: options.pure,
+      cacheSize: options.cacheSize
+    });
+
+    let values;
     try {
-      // In production, we would use the compiled ClojureScript directly
-      // For now, we'll still return the adapter object that simulates the API
-      return {
-        // Core DSL components
-        makeVariable: this._createClojureProxy('makeVariable'),
-        makeApplication: this._createClojureProxy('makeApplication'),
-        makeLambda: this._createClojureProxy('makeLambda'),
-        makeIf: this._createClojureProxy('makeIf'),
-        makeAssignment: this._createClojureProxy('makeAssignment'),
-        makeSequence: this._createClojureProxy('makeSequence'),
-        makeQuoted: this._createClojureProxy('makeQuoted'),
-        
-        // Environment operations
-        extendEnvironment: this._createClojureProxy('extendEnvironment'),
-        lookupVariableValue: this._createClojureProxy('lookupVariableValue'),
-        defineVariable: this._createClojureProxy('defineVariable'),
-        setVariableValue: this._createClojureProxy('setVariableValue'),
-        
-        // Evaluation
-        evaluate: this._createClojureProxy('evaluate'),
-        createGlobalEnvironment: this._createClojureProxy('createGlobalEnvironment'),
-        
-        // Business domain
-        regions: {
-          UK: this._createClojureProxy('ukRegion'),
-          HK: this._createClojureProxy('hkRegion')
-        },
-        
-        customerSegments: {
-          Basic: this._createClojureProxy('basicSegment'),
-          Wealth: this._createClojureProxy('wealthSegment')
-        },
-        
-        // Domain specific functions
-        applyBusinessRule: (rule, environment) => {
-          return this._invokeLumo('applyAmountRule', ['UK', 'Basic', 1000]);
-        },
-        
-        // Loan topup journey
-        loanTopupJourney: {
-          initialOfferScreen: this._createClojureProxy('initialOfferScreen'),
-          amountSelectionScreen: this._createClojureProxy('amountSelectionScreen'),
-          termsReviewScreen: this._createClojureProxy('termsReviewScreen'),
-          confirmationScreen: this._createClojureProxy('confirmationScreen'),
-          successScreen: this._createClojureProxy('successScreen'),
-        }
-      };
+      values = await Promise.all([worker.regions(), ...VALUE_EXPORTS.map(name => worker.value(name))]);
     } catch (error) {
-      console.error('Error loading Clojure DSL module:', error);
+      await worker.close();
       throw error;
     }
+    const [regions, ...exported] = values;
+    const value = {};
+    VALUE_EXPORTS.forEach((name, index) => {
+      value[name] = exported[index];
+    });
+
+    const dsl = {};
+    FUNCTION_EXPORTS.forEach(name => {
+      dsl[name] = (...args) => worker.call(name, ...args);
+    });
+
+    return Object.assign(dsl, {
+      regions,
+      customerSegments: {
+        Basic: value.basicSegment,
+        Wealth: value.wealthSegment
+      },
+      loanTopupJourney: {
+        initialOfferScreen: value.initialOfferScreen,
+        amountSelectionScreen: value.amountSelectionScreen,
+        termsReviewScreen: value.termsReviewScreen,
+        confirmationScreen: value.confirmationScreen,
+        successScreen: value.successScreen
+      },
+
+      // The worker the calls go through
+      batch: (calls, batchOptions) => worker.batch(calls, batchOptions),
+      release: (...handles) => worker.release(...handles),
+      metrics: () => worker.metrics(),
+      close: () => worker.close()
+    });
+  }
+
+  /**
+   * Load a Clojure DSL module into this thread, as the worker thread does.
+   * Calls on the result are synchronous and block the caller.
+   * @param {string} relativePath - Path to the Clojure module, the Leiningen project that builds
+   *   `target/js/main.js` (optional, defaults to our standard path)
+   * @param {Object} options - Load options, as for loadDSL
+   * @returns {Object} JavaScript object with functions from the Clojure DSL
+   * @throws {ClojureBridgeError} If the module path does not exist, or the compiled DSL is missing or lacks an export
+   */
+  loadInProcess(relativePath = DEFAULT_MODULE_PATH, options = {}) {
+    const absolutePath = this._modulePath(relativePath);
+    this.logger.log(`Loading Clojure DSL from: ${absolutePath}`);
+
+    if (options.backend !== undefined || options.mock !== undefined) {
+      this.backend = ClojureDSLBridge.resolveBackend(options);
+    }
+
+    if (this.backend === 'mock') {
+      this.logger.log('Clojure DSL bridge running in mock mode.');
+      this.clojureBridge = null;
+    } else if (this.backend === 'js') {
+      this.logger.log('Clojure DSL bridge using the JavaScript reference evaluator.');
+      this.clojureBridge = require('./js-dsl');
+    } else {
+      // Compile the ClojureScript to JavaScript if it hasn't been already
+      this._ensureCompiled(absolutePath);
+      this.clojureBridge = this._requireCompiled(absolutePath);
+    }
+
+    const regions = this._discoverRegions(options.regionPacks);
+    const registerRegions = this._createClojureProxy('registerRegions');
+    registerRegions(Object.values(regions));
+
+    const dsl = {
+      // Core DSL components
+      makeVariable: this._createClojureProxy('makeVariable'),
+      makeApplication: this._createClojureProxy('makeApplication'),
+      makeLambda: this._createClojureProxy('makeLambda'),
+      makeIf: this._createClojureProxy('makeIf'),
+      makeAssignment: this._createClojureProxy('makeAssignment'),
+      makeSequence: this._createClojureProxy('makeSequence'),
+      makeQuoted: this._createClojureProxy('makeQuoted'),
+
+      // Environment operations
+      extendEnvironment: this._createClojureProxy('extendEnvironment'),
+      lookupVariableValue: this._createClojureProxy('lookupVariableValue'),
+      defineVariable: this._createClojureProxy('defineVariable'),
+      setVariableValue: this._createClojureProxy('setVariableValue'),
+
+      // Evaluation
+      evaluate: this._createClojureProxy('evaluate'),
+      createGlobalEnvironment: this._createClojureProxy('createGlobalEnvironment'),
+
+      // Business domain: one region per discovered region pack, registered
+      // with the backend's amount rules
+      regionFromPack: this._createClojureProxy('regionFromPack'),
+      registerRegions,
+      regions,
+
+      customerSegments: {
+        Basic: this._resolveValue('basicSegment'),
+        Wealth: this._resolveValue('wealthSegment')
+      },
+
+      // Domain specific functions
+      applyAmountRule: this._createClojureProxy('applyAmountRule'),
+      setupLoanTopupEnvironment: this._createClojureProxy('setupLoanTopupEnvironment'),
+      buildOfferCalculation: this._createClojureProxy('buildOfferCalculation'),
+      buildRepaymentCalculation: this._createClojureProxy('buildRepaymentCalculation'),
+
+      // Loan topup journey
+      loanTopupJourney: {
+        initialOfferScreen: this._resolveValue('initialOfferScreen'),
+        amountSelectionScreen: this._resolveValue('amountSelectionScreen'),
+        termsReviewScreen: this._resolveValue('termsReviewScreen'),
+        confirmationScreen: this._resolveValue('confirmationScreen'),
+        successScreen: this._resolveValue('successScreen'),
+      }
+    };
+
+    return dsl;
   }
-  
+
+  /**
+   * Resolve a DSL module path against the working directory
+   * @private
+   * @param {string} relativePath - Path to the Clojure module
+   * @returns {string} The absolute path
+   * @throws {ClojureBridgeError} If the path does not exist
+   */
+  _modulePath(relativePath) {
+    const absolutePath = path.resolve(process.cwd(), relativePath);
+    if (!fs.existsSync(absolutePath)) {
+      throw new ClojureBridgeError(`Clojure DSL module not found at ${absolutePath}`, { modulePath: absolutePath });
+    }
+    return absolutePath;
+  }
+
+  /**
+   * Build the DSL's region definitions from the region packs of a directory
+   * @private
+   * @param {string} directory - Directory of region packs; defaults to the bundled ones
+   * @returns {Object} Region definitions by region id
+   */
+  _discoverRegions(directory) {
+    const fromPack = this.mock
+      ? pack => this._generateMockValue('regionFromPack', [pack])
+      : this._createClojureProxy('regionFromPack');
+    const regions = {};
+    // The calendar and file names stay on this side of the bridge
+    readRegionPacks(directory).forEach(({ calendar, files, ...pack }) => {
+      regions[pack.id] = fromPack(pack);
+    });
+    return regions;
+  }
+
+  /**
+   * Look up one export of the loaded backend by its export name
+   * @param {string} exportName - A name from FUNCTION_EXPORTS or VALUE_EXPORTS
+   * @returns {any} The proxy function, or the value of a data export
+   * @throws {ClojureBridgeError} If the backend does not provide the export
+   */
+  resolveExport(exportName) {
+    return VALUE_EXPORTS.includes(exportName) ? this._resolveValue(exportName) : this._createClojureProxy(exportName);
+  }
+
+  /**
+   * Create a persistent worker thread that evaluates calls on this bridge's
+   * backend; loadDSL goes through one
+   * @param {Object} options - Worker options, see ClojureDSLWorker
+   * @returns {ClojureDSLWorker} The worker; started on its first call
+   */
+  createWorker(options = {}) {
+    const { ClojureDSLWorker } = require('./dsl-worker');
+    return new ClojureDSLWorker({ backend: this.backend, ...options });
+  }
+
   /**
    * Ensure the ClojureScript is compiled to JavaScript
    * @private
+   * @param {string} projectPath - The DSL module's Leiningen project directory
+   * @throws {ClojureBridgeError} If compilation fails or produces no output
+   */
+  _ensureCompiled(projectPath) {
+    const outputPath = path.join(projectPath, COMPILED_OUTPUT);
+
+    // Check if the compiled output exists
+    if (fs.existsSync(outputPath) && !process.env.FORCE_RECOMPILE) {
+      this.logger.log('Using existing compiled JavaScript.');
+      return;
+    }
+
+    if (!shelljs.which('lein')) {
+      throw new ClojureBridgeError(
+        `Cannot compile the Clojure DSL: 'lein' is not installed and ${outputPath} does not exist. ` +
+        'Build it with `lein cljsbuild once prod`, or set FINAPP_DSL_BACKEND=js to use the JavaScript reference evaluator.',
+        { outputPath }
+      );
+    }
+
+    this.logger.log('Compiling ClojureScript to JavaScript...');
+
+    // Compile in the project directory without changing the process's own,
+    // which worker threads are not allowed to do
+    const result = shelljs.exec('lein cljsbuild once prod', { cwd: projectPath, silent: true });
+
+    if (result.code !== 0 || !fs.existsSync(outputPath)) {
+      throw new ClojureBridgeError(
+        `ClojureScript compilation failed (exit code ${result.code}): ${result.stderr || result.stdout}`,
+        { outputPath, exitCode: result.code }
+      );
+    }
+
+    this.logger.log('Compilation complete.');
+  }
+
+  /**
+   * Require the compiled ClojureScript bridge
+   * @private
+   * @param {string} projectPath - The DSL module's Leiningen project directory
+   * @returns {Object} The exports of `finapp-dsl.cljs-bridge`
+   * @throws {ClojureBridgeError} If the artifact is missing or cannot be loaded
    */
-  _ensureCompiled() {
+  _requireCompiled(projectPath) {
+    const outputPath = path.join(projectPath, COMPILED_OUTPUT);
+
+    if (!fs.existsSync(outputPath)) {
+      throw new ClojureBridgeError(`Compiled Clojure DSL not found at ${outputPath}`, { outputPath });
+    }
+
     try {
-      const projectPath = this.basePath;
-      const outputPath = path.join(projectPath, 'target/js/main.js');
-      
-      // Check if the compiled output exists
-      if (!fs.existsSync(outputPath) || process.env.FORCE_RECOMPILE) {
-        console.log('Compiling ClojureScript to JavaScript...');
-        
-        // Make sure we're in the right directory
-        const currentDir = process.cwd();
-        process.chdir(projectPath);
-        
-        // Run the compilation command
-        shelljs.exec('lein cljsbuild once prod', {silent: true});
-        
-        // Return to original directory
-        process.chdir(currentDir);
-        
-        console.log('Compilation complete.');
-      } else {
-        console.log('Using existing compiled JavaScript.');
-      }
+      return require(outputPath);
     } catch (error) {
-      console.error('Error during compilation:', error);
-      throw error;
+      throw new ClojureBridgeError(`Failed to load compiled Clojure DSL from ${outputPath}: ${error.message}`, {
+        outputPath,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Look up an export of the active backend
+   * @private
+   * @param {string} exportName - Name of the export
+   * @returns {any} The exported value
+   * @throws {ClojureBridgeError} If the backend does not provide the export
+   */
+  _getExport(exportName) {
+    if (!this.clojureBridge || !(exportName in this.clojureBridge)) {
+      throw new ClojureBridgeError(`DSL backend '${this.backend}' does not export '${exportName}'`, {
+        backend: this.backend,
+        exportName
+      });
+    }
+    return this.clojureBridge[exportName];
+  }
+
+  /**
+   * Resolve a data export (regions, segments, screen definitions)
+   * @private
+   * @param {string} exportName - Name of the export
+   * @returns {any} The exported value, or its mock equivalent in mock mode
+   */
+  _resolveValue(exportName) {
+    if (this.mock) {
+      return this._generateMockValue(exportName, []);
     }
+    return this._fromBackend(this._getExport(exportName));
   }
-  
+
+  /**
+   * Translate an export of the active backend into JavaScript values. The
+   * compiled DSL speaks the wire format of ./marshal; the reference evaluator
+   * already speaks JavaScript.
+   * @private
+   * @param {any} value - The exported value or function
+   * @returns {any} The value, or a function taking and returning JavaScript values
+   */
+  _fromBackend(value) {
+    return this.backend === 'clojure' ? fromWire(value) : value;
+  }
+
   /**
    * Create a proxy function that will call a Clojure function
    * @param {string} functionName - Name of the Clojure function
    * @returns {Function} JavaScript function that proxies to Clojure
+   * @throws {ClojureBridgeError} If the backend does not export the function
    */
   _createClojureProxy(functionName) {
+    if (this.mock) {
+      return (...args) => this._invokeMock(functionName, args);
+    }
+
+    const fn = this._getExport(functionName);
+    if (typeof fn !== 'function' || VALUE_EXPORTS.includes(functionName)) {
+      throw new ClojureBridgeError(`DSL backend '${this.backend}' export '${functionName}' is not a function`, {
+        backend: this.backend,
+        exportName: functionName
+      });
+    }
+
+    const call = this._fromBackend(fn);
     return (...args) => {
-      return this._invokeLumo(functionName, args);
+      try {
+        return call(...args);
+      } catch (error) {
+        throw withCallContext(error, this.backend, functionName);
+      }
     };
   }
-  
+
   /**
-   * Create a placeholder object for UI screens (temporary implementation)
+   * Create a placeholder object for UI screens (mock mode only)
    * @param {string} screenName - Name of the screen
    * @returns {Object} Placeholder object
    */
@@ -142,53 +514,53 @@ class ClojureDSLBridge {
       toString: () => `[Clojure Screen: ${screenName}]`
     };
   }
-  
+
   /**
-   * Invoke a Clojure function via Lumo (ClojureScript for Node.js)
-   * @param {string} functionName - Name of the Clojure function to call
+   * Simulate a Clojure function call (mock mode only)
+   * @param {string} functionName - Name of the Clojure function to simulate
    * @param {Array} args - Arguments to pass to the function
-   * @returns {any} Result of the evaluation
+   * @returns {any} Mock result of the call
    */
-  _invokeLumo(functionName, args) {
-    try {
-      // In a production implementation, this would use Lumo to evaluate the function
-      // For now, since Lumo may not be installed, we'll return a mock that simulates the function call
-      
-      // This simulates what the real implementation would do
-      console.log(`Would invoke Clojure function: ${functionName} with args:`, args);
-      
-      // Special case for amount rule which we can simulate
-      if (functionName === 'applyAmountRule') {
-        const [region, segment, baseAmount] = args;
-        
-        // Simulate the rule logic
-        let multiplier = segment === 'Wealth' ? 1.5 : 1.0;
-        let maxAmount = region === 'UK' ? 25000 : (region === 'HK' ? 150000 : 10000);
-        let minAmount = region === 'UK' ? 1000 : (region === 'HK' ? 5000 : 500);
-        
-        let calculatedAmount = baseAmount * multiplier;
-        
-        if (calculatedAmount > maxAmount) return maxAmount;
-        if (calculatedAmount < minAmount) return minAmount;
-        return calculatedAmount;
+  _invokeMock(functionName, args) {
+    this.logger.log(`Mock invocation of Clojure function: ${functionName} with args:`, args);
+
+    if (functionName === 'registerRegions') {
+      this.mockRegions = {};
+    this.logger = options.logger || SILENT_LOGGER;
+      args[0].forEach(region => { this.mockRegions[region.code] = region; });
+      return Object.keys(this.mockRegions);
+    }
+
+    // Special case for amount rule which we can simulate
+    if (functionName === 'applyAmountRule') {
+      const [region, segment, baseAmount] = args;
+      if (!this.mockRegions[region]) {
+        throw new Error(`Unknown region: ${region}`);
       }
-      
-      // Return a mock object for most function calls
-      return { 
-        type: 'clojure-result', 
-        functionName,
-        args, 
-        mockValue: this._generateMockValue(functionName, args)
-      };
-    } catch (error) {
-      console.error(`Error invoking Clojure function: ${functionName}`, error);
-      throw error;
+
+      // Simulate the rule logic with the limits of the region's pack
+      let multiplier = segment === 'Wealth' ? 1.5 : 1.0;
+      let { maxAmount, minAmount } = this.mockRegions[region];
+
+      let calculatedAmount = baseAmount * multiplier;
+
+      if (calculatedAmount > maxAmount) return maxAmount;
+      if (calculatedAmount < minAmount) return minAmount;
+      return calculatedAmount;
     }
+
+    // Return a mock object for most function calls
+    return {
+      type: 'clojure-result',
+      functionName,
+      args,
+      mockValue: this._generateMockValue(functionName, args)
+    };
   }
-  
+
   /**
    * Generate a reasonable mock value based on the function name and arguments
-   * @param {string} functionName - Name of the function 
+   * @param {string} functionName - Name of the function
    * @param {Array} args - Arguments passed to the function
    * @returns {any} A reasonable mock value
    */
@@ -214,10 +586,13 @@ class ClojureDSLBridge {
           }
         }
         return 'evaluated-result';
-      case 'ukRegion':
-        return { code: 'UK', name: 'United Kingdom' };
-      case 'hkRegion':
-        return { code: 'HK', name: 'Hong Kong' };
+      case 'regionFromPack':
+        return {
+          code: args[0].id,
+          name: args[0].displayName,
+          minAmount: (args[0].amountLimits || {}).min,
+          maxAmount: (args[0].amountLimits || {}).max
+        };
       case 'basicSegment':
         return { code: 'Basic', name: 'Basic Customer' };
       case 'wealthSegment':
@@ -234,4 +609,25 @@ class ClojureDSLBridge {
   }
 }
 
-module.exports = new ClojureDSLBridge(); 
\ No newline at end of file
+/**
+ * The error a DSL call raised, with the backend and export it came from added
+ * to its `details`. Its class and message stay as the backend raised them, so
+ * callers still match on ClojureError and its `ex-data`.
+ * @private
+ */
+function withCallContext(error, backend, exportName) {
+  if (error === null || typeof error !== 'object') {
+    return new ClojureBridgeError(String(error), { backend, exportName });
+  }
+  error.details = { backend, exportName, ...error.details };
+  return error;
+}
+
+module.exports = new ClojureDSLBridge();
+module.exports.ClojureDSLBridge = ClojureDSLBridge;
+module.exports.ClojureBridgeError = ClojureBridgeError;
+module.exports.ClojureError = ClojureError;
+module.exports.FUNCTION_EXPORTS = FUNCTION_EXPORTS;
+module.exports.VALUE_EXPORTS = VALUE_EXPORTS;
+module.exports.Keyword = Keyword;
+module.exports.keyword = keyword;
@@ -0,0 +1,104 @@
+/**
+ * DSL Worker Thread
+ *
+ * Entry point of the thread started by ClojureDSLWorker. It loads the DSL
+ * backend once and answers batches of calls posted by the main thread.
+ * Arguments and results travel in the wire format of ./marshal. A result
+ * holding functions, such as an environment with primitive procedures,
+ * cannot leave the thread: it is kept here and answered with a handle the
+ * main thread passes back in later calls.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { ClojureDSLBridge, ClojureError, VALUE_EXPORTS } = require('./clojure-dsl-bridge');
+const { toWire, fromWire } = require('./marshal');
+
+// Results kept in the thread, by handle id
+const handles = new Map();
+let nextHandle = 1;
+
+// Resolved exports, by export name
+const resolved = new Map();
+
+/**
+ * Check whether a value holds a function anywhere inside it
+ * @private
+ */
+function containsFunction(value, seen = new Set()) {
+  if (typeof value === 'function') return true;
+  if (value === null || typeof value !== 'object' || seen.has(value)) return false;
+  seen.add(value);
+  const children = value instanceof Map ? [...value.keys(), ...value.values()]
+    : value instanceof Set || Array.isArray(value) ? [...value]
+      : Object.values(value);
+  return children.some(child => containsFunction(child, seen));
+}
+
+/**
+ * The error as a cloneable message
+ * @private
+ */
+function serializeError(error) {
+  const details = error.details || {};
+  return {
+    name: error.name,
+    message: error.message,
+    code: details.code,
+    data: error instanceof ClojureError ? toWire(details.data) : undefined
+  };
+}
+
+/**
+ * Turn an argument message back into a value
+ * @private
+ */
+function resolveArgument(argument) {
+  if (!('handle' in argument)) return fromWire(argument.value);
+  if (!handles.has(argument.handle)) {
+    throw Object.assign(new Error(`DSL handle ${argument.handle} has been released`), { details: { code: 'STALE_HANDLE' } });
+  }
+  return handles.get(argument.handle);
+}
+
+/**
+ * Evaluate one call of a batch
+ * @private
+ */
+function invoke(bridge, call) {
+  try {
+    if (!resolved.has(call.name)) resolved.set(call.name, bridge.resolveExport(call.name));
+    const target = resolved.get(call.name);
+    const result = VALUE_EXPORTS.includes(call.name) ? target : target(...call.args.map(resolveArgument));
+
+    if (containsFunction(result)) {
+      const handle = nextHandle++;
+      handles.set(handle, result);
+      return { handle };
+    }
+    return { value: toWire(result) };
+  } catch (error) {
+    return { error: serializeError(error) };
+  }
+}
+
+function start() {
+  const bridge = new ClojureDSLBridge({ backend: workerData.backend });
+  let dsl;
+  try {
+    dsl = bridge.loadInProcess(workerData.dslPath, { regionPacks: workerData.regionPacks });
+  } catch (error) {
+    parentPort.postMessage({ type: 'failed', error: serializeError(error) });
+    return;
+  }
+
+  parentPort.on('message', message => {
+    if (message.type === 'batch') {
+      parentPort.postMessage({ type: 'results', id: message.id, results: message.calls.map(call => invoke(bridge, call)) });
+    } else if (message.type === 'release') {
+      message.handles.forEach(handle => handles.delete(handle));
+    }
+  });
+  parentPort.postMessage({ type: 'ready', regions: toWire(dsl.regions) });
+}
+
+start();
@@ -0,0 +1,523 @@
+/**
+ * DSL Worker
+ *
+ * A long-lived worker thread that evaluates DSL calls off the main thread,
+ * so the compiled DSL is loaded once per run rather than once per call.
+ * Calls are asynchronous and go through a request/response protocol with
+ * ./dsl-worker-thread.js:
+ *
+ * - calls made in the same tick, or through batch(), travel in one message
+ * - results of pure calls (the expression constructors, `applyAmountRule`)
+ *   and the data exports (regions, segments, screen definitions) are cached
+ * - a batch that does not answer within the timeout is rejected and the
+ *   thread is restarted; a thread that crashes is restarted as well
+ * - metrics() reports call counts and round-trip latency per export
+ *
+ * Results holding functions, such as environments, stay in the thread and
+ * are returned as a DSLHandle that later calls accept as a whole argument.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ClojureDSLBridge, ClojureBridgeError, FUNCTION_EXPORTS, VALUE_EXPORTS } = require('./clojure-dsl-bridge');
+const { ClojureError, toWire, fromWire } = require('./marshal');
+
+const THREAD_SCRIPT = path.join(__dirname, 'dsl-worker-thread.js');
+
+/**
+ * Milliseconds a batch may take before it is rejected
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Number of cached results kept, least recently used dropped first
+ */
+const DEFAULT_CACHE_SIZE = 500;
+
+/**
+ * Latency samples kept per export for the percentiles
+ */
+const LATENCY_WINDOW = 500;
+
+/**
+ * Function exports whose result depends on their arguments alone
+ */
+const PURE_EXPORTS = [
+  'makeVariable',
+  'makeApplication',
+  'makeLambda',
+  'makeIf',
+  'makeAssignment',
+  'makeSequence',
+  'makeQuoted',
+  'createGlobalEnvironment',
+  'applyAmountRule'
+];
+
+/**
+ * Error raised when a worker call cannot complete
+ */
+class DSLWorkerError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {string} details.code - `TIMEOUT`, `WORKER_EXITED`, `STALE_HANDLE`, `CLOSED`,
+   *   `NOT_CLONEABLE` or `CALL_FAILED`
+   * @param {string} details.backend - DSL backend the worker loads
+   * @param {string} details.exportName - Export the call was made to
+   * @param {string} details.name - For `CALL_FAILED`, the name of the error raised in the thread
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DSLWorkerError';
+    this.details = details;
+  }
+}
+
+/**
+ * Reference to a result kept in the worker thread
+ */
+class DSLHandle {
+  /**
+   * @param {number} id - Handle id in the thread
+   * @param {number} generation - Thread generation the handle belongs to
+   */
+  constructor(id, generation) {
+    this.id = id;
+    this.generation = generation;
+    Object.freeze(this);
+  }
+
+  toString() {
+    return `[DSL handle ${this.id}]`;
+  }
+}
+
+/**
+ * Persistent worker thread evaluating DSL calls
+ */
+class ClojureDSLWorker {
+  /**
+   * @param {Object} options - Worker options
+   * @param {string} options.backend - DSL backend the thread loads, see ClojureDSLBridge
+   * @param {string} options.dslPath - Path of the DSL module the thread loads
+   * @param {string} options.regionPacks - Directory the thread discovers region packs in
+   * @param {number} options.timeout - Milliseconds a batch may take (default 10000)
+   * @param {Array<string>} options.pure - Function exports whose results may be cached
+   * @param {number} options.cacheSize - Number of cached results kept (default 500; 0 disables caching)
+   */
+  constructor(options = {}) {
+    this.backend = ClojureDSLBridge.resolveBackend(options);
+    this.dslPath = options.dslPath;
+    this.regionPacks = options.regionPacks;
+    this.timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+    this.pure = new Set(options.pure || PURE_EXPORTS);
+    this.cacheSize = options.cacheSize === undefined ? DEFAULT_CACHE_SIZE : options.cacheSize;
+
+    this._thread = null;
+    this._generation = 0;
+    this._ready = null;
+    this._threadReady = false;
+    this._regions = null;
+    this._closed = false;
+    this._nextBatch = 1;
+    this._queue = [];
+    this._flushScheduled = false;
+    this._pending = new Map();
+    this._cache = new Map();
+    this._latencies = new Map();
+    this._stats = { calls: 0, batches: 0, cacheHits: 0, timeouts: 0, failures: 0, restarts: 0 };
+  }
+
+  /**
+   * Start the thread and wait until it has loaded the backend
+   * @returns {Promise<void>} Resolves once the thread is ready
+   * @throws {ClojureBridgeError} If the backend cannot be loaded in the thread
+   */
+  start() {
+    if (this._closed) return Promise.reject(this._closedError());
+    if (!this._thread) this._spawn();
+    return this._ready;
+  }
+
+  /**
+   * Call a function export
+   * @param {string} exportName - Name from FUNCTION_EXPORTS
+   * @param {...any} args - Arguments: JavaScript values or DSLHandles
+   * @returns {Promise<any>} The result, or a DSLHandle if it holds functions
+   */
+  call(exportName, ...args) {
+    return this._enqueue(exportName, args, this.timeout);
+  }
+
+  /**
+   * Make several calls in one message
+   * @param {Array<Object>} calls - `{name, args}` per call
+   * @param {Object} options - Batch options
+   * @param {number} options.timeout - Milliseconds the batch may take (defaults to the worker's)
+   * @returns {Promise<Array>} The results in call order; rejects with the first failure
+   */
+  batch(calls, options = {}) {
+    const timeout = options.timeout === undefined ? this.timeout : options.timeout;
+    return Promise.all(calls.map(call => this._enqueue(call.name, call.args || [], timeout)));
+  }
+
+  /**
+   * Read a data export such as a region or a screen definition
+   * @param {string} exportName - Name from VALUE_EXPORTS
+   * @returns {Promise<any>} The value
+   */
+  value(exportName) {
+    return this._enqueue(exportName, undefined, this.timeout);
+  }
+
+  /**
+   * Region definitions the thread registered from the region packs
+   * @returns {Promise<Object>} Region definitions by region id
+   * @throws {ClojureBridgeError} If the backend cannot be loaded in the thread
+   */
+  async regions() {
+    await this.start();
+    return this._regions;
+  }
+
+  /**
+   * A function per export calling the worker
+   * @returns {Object} A function per export name returning a promise
+   */
+  api() {
+    const api = {};
+    FUNCTION_EXPORTS.forEach(name => {
+      api[name] = (...args) => this.call(name, ...args);
+    });
+    VALUE_EXPORTS.forEach(name => {
+      api[name] = () => this.value(name);
+    });
+    return api;
+  }
+
+  /**
+   * Free results kept in the thread
+   * @param {...DSLHandle} dslHandles - Handles no longer needed
+   */
+  release(...dslHandles) {
+    const current = dslHandles.filter(handle => handle.generation === this._generation).map(handle => handle.id);
+    if (this._thread && current.length > 0) {
+      this._thread.postMessage({ type: 'release', handles: current });
+    }
+  }
+
+  /**
+   * Call counts and round-trip latency
+   * @returns {Object} `{backend, calls, batches, cacheHits, timeouts, failures, restarts, latency}`;
+   *   `latency` holds `{count, meanMs, p50Ms, p95Ms, maxMs}` per export over its last 500 calls
+   */
+  metrics() {
+    const latency = {};
+    this._latencies.forEach((samples, name) => {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const percentile = share => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+      latency[name] = {
+        count: samples.length,
+        meanMs: sorted.reduce((sum, sample) => sum + sample, 0) / sorted.length,
+        p50Ms: percentile(0.5),
+        p95Ms: percentile(0.95),
+        maxMs: sorted[sorted.length - 1]
+      };
+    });
+    return { backend: this.backend, ...this._stats, latency };
+  }
+
+  /**
+   * Stop the thread; calls still waiting are rejected and their timeouts stopped
+   * @returns {Promise<void>} Resolves once the thread has exited
+   */
+  async close() {
+    this._closed = true;
+    const thread = this._thread;
+    this._thread = null;
+    this._abandon(this._closedError());
+    if (thread) await thread.terminate();
+  }
+
+  /**
+   * Queue a call for the next flush, or answer it from the cache
+   * @private
+   */
+  _enqueue(name, args, timeout) {
+    this._stats.calls++;
+    if (this._closed) return Promise.reject(this._closedError());
+
+    let encoded;
+    try {
+      encoded = args === undefined ? undefined : args.map(arg => this._encodeArgument(name, arg));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const cacheKey = this._cacheKey(name, encoded);
+    if (cacheKey !== null && this._cache.has(cacheKey)) {
+      const cached = this._cache.get(cacheKey);
+      this._cache.delete(cacheKey);
+      this._cache.set(cacheKey, cached);
+      this._stats.cacheHits++;
+      return Promise.resolve(fromWire(cached));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ name, args: encoded, timeout, cacheKey, resolve, reject });
+      if (!this._flushScheduled) {
+        this._flushScheduled = true;
+        queueMicrotask(() => this._flush());
+      }
+    });
+  }
+
+  /**
+   * Encode an argument for the thread
+   * @private
+   */
+  _encodeArgument(name, arg) {
+    if (arg instanceof DSLHandle) {
+      if (arg.generation !== this._generation) {
+        throw new DSLWorkerError(`${arg} belongs to a worker thread that has since been restarted`, {
+          code: 'STALE_HANDLE',
+          exportName: name
+        });
+      }
+      return { handle: arg.id };
+    }
+    return { value: toWire(arg) };
+  }
+
+  /**
+   * Cache key of a call, or null if the call may not be cached
+   * @private
+   */
+  _cacheKey(name, encoded) {
+    const cacheable = encoded === undefined
+      ? VALUE_EXPORTS.includes(name)
+      : this.pure.has(name) && encoded.every(arg => 'value' in arg);
+    if (!cacheable || this.cacheSize <= 0) return null;
+    try {
+      return JSON.stringify([name, encoded]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Send every queued call in one message
+   * @private
+   */
+  _flush() {
+    this._flushScheduled = false;
+    const calls = this._queue;
+    this._queue = [];
+    if (calls.length === 0) return;
+    if (this._closed) {
+      calls.forEach(call => call.reject(this._closedError()));
+      return;
+    }
+    if (!this._thread) this._spawn();
+
+    const id = this._nextBatch++;
+    const timeout = Math.min(...calls.map(call => call.timeout));
+    const batch = { calls, thread: this._thread, started: process.hrtime.bigint(), timer: null };
+    if (timeout > 0 && timeout !== Infinity) {
+      batch.timer = setTimeout(() => this._timeOut(id), timeout);
+    }
+    this._pending.set(id, batch);
+    this._stats.batches++;
+    this._thread.ref();
+
+    try {
+      this._thread.postMessage({ type: 'batch', id, calls: calls.map(call => ({ name: call.name, args: call.args })) });
+    } catch (error) {
+      this._settle(id);
+      calls.forEach(call => call.reject(new DSLWorkerError(`Arguments of '${call.name}' cannot be sent to the worker: ${error.message}`, {
+        code: 'NOT_CLONEABLE',
+        exportName: call.name
+      })));
+    }
+  }
+
+  /**
+   * Start a thread and wire its events
+   * @private
+   */
+  _spawn() {
+    if (this._generation > 0) this._stats.restarts++;
+    this._generation++;
+
+    const thread = new Worker(THREAD_SCRIPT, {
+      workerData: { backend: this.backend, dslPath: this.dslPath, regionPacks: this.regionPacks }
+    });
+    this._thread = thread;
+    this._threadReady = false;
+
+    let wasReady = false;
+    let crash = null;
+    this._ready = new Promise((resolve, reject) => {
+      thread.on('message', message => {
+        if (thread !== this._thread) return;
+        if (message.type === 'ready') {
+          wasReady = true;
+          this._threadReady = true;
+          this._regions = fromWire(message.regions);
+          // An idle thread does not keep the process alive
+          if (this._pending.size === 0) thread.unref();
+          resolve();
+        } else if (message.type === 'failed') {
+          const error = this._rebuildError(message.error, 'loadDSL');
+          this._thread = null;
+          reject(error);
+          this._abandon(error);
+        } else if (message.type === 'results') {
+          this._receive(message);
+        }
+      });
+      thread.on('error', error => {
+        crash = error;
+      });
+      thread.on('exit', code => {
+        if (thread !== this._thread) return;
+        this._thread = null;
+        const error = new DSLWorkerError(`DSL worker thread exited with code ${code}${crash ? `: ${crash.message}` : ''}`, {
+          code: 'WORKER_EXITED'
+        });
+        reject(error);
+        this._abandon(error);
+        // Restart a thread that crashed after loading; one that could not load is retried on the next call
+        if (wasReady && !this._closed) this._spawn();
+      });
+    });
+    // Callers see load failures through their calls; start() exposes them directly
+    this._ready.catch(() => {});
+  }
+
+  /**
+   * Settle the calls of a batch with the thread's results
+   * @private
+   */
+  _receive(message) {
+    const batch = this._settle(message.id);
+    if (!batch) return;
+
+    const elapsed = Number(process.hrtime.bigint() - batch.started) / 1e6;
+    batch.calls.forEach((call, index) => {
+      this._recordLatency(call.name, elapsed);
+      const result = message.results[index];
+      if (result.error) {
+        this._stats.failures++;
+        call.reject(this._rebuildError(result.error, call.name));
+      } else if ('handle' in result) {
+        call.resolve(new DSLHandle(result.handle, this._generation));
+      } else {
+        if (call.cacheKey !== null) this._remember(call.cacheKey, result.value);
+        call.resolve(fromWire(result.value));
+      }
+    });
+  }
+
+  /**
+   * Reject a batch that did not answer in time and restart the thread
+   * @private
+   */
+  _timeOut(id) {
+    const batch = this._settle(id);
+    if (!batch) return;
+
+    this._stats.timeouts++;
+    const limit = Math.min(...batch.calls.map(call => call.timeout));
+    batch.calls.forEach(call => call.reject(new DSLWorkerError(`DSL call '${call.name}' timed out after ${limit} ms`, {
+      code: 'TIMEOUT',
+      exportName: call.name
+    })));
+
+    // The thread may have been closed or have crashed, and been replaced, since the batch was sent
+    if (batch.thread !== this._thread || this._thread === null) return;
+    const thread = this._thread;
+    this._thread = null;
+    this._abandon(new DSLWorkerError('DSL worker thread restarted after a timeout', { code: 'WORKER_EXITED' }));
+    thread.terminate();
+    if (!this._closed) this._spawn();
+  }
+
+  /**
+   * Remove a pending batch and stop its timer
+   * @private
+   */
+  _settle(id) {
+    const batch = this._pending.get(id);
+    if (!batch) return null;
+    clearTimeout(batch.timer);
+    this._pending.delete(id);
+    if (this._pending.size === 0 && this._thread && this._threadReady) this._thread.unref();
+    return batch;
+  }
+
+  /**
+   * Reject every pending batch and stop its timer
+   * @private
+   */
+  _abandon(error) {
+    [...this._pending.keys()].forEach(id => {
+      this._settle(id).calls.forEach(call => call.reject(error));
+    });
+  }
+
+  /**
+   * Cache a result, dropping the least recently used one when full
+   * @private
+   */
+  _remember(cacheKey, value) {
+    this._cache.set(cacheKey, value);
+    if (this._cache.size > this.cacheSize) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordLatency(name, elapsed) {
+    if (!this._latencies.has(name)) this._latencies.set(name, []);
+    const samples = this._latencies.get(name);
+    samples.push(elapsed);
+    if (samples.length > LATENCY_WINDOW) samples.shift();
+  }
+
+  /**
+   * Turn an error message from the thread back into an error
+   * @private
+   */
+  _rebuildError(error, exportName) {
+    if (error.name === 'ClojureError') {
+      return new ClojureError(error.message, { data: fromWire(error.data), backend: this.backend, exportName });
+    }
+    if (error.name === 'ClojureBridgeError') {
+      return new ClojureBridgeError(error.message, { backend: this.backend, exportName });
+    }
+    return new DSLWorkerError(error.message, {
+      code: error.code || 'CALL_FAILED',
+      backend: this.backend,
+      exportName,
+      name: error.name
+    });
+  }
+
+  /**
+   * @private
+   */
+  _closedError() {
+    return new DSLWorkerError('DSL worker has been closed', { code: 'CLOSED' });
+  }
+}
+
+module.exports = {
+  ClojureDSLWorker,
+  DSLWorkerError,
+  DSLHandle,
+  PURE_EXPORTS
+};
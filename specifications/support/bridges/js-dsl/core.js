@@ -0,0 +1,376 @@
+/**
+ * JavaScript Reference Evaluator
+ *
+ * A native JavaScript port of the metacircular evaluator in
+ * `finapp_dsl/core.clj`. Expressions and environments are plain objects with
+ * the same shape the ClojureScript bridge produces (`{type: 'variable', name}`,
+ * `{frame, base}`), and environment operations return new environments
+ * rather than mutating their input, exactly like the Clojure implementation.
+ * Where the Clojure code throws an `ex-info`, this one throws a ClojureError
+ * with the same message and `ex-data`.
+ */
+
+const { ClojureError } = require('../marshal');
+
+// Expression types
+
+/**
+ * Create a variable expression with the given name
+ * @param {string} name - The variable name
+ * @returns {Object} A variable expression with type and name keys
+ */
+function makeVariable(name) {
+  return { type: 'variable', name };
+}
+
+/**
+ * Create an application expression representing a function call
+ * @param {Object|Function} operator - The function to apply
+ * @param {Array} operands - The arguments to pass to the function
+ * @returns {Object} An application expression with type, operator and operands keys
+ */
+function makeApplication(operator, operands) {
+  return { type: 'application', operator, operands };
+}
+
+/**
+ * Create a lambda expression representing an anonymous function
+ * @param {Array<string>} parameters - The parameter names
+ * @param {Object} body - The body expression to evaluate when the function is called
+ * @returns {Object} A lambda expression with type, parameters and body keys
+ */
+function makeLambda(parameters, body) {
+  return { type: 'lambda', parameters, body };
+}
+
+/**
+ * Create a conditional expression
+ * @param {Object} predicate - The condition to evaluate
+ * @param {Object} consequent - The expression to evaluate if the predicate is truthy
+ * @param {Object} alternative - The expression to evaluate otherwise
+ * @returns {Object} A conditional expression
+ */
+function makeIf(predicate, consequent, alternative) {
+  return { type: 'if', predicate, consequent, alternative };
+}
+
+/**
+ * Create an assignment expression to update a variable's value
+ * @param {Object} variable - The variable to assign to
+ * @param {Object} value - The value expression
+ * @returns {Object} An assignment expression with type, variable and value keys
+ */
+function makeAssignment(variable, value) {
+  return { type: 'assignment', variable, value };
+}
+
+/**
+ * Create a sequence expression to evaluate multiple expressions in order
+ * @param {Array<Object>} expressions - The expressions to evaluate
+ * @returns {Object} A sequence expression with type and expressions keys
+ */
+function makeSequence(expressions) {
+  return { type: 'sequence', expressions };
+}
+
+/**
+ * Create a quoted expression that returns its text without evaluation
+ * @param {any} text - The value to quote
+ * @returns {Object} A quoted expression with type and text keys
+ */
+function makeQuoted(text) {
+  return { type: 'quoted', text };
+}
+
+// Environment operations
+
+/**
+ * Check whether a frame binds a name, mirroring `contains?` on a Clojure map
+ * @private
+ */
+function frameContains(frame, name) {
+  return frame !== null && frame !== undefined && Object.prototype.hasOwnProperty.call(frame, name);
+}
+
+/**
+ * Read the name of a variable expression, mirroring `(:name var)`
+ * @private
+ */
+function variableName(variable) {
+  return variable !== null && typeof variable === 'object' ? variable.name : undefined;
+}
+
+/**
+ * Extend an environment with new variable bindings
+ * @param {Array<string>} vars - The variable names
+ * @param {Array} vals - The values to bind to the variables
+ * @param {Object} baseEnv - The environment to extend
+ * @returns {Object} A new environment with the new bindings and baseEnv as parent
+ */
+function extendEnvironment(vars, vals, baseEnv) {
+  const frame = {};
+  const count = Math.min(vars.length, vals.length);
+  for (let i = 0; i < count; i++) {
+    frame[vars[i]] = vals[i];
+  }
+  return { ...baseEnv, frame, base: baseEnv };
+}
+
+/**
+ * The error `lookup-variable-value` and `set-variable-value!` raise
+ * @private
+ */
+function unboundVariable(name) {
+  return new ClojureError(`Unbound variable: ${name}`, { data: { variable: name } });
+}
+
+/**
+ * Look up the value of a variable in an environment
+ * @param {Object} variable - The variable to look up
+ * @param {Object} env - The environment to search in
+ * @returns {any} The value bound to the variable
+ * @throws {ClojureError} If the variable is unbound in the environment, with `{variable}` as its data
+ */
+function lookupVariableValue(variable, env) {
+  const name = variableName(variable);
+  let current = env;
+  while (current !== null && current !== undefined) {
+    if (frameContains(current.frame, name)) {
+      return current.frame[name];
+    }
+    current = current.base;
+  }
+  throw unboundVariable(name);
+}
+
+/**
+ * Define a variable in the current environment frame
+ * @param {Object} variable - The variable to define
+ * @param {any} value - The value to bind to the variable
+ * @param {Object} env - The environment to define the variable in
+ * @returns {Object} The updated environment with the new binding
+ */
+function defineVariable(variable, value, env) {
+  const name = variableName(variable);
+  return { ...env, frame: { ...env.frame, [name]: value } };
+}
+
+/**
+ * Set the value of an existing variable in an environment.
+ *
+ * Like `set-variable-value!`, the returned environment is the one whose frame
+ * holds the binding, which is not necessarily the environment passed in.
+ * @param {Object} variable - The variable to set
+ * @param {any} value - The new value for the variable
+ * @param {Object} env - The environment to update
+ * @returns {Object} The updated environment with the new value
+ * @throws {ClojureError} If the variable is unbound in the environment, with `{variable}` as its data
+ */
+function setVariableValue(variable, value, env) {
+  const name = variableName(variable);
+  if (env === null || env === undefined) {
+    throw unboundVariable(name);
+  }
+  if (frameContains(env.frame, name)) {
+    return { ...env, frame: { ...env.frame, [name]: value } };
+  }
+  return setVariableValue(variable, value, env.base);
+}
+
+/**
+ * Create a new global environment with an empty frame
+ * @returns {Object} A new environment with an empty frame and no parent
+ */
+function createGlobalEnvironment() {
+  return { frame: {}, base: null };
+}
+
+// Evaluation
+
+/**
+ * Check whether a value is an expression map, mirroring `map?`
+ * @private
+ */
+function isExpression(exp) {
+  return exp !== null
+    && typeof exp === 'object'
+    && !Array.isArray(exp)
+    && !(exp instanceof Date);
+}
+
+/**
+ * Evaluate a sequence of expressions in order
+ * @param {Array<Object>} expressions - The expressions to evaluate
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The result of evaluating the last expression
+ */
+function evalSequence(expressions, env) {
+  const [first, ...rest] = expressions;
+  if (rest.length === 0) {
+    return evaluate(first === undefined ? null : first, env);
+  }
+  evaluate(first, env);
+  return evalSequence(rest, env);
+}
+
+/**
+ * Evaluate an assignment expression
+ * @param {Object} exp - The assignment expression
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The value that was assigned
+ */
+function evalAssignment(exp, env) {
+  const value = evaluate(exp.value, env);
+  setVariableValue(exp.variable, value, env);
+  return value;
+}
+
+/**
+ * Evaluate a definition expression
+ * @param {Object} exp - The definition expression
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The value that was defined
+ */
+function evalDefinition(exp, env) {
+  const value = evaluate(exp.value, env);
+  defineVariable(exp.variable, value, env);
+  return value;
+}
+
+/**
+ * Evaluate a conditional expression
+ * @param {Object} exp - The conditional expression
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The result of evaluating either the consequent or alternative
+ */
+function evalIf(exp, env) {
+  const predicateValue = evaluate(exp.predicate, env);
+  // Only nil and false are falsey in Clojure
+  if (predicateValue !== null && predicateValue !== undefined && predicateValue !== false) {
+    return evaluate(exp.consequent, env);
+  }
+  return evaluate(exp.alternative, env);
+}
+
+/**
+ * Evaluate a lambda expression into a procedure that captures the environment
+ * @param {Object} exp - The lambda expression
+ * @param {Object} env - The environment at definition time
+ * @returns {Function} A procedure evaluating the body in an extended environment
+ */
+function evalLambda(exp, env) {
+  return (...args) => {
+    const newEnv = extendEnvironment(exp.parameters, args, env);
+    return evaluate(exp.body, newEnv);
+  };
+}
+
+/**
+ * Evaluate a function application
+ * @param {Object} exp - The application expression
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The result of applying the operator to the operands
+ * @throws {TypeError} If the operator does not evaluate to a procedure
+ */
+function evalApplication(exp, env) {
+  const operator = evaluate(exp.operator, env);
+  const operands = (exp.operands || []).map(operand => evaluate(operand, env));
+  if (typeof operator !== 'function') {
+    throw new TypeError(`${JSON.stringify(operator)} is not a procedure`);
+  }
+  return operator(...operands);
+}
+
+/**
+ * Evaluate an expression in a given environment
+ * @param {any} exp - The expression to evaluate
+ * @param {Object} env - The environment for evaluation
+ * @returns {any} The result of evaluating the expression
+ * @throws {Error} If an expression map has an unknown type
+ */
+function evaluate(exp, env) {
+  if (!isExpression(exp)) {
+    return exp;
+  }
+
+  switch (exp.type) {
+    case 'variable':
+      return lookupVariableValue(exp, env);
+    case 'quoted':
+      return exp.text;
+    case 'assignment':
+      return evalAssignment(exp, env);
+    case 'definition':
+      return evalDefinition(exp, env);
+    case 'if':
+      return evalIf(exp, env);
+    case 'lambda':
+      return evalLambda(exp, env);
+    case 'sequence':
+      return evalSequence(exp.expressions, env);
+    case 'application':
+      return evalApplication(exp, env);
+    default:
+      throw new Error(`No matching clause: ${exp.type}`);
+  }
+}
+
+// Business domain
+
+/**
+ * Region definition built from a region pack
+ * @param {Object} pack - The pack's `region.json`
+ * @returns {Object} `{code, name, currency, currencySymbol, dateFormat, language,
+ *   regulatoryBody, coolingOffPeriod, minAmount, maxAmount}`
+ */
+function regionFromPack(pack) {
+  const regulator = pack.regulator || {};
+  const limits = pack.amountLimits || {};
+  return {
+    code: pack.id,
+    name: pack.displayName,
+    currency: pack.currency,
+    currencySymbol: pack.currencySymbol,
+    dateFormat: pack.dateFormat,
+    language: Array.isArray(pack.locale) ? pack.locale[0] : pack.locale,
+    regulatoryBody: regulator.id,
+    coolingOffPeriod: (pack.coolingOff || {}).days,
+    minAmount: limits.min,
+    maxAmount: limits.max
+  };
+}
+
+/**
+ * Customer segment definition for basic customers
+ */
+const basicSegment = { code: 'Basic', name: 'Basic Customer' };
+
+/**
+ * Customer segment definition for wealth management customers
+ */
+const wealthSegment = { code: 'Wealth', name: 'Wealth Management Customer' };
+
+module.exports = {
+  makeVariable,
+  makeApplication,
+  makeLambda,
+  makeIf,
+  makeAssignment,
+  makeSequence,
+  makeQuoted,
+  extendEnvironment,
+  lookupVariableValue,
+  defineVariable,
+  setVariableValue,
+  createGlobalEnvironment,
+  evalSequence,
+  evalAssignment,
+  evalDefinition,
+  evalIf,
+  evalLambda,
+  evalApplication,
+  evaluate,
+  regionFromPack,
+  basicSegment,
+  wealthSegment
+};
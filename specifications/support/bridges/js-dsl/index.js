@@ -0,0 +1,50 @@
+/**
+ * JavaScript Reference Backend
+ *
+ * Exposes the reference evaluator under the same export names as the compiled
+ * `finapp-dsl.cljs-bridge` module, so ClojureDSLBridge can bind its proxies to
+ * either implementation.
+ */
+
+const core = require('./core');
+const loanTopup = require('./loan-topup');
+
+module.exports = {
+  // Core DSL functions
+  makeVariable: core.makeVariable,
+  makeApplication: core.makeApplication,
+  makeLambda: core.makeLambda,
+  makeIf: core.makeIf,
+  makeAssignment: core.makeAssignment,
+  makeSequence: core.makeSequence,
+  makeQuoted: core.makeQuoted,
+
+  // Environment operations
+  createGlobalEnvironment: core.createGlobalEnvironment,
+  extendEnvironment: core.extendEnvironment,
+  lookupVariableValue: core.lookupVariableValue,
+  defineVariable: core.defineVariable,
+  setVariableValue: core.setVariableValue,
+
+  // Evaluation
+  evaluate: core.evaluate,
+
+  // Business domain
+  regionFromPack: core.regionFromPack,
+  basicSegment: core.basicSegment,
+  wealthSegment: core.wealthSegment,
+
+  // Loan topup specific functions
+  registerRegions: loanTopup.registerRegions,
+  applyAmountRule: loanTopup.applyAmountRule,
+  setupLoanTopupEnvironment: loanTopup.setupLoanTopupEnvironment,
+  buildOfferCalculation: loanTopup.buildOfferCalculation,
+  buildRepaymentCalculation: loanTopup.buildRepaymentCalculation,
+
+  // UI components
+  initialOfferScreen: loanTopup.journeyScreens.initialOffer,
+  amountSelectionScreen: loanTopup.journeyScreens.amountSelection,
+  termsReviewScreen: loanTopup.journeyScreens.termsReview,
+  confirmationScreen: loanTopup.journeyScreens.confirmation,
+  successScreen: loanTopup.journeyScreens.success
+};
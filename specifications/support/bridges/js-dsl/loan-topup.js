@@ -0,0 +1,320 @@
+/**
+ * JavaScript Reference Loan Top-up Domain
+ *
+ * Port of the business rules, primitive environment and journey screens of
+ * `finapp_dsl/loan_topup.clj`, built on the reference evaluator in ./core.
+ * Regions start out as those of the bundled region packs; the bridge
+ * registers the packs it discovers in their place.
+ */
+
+const dsl = require('./core');
+const { ClojureError } = require('../marshal');
+const { LoanCalculator } = require('../../../../core/lib/common/loan-math');
+const { readRegionPacks } = require('../../../../core/lib/common/region-packs');
+
+// Repayment arithmetic shared with the app and the step assertions
+const loanMath = new LoanCalculator();
+
+// Regions, registered from the region packs
+
+/**
+ * Region definitions by code, as regionFromPack() builds them
+ */
+const regions = new Map();
+
+/**
+ * Replace the known regions, mirroring `register-regions!`
+ * @param {Array<Object>} definitions - Region definitions from regionFromPack()
+ * @returns {Array<string>} The codes of the registered regions
+ */
+function registerRegions(definitions) {
+  regions.clear();
+  definitions.forEach(region => regions.set(region.code, region));
+  return Array.from(regions.keys());
+}
+
+/**
+ * @param {string} code - Region code
+ * @returns {Object} The registered region definition
+ * @throws {ClojureError} If no pack has been registered for the region, with `{region}` as its data
+ */
+function getRegion(code) {
+  if (!regions.has(code)) {
+    throw new ClojureError(`Unknown region: ${code}`, { data: { region: code } });
+  }
+  return regions.get(code);
+}
+
+// Amount rules by region
+
+/**
+ * Maximum top-up amount for a region
+ * @param {string} region - Region code
+ * @returns {number} The maximum amount of the region's pack
+ */
+function getMaxAmountByRegion(region) {
+  return getRegion(region).maxAmount;
+}
+
+/**
+ * Minimum top-up amount for a region
+ * @param {string} region - Region code
+ * @returns {number} The minimum amount of the region's pack
+ */
+function getMinAmountByRegion(region) {
+  return getRegion(region).minAmount;
+}
+
+// Segment definitions
+const customerSegments = {
+  Basic: {
+    multiplier: 1.0,
+    interestRates: { UK: 6.5, HK: 6.9, SG: 6.7 },
+    minIncomes: { UK: 15000, HK: 120000, SG: 24000 },
+    minAccountAge: 6,
+    benefits: ['Standard processing']
+  },
+  Wealth: {
+    multiplier: 1.5,
+    interestRates: { UK: 5.4, HK: 5.8, SG: 5.5 },
+    minIncomes: { UK: 75000, HK: 600000, SG: 120000 },
+    minAccountAge: 3,
+    benefits: ['Preferential rates', 'Dedicated relationship manager', 'Fee waivers']
+  },
+  Private: {
+    multiplier: 2.0,
+    interestRates: { UK: 4.9, HK: 5.2, SG: 5.0 },
+    minIncomes: { UK: 150000, HK: 1200000, SG: 240000 },
+    minAccountAge: 1,
+    benefits: ['Bespoke rates', 'Dedicated private banker', 'All fees waived', 'Expedited processing']
+  }
+};
+
+/**
+ * Read a nested segment setting, mirroring `get-in` with a default
+ * @private
+ */
+function segmentSetting(segment, keys, defaultValue) {
+  let value = customerSegments[segment];
+  for (const key of keys) {
+    if (value === undefined || value === null) break;
+    value = value[key];
+  }
+  return value === undefined || value === null ? defaultValue : value;
+}
+
+function getAmountMultiplierBySegment(segment) {
+  return segmentSetting(segment, ['multiplier'], 1.0);
+}
+
+function getInterestRateBySegmentAndRegion(segment, region) {
+  return segmentSetting(segment, ['interestRates', region], 7.5);
+}
+
+function getMinIncomeBySegmentAndRegion(segment, region) {
+  return segmentSetting(segment, ['minIncomes', region], 0);
+}
+
+function getMinAccountAgeBySegment(segment) {
+  return segmentSetting(segment, ['minAccountAge'], 12);
+}
+
+function getBenefitsBySegment(segment) {
+  return segmentSetting(segment, ['benefits'], ['Standard processing']);
+}
+
+// Business rules
+
+/**
+ * Apply business rules to determine the eligible loan top-up amount
+ * @param {string} region - Region code
+ * @param {string} segment - Customer segment
+ * @param {number} baseAmount - Requested amount
+ * @returns {number} The amount clamped to the region limits after the segment multiplier
+ */
+function applyAmountRule(region, segment, baseAmount) {
+  const maxAmount = getMaxAmountByRegion(region);
+  const minAmount = getMinAmountByRegion(region);
+  const calculatedAmount = baseAmount * getAmountMultiplierBySegment(segment);
+
+  if (calculatedAmount > maxAmount) return maxAmount;
+  if (calculatedAmount < minAmount) return minAmount;
+  return calculatedAmount;
+}
+
+/**
+ * Check if a customer meets the eligibility criteria for a loan top-up
+ * @param {Object} customerData - Customer with segment, age, annualIncome and accountAgeMonths
+ * @param {string} region - Region code
+ * @returns {Object} `{eligible, reason}` or `{eligible, benefits}`
+ */
+function applyEligibilityRule(customerData, region) {
+  const segment = customerData.segment;
+  const age = customerData.age || 0;
+  const annualIncome = customerData.annualIncome || 0;
+  const accountAgeMonths = customerData.accountAgeMonths || 0;
+
+  if (age < 21) {
+    return { eligible: false, reason: 'Customer must be at least 21 years old' };
+  }
+  if (annualIncome < getMinIncomeBySegmentAndRegion(segment, region)) {
+    return { eligible: false, reason: 'Customer income below minimum requirement' };
+  }
+  if (accountAgeMonths < getMinAccountAgeBySegment(segment)) {
+    return { eligible: false, reason: 'Account not established long enough' };
+  }
+  return { eligible: true, benefits: getBenefitsBySegment(segment) };
+}
+
+/**
+ * Calculate the interest rate with adjustments based on amount
+ * @param {string} segment - Customer segment
+ * @param {string} region - Region code
+ * @param {number} amount - Top-up amount
+ * @returns {number} The adjusted interest rate
+ */
+function calculateInterestRate(segment, region, amount) {
+  const baseRate = getInterestRateBySegmentAndRegion(segment, region);
+  if (amount > 50000) return baseRate - 0.25;
+  if (amount < 5000) return baseRate + 0.5;
+  return baseRate;
+}
+
+/**
+ * Loan figures after a top-up over the remaining term, at the blended rate
+ * of the existing balance and the top-up
+ * @param {number} currentBalance - Balance of the existing loan
+ * @param {number} currentRate - Annual rate of the existing loan
+ * @param {number} amount - Top-up amount
+ * @param {number} topupRate - Annual rate offered on the top-up
+ * @param {number} remainingTerm - Months left on the existing loan
+ * @param {string} currency - ISO currency code
+ * @returns {Object} A TopupAmount without `effectiveDate`, plus `interestRate`
+ */
+function calculateTopupRepayments(currentBalance, currentRate, amount, topupRate, remainingTerm, currency) {
+  return loanMath.topup({ currentBalance, currentRate, amount, topupRate, remainingTerm, currency });
+}
+
+/**
+ * Value equality, mirroring Clojure's `=` on data
+ * @private
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+      && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+// Loan top-up journey using the DSL
+
+/**
+ * Build the expression that calculates the top-up offer for the region,
+ * segment and baseAmount bound in the environment
+ * @param {Object} env - The evaluation environment (unused, as in Clojure)
+ * @returns {Object} An application expression of `apply-amount-rule`
+ */
+function buildOfferCalculation(env) {
+  return dsl.makeApplication(
+    dsl.makeVariable('apply-amount-rule'),
+    [dsl.makeVariable('region'), dsl.makeVariable('segment'), dsl.makeVariable('baseAmount')]
+  );
+}
+
+/**
+ * Build the expression that calculates the repayments after a top-up from
+ * the currentBalance, currentRate, topupAmount, topupRate, remainingTerm and
+ * currency bound in the environment
+ * @param {Object} env - The evaluation environment (unused, as in Clojure)
+ * @returns {Object} An application expression of `calculate-topup-repayments`
+ */
+function buildRepaymentCalculation(env) {
+  return dsl.makeApplication(
+    dsl.makeVariable('calculate-topup-repayments'),
+    ['currentBalance', 'currentRate', 'topupAmount', 'topupRate', 'remainingTerm', 'currency'].map(name => dsl.makeVariable(name))
+  );
+}
+
+/**
+ * Create a global environment holding the loan top-up primitive procedures
+ * @returns {Object} The environment
+ */
+function setupLoanTopupEnvironment() {
+  const primitives = [
+    ['equal?', (a, b) => isEqual(a, b)],
+    ['add', (a, b) => a + b],
+    ['subtract', (a, b) => a - b],
+    ['multiply', (a, b) => a * b],
+    ['apply-amount-rule', applyAmountRule],
+    ['apply-eligibility-rule', applyEligibilityRule],
+    ['calculate-interest-rate', calculateInterestRate],
+    ['blended-rate', tranches => loanMath.blendedRate(tranches)],
+    ['monthly-payment', (principal, annualRate, months, currency) => loanMath.monthlyPayment(principal, annualRate, months, currency)],
+    ['amortisation-schedule', (principal, annualRate, months, currency) => loanMath.schedule(principal, annualRate, months, currency)],
+    ['representative-apr', (advance, payments) => loanMath.apr(advance, payments)],
+    ['calculate-topup-repayments', calculateTopupRepayments]
+  ];
+
+  return primitives.reduce(
+    (env, [name, procedure]) => dsl.defineVariable(dsl.makeVariable(name), procedure, env),
+    dsl.createGlobalEnvironment()
+  );
+}
+
+// UI journey screens
+const journeyScreens = {
+  initialOffer: {
+    type: 'screen',
+    name: 'InitialOfferScreen',
+    fields: ['customerSegment', 'existingLoanAmount', 'maxTopupAmount', 'interestRate']
+  },
+  amountSelection: {
+    type: 'screen',
+    name: 'AmountSelectionScreen',
+    fields: ['suggestedAmount', 'minAmount', 'maxAmount', 'selectedAmount']
+  },
+  termsReview: {
+    type: 'screen',
+    name: 'TermsReviewScreen',
+    fields: ['selectedAmount', 'term', 'monthlyPayment', 'totalRepayable', 'apr']
+  },
+  confirmation: {
+    type: 'screen',
+    name: 'ConfirmationScreen',
+    fields: ['selectedAmount', 'term', 'monthlyPayment', 'acceptTerms']
+  },
+  success: {
+    type: 'screen',
+    name: 'SuccessScreen',
+    fields: ['selectedAmount', 'accountNumber', 'estimatedFundsAvailableDate']
+  }
+};
+
+registerRegions(readRegionPacks().map(({ calendar, files, ...pack }) => dsl.regionFromPack(pack)));
+
+module.exports = {
+  registerRegions,
+  getRegion,
+  customerSegments,
+  getMaxAmountByRegion,
+  getMinAmountByRegion,
+  getAmountMultiplierBySegment,
+  getInterestRateBySegmentAndRegion,
+  getMinIncomeBySegmentAndRegion,
+  getMinAccountAgeBySegment,
+  getBenefitsBySegment,
+  applyAmountRule,
+  applyEligibilityRule,
+  calculateInterestRate,
+  calculateTopupRepayments,
+  buildOfferCalculation,
+  buildRepaymentCalculation,
+  setupLoanTopupEnvironment,
+  journeyScreens
+};
@@ -0,0 +1,259 @@
+/**
+ * Bridge Marshalling
+ *
+ * The JavaScript half of the translation layer between JavaScript callers and
+ * the compiled ClojureScript DSL; `finapp_dsl/marshal.cljc` is the Clojure
+ * half. Values cross the boundary in a JSON-shaped wire format that both
+ * sides decode without loss:
+ *
+ * | JavaScript     | Wire                                 | Clojure                      |
+ * |----------------|--------------------------------------|------------------------------|
+ * | `Keyword`      | `"~:high"`                           | keyword `:high`              |
+ * | string         | a leading `~` doubled                | string                       |
+ * | plain object   | object keyed by the property names   | map with simple keyword keys |
+ * | `Map`          | `{"~#cmap": [k1, v1, k2, v2, ...]}`  | map with any keys            |
+ * | `Set`          | `{"~#set": [...]}`                   | set                          |
+ * | array          | array                                | vector                       |
+ * | Date           | Date                                 | inst                         |
+ * | function       | function over wire values            | function                     |
+ *
+ * `fromWire(toWire(value))` deep-equals `value`, except that `undefined`
+ * comes back as `null` and a `Map` keyed only by keywords comes back as the
+ * plain object Clojure considers it equal to. Wrapping a wrapped function
+ * returns the original function. An `ex-info` thrown by Clojure surfaces as a
+ * `ClojureError` carrying its `ex-data`.
+ */
+
+const KEYWORD_PREFIX = '~:';
+const SET_TAG = '~#set';
+const MAP_TAG = '~#cmap';
+
+/**
+ * Name of the host errors that carry an ex-info across the boundary
+ */
+const ERROR_NAME = 'ClojureError';
+
+// Interned keywords by fully qualified name
+const keywords = new Map();
+
+// Wrapper functions and the functions they wrap
+const origins = new WeakMap();
+
+/**
+ * A Clojure keyword. Keywords are interned, so two keywords with the same
+ * name are the same object and can be compared with `===`.
+ */
+class Keyword {
+  /**
+   * @param {string|null} namespace - Keyword namespace, or null for a simple keyword
+   * @param {string} name - Keyword name
+   * @private
+   */
+  constructor(namespace, name) {
+    this.namespace = namespace;
+    this.name = name;
+    Object.freeze(this);
+  }
+
+  /**
+   * The interned keyword for a name
+   * @param {string} fqn - Name, optionally namespaced: 'high' or 'journey/amount-selection'
+   * @returns {Keyword} The keyword
+   */
+  static for(fqn) {
+    if (!keywords.has(fqn)) {
+      const slash = fqn.indexOf('/');
+      keywords.set(fqn, slash > 0
+        ? new Keyword(fqn.slice(0, slash), fqn.slice(slash + 1))
+        : new Keyword(null, fqn));
+    }
+    return keywords.get(fqn);
+  }
+
+  /**
+   * Fully qualified name, without the leading colon
+   * @returns {string} 'namespace/name' or 'name'
+   */
+  get fqn() {
+    return this.namespace ? `${this.namespace}/${this.name}` : this.name;
+  }
+
+  toString() {
+    return `:${this.fqn}`;
+  }
+}
+
+/**
+ * Error raised in Clojure with `ex-info`
+ */
+class ClojureError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Additional error details
+   * @param {Object} details.data - The `ex-data` of the exception, as JavaScript values
+   * @param {Error} details.cause - The error thrown by the compiled DSL
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ClojureError';
+    this.details = details;
+  }
+}
+
+/**
+ * The interned keyword for a name
+ * @param {string} fqn - Name, optionally namespaced
+ * @returns {Keyword} The keyword
+ */
+function keyword(fqn) {
+  return Keyword.for(fqn);
+}
+
+/**
+ * Check whether a value is a plain object rather than a class instance
+ * @private
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @private
+ */
+function escape(text) {
+  return text.startsWith('~') ? `~${text}` : text;
+}
+
+/**
+ * @private
+ */
+function unescape(text) {
+  return text.startsWith('~~') ? text.slice(1) : text;
+}
+
+/**
+ * The payload of a wire object holding only the given tag
+ * @private
+ */
+function tagged(object, tag) {
+  const keys = Object.keys(object);
+  return keys.length === 1 && keys[0] === tag ? object[tag] : undefined;
+}
+
+/**
+ * Wrap a function so Clojure can call it with wire values
+ * @private
+ */
+function toHostFunction(fn) {
+  const wrapper = (...args) => {
+    try {
+      return toWire(fn(...args.map(fromWire)));
+    } catch (error) {
+      throw toHostError(error);
+    }
+  };
+  origins.set(wrapper, fn);
+  return wrapper;
+}
+
+/**
+ * Wrap a function exported by Clojure so it takes and returns JavaScript values
+ * @private
+ */
+function fromHostFunction(fn) {
+  const wrapper = (...args) => {
+    try {
+      return fromWire(fn(...args.map(toWire)));
+    } catch (error) {
+      throw fromHostError(error);
+    }
+  };
+  origins.set(wrapper, fn);
+  return wrapper;
+}
+
+/**
+ * The error to throw back into Clojure: a ClojureError is raised as its ex-info again
+ * @param {Error} error - Error thrown by a JavaScript callback
+ * @returns {Error} The error in the form the Clojure half recognises
+ */
+function toHostError(error) {
+  if (!(error instanceof ClojureError)) return error;
+  return Object.assign(new Error(error.message), {
+    name: ERROR_NAME,
+    data: toWire(error.details.data === undefined ? {} : error.details.data)
+  });
+}
+
+/**
+ * The error to surface in JavaScript: an ex-info becomes a ClojureError
+ * @param {Error} error - Error thrown by a function of the compiled DSL
+ * @returns {Error} A ClojureError, or the error unchanged when it did not come from an ex-info
+ */
+function fromHostError(error) {
+  if (!(error instanceof Error) || error instanceof ClojureError || error.name !== ERROR_NAME) {
+    return error;
+  }
+  return new ClojureError(error.message, { data: fromWire(error.data), cause: error });
+}
+
+/**
+ * Encode a JavaScript value in the wire format
+ * @param {any} value - The value to encode
+ * @returns {any} The wire value
+ */
+function toWire(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'string') return escape(value);
+  if (value instanceof Keyword) return `${KEYWORD_PREFIX}${value.fqn}`;
+  if (typeof value === 'function') return origins.get(value) || toHostFunction(value);
+  if (Array.isArray(value)) return value.map(toWire);
+  if (value instanceof Set) return { [SET_TAG]: [...value].map(toWire) };
+  if (value instanceof Map) {
+    return { [MAP_TAG]: [...value].flatMap(([key, entry]) => [toWire(key), toWire(entry)]) };
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [escape(key), toWire(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Decode a wire value into JavaScript values
+ * @param {any} value - The wire value
+ * @returns {any} The JavaScript value
+ */
+function fromWire(value) {
+  if (typeof value === 'string') {
+    return value.startsWith(KEYWORD_PREFIX) ? Keyword.for(value.slice(KEYWORD_PREFIX.length)) : unescape(value);
+  }
+  if (typeof value === 'function') return origins.get(value) || fromHostFunction(value);
+  if (Array.isArray(value)) return value.map(fromWire);
+  if (!isPlainObject(value)) return value;
+
+  const items = tagged(value, SET_TAG);
+  if (items !== undefined) return new Set(items.map(fromWire));
+
+  const entries = tagged(value, MAP_TAG);
+  if (entries !== undefined) {
+    const map = new Map();
+    for (let i = 0; i < entries.length; i += 2) {
+      map.set(fromWire(entries[i]), fromWire(entries[i + 1]));
+    }
+    return map;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [unescape(key), fromWire(entry)]));
+}
+
+module.exports = {
+  Keyword,
+  ClojureError,
+  keyword,
+  toWire,
+  fromWire,
+  toHostError,
+  fromHostError
+};
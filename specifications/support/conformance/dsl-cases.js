@@ -0,0 +1,220 @@
+/**
+ * DSL Conformance Cases
+ *
+ * Expressions that every DSL backend must evaluate to the same result. Each
+ * case only uses the asynchronous API returned by ClojureDSLBridge.loadDSL,
+ * so the same case runs unchanged against the compiled ClojureScript and the
+ * JavaScript reference evaluator.
+ */
+
+/**
+ * Create an environment with the given bindings defined in its frame
+ * @param {Object} dsl - Loaded DSL API
+ * @param {Object} bindings - Variable names and values
+ * @param {Object} env - Environment to start from (defaults to a new global environment)
+ * @returns {Promise<Object>} The environment with the bindings
+ */
+async function withBindings(dsl, bindings, env) {
+  let current = env === undefined ? await dsl.createGlobalEnvironment() : env;
+  for (const [name, value] of Object.entries(bindings)) {
+    current = await dsl.defineVariable(await dsl.makeVariable(name), value, current);
+  }
+  return current;
+}
+
+/**
+ * Environment with the loan top-up primitives plus the given bindings
+ * @private
+ */
+async function loanTopupEnvironment(dsl, bindings) {
+  return withBindings(dsl, bindings, await dsl.setupLoanTopupEnvironment());
+}
+
+const cases = {
+  'quoted text': async dsl =>
+    dsl.evaluate(await dsl.makeQuoted('UK'), await dsl.createGlobalEnvironment()),
+
+  'self-evaluating number': async dsl =>
+    dsl.evaluate(42, await dsl.createGlobalEnvironment()),
+
+  'defined variable': async dsl =>
+    dsl.evaluate(await dsl.makeVariable('amount'), await withBindings(dsl, { amount: 5000 })),
+
+  'variable from enclosing frame': async dsl => {
+    const outer = await withBindings(dsl, { region: 'HK' });
+    const inner = await dsl.extendEnvironment(['segment'], ['Wealth'], outer);
+    return dsl.evaluate(await dsl.makeVariable('region'), inner);
+  },
+
+  'shadowed variable': async dsl => {
+    const outer = await withBindings(dsl, { region: 'HK' });
+    const inner = await dsl.extendEnvironment(['region'], ['UK'], outer);
+    return dsl.evaluate(await dsl.makeVariable('region'), inner);
+  },
+
+  'unbound variable': async dsl =>
+    dsl.evaluate(await dsl.makeVariable('missing'), await dsl.createGlobalEnvironment()),
+
+  'set variable in enclosing frame': async dsl => {
+    const outer = await withBindings(dsl, { amount: 1000 });
+    const inner = await dsl.extendEnvironment(['segment'], ['Basic'], outer);
+    const updated = await dsl.setVariableValue(await dsl.makeVariable('amount'), 2500, inner);
+    return dsl.lookupVariableValue(await dsl.makeVariable('amount'), updated);
+  },
+
+  'primitive application': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(await dsl.makeVariable('add'), [2, 3]),
+      await loanTopupEnvironment(dsl, {})
+    ),
+
+  'nested primitive application': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(await dsl.makeVariable('subtract'), [
+        await dsl.makeApplication(await dsl.makeVariable('multiply'), [await dsl.makeVariable('amount'), 2]),
+        500
+      ]),
+      await loanTopupEnvironment(dsl, { amount: 3000 })
+    ),
+
+  'lambda application': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(
+        await dsl.makeLambda(['x', 'y'], await dsl.makeApplication(await dsl.makeVariable('multiply'), [
+          await dsl.makeVariable('x'),
+          await dsl.makeVariable('y')
+        ])),
+        [6, 7]
+      ),
+      await loanTopupEnvironment(dsl, {})
+    ),
+
+  'conditional with zero predicate': async dsl =>
+    dsl.evaluate(
+      await dsl.makeIf(0, await dsl.makeQuoted('consequent'), await dsl.makeQuoted('alternative')),
+      await dsl.createGlobalEnvironment()
+    ),
+
+  'conditional on region': async dsl =>
+    dsl.evaluate(
+      await dsl.makeIf(
+        await dsl.makeApplication(await dsl.makeVariable('equal?'), [await dsl.makeVariable('region'), await dsl.makeQuoted('UK')]),
+        await dsl.makeQuoted('UK'),
+        await dsl.makeQuoted('Other')
+      ),
+      await loanTopupEnvironment(dsl, { region: 'HK' })
+    ),
+
+  'sequence result': async dsl =>
+    dsl.evaluate(
+      await dsl.makeSequence([await dsl.makeQuoted('first'), await dsl.makeQuoted('second'), await dsl.makeVariable('region')]),
+      await withBindings(dsl, { region: 'UK' })
+    ),
+
+  'assignment result': async dsl =>
+    dsl.evaluate(
+      await dsl.makeAssignment(await dsl.makeVariable('amount'), 7500),
+      await withBindings(dsl, { amount: 1000 })
+    ),
+
+  'offer calculation for UK Wealth': async dsl => {
+    const env = await loanTopupEnvironment(dsl, { region: 'UK', segment: 'Wealth', baseAmount: 20000 });
+    return dsl.evaluate(await dsl.buildOfferCalculation(env), env);
+  },
+
+  'offer calculation for HK Basic': async dsl => {
+    const env = await loanTopupEnvironment(dsl, { region: 'HK', segment: 'Basic', baseAmount: 1000 });
+    return dsl.evaluate(await dsl.buildOfferCalculation(env), env);
+  },
+
+  'amount rule within limits': dsl =>
+    dsl.applyAmountRule('UK', 'Basic', 12000),
+
+  'offer calculation above the UK maximum': async dsl => {
+    const env = await loanTopupEnvironment(dsl, { region: 'UK', segment: 'Wealth', baseAmount: 80000 });
+    return dsl.evaluate(await dsl.buildOfferCalculation(env), env);
+  },
+
+  'amount rule for a region without a pack': dsl =>
+    dsl.applyAmountRule('JP', 'Basic', 12000),
+
+  'interest rate for large amounts': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(await dsl.makeVariable('calculate-interest-rate'), [
+        await dsl.makeQuoted('Wealth'),
+        await dsl.makeQuoted('HK'),
+        60000
+      ]),
+      await loanTopupEnvironment(dsl, {})
+    ),
+
+  'repayments for a UK top-up': async dsl => {
+    const env = await loanTopupEnvironment(dsl, {
+      currentBalance: 10000,
+      currentRate: 5.9,
+      topupAmount: 13000,
+      topupRate: 6.9,
+      remainingTerm: 48,
+      currency: 'GBP'
+    });
+    return dsl.evaluate(await dsl.buildRepaymentCalculation(env), env);
+  },
+
+  'representative APR': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(await dsl.makeVariable('representative-apr'), [
+        1000,
+        await dsl.makeQuoted([100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100, 100])
+      ]),
+      await loanTopupEnvironment(dsl, {})
+    ),
+
+  'eligibility rule': async dsl =>
+    dsl.evaluate(
+      await dsl.makeApplication(await dsl.makeVariable('apply-eligibility-rule'), [
+        await dsl.makeQuoted({ segment: 'Basic', age: 25, annualIncome: 10000, accountAgeMonths: 12 }),
+        await dsl.makeQuoted('UK')
+      ]),
+      await loanTopupEnvironment(dsl, {})
+    ),
+
+  'region from a pack': dsl =>
+    dsl.regionFromPack({
+      id: 'HK',
+      displayName: 'Hong Kong',
+      locale: ['en-HK', 'zh-HK'],
+      currency: 'HKD',
+      currencySymbol: 'HK$',
+      dateFormat: 'DD/MM/YYYY',
+      regulator: { id: 'HKMA', name: 'Hong Kong Monetary Authority' },
+      coolingOff: { days: 7, businessDays: false },
+      amountLimits: { min: 10000, max: 800000 }
+    })
+};
+
+/**
+ * Run a conformance case against a loaded DSL
+ * @param {string} name - Name of the case
+ * @param {Object} dsl - Loaded DSL API
+ * @returns {Promise<Object>} `{value}` on success, or `{error, errorName, errorData}` with the
+ *   message, class name and `details.data` (the `ex-data` of a ClojureError) of the error raised
+ * @throws {Error} If no case has that name
+ */
+async function runCase(name, dsl) {
+  const run = cases[name];
+  if (!run) {
+    throw new Error(`Unknown DSL conformance case: ${name}`);
+  }
+
+  try {
+    return { value: await run(dsl) };
+  } catch (error) {
+    return { error: error.message, errorName: error.name, errorData: (error.details || {}).data };
+  }
+}
+
+module.exports = {
+  cases,
+  runCase,
+  withBindings
+};
@@ -0,0 +1,135 @@
+/**
+ * Base Page
+ *
+ * Shared page-object behaviour: every page reads the simulated app of the
+ * running scenario, so page objects can be created once at load time.
+ */
+
+const { currentApp } = require('../app/current-app');
+
+class BasePage {
+  /**
+   * The simulated app of the running scenario
+   */
+  get app() {
+    return currentApp();
+  }
+
+  /**
+   * @returns {Promise<string>} All text on the current screen
+   */
+  async getScreenText() {
+    return this.app.screenText();
+  }
+
+  /**
+   * @returns {Promise<string>} All text on the current screen
+   */
+  async getAllText() {
+    return this.getScreenText();
+  }
+
+  /**
+   * Tap a button by its localised text or control name
+   * @param {string} text - The text
+   * @returns {Promise<string>} The screen shown afterwards
+   */
+  async clickButton(text) {
+    return this.app.tap(text);
+  }
+
+  /**
+   * @param {string} text - Localised text or control name
+   * @returns {Promise<Object|null>} `{name, text, label, enabled}`, or null when not shown
+   */
+  async getButton(text) {
+    return this.app.buttons().find(button => button.text === text || button.name === text) || null;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} The buttons of the current screen, in order
+   */
+  async getButtons() {
+    return this.app.buttons();
+  }
+
+  /**
+   * @returns {Promise<string>} Name of the current screen
+   */
+  async getCurrentScreen() {
+    return this.app.currentScreen();
+  }
+
+  /**
+   * App-shell content of the current screen
+   * @protected
+   */
+  _shell() {
+    return this.app.render().shell;
+  }
+
+  /**
+   * Rendered layout of the current screen
+   * @protected
+   */
+  _layout() {
+    return this.app.render().layout;
+  }
+}
+
+/**
+ * `label: value` lines for a list of items
+ * @param {Array<Object>} items - `{label, value}` items
+ * @returns {string} The lines
+ */
+function itemsText(items) {
+  return items.map(item => `${item.label}: ${item.value}`).join('\n');
+}
+
+/**
+ * Label-to-value map for a list of items
+ * @param {Array<Object>} items - `{label, value}` items
+ * @returns {Object} Values by label
+ */
+function itemsByLabel(items) {
+  return Object.fromEntries(items.map(item => [item.label, item.value]));
+}
+
+/**
+ * `{label, value}` pairs anywhere in a rendered layout
+ * @param {any} value - Rendered layout
+ * @param {Array<Object>} found - Collected pairs
+ * @returns {Array<Object>} The pairs
+ */
+function findItems(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findItems(item, found));
+  } else if (value && typeof value === 'object' && value.visible !== false) {
+    if (typeof value.label === 'string' && value.value !== undefined) found.push(value);
+    Object.values(value).forEach(child => findItems(child, found));
+  }
+  return found;
+}
+
+/**
+ * Components of a type anywhere in a rendered layout
+ * @param {any} value - Rendered layout
+ * @param {string} type - Component type, e.g. `sliderInput`
+ * @param {Array<Object>} found - Collected components
+ * @returns {Array<Object>} The components
+ */
+function findComponents(value, type, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findComponents(item, type, found));
+  } else if (value && typeof value === 'object' && value.visible !== false) {
+    if (value.type === type) found.push(value);
+    Object.values(value).forEach(child => findComponents(child, type, found));
+  }
+  return found;
+}
+
+module.exports = BasePage;
+module.exports.itemsText = itemsText;
+module.exports.itemsByLabel = itemsByLabel;
+module.exports.findItems = findItems;
+module.exports.findComponents = findComponents;
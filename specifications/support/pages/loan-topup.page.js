@@ -0,0 +1,325 @@
+/**
+ * Loan Top-up Page
+ *
+ * The top-up journey from the offer to the success screen. Navigation
+ * helpers walk the journey the way a customer would, so a scenario can
+ * start on any screen with the earlier choices made.
+ */
+
+const BasePage = require('./base.page');
+const { itemsText, itemsByLabel, findItems, findComponents } = require('./base.page');
+
+class LoanTopupPage extends BasePage {
+  // Navigation
+
+  async navigateToOfferScreen() {
+    await this.app.navigateTo('My Loans');
+    await this.app.tap('View Your Offer');
+  }
+
+  async navigateToAmountSelectionScreen() {
+    await this.navigateToOfferScreen();
+    await this.app.tap('Select Amount');
+  }
+
+  async navigateToCustomAmountScreen() {
+    await this.navigateToAmountSelectionScreen();
+    this.app.selectCustomAmount();
+  }
+
+  /**
+   * @param {number} amount - Amount to choose; defaults to the suggested amount
+   */
+  async navigateToDetailedTermsScreen(amount) {
+    await this.navigateToAmountSelectionScreen();
+    this.app.selectAmount(amount === undefined ? this.app.suggestedAmount() : amount);
+    await this.app.tap('Continue');
+  }
+
+  async navigateToConfirmationScreen() {
+    if (this.app.currentScreen() !== 'TermsScreen') {
+      await this.navigateToDetailedTermsScreen();
+    }
+    await this.app.tap('Accept');
+  }
+
+  /**
+   * Choose an option on the current screen by its text
+   * @param {string} text - The option text
+   * @throws {Error} When the screen shows no such option
+   */
+  async clickOption(text) {
+    if (this._shell().customAmountOption !== text) {
+      throw new Error(`${this.app.currentScreen()} has no option '${text}'`);
+    }
+    this.app.selectCustomAmount();
+  }
+
+  // Offer screen
+
+  /**
+   * @returns {Promise<string>} The interest rate shown on the offer
+   */
+  async getInterestRate() {
+    return itemsByLabel(findItems(this._layout()))['Interest rate'];
+  }
+
+  /**
+   * @returns {Promise<string>} The maximum top-up amount shown on the offer
+   */
+  async getMaximumAmount() {
+    return itemsByLabel(findItems(this._layout()))['Maximum top-up amount'];
+  }
+
+  // Amount selection screen
+
+  /**
+   * @returns {Promise<Array<string>>} Formatted pre-defined amounts
+   */
+  async getAmountOptions() {
+    return this._shell().amountOptions.map(option => option.items[0].value);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Each option's figures by localised label
+   */
+  async getAmountOptionDetails() {
+    return this._shell().amountOptions.map(option => itemsByLabel(option.items));
+  }
+
+  /**
+   * @returns {Promise<string|null>} Text of the custom amount option
+   */
+  async getCustomAmountOption() {
+    return this._shell().customAmountOption;
+  }
+
+  /**
+   * Choose a pre-defined or custom amount
+   * @param {number} amount - The amount
+   */
+  async selectAmount(amount) {
+    this.app.selectAmount(amount);
+  }
+
+  async hasAmountSlider() {
+    return findComponents(this._layout(), 'sliderInput').length > 0;
+  }
+
+  async hasAmountInput() {
+    return Boolean(this._shell().amountInput);
+  }
+
+  async getAmountInputLabel() {
+    return this._shell().amountInput.label;
+  }
+
+  /**
+   * Type an amount into the custom amount input
+   * @param {number} amount - The amount
+   */
+  async enterAmount(amount) {
+    this.app.enterAmount(amount);
+  }
+
+  async tryEnterAmountBelowMinimum() {
+    this.app.enterAmount(this.app.offer().minTopupAmount - 1);
+  }
+
+  async tryEnterAmountAboveMaximum() {
+    this.app.enterAmount(this.app.offer().maxTopupAmount + 1);
+  }
+
+  /**
+   * @returns {Promise<string|null>} The formatted amount in the custom amount input
+   */
+  async getCurrentAmount() {
+    return this._shell().amountInput.value;
+  }
+
+  /**
+   * @returns {Promise<string|null>} The error shown under the amount input
+   */
+  async getAmountError() {
+    return this._shell().amountInput.error;
+  }
+
+  /**
+   * @returns {Promise<Object>} The current loan figures shown for reference, by label
+   */
+  async getCurrentLoanReference() {
+    const [panel] = findComponents(this._layout(), 'infoPanel');
+    return itemsByLabel(panel.items.filter(item => item.label === 'Original loan amount'));
+  }
+
+  /**
+   * @returns {Promise<Object>} How the selection changes the loan, by localised label
+   */
+  async getSelectionImpact() {
+    return itemsByLabel(this._shell().impact);
+  }
+
+  /**
+   * @returns {Promise<Object>} `{message, offer}`: the time-of-day service message
+   */
+  async getServiceMessage() {
+    return this._shell().serviceMessage;
+  }
+
+  // Terms screen
+
+  /**
+   * @returns {Promise<string>} `label: value` lines of the top-up breakdown
+   */
+  async getDetailsBreakdown() {
+    return itemsText(this._shell().breakdown);
+  }
+
+  /**
+   * @returns {Promise<string>} `label: value` lines of the regulatory information
+   */
+  async getRegulatoryInfo() {
+    return itemsText(this._shell().regulatoryInfo);
+  }
+
+  /**
+   * @param {string} text - Text shown on the screen
+   * @returns {Promise<boolean>} Whether the text is displayed prominently
+   */
+  async isElementHighlighted(text) {
+    const { segmentBenefit } = this._shell();
+    return Boolean(segmentBenefit && segmentBenefit.text === text && segmentBenefit.highlighted);
+  }
+
+  // Confirmation screen
+
+  /**
+   * @returns {Promise<Object>} The top-up summary, by localised label
+   */
+  async getConfirmationSummary() {
+    return itemsByLabel(this._shell().summary);
+  }
+
+  /**
+   * @returns {Promise<string>} The region's terms for the agreement
+   */
+  async getConfirmationTerms() {
+    return this._shell().agreementTerms;
+  }
+
+  /**
+   * @returns {Promise<string>} All text on the confirmation screen
+   */
+  async getConfirmationScreenText() {
+    return this.getScreenText();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} `{label, checked}` of the agreement checkbox
+   */
+  async getAgreementCheckbox() {
+    const [checkbox] = findComponents(this._layout(), 'checkbox');
+    if (!checkbox) return null;
+    return { label: this.app.localise(checkbox.label), checked: Boolean(this.app.bindingContext()[checkbox.id]) };
+  }
+
+  /**
+   * @returns {Promise<string>} The region's mandatory disclosure
+   */
+  async getDisclosureText() {
+    return this._shell().disclosure;
+  }
+
+  async checkAgreementBox() {
+    this.app.check('agreementCheckbox');
+  }
+
+  // Processing and success
+
+  async isProcessingIndicatorVisible() {
+    return this.app.processing !== null;
+  }
+
+  async waitForProcessingToComplete() {
+    this.app.completeProcessing();
+  }
+
+  /**
+   * @returns {Promise<string>} All text on the success screen
+   * @throws {Error} When the journey is not on the success screen
+   */
+  async getSuccessScreenText() {
+    await this.waitForSuccessScreen();
+    return this.getScreenText();
+  }
+
+  /**
+   * @returns {Promise<Object>} The success screen's details by localised label,
+   *   plus `message`, `fundsAvailable`, `disbursement` and `notice`
+   */
+  async getSuccessDetails() {
+    await this.waitForSuccessScreen();
+    const { details, ...rest } = this._shell();
+    return { ...itemsByLabel(details), ...rest };
+  }
+
+  /**
+   * @throws {Error} When the journey is not on the success screen
+   */
+  async waitForSuccessScreen() {
+    await this.waitForProcessingToComplete();
+    if (this.app.currentScreen() !== 'SuccessScreen') {
+      throw new Error(`Expected the success screen but the app is on ${this.app.currentScreen()}`);
+    }
+  }
+
+  /**
+   * Go through the whole journey and confirm a top-up
+   * @param {number} amount - Amount to top up; defaults to the suggested amount
+   * @returns {Promise<Object>} The TopupConfirmation
+   */
+  async confirmTopup(amount) {
+    await this.navigateToDetailedTermsScreen(amount);
+    await this.navigateToConfirmationScreen();
+    await this.checkAgreementBox();
+    await this.app.tap('Confirm Top-up');
+    await this.waitForSuccessScreen();
+    return this.app.journey.data.createTopup;
+  }
+
+  // Leaving the journey
+
+  /**
+   * "Maybe Later" or navigating away: save progress and return to the loans overview
+   * @returns {Promise<Object>} The saved journey record
+   */
+  async leaveJourney() {
+    return this.app.leaveJourney();
+  }
+
+  async completeJourney() {
+    return this.confirmTopup();
+  }
+
+  async abandonJourney() {
+    await this.navigateToAmountSelectionScreen();
+    this.app.selectAmount(this.app.suggestedAmount());
+    return this.leaveJourney();
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The saved journey record, unless expired
+   */
+  async getSavedJourneyState() {
+    return this.app.journey.savedState();
+  }
+
+  /**
+   * @returns {Promise<Date|null>} When the saved journey stops being resumable
+   */
+  async getJourneyStateExpiry() {
+    return this.app.journey.stateExpiry();
+  }
+}
+
+module.exports = LoanTopupPage;
@@ -0,0 +1,103 @@
+/**
+ * Loans Overview Page
+ *
+ * The "My Loans" section: the loan list rendered from the LoansOverview
+ * screen plus the pre-approved offer card, promotional banners and region
+ * terms around it.
+ */
+
+const BasePage = require('./base.page');
+const { itemsText, findItems, findComponents } = require('./base.page');
+
+class LoansOverviewPage extends BasePage {
+  /**
+   * Give the customer a loan
+   * @param {Object} loan - Loan fields; region and currency follow the customer's region
+   */
+  async setupTestLoan(loan) {
+    this.app.addLoan(loan);
+  }
+
+  /**
+   * @param {Object} preApproval - `{isPreApproved, maxAmount}`
+   */
+  async setupTopupPreApproval(preApproval) {
+    this.app.setPreApproval(preApproval);
+  }
+
+  /**
+   * @returns {Promise<string|null>} The pre-approved message of the offer card
+   */
+  async getTopupOfferMessage() {
+    const { offer } = this._shell();
+    return offer ? offer.message : null;
+  }
+
+  /**
+   * @returns {Promise<string>} `label: value` lines of the offer card's loan summary
+   */
+  async getLoanSummary() {
+    const { offer } = this._shell();
+    return offer ? itemsText(offer.loanSummary) : '';
+  }
+
+  /**
+   * @returns {Promise<Object>} The first button of the section
+   */
+  async getPrimaryAction() {
+    return this.app.buttons()[0];
+  }
+
+  /**
+   * @returns {Promise<Object>} The second button of the section
+   */
+  async getSecondaryAction() {
+    return this.app.buttons()[1];
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Dates shown in the loan list
+   */
+  async getDisplayedDates() {
+    return findItems(this._layout())
+      .filter(item => /date/i.test(item.label))
+      .map(item => item.value);
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Titles of the promotional banners shown
+   */
+  async getPromotionalBanners() {
+    return findComponents(this._layout(), 'banner').map(banner => banner.title);
+  }
+
+  /**
+   * @returns {Promise<string>} Region terms and conditions
+   */
+  async getTermsAndConditions() {
+    return this._shell().termsAndConditions;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a loan is listed with a top-up available
+   */
+  async isTopupOfferAvailable() {
+    return findComponents(this._layout(), 'badge').some(badge => badge.text === 'Top-up Available');
+  }
+
+  /**
+   * @returns {Promise<string|null>} Text of the option to reconsider a declined offer
+   */
+  async getReconsiderOption() {
+    return this._shell().reconsider;
+  }
+
+  /**
+   * @returns {Promise<Object>} `{suppressUntil}`: when a declined offer is promoted again
+   */
+  async getOfferSuppressionSettings() {
+    return { suppressUntil: this.app.offerSuppressedUntil };
+  }
+}
+
+module.exports = LoansOverviewPage;
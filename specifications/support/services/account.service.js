@@ -0,0 +1,53 @@
+/**
+ * Account Service
+ *
+ * Reads the simulated app's ledger the way a test would query the core
+ * banking back end.
+ */
+
+const { currentApp } = require('../app/current-app');
+
+class AccountService {
+  /**
+   * @param {string} accountId - Account id
+   * @returns {Promise<Object>} `{id, customerId, balance, recentTransactions, recentBenefits}`, newest first
+   * @throws {Error} For an unknown account
+   */
+  async getAccountDetails(accountId) {
+    const account = currentApp().account(accountId);
+    if (!account) {
+      throw new Error(`Unknown account '${accountId}'`);
+    }
+    return {
+      id: account.id,
+      customerId: account.customerId,
+      balance: account.balance,
+      recentTransactions: account.transactions.map(transaction => ({ ...transaction })),
+      recentBenefits: account.benefits.map(benefit => ({ ...benefit }))
+    };
+  }
+
+  /**
+   * When the transaction for a top-up is (or will be) processed
+   * @param {string} accountId - Account id
+   * @param {string} reference - Top-up reference
+   * @returns {Promise<number|null>} Epoch milliseconds, or null when there is no such transaction
+   */
+  async getProcessingTimestamp(accountId, reference) {
+    const { recentTransactions } = await this.getAccountDetails(accountId);
+    const transaction = recentTransactions.find(candidate => candidate.reference === reference);
+    return transaction ? Date.parse(transaction.processedAt) : null;
+  }
+
+  /**
+   * @param {number} timestamp - Epoch milliseconds
+   * @param {string} region - Region id
+   * @returns {Promise<boolean>} Whether the instant falls on the region's next working day
+   */
+  async isNextWorkingDay(timestamp, region) {
+    return currentApp().isNextWorkingDay(timestamp, region);
+  }
+}
+
+module.exports = new AccountService();
+module.exports.AccountService = AccountService;
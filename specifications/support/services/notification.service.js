@@ -0,0 +1,32 @@
+/**
+ * Notification Service
+ *
+ * Reads the simulated app's outbox. Only deliveries due by the app clock are
+ * returned, so scheduled reminders and follow-ups appear once enough days
+ * have passed.
+ */
+
+const { currentApp } = require('../app/current-app');
+
+class NotificationService {
+  /**
+   * Push and email notifications
+   * @param {string} customerId - Customer id
+   * @returns {Promise<Array<Object>>} `{type, channel, recipient, language, content, createdAt}`, newest first
+   */
+  async getRecentNotifications(customerId) {
+    return currentApp().delivered(customerId, 'notification');
+  }
+
+  /**
+   * Follow-up communications such as surveys and relationship manager calls
+   * @param {string} customerId - Customer id
+   * @returns {Promise<Array<Object>>} `{type, channel, language, content, createdAt}`, newest first
+   */
+  async getRecentCommunications(customerId) {
+    return currentApp().delivered(customerId, 'communication');
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationService = NotificationService;
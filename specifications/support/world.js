@@ -0,0 +1,74 @@
+/**
+ * Cucumber World
+ *
+ * Gives every scenario its own simulated app, built from the loan top-up
+ * specification (parsed once per run), and the session helpers the domain
+ * steps call: authenticate(), setRegion(), setCustomerSegment(),
+ * setMockDateTime(), advanceTime() and navigateTo().
+ */
+
+const { World, setWorldConstructor } = require('@cucumber/cucumber');
+const { loadSpec } = require('../../code-generation/parsers/finapp-model');
+const { SPEC_FILE, SimulatedApp } = require('./app/simulated-app');
+const { activate } = require('./app/current-app');
+
+let spec = null;
+
+class FinappWorld extends World {
+  constructor(options) {
+    super(options);
+    spec = spec || loadSpec(SPEC_FILE);
+    this.app = activate(new SimulatedApp(spec));
+  }
+
+  /**
+   * The signed-in customer
+   */
+  get customerData() {
+    return this.app.customer;
+  }
+
+  async authenticate() {
+    return this.app.authenticate();
+  }
+
+  async setRegion(region) {
+    this.app.setRegion(region);
+  }
+
+  async setCustomerSegment(segment) {
+    this.app.setCustomerSegment(segment);
+  }
+
+  /**
+   * @param {Date|string} datetime - New app clock time; offsets may be written `Z`, `+08` or
+   *   `+08:00`, and a time without one is local to the current region
+   */
+  async setMockDateTime(datetime) {
+    this.app.setDateTime(datetime);
+  }
+
+  /**
+   * @param {number|Object} duration - Milliseconds, or `{days, hours, minutes}`
+   */
+  async advanceTime(duration) {
+    this.app.advanceTime(duration);
+  }
+
+  async navigateTo(section) {
+    return this.app.navigateTo(section);
+  }
+
+  /**
+   * @returns {Date} The app clock time
+   */
+  now() {
+    return this.app.now();
+  }
+}
+
+setWorldConstructor(FinappWorld);
+
+module.exports = {
+  FinappWorld
+};